@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+// bkmrks command line client; see lib/cli.js or run bkmrks --help
+const { run } = require('../lib/cli')
+
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code
+})
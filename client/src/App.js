@@ -1,134 +1,834 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useCallback, useRef } from 'react'
 import {
   Search, Plus, Edit3, Trash2, ExternalLink,
-  Tag, Bookmark, Download, Upload, RotateCcw
+  Tag, Bookmark, Download, Upload, RotateCcw, ArrowUpDown, Sparkles, Activity, LogOut, Archive,
+  BookOpen, Save, Share2, BarChart3, Keyboard, Inbox, Check, ListPlus, AlarmClock, Combine, Settings, DatabaseBackup
 } from 'lucide-react'
+import TagInput from './TagInput'
+import LoginScreen from './LoginScreen'
+import TrashPanel from './TrashPanel'
+import SharePanel from './SharePanel'
+import DashboardPanel from './DashboardPanel'
+import HistoryPanel from './HistoryPanel'
+import FolderSidebar, { BOOKMARK_DRAG_TYPE } from './FolderSidebar'
+import BulkActionBar from './BulkActionBar'
+import ReaderView from './ReaderView'
+import ImportPanel from './ImportPanel'
+import SyncStatus from './SyncStatus'
+import CommandPalette from './CommandPalette'
+import ShortcutsHelp from './ShortcutsHelp'
+import Reminders from './Reminders'
+import CategoryCleanup from './CategoryCleanup'
+import SettingsPanel from './SettingsPanel'
+import BackupsPanel from './BackupsPanel'
+import Markdown from './Markdown'
+import { STATUS_LABELS, INBOX_STATUSES, toLocalInput, fromLocalInput } from './readingList'
+import { API_BASE_URL, apiCall, setUnauthorizedHandler, visitUrl } from './api'
+import {
+  rememberUser, rememberedUser, saveSnapshot, loadSnapshot, readQueue, writeQueue, clearOfflineData,
+  isPending, temporaryId, serverData, enqueue, applyQueue, replayQueue, sendChange
+} from './offline'
 import './App.css'
 
-const API_BASE_URL = '/api'
+const PAGE_SIZE = 30
+// The most the server returns at once, so a reload can keep several pages
+const MAX_PAGE_SIZE = 200
+
+// How long the undo toast stays up after a delete
+const UNDO_TIMEOUT = 8000
+
+// How often to try the server again while it can't be reached
+const RECONNECT_INTERVAL = 30000
+
+const HEALTH_LABELS = {
+  ok: 'OK',
+  redirected: 'Moved',
+  broken: 'Broken',
+  unknown: 'Unreachable?'
+}
+
+// Past tense of each batch action, for the result message
+const BATCH_LABELS = {
+  delete: 'Moved to trash',
+  setCategory: 'Recategorized',
+  addTags: 'Tagged',
+  removeTags: 'Untagged',
+  move: 'Moved',
+  setStatus: 'Updated the status of',
+  setReminder: 'Set a reminder on'
+}
+
+const EMPTY_FORM = {
+  title: '',
+  url: '',
+  category: '',
+  description: '',
+  tags: [],
+  image: '',
+  favicon: '',
+  status: '',
+  notes: '',
+  // As the datetime-local input has it, in local time
+  remindAt: ''
+}
+
+// Fields the form has inputs for, so the server's errors can go next to them
+const FORM_FIELDS = ['title', 'url', 'category', 'tags', 'description', 'status', 'remindAt', 'notes']
 
-const BookmarkManager = () => {
+const LoadingScreen = ({ message }) => (
+  <div className='app'>
+    <div className='container'>
+      <div className='loading-state'>
+        <Bookmark size={64} />
+        <h3>{message}</h3>
+      </div>
+    </div>
+  </div>
+)
+
+const BookmarkManager = ({ user, onLogout }) => {
   const [bookmarks, setBookmarks] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [searchTerm, setSearchTerm] = useState('')
+  const [debouncedSearch, setDebouncedSearch] = useState('')
   const [selectedCategory, setSelectedCategory] = useState('All')
+  const [folders, setFolders] = useState([])
+  // 'all', 'root' for unfiled bookmarks, or a folder id
+  const [selectedFolder, setSelectedFolder] = useState('all')
+  const [dropTargetId, setDropTargetId] = useState(null)
+  const [selectedIds, setSelectedIds] = useState(() => new Set())
+  // Every bookmark matching the filters, including pages not loaded yet
+  const [allFilteredSelected, setAllFilteredSelected] = useState(false)
+  const [batchStatus, setBatchStatus] = useState(null)
+  // Bookmark whose saved copy is open, and the one being archived
+  const [reading, setReading] = useState(null)
+  const [archivingId, setArchivingId] = useState(null)
+  const lastSelectedId = useRef(null)
+  const [sort, setSort] = useState('')
+  const [total, setTotal] = useState(0)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [categoryCounts, setCategoryCounts] = useState([])
+  const [healthFilter, setHealthFilter] = useState('')
+  const [statusFilter, setStatusFilter] = useState('')
+  // The inbox is the reading list still to be read
+  const [inbox, setInbox] = useState(false)
+  const [linkCheck, setLinkCheck] = useState(null)
+  const [tags, setTags] = useState([])
+  const [selectedTags, setSelectedTags] = useState([])
+  const [tagMode, setTagMode] = useState('any')
   const [showAddForm, setShowAddForm] = useState(false)
   const [editingBookmark, setEditingBookmark] = useState(null)
-  const [formData, setFormData] = useState({
-    title: '',
-    url: '',
-    category: '',
-    description: ''
-  })
+  // { name, content } of the file being previewed for import
+  const [importFile, setImportFile] = useState(null)
+  const [formData, setFormData] = useState(EMPTY_FORM)
+  // { field: message } from the last save, shown under each input
+  const [fieldErrors, setFieldErrors] = useState({})
+  const [fetchingMetadata, setFetchingMetadata] = useState(false)
+  // Categories and tags the server thinks fit the bookmark in the form
+  const [suggestions, setSuggestions] = useState({ categories: [], tags: [] })
+  const [showTrash, setShowTrash] = useState(false)
+  const [showShares, setShowShares] = useState(false)
+  const [showDashboard, setShowDashboard] = useState(false)
+  const [showCategoryCleanup, setShowCategoryCleanup] = useState(false)
+  const [showSettings, setShowSettings] = useState(false)
+  const [showBackups, setShowBackups] = useState(false)
+  // { message, batchId } for the last delete, until it times out
+  const [undo, setUndo] = useState(null)
+  // Offline mode: whether the server can be reached, when the list on
+  // screen was saved if it isn't live, and the changes waiting to be sent
+  const [offline, setOffline] = useState(false)
+  const [snapshotAt, setSnapshotAt] = useState(null)
+  const [queue, setQueue] = useState({ changes: [], conflicts: [] })
+  const [syncing, setSyncing] = useState(false)
+  const queueRef = useRef(queue)
+  const syncingRef = useRef(false)
+  const [showPalette, setShowPalette] = useState(false)
+  const [showShortcuts, setShowShortcuts] = useState(false)
+  // Index of the card j and k move between
+  const [activeIndex, setActiveIndex] = useState(null)
+  const latestRequest = useRef(0)
+  const sentinelRef = useRef(null)
+  const searchRef = useRef(null)
+  const importRef = useRef(null)
+  const gridRef = useRef(null)
 
-  const apiCall = async (endpoint, options = {}) => {
-    try {
-      const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-        headers: {
-          'Content-Type': 'application/json',
-          ...options.headers,
-        },
-        ...options,
-      })
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}))
-        throw new Error(errorData.error || `HTTP ${response.status}`)
-      }
-      return await response.json()
-    } catch (error) {
-      console.error(`API call failed for ${endpoint}:`, error)
-      throw error
-    }
-  }
+  // Wait for a pause in typing before asking the server
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim()), 300)
+    return () => clearTimeout(timer)
+  }, [searchTerm])
+
+  const buildQuery = useCallback((cursor, limit = PAGE_SIZE) => {
+    const params = new URLSearchParams({ limit })
+    if (debouncedSearch) params.set('q', debouncedSearch)
+    if (selectedCategory !== 'All') params.set('category', selectedCategory)
+    if (selectedFolder !== 'all') params.set('folder', selectedFolder)
+    selectedTags.forEach(tag => params.append('tag', tag))
+    if (selectedTags.length > 1) params.set('tagMode', tagMode)
+    if (healthFilter) params.set('health', healthFilter)
+    if (inbox) params.set('status', INBOX_STATUSES.join(','))
+    else if (statusFilter) params.set('status', statusFilter)
+    if (sort) params.set('sort', sort)
+    if (cursor) params.set('cursor', cursor)
+    return params.toString()
+  }, [debouncedSearch, selectedCategory, selectedFolder, selectedTags, tagMode, healthFilter, inbox, statusFilter, sort])
 
-  const loadBookmarks = async () => {
+  // limit lets a reload keep more than the first page on screen
+  const loadBookmarks = useCallback(async (limit = PAGE_SIZE) => {
+    // Ignore responses that arrive after a newer search was started
+    const request = ++latestRequest.current
+    // Saved per filter and sort, however many pages were loaded
+    const snapshotKey = buildQuery()
     try {
-      setLoading(true)
       setError(null)
-      const data = await apiCall('/bookmarks')
-      setBookmarks(data)
+      const data = await apiCall(`/bookmarks?${buildQuery(undefined, limit)}`)
+      if (request !== latestRequest.current) return
+      setBookmarks(data.bookmarks)
+      setTotal(data.total)
+      setNextCursor(data.nextCursor)
+      setOffline(false)
+      setSnapshotAt(null)
+      saveSnapshot(user.id, snapshotKey, data).catch(() => {})
     } catch (error) {
-      setError(`Failed to load bookmarks: ${error.message}`)
+      if (!error.offline) {
+        setError(`Failed to load bookmarks: ${error.message}`)
+        return
+      }
+      setOffline(true)
+      const snapshot = await loadSnapshot(user.id, snapshotKey).catch(() => undefined)
+      if (request !== latestRequest.current) return
+      if (!snapshot) {
+        setError('You\'re offline, and these bookmarks haven\'t been loaded on this device before.')
+        return
+      }
+      setBookmarks(snapshot.data.bookmarks)
+      setTotal(snapshot.data.total)
+      setNextCursor(null)
+      setSnapshotAt(snapshot.savedAt)
     } finally {
       setLoading(false)
     }
-  }
+  }, [buildQuery, user.id])
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return
+    const request = latestRequest.current
+    try {
+      setLoadingMore(true)
+      const data = await apiCall(`/bookmarks?${buildQuery(nextCursor)}`)
+      if (request !== latestRequest.current) return
+      setBookmarks(current => [...current, ...data.bookmarks])
+      setTotal(data.total)
+      setNextCursor(data.nextCursor)
+    } catch (err) {
+      setError(`Failed to load more bookmarks: ${err.message}`)
+    } finally {
+      setLoadingMore(false)
+    }
+  }, [buildQuery, nextCursor, loadingMore])
 
   useEffect(() => {
     loadBookmarks()
   }, [loadBookmarks])
 
-  const categories = ['All', ...new Set(bookmarks.map(b => b.category).filter(Boolean))]
+  // The event stream outlives filter changes, so its handlers read the
+  // latest list and loader from here
+  const live = useRef({})
+  useEffect(() => {
+    live.current = {
+      bookmarks,
+      reload: () => loadBookmarks(Math.min(MAX_PAGE_SIZE, Math.max(PAGE_SIZE, bookmarks.length)))
+    }
+  }, [bookmarks, loadBookmarks])
 
-  const filteredBookmarks = bookmarks.filter(b => {
-    const matchesSearch = b.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                          b.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                          b.url.toLowerCase().includes(searchTerm.toLowerCase())
-    const matchesCategory = selectedCategory === 'All' || b.category === selectedCategory
-    return matchesSearch && matchesCategory
-  })
+  // The queue lives in state for the page and in IndexedDB for next time
+  const saveQueue = useCallback((next) => {
+    queueRef.current = next
+    setQueue(next)
+    writeQueue(user.id, next).catch(() => {})
+  }, [user.id])
+
+  const queueChange = (change) => {
+    saveQueue({ ...queueRef.current, changes: enqueue(queueRef.current.changes, change) })
+  }
+
+  useEffect(() => {
+    readQueue(user.id)
+      .then(saved => {
+        queueRef.current = saved
+        setQueue(saved)
+      })
+      .catch(() => {})
+  }, [user.id])
+
+  // Send what was queued offline. Changes queued while this runs are kept.
+  const syncQueue = useCallback(async () => {
+    if (syncingRef.current || queueRef.current.changes.length === 0) return
+    syncingRef.current = true
+    setSyncing(true)
+    try {
+      const sent = queueRef.current.changes
+      const result = await replayQueue(sent, change => sendChange(change))
+      const added = queueRef.current.changes.filter(c => !sent.includes(c))
+      saveQueue({
+        changes: [...result.changes, ...added],
+        conflicts: [...queueRef.current.conflicts, ...result.conflicts]
+      })
+      if (result.changes.length > 0) setOffline(true)
+      if (result.synced > 0 || result.conflicts.length > 0) live.current.reload()
+    } finally {
+      syncingRef.current = false
+      setSyncing(false)
+    }
+  }, [saveQueue])
+
+  useEffect(() => {
+    if (!offline && queue.changes.length > 0) syncQueue()
+  }, [offline, queue.changes.length, syncQueue])
+
+  // The browser knows when the network goes and comes back; a server that's
+  // down only shows up as failed requests, so keep trying it meanwhile
+  useEffect(() => {
+    const goOffline = () => setOffline(true)
+    const goOnline = () => live.current.reload()
+    window.addEventListener('offline', goOffline)
+    window.addEventListener('online', goOnline)
+    return () => {
+      window.removeEventListener('offline', goOffline)
+      window.removeEventListener('online', goOnline)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!offline) return
+    const timer = setInterval(() => live.current.reload(), RECONNECT_INTERVAL)
+    return () => clearInterval(timer)
+  }, [offline])
+
+  const removeConflict = (conflict) => {
+    saveQueue({ ...queueRef.current, conflicts: queueRef.current.conflicts.filter(c => c !== conflict) })
+  }
+
+  // Overwrite the newer version on the server with the offline edit
+  const keepMine = async (conflict) => {
+    try {
+      await sendChange(conflict, { force: true })
+      removeConflict(conflict)
+      live.current.reload()
+    } catch (err) {
+      setError(`Failed to save bookmark: ${err.message}`)
+    }
+  }
+
+  const discardChange = (conflict) => {
+    removeConflict(conflict)
+    live.current.reload()
+  }
+
+  // Apply changes made in other tabs and on other devices as they happen
+  useEffect(() => {
+    if (!('EventSource' in window)) return
+    const events = new EventSource(`${API_BASE_URL}/events`, { withCredentials: true })
+    const on = (type, handler) => events.addEventListener(type, (e) => handler(JSON.parse(e.data)))
+
+    const replace = (changed) => {
+      const byId = new Map(changed.map(b => [b.id, b]))
+      setBookmarks(current => current.map(b => byId.get(b.id) || b))
+    }
+
+    // Whether a new bookmark belongs in the current view depends on the
+    // filters and sort order, so ask the server unless it's already shown
+    on('created', ({ bookmarks: created }) => {
+      const shown = new Set(live.current.bookmarks.map(b => b.id))
+      if (created.every(b => shown.has(b.id))) replace(created)
+      else live.current.reload()
+    })
+    on('updated', ({ bookmarks: updated }) => replace(updated))
+    on('deleted', ({ ids }) => {
+      const deleted = new Set(ids)
+      const shown = live.current.bookmarks.filter(b => deleted.has(b.id)).length
+      if (shown === 0) return
+      setBookmarks(current => current.filter(b => !deleted.has(b.id)))
+      setTotal(current => current - shown)
+    })
+    // Too much was missed while disconnected
+    on('resync', () => live.current.reload())
+
+    return () => events.close()
+  }, [])
+
+  // A selection only makes sense for the filters it was made with
+  useEffect(() => {
+    setSelectedIds(new Set())
+    setAllFilteredSelected(false)
+    setActiveIndex(null)
+  }, [buildQuery])
+
+  // Fetch the next page when the end of the grid scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current
+    if (!sentinel || !nextCursor || !('IntersectionObserver' in window)) return
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) loadMore()
+    }, { rootMargin: '200px' })
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [loadMore, nextCursor])
+
+  // Poll a running link check and reload once it finishes
+  useEffect(() => {
+    if (!linkCheck || !linkCheck.running) return
+    const timer = setTimeout(async () => {
+      try {
+        const status = await apiCall('/bookmarks/check')
+        setLinkCheck(status)
+        if (!status.running) loadBookmarks()
+      } catch (err) {
+        setError(`Failed to get link check progress: ${err.message}`)
+        setLinkCheck(null)
+      }
+    }, 1500)
+    return () => clearTimeout(timer)
+  }, [linkCheck, loadBookmarks])
+
+  const loadFolders = useCallback(async () => {
+    try {
+      setFolders(await apiCall('/folders'))
+    } catch (err) {
+      setFolders([])
+    }
+  }, [])
+
+  // Tag, category and folder counts come from the server, which sees every
+  // bookmark rather than just the loaded page
+  useEffect(() => {
+    loadFolders()
+    apiCall('/tags')
+      .then(setTags)
+      .catch(() => setTags([]))
+    apiCall('/categories')
+      .then(setCategoryCounts)
+      .catch(() => setCategoryCounts([]))
+  }, [bookmarks, loadFolders])
+
+  const categories = ['All', ...categoryCounts.map(c => c.name)]
+
+  const toggleTagFilter = (tag) => {
+    setSelectedTags(selectedTags.includes(tag)
+      ? selectedTags.filter(t => t !== tag)
+      : [...selectedTags, tag])
+  }
+
+  // Editing a field clears its error
+  const setField = (field, value) => {
+    setFormData(current => ({ ...current, [field]: value }))
+    setFieldErrors(current => ({ ...current, [field]: undefined }))
+  }
 
   const handleSubmit = async () => {
-    if (!formData.title || !formData.url) return
+    if (!formData.title || !formData.url) {
+      setFieldErrors({
+        title: formData.title ? undefined : 'Title is required',
+        url: formData.url ? undefined : 'URL is required'
+      })
+      return
+    }
+    setFieldErrors({})
+    const data = { ...formData, remindAt: fromLocalInput(formData.remindAt) }
+    // New bookmarks go in the folder being viewed
+    const parentId = typeof selectedFolder === 'number' ? selectedFolder : null
+    // Without a connection the change waits in the queue
+    const queueForm = () => {
+      queueChange(editingBookmark
+        ? { type: 'update', bookmarkId: editingBookmark.id, version: editingBookmark.version || 0, data }
+        : { type: 'create', bookmarkId: temporaryId(queueRef.current), data: { ...data, parentId, dateAdded: new Date().toISOString().split('T')[0] } })
+      setEditingBookmark(null)
+      setFormData(EMPTY_FORM)
+      setShowAddForm(false)
+    }
+    if (editingBookmark && isPending(editingBookmark)) {
+      queueForm()
+      return
+    }
     try {
       setError(null)
       if (editingBookmark) {
+        // Refused if someone else saved a newer version meanwhile
         const updated = await apiCall(`/bookmarks/${editingBookmark.id}`, {
           method: 'PUT',
-          body: JSON.stringify(formData)
+          headers: { 'If-Match': `"${editingBookmark.version || 0}"` },
+          body: JSON.stringify(data)
         })
         setBookmarks(bookmarks.map(b => (b.id === editingBookmark.id ? updated : b)))
         setEditingBookmark(null)
       } else {
         const newBookmark = await apiCall('/bookmarks', {
           method: 'POST',
-          body: JSON.stringify(formData)
+          body: JSON.stringify({ ...data, parentId })
         })
-        setBookmarks([...bookmarks, newBookmark])
+        // The change feed may have shown it already
+        setBookmarks(current => (current.some(b => b.id === newBookmark.id) ? current : [...current, newBookmark]))
+        setTotal(total + 1)
       }
-      setFormData({ title: '', url: '', category: '', description: '' })
+      setFormData(EMPTY_FORM)
       setShowAddForm(false)
     } catch (err) {
+      if (err.offline) {
+        setOffline(true)
+        queueForm()
+        return
+      }
+      if (err.status === 422 && err.data.errors) {
+        // Problems with fields the form doesn't show go in the banner
+        const byField = {}
+        const other = []
+        err.data.errors.forEach(({ field, message }) => {
+          if (FORM_FIELDS.includes(field)) byField[field] = byField[field] || message
+          else other.push(message)
+        })
+        setFieldErrors(byField)
+        if (other.length) setError(`Failed to save bookmark: ${other.join('; ')}`)
+        return
+      }
+      if (err.status === 412 && err.data.bookmark) {
+        // Keep what the user typed; saving again overwrites the newer version
+        const current = err.data.bookmark
+        setBookmarks(bookmarks.map(b => (b.id === current.id ? current : b)))
+        setEditingBookmark(current)
+        setError(`"${current.title}" was changed somewhere else while you were editing. Save again to replace it with your version, or cancel to keep the other change.`)
+        return
+      }
+      if (err.status === 409 && err.data.bookmark) {
+        setError(`Already bookmarked as "${err.data.bookmark.title}"`)
+        return
+      }
       setError(`Failed to save bookmark: ${err.message}`)
     }
   }
 
+  // Ask for suggestions once the form's URL, title or description settle
+  const editingId = editingBookmark && editingBookmark.id
+  useEffect(() => {
+    if (!showAddForm || (!formData.url && !formData.title)) {
+      setSuggestions({ categories: [], tags: [] })
+      return
+    }
+    let cancelled = false
+    const timer = setTimeout(() => {
+      apiCall('/bookmarks/suggest', {
+        method: 'POST',
+        body: JSON.stringify({ url: formData.url, title: formData.title, description: formData.description, id: editingId })
+      })
+        .then(data => { if (!cancelled) setSuggestions(data) })
+        .catch(() => { if (!cancelled) setSuggestions({ categories: [], tags: [] }) })
+    }, 500)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [showAddForm, formData.url, formData.title, formData.description, editingId])
+
+  // Fill in whatever the user hasn't typed yet from the page itself
+  const fetchMetadata = async () => {
+    if (!formData.url || fetchingMetadata) return
+    try {
+      setFetchingMetadata(true)
+      const metadata = await apiCall('/metadata', {
+        method: 'POST',
+        body: JSON.stringify({ url: formData.url })
+      })
+      setFormData(current => ({
+        ...current,
+        title: current.title || metadata.title,
+        description: current.description || metadata.description,
+        image: metadata.image,
+        favicon: metadata.favicon
+      }))
+    } catch (err) {
+      setError(`Couldn't fetch page details: ${err.message}`)
+    } finally {
+      setFetchingMetadata(false)
+    }
+  }
+
   const handleEdit = (bookmark) => {
     setFormData({
       title: bookmark.title,
       url: bookmark.url,
       category: bookmark.category,
-      description: bookmark.description
+      description: bookmark.description,
+      tags: bookmark.tags || [],
+      image: bookmark.image || '',
+      favicon: bookmark.favicon || '',
+      status: bookmark.status || '',
+      notes: bookmark.notes || '',
+      remindAt: toLocalInput(bookmark.remindAt)
     })
+    setFieldErrors({})
     setEditingBookmark(bookmark)
     setShowAddForm(true)
   }
 
-  const handleDelete = async (id) => {
+  // Change a few fields without the form, e.g. a status from the card or a
+  // reminder put off from its notification. Goes in the queue like a form
+  // edit when offline.
+  const updateFields = async (bookmark, fields) => {
+    const data = serverData({ ...bookmark, ...fields })
+    const queueUpdate = () => queueChange({ type: 'update', bookmarkId: bookmark.id, version: bookmark.version || 0, data })
+    if (isPending(bookmark)) {
+      queueUpdate()
+      return
+    }
+    try {
+      const updated = await apiCall(`/bookmarks/${bookmark.id}`, {
+        method: 'PUT',
+        headers: { 'If-Match': `"${bookmark.version || 0}"` },
+        body: JSON.stringify(data)
+      })
+      setBookmarks(current => current.map(b => (b.id === updated.id ? updated : b)))
+    } catch (err) {
+      if (err.offline) {
+        setOffline(true)
+        queueUpdate()
+        return
+      }
+      if (err.status === 412 && err.data.bookmark) {
+        const current = err.data.bookmark
+        setBookmarks(list => list.map(b => (b.id === current.id ? current : b)))
+        setError(`"${current.title}" was changed somewhere else. Check it and try again.`)
+        return
+      }
+      setError(`Failed to update bookmark: ${err.message}`)
+    }
+  }
+
+  // Links go through the visit route, which counts the visit on the server;
+  // the server doesn't announce visits, so mirror it here
+  const noteVisit = (bookmark) => {
+    setBookmarks(current => current.map(b => (b.id === bookmark.id
+      ? { ...b, visitCount: (b.visitCount || 0) + 1, lastVisited: new Date().toISOString() }
+      : b)))
+  }
+
+  const handleDelete = async (bookmark) => {
+    if (isPending(bookmark)) {
+      queueChange({ type: 'delete', bookmarkId: bookmark.id })
+      return
+    }
     try {
-      await apiCall(`/bookmarks/${id}`, { method: 'DELETE' })
-      setBookmarks(bookmarks.filter(b => b.id !== id))
+      const result = await apiCall(`/bookmarks/${bookmark.id}`, { method: 'DELETE' })
+      setBookmarks(bookmarks.filter(b => b.id !== bookmark.id))
+      setTotal(total - 1)
+      setUndo({ message: `Moved "${bookmark.title}" to trash`, batchId: result.batchId })
     } catch (err) {
+      if (err.offline) {
+        setOffline(true)
+        queueChange({ type: 'delete', bookmarkId: bookmark.id })
+        return
+      }
       setError(`Failed to delete bookmark: ${err.message}`)
     }
   }
 
+  useEffect(() => {
+    if (!undo) return
+    const timer = setTimeout(() => setUndo(null), UNDO_TIMEOUT)
+    return () => clearTimeout(timer)
+  }, [undo])
+
+  const undoDelete = async () => {
+    const { batchId } = undo
+    setUndo(null)
+    try {
+      await apiCall('/trash/restore', { method: 'POST', body: JSON.stringify({ batchId }) })
+      await loadBookmarks()
+    } catch (err) {
+      setError(`Failed to undo: ${err.message}`)
+    }
+  }
+
+  // The edit form shows the reverted values so further edits start from them
+  const handleReverted = (updated) => {
+    setBookmarks(bookmarks.map(b => (b.id === updated.id ? updated : b)))
+    handleEdit(updated)
+  }
+
+  const checkLinks = async () => {
+    try {
+      setLinkCheck(await apiCall('/bookmarks/check', { method: 'POST', body: '{}' }))
+    } catch (err) {
+      if (err.status === 409) {
+        setLinkCheck(err.data)
+        return
+      }
+      setError(`Failed to start link check: ${err.message}`)
+    }
+  }
+
+  const adoptRedirect = async (bookmark) => {
+    try {
+      const updated = await apiCall(`/bookmarks/${bookmark.id}/adopt-redirect`, { method: 'POST' })
+      setBookmarks(bookmarks.map(b => (b.id === bookmark.id ? updated : b)))
+    } catch (err) {
+      setError(`Failed to update URL: ${err.message}`)
+    }
+  }
+
+  const createFolder = async (name, parentId) => {
+    try {
+      await apiCall('/folders', { method: 'POST', body: JSON.stringify({ name, parentId }) })
+      await loadFolders()
+    } catch (err) {
+      setError(`Failed to create folder: ${err.message}`)
+    }
+  }
+
+  const renameFolder = async (folder, name) => {
+    try {
+      await apiCall(`/folders/${folder.id}`, { method: 'PUT', body: JSON.stringify({ name }) })
+      await loadFolders()
+    } catch (err) {
+      setError(`Failed to rename folder: ${err.message}`)
+    }
+  }
+
+  const deleteFolder = async (folder) => {
+    if (!window.confirm(`Delete the folder "${folder.name}"? Its bookmarks and subfolders move up a level.`)) return
+    try {
+      await apiCall(`/folders/${folder.id}`, { method: 'DELETE' })
+      if (selectedFolder === folder.id) setSelectedFolder('all')
+      await loadBookmarks()
+    } catch (err) {
+      setError(`Failed to delete folder: ${err.message}`)
+    }
+  }
+
+  const moveFolder = async (folderId, parentId) => {
+    try {
+      await apiCall(`/folders/${folderId}`, { method: 'PUT', body: JSON.stringify({ parentId }) })
+      await loadFolders()
+    } catch (err) {
+      setError(`Failed to move folder: ${err.message}`)
+    }
+  }
+
+  // Into a folder (null for unfiled), optionally in front of another bookmark
+  const moveBookmark = async (id, parentId, beforeId) => {
+    try {
+      await apiCall('/bookmarks/move', {
+        method: 'POST',
+        body: JSON.stringify({ ids: [id], parentId, beforeId })
+      })
+      await loadBookmarks()
+    } catch (err) {
+      setError(`Failed to move bookmark: ${err.message}`)
+    }
+  }
+
+  // Dragging one card onto another reorders them, but only while the grid
+  // shows a single folder in its saved order
+  const canReorder = selectedFolder !== 'all' && !sort && !debouncedSearch
+
+  const cardDropProps = (bookmark) => !canReorder || isPending(bookmark) ? {} : {
+    onDragOver: (e) => {
+      if (!Array.from(e.dataTransfer.types).includes(BOOKMARK_DRAG_TYPE)) return
+      e.preventDefault()
+      setDropTargetId(bookmark.id)
+    },
+    onDragLeave: () => setDropTargetId(null),
+    onDrop: (e) => {
+      e.preventDefault()
+      setDropTargetId(null)
+      const id = Number(e.dataTransfer.getData(BOOKMARK_DRAG_TYPE))
+      if (id && id !== bookmark.id) moveBookmark(id, bookmark.parentId ?? null, bookmark.id)
+    }
+  }
+
+  // Shift-click selects or clears everything between this and the last click
+  const toggleSelected = (id, range) => {
+    const next = new Set(allFilteredSelected ? bookmarks.map(b => b.id) : selectedIds)
+    const selecting = allFilteredSelected ? false : !next.has(id)
+    let ids = [id]
+
+    if (range && lastSelectedId.current !== null) {
+      const from = bookmarks.findIndex(b => b.id === lastSelectedId.current)
+      const to = bookmarks.findIndex(b => b.id === id)
+      if (from !== -1 && to !== -1) {
+        ids = bookmarks.slice(Math.min(from, to), Math.max(from, to) + 1).map(b => b.id)
+      }
+    }
+
+    ids.forEach(i => (selecting ? next.add(i) : next.delete(i)))
+    lastSelectedId.current = id
+    setAllFilteredSelected(false)
+    setSelectedIds(next)
+  }
+
+  const clearSelection = () => {
+    setSelectedIds(new Set())
+    setAllFilteredSelected(false)
+  }
+
+  const selectionCount = allFilteredSelected ? total : selectedIds.size
+
+  const runBatch = async (action, fields = {}) => {
+    setBatchStatus({ running: true, message: `Working on ${selectionCount} bookmarks...` })
+    try {
+      const target = allFilteredSelected ? { query: buildQuery() } : { ids: [...selectedIds] }
+      const result = await apiCall('/bookmarks/batch', {
+        method: 'POST',
+        body: JSON.stringify({ action, ...target, ...fields })
+      })
+      const titles = new Map(bookmarks.map(b => [b.id, b.title]))
+      const failures = result.results
+        .filter(r => !r.ok)
+        .map(r => ({ id: r.id, label: titles.get(r.id) || `Bookmark ${r.id}`, error: r.error }))
+
+      setBatchStatus({
+        running: false,
+        message: `${BATCH_LABELS[action]} ${result.succeeded} of ${result.results.length} bookmarks`,
+        failures
+      })
+      if (result.batchId) {
+        setUndo({ message: `Moved ${result.succeeded} bookmarks to trash`, batchId: result.batchId })
+      }
+      clearSelection()
+      await loadBookmarks()
+    } catch (err) {
+      setBatchStatus({ running: false, message: `Failed: ${err.message}`, failures: [] })
+    }
+  }
+
+  const archiveBookmark = async (bookmark) => {
+    try {
+      setArchivingId(bookmark.id)
+      const updated = await apiCall(`/bookmarks/${bookmark.id}/archive`, { method: 'POST' })
+      setBookmarks(current => current.map(b => (b.id === bookmark.id ? updated : b)))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setArchivingId(null)
+    }
+  }
+
   const resetForm = () => {
-    setFormData({ title: '', url: '', category: '', description: '' })
+    setFormData(EMPTY_FORM)
+    setFieldErrors({})
     setEditingBookmark(null)
     setShowAddForm(false)
   }
 
-  const exportBookmarks = async () => {
+  const exportBookmarks = async (format = 'json') => {
     try {
-      const response = await fetch(`${API_BASE_URL}/bookmarks/export`)
+      const response = await fetch(`${API_BASE_URL}/bookmarks/export?format=${format}`)
       if (!response.ok) throw new Error(`HTTP ${response.status}`)
       const blob = await response.blob()
       const url = URL.createObjectURL(blob)
       const link = document.createElement('a')
       const cd = response.headers.get('content-disposition')
-      const filename = cd ? cd.split('filename=')[1]?.replace(/"/g, '') : 'bookmarks.json'
+      const filename = cd ? cd.split('filename=')[1]?.replace(/"/g, '') : `bookmarks.${format}`
       link.href = url
       link.download = filename
       document.body.appendChild(link)
@@ -140,55 +840,183 @@ const BookmarkManager = () => {
     }
   }
 
+  // The file is previewed in the import panel before anything is saved
   const importBookmarks = (e) => {
     const file = e.target.files[0]
     if (!file) return
     const reader = new FileReader()
-    reader.onload = async (e) => {
-      try {
-        const imported = JSON.parse(e.target.result)
-        if (!Array.isArray(imported)) throw new Error('Invalid format')
-        await apiCall('/bookmarks/import', {
-          method: 'POST',
-          body: JSON.stringify({ bookmarks: imported })
-        })
-        await loadBookmarks()
-        alert('Bookmarks imported!')
-      } catch (err) {
-        setError(`Import failed: ${err.message}`)
-      }
-    }
+    reader.onload = () => setImportFile({ id: Date.now(), name: file.name, content: reader.result })
+    reader.onerror = () => setError(`Couldn't read ${file.name}`)
     reader.readAsText(file)
     e.target.value = ''
   }
 
   const clearAllBookmarks = async () => {
-    if (window.confirm('Are you sure you want to delete all bookmarks?')) {
+    if (window.confirm('Move all bookmarks to the trash?')) {
       try {
-        await apiCall('/bookmarks', { method: 'DELETE' })
+        const result = await apiCall('/bookmarks', { method: 'DELETE' })
         setBookmarks([])
+        setTotal(0)
+        setNextCursor(null)
+        setUndo({ message: `Moved ${result.count} bookmarks to trash`, batchId: result.batchId })
       } catch (err) {
         setError(`Failed to clear: ${err.message}`)
       }
     }
   }
 
+  // What's on screen includes changes that haven't reached the server yet
+  const shownBookmarks = applyQueue(bookmarks, queue.changes)
+  // Asks before signing out loses them
+  const signOut = () => {
+    const count = queue.changes.length
+    if (count > 0 && !window.confirm(`${count} ${count === 1 ? 'change hasn\'t' : 'changes haven\'t'} synced yet and will be lost. Sign out anyway?`)) return
+    onLogout()
+  }
+
+  // Same as clicking the link, which goes through the server to count the visit
+  const openBookmark = (bookmark) => {
+    window.open(isPending(bookmark) ? bookmark.url : visitUrl(bookmark.id), '_blank', 'noopener,noreferrer')
+    noteVisit(bookmark)
+  }
+
+  // Move the keyboard selection and focus with it; past the last loaded card
+  // the next page is fetched
+  const moveActive = (step) => {
+    if (shownBookmarks.length === 0) return
+    const from = activeIndex === null ? -1 : Math.min(activeIndex, shownBookmarks.length - 1)
+    const next = Math.max(0, Math.min(shownBookmarks.length - 1, from + step))
+    if (step > 0 && from === shownBookmarks.length - 1 && nextCursor) loadMore()
+    setActiveIndex(next)
+    const card = gridRef.current && gridRef.current.querySelector(`[data-index="${next}"]`)
+    if (card) card.focus()
+  }
+
+  // The window listener is added once and calls whatever this is on the
+  // latest render
+  const shortcutHandler = useRef(null)
+  shortcutHandler.current = (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+      e.preventDefault()
+      setShowPalette(open => !open)
+      return
+    }
+    // Open dialogs handle their own keys, and typing in a field is just typing
+    if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return
+    if (loading || showPalette || showShortcuts || reading) return
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return
+
+    if (e.key === '/') {
+      e.preventDefault()
+      searchRef.current.focus()
+    } else if (e.key === '?') {
+      e.preventDefault()
+      setShowShortcuts(true)
+    } else if (e.key === 'j' || e.key === 'k') {
+      e.preventDefault()
+      moveActive(e.key === 'j' ? 1 : -1)
+    } else {
+      // The rest act on the focused card; Enter on its buttons and links
+      // still presses them
+      const card = e.target.closest && e.target.closest('[data-index]')
+      const bookmark = card && shownBookmarks[Number(card.dataset.index)]
+      if (!bookmark || (e.key === 'Enter' && e.target !== card)) return
+      if (e.key === 'Enter') openBookmark(bookmark)
+      else if (e.key === 'e') handleEdit(bookmark)
+      else if (e.key === 'd') handleDelete(bookmark)
+      else return
+      e.preventDefault()
+    }
+  }
+
+  useEffect(() => {
+    const onKeyDown = (e) => shortcutHandler.current(e)
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [])
+
+  const closePalette = useCallback(() => setShowPalette(false), [])
+  const closeShortcuts = useCallback(() => setShowShortcuts(false), [])
+
   if (loading) {
-    return (
-      <div className='app'>
-        <div className='container'>
-          <div className='loading-state'>
-            <Bookmark size={64} />
-            <h3>Loading bookmarks...</h3>
-          </div>
-        </div>
-      </div>
-    )
+    return <LoadingScreen message='Loading bookmarks...' />
   }
 
+  // Ties an input to the server's error for its field
+  const fieldProps = (field) => ({
+    id: `bookmark-${field}`,
+    'aria-invalid': fieldErrors[field] ? true : undefined,
+    'aria-describedby': fieldErrors[field] ? `bookmark-${field}-error` : undefined
+  })
+
+  const fieldError = (field) => fieldErrors[field] && (
+    <p id={`bookmark-${field}-error`} className='field-error' role='alert'>{fieldErrors[field]}</p>
+  )
+
+  // Suggestions the form doesn't already have
+  const suggestedCategories = suggestions.categories.filter(s => s.name !== formData.category)
+  const suggestedTags = suggestions.tags.filter(s => !formData.tags.includes(s.name))
+
+  // Only one card is in the tab order at a time; j and k move it
+  const tabStop = activeIndex === null ? 0 : Math.min(activeIndex, shownBookmarks.length - 1)
+
+  // Everything the palette can do besides opening bookmarks
+  const commands = [
+    { id: 'add', label: 'Add bookmark', run: () => setShowAddForm(true) },
+    { id: 'search', label: 'Search bookmarks', shortcut: '/', run: () => searchRef.current.focus() },
+    { id: 'import', label: 'Import bookmarks', run: () => importRef.current.click() },
+    { id: 'export-json', label: 'Export bookmarks as JSON', run: () => exportBookmarks('json') },
+    { id: 'export-html', label: 'Export bookmarks as HTML', run: () => exportBookmarks('html') },
+    { id: 'export-csv', label: 'Export bookmarks as CSV', run: () => exportBookmarks('csv') },
+    { id: 'check-links', label: 'Check links', run: checkLinks },
+    { id: 'dashboard', label: 'Show dashboard', run: () => setShowDashboard(true) },
+    { id: 'shares', label: 'Share collections', run: () => setShowShares(true) },
+    { id: 'trash', label: 'Show trash', run: () => setShowTrash(true) },
+    { id: 'backups', label: 'Backups and restore', run: () => setShowBackups(true) },
+    { id: 'clean-up-categories', label: 'Clean up categories', run: () => setShowCategoryCleanup(true) },
+    { id: 'inbox', label: inbox ? 'Show all bookmarks' : 'Show reading list inbox', run: () => setInbox(!inbox) },
+    ...categories.map(name => ({
+      id: `category-${name}`,
+      label: name === 'All' ? 'Show all categories' : `Switch to category: ${name}`,
+      run: () => setSelectedCategory(name)
+    })),
+    { id: 'all-folders', label: 'Show all folders', run: () => setSelectedFolder('all') },
+    ...folders.map(folder => ({
+      id: `folder-${folder.id}`,
+      label: `Switch to folder: ${folder.name}`,
+      run: () => setSelectedFolder(folder.id)
+    })),
+    { id: 'settings', label: 'API tokens and webhooks', run: () => setShowSettings(true) },
+    { id: 'shortcuts', label: 'Keyboard shortcuts', shortcut: '?', run: () => setShowShortcuts(true) },
+    { id: 'sign-out', label: 'Sign out', run: signOut }
+  ]
+
   return (
     <div className='app'>
       <div className='container'>
+        {showPalette && (
+          <CommandPalette
+            commands={commands}
+            bookmarks={shownBookmarks}
+            onOpenBookmark={openBookmark}
+            onClose={closePalette}
+          />
+        )}
+        {showShortcuts && <ShortcutsHelp onClose={closeShortcuts} />}
+
+        <SyncStatus
+          offline={offline}
+          snapshotAt={snapshotAt}
+          pending={queue.changes.length}
+          syncing={syncing}
+          conflicts={queue.conflicts}
+          onSync={syncQueue}
+          onKeepMine={keepMine}
+          onDiscard={discardChange}
+        />
+
+        <Reminders refreshKey={bookmarks} onOpen={openBookmark} onUpdate={updateFields} />
+
         {error && (
           <div className='error-message'>
             <p>{error}</p>
@@ -203,24 +1031,62 @@ const BookmarkManager = () => {
             <div className='header-title'>
               <Bookmark size={32} />
               <h1>Bookmark Manager</h1>
-              <span className='bookmark-count'>({bookmarks.length})</span>
+              <span className='bookmark-count'>({total})</span>
             </div>
             <div className='header-actions'>
               <button onClick={() => setShowAddForm(true)} className='btn btn-primary'>
                 <Plus size={20} /> <span>Add Bookmark</span>
               </button>
-              <button onClick={exportBookmarks} className='btn btn-secondary'>
+              <button onClick={() => exportBookmarks('json')} className='btn btn-secondary'>
                 <Download size={20} /> <span>Export</span>
               </button>
-              <label className='btn btn-secondary'>
+              <button onClick={() => exportBookmarks('html')} className='btn btn-secondary'>
+                <Download size={20} /> <span>Export HTML</span>
+              </button>
+              <button onClick={() => exportBookmarks('csv')} className='btn btn-secondary'>
+                <Download size={20} /> <span>Export CSV</span>
+              </button>
+              <label className='btn btn-secondary' title='Import from bkmrks, a browser, Pocket, Pinboard, Raindrop or a CSV file'>
                 <Upload size={20} /> <span>Import</span>
-                <input type='file' accept='.json' onChange={importBookmarks} style={{ display: 'none' }} />
+                <input ref={importRef} type='file' accept='.json,.html,.htm,.csv' onChange={importBookmarks} style={{ display: 'none' }} />
               </label>
-              {bookmarks.length > 0 && (
+              <button
+                onClick={checkLinks}
+                disabled={linkCheck && linkCheck.running}
+                className='btn btn-secondary'
+                title='Check every bookmark for broken links and redirects'
+              >
+                <Activity size={20} />
+                <span>
+                  {linkCheck && linkCheck.running ? `Checking ${linkCheck.checked}/${linkCheck.total}` : 'Check Links'}
+                </span>
+              </button>
+              {total > 0 && (
                 <button onClick={clearAllBookmarks} className='btn btn-danger'>
                   <RotateCcw size={20} /> <span>Clear All</span>
                 </button>
               )}
+              <button onClick={() => setShowDashboard(!showDashboard)} className='btn btn-secondary' title='Most used and unused bookmarks'>
+                <BarChart3 size={20} /> <span>Dashboard</span>
+              </button>
+              <button onClick={() => setShowShares(!showShares)} className='btn btn-secondary' title='Public links and feeds'>
+                <Share2 size={20} /> <span>Share</span>
+              </button>
+              <button onClick={() => setShowTrash(!showTrash)} className='btn btn-secondary'>
+                <Archive size={20} /> <span>Trash</span>
+              </button>
+              <button onClick={() => setShowBackups(!showBackups)} className='btn btn-secondary' title='Snapshots of your bookmarks to restore from'>
+                <DatabaseBackup size={20} /> <span>Backups</span>
+              </button>
+              <button onClick={() => setShowSettings(true)} className='btn btn-secondary' title='API tokens and webhooks' aria-label='Settings'>
+                <Settings size={20} />
+              </button>
+              <button onClick={() => setShowShortcuts(true)} className='btn btn-secondary' title='Keyboard shortcuts (?)' aria-label='Keyboard shortcuts'>
+                <Keyboard size={20} />
+              </button>
+              <button onClick={signOut} className='btn btn-secondary' title={`Signed in as ${user.username}`}>
+                <LogOut size={20} /> <span>Sign out</span>
+              </button>
             </div>
           </div>
 
@@ -228,11 +1094,14 @@ const BookmarkManager = () => {
             <div className='search-box'>
               <Search size={20} className='search-icon' />
               <input
+                ref={searchRef}
                 type='text'
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
                 placeholder='Search bookmarks...'
                 className='search-input'
+                aria-label='Search bookmarks'
+                aria-keyshortcuts='/'
               />
             </div>
             <div className='filter-box'>
@@ -240,52 +1109,286 @@ const BookmarkManager = () => {
               <select value={selectedCategory} onChange={(e) => setSelectedCategory(e.target.value)} className='filter-select'>
                 {categories.map(cat => <option key={cat} value={cat}>{cat}</option>)}
               </select>
+              <button
+                onClick={() => setShowCategoryCleanup(true)}
+                className='action-btn'
+                title='Clean up categories'
+                aria-label='Clean up categories'
+              >
+                <Combine size={16} />
+              </button>
+            </div>
+            <div className='filter-box'>
+              <ArrowUpDown size={20} className='filter-icon' />
+              <select value={sort} onChange={(e) => setSort(e.target.value)} className='filter-select' aria-label='Sort bookmarks'>
+                <option value=''>{debouncedSearch ? 'Best match' : 'Saved order'}</option>
+                <option value='dateAdded'>Newest first</option>
+                <option value='title'>Title A–Z</option>
+                <option value='lastVisited'>Recently visited</option>
+                <option value='visitCount'>Most visited</option>
+              </select>
             </div>
+            {!inbox && (
+              <div className='filter-box'>
+                <BookOpen size={20} className='filter-icon' />
+                <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className='filter-select' aria-label='Reading list status'>
+                  <option value=''>Any status</option>
+                  {Object.entries(STATUS_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                  <option value='none'>Not on the reading list</option>
+                </select>
+              </div>
+            )}
+          </div>
+
+          <div className='quick-filters'>
+            <button
+              onClick={() => setInbox(!inbox)}
+              className={`tag-filter-chip ${inbox ? 'active' : ''}`}
+              aria-pressed={inbox}
+              title='Unread and in-progress items on your reading list'
+            >
+              <Inbox size={14} /> Inbox
+            </button>
+            <button
+              onClick={() => setHealthFilter(healthFilter === 'broken' ? '' : 'broken')}
+              className={`tag-filter-chip ${healthFilter === 'broken' ? 'active' : ''}`}
+              aria-pressed={healthFilter === 'broken'}
+            >
+              Broken links
+            </button>
+            <button
+              onClick={() => setHealthFilter(healthFilter === 'redirected' ? '' : 'redirected')}
+              className={`tag-filter-chip ${healthFilter === 'redirected' ? 'active' : ''}`}
+              aria-pressed={healthFilter === 'redirected'}
+            >
+              Moved links
+            </button>
+            {linkCheck && !linkCheck.running && linkCheck.finishedAt && (
+              <span className='link-check-summary'>
+                Checked {linkCheck.total} links, {linkCheck.broken} broken
+              </span>
+            )}
           </div>
+
+          {tags.length > 0 && (
+            <div className='tag-filter'>
+              {tags.map(({ name, count }) => (
+                <button
+                  key={name}
+                  onClick={() => toggleTagFilter(name)}
+                  className={`tag-filter-chip ${selectedTags.includes(name) ? 'active' : ''}`}
+                  aria-pressed={selectedTags.includes(name)}
+                >
+                  {name} <span className='tag-count'>{count}</span>
+                </button>
+              ))}
+              {selectedTags.length > 1 && (
+                <button
+                  onClick={() => setTagMode(tagMode === 'any' ? 'all' : 'any')}
+                  className='tag-mode-toggle'
+                  title='Match bookmarks with any (OR) or all (AND) of the selected tags'
+                >
+                  Match {tagMode === 'any' ? 'any (OR)' : 'all (AND)'}
+                </button>
+              )}
+              {selectedTags.length > 0 && (
+                <button onClick={() => setSelectedTags([])} className='tag-mode-toggle'>Clear</button>
+              )}
+            </div>
+          )}
         </div>
 
+        {importFile && (
+          <ImportPanel
+            key={importFile.id}
+            file={importFile}
+            onImported={() => loadBookmarks()}
+            onClose={() => setImportFile(null)}
+          />
+        )}
+
+        {showTrash && (
+          <TrashPanel onRestored={loadBookmarks} onError={setError} onClose={() => setShowTrash(false)} />
+        )}
+
+        {showDashboard && (
+          <DashboardPanel
+            onVisit={noteVisit}
+            onTrashed={(result) => {
+              setUndo({ message: `Moved ${result.succeeded} bookmarks to trash`, batchId: result.batchId })
+              loadBookmarks()
+            }}
+            onError={setError}
+            onClose={() => setShowDashboard(false)}
+          />
+        )}
+
+        {showCategoryCleanup && (
+          <CategoryCleanup
+            onMerged={loadBookmarks}
+            onError={setError}
+            onClose={() => setShowCategoryCleanup(false)}
+          />
+        )}
+
+        {showBackups && (
+          <BackupsPanel onRestored={loadBookmarks} onError={setError} onClose={() => setShowBackups(false)} />
+        )}
+
+        {showSettings && (
+          <SettingsPanel onError={setError} onClose={() => setShowSettings(false)} />
+        )}
+
+        {showShares && (
+          <SharePanel
+            categories={categoryCounts.map(c => c.name)}
+            tags={tags.map(t => t.name)}
+            folders={folders}
+            onError={setError}
+            onClose={() => setShowShares(false)}
+          />
+        )}
+
         {showAddForm && (
           <div className='form-card'>
             <h2>{editingBookmark ? 'Edit Bookmark' : 'Add New Bookmark'}</h2>
             <div className='form-container'>
               <div className='form-row'>
                 <div className='form-group'>
-                  <label>Title *</label>
+                  <label htmlFor='bookmark-title'>Title *</label>
                   <input
+                    autoFocus
                     type='text'
                     value={formData.title}
-                    onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+                    onChange={(e) => setField('title', e.target.value)}
                     className='form-input'
                     required
+                    {...fieldProps('title')}
                   />
+                  {fieldError('title')}
                 </div>
                 <div className='form-group'>
-                  <label>URL *</label>
-                  <input
-                    type='url'
-                    value={formData.url}
-                    onChange={(e) => setFormData({ ...formData, url: e.target.value })}
-                    className='form-input'
-                    required
-                  />
+                  <label htmlFor='bookmark-url'>URL *</label>
+                  <div className='url-input-row'>
+                    <input
+                      type='url'
+                      value={formData.url}
+                      onChange={(e) => setField('url', e.target.value)}
+                      onBlur={() => !editingBookmark && !formData.title && fetchMetadata()}
+                      className='form-input'
+                      required
+                      {...fieldProps('url')}
+                    />
+                    <button
+                      type='button'
+                      onClick={fetchMetadata}
+                      disabled={!formData.url || fetchingMetadata}
+                      className='btn btn-secondary'
+                      title='Fetch title, description and images from the page'
+                    >
+                      <Sparkles size={16} /> <span>{fetchingMetadata ? 'Fetching...' : 'Fetch'}</span>
+                    </button>
+                  </div>
+                  {fieldError('url')}
                 </div>
               </div>
               <div className='form-group'>
-                <label>Category</label>
+                <label htmlFor='bookmark-category'>Category</label>
                 <input
                   type='text'
                   value={formData.category}
-                  onChange={(e) => setFormData({ ...formData, category: e.target.value })}
+                  onChange={(e) => setField('category', e.target.value)}
                   className='form-input'
+                  {...fieldProps('category')}
                 />
+                {fieldError('category')}
+                {suggestedCategories.length > 0 && (
+                  <div className='form-suggestions'>
+                    <span>Suggested:</span>
+                    {suggestedCategories.map(s => (
+                      <button
+                        key={s.name}
+                        type='button'
+                        onClick={() => setField('category', s.name)}
+                        className='tag-filter-chip'
+                        title={`${Math.round(s.confidence * 100)}% likely`}
+                      >
+                        {s.name}
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
               <div className='form-group'>
-                <label>Description</label>
+                <label>Tags</label>
+                <TagInput
+                  value={formData.tags}
+                  onChange={(newTags) => setField('tags', newTags)}
+                  suggestions={tags.map(t => t.name)}
+                />
+                {fieldError('tags')}
+                {suggestedTags.length > 0 && (
+                  <div className='form-suggestions'>
+                    <span>Suggested:</span>
+                    {suggestedTags.map(s => (
+                      <button
+                        key={s.name}
+                        type='button'
+                        onClick={() => setField('tags', [...formData.tags, s.name])}
+                        className='tag-filter-chip'
+                        title={`${Math.round(s.confidence * 100)}% likely`}
+                      >
+                        <Plus size={12} /> {s.name}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+              <div className='form-group'>
+                <label htmlFor='bookmark-description'>Description</label>
                 <textarea
                   value={formData.description}
-                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                  onChange={(e) => setField('description', e.target.value)}
                   className='form-textarea'
+                  {...fieldProps('description')}
                 />
+                {fieldError('description')}
+              </div>
+              <div className='form-row'>
+                <div className='form-group'>
+                  <label htmlFor='bookmark-status'>Reading list</label>
+                  <select
+                    value={formData.status}
+                    onChange={(e) => setField('status', e.target.value)}
+                    className='form-input'
+                    {...fieldProps('status')}
+                  >
+                    <option value=''>Not on the reading list</option>
+                    {Object.entries(STATUS_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                  {fieldError('status')}
+                </div>
+                <div className='form-group'>
+                  <label htmlFor='bookmark-remindAt'>Remind me</label>
+                  <input
+                    type='datetime-local'
+                    value={formData.remindAt}
+                    onChange={(e) => setField('remindAt', e.target.value)}
+                    className='form-input'
+                    {...fieldProps('remindAt')}
+                  />
+                  {fieldError('remindAt')}
+                </div>
+              </div>
+              <div className='form-group'>
+                <label htmlFor='bookmark-notes'>Notes <span className='form-hint'>Markdown</span></label>
+                <textarea
+                  value={formData.notes}
+                  onChange={(e) => setField('notes', e.target.value)}
+                  className='form-textarea form-notes'
+                  {...fieldProps('notes')}
+                />
+                {fieldError('notes')}
               </div>
               <div className='form-buttons'>
                 <button onClick={handleSubmit} className='btn btn-primary'>
@@ -293,37 +1396,214 @@ const BookmarkManager = () => {
                 </button>
                 <button onClick={resetForm} className='btn btn-secondary'>Cancel</button>
               </div>
+              {editingBookmark && (
+                <HistoryPanel
+                  key={editingBookmark.id}
+                  bookmarkId={editingBookmark.id}
+                  onReverted={handleReverted}
+                  onError={setError}
+                />
+              )}
             </div>
           </div>
         )}
 
-        <div className='bookmarks-grid'>
-          {filteredBookmarks.map(bookmark => (
-            <div key={bookmark.id} className='bookmark-card'>
-              <div className='bookmark-header'>
-                <h3 className='bookmark-title'>{bookmark.title}</h3>
-                <div className='bookmark-actions'>
-                  <button onClick={() => handleEdit(bookmark)} className='action-btn'><Edit3 size={16} /></button>
-                  <button onClick={() => handleDelete(bookmark.id)} className='action-btn delete-btn'><Trash2 size={16} /></button>
+        <div className='content-layout'>
+          <FolderSidebar
+            folders={folders}
+            selected={selectedFolder}
+            onSelect={setSelectedFolder}
+            onCreate={createFolder}
+            onRename={renameFolder}
+            onDelete={deleteFolder}
+            onMoveBookmark={moveBookmark}
+            onMoveFolder={moveFolder}
+          />
+          <main className='content-main'>
+            {(selectionCount > 0 || batchStatus) && (
+              <BulkActionBar
+                count={selectionCount}
+                total={total}
+                allSelected={allFilteredSelected}
+                folders={folders}
+                status={batchStatus}
+                onAction={runBatch}
+                onSelectAll={() => setAllFilteredSelected(true)}
+                onClear={clearSelection}
+                onDismissStatus={() => setBatchStatus(null)}
+              />
+            )}
+            {selectionCount === 0 && !batchStatus && total > 1 && (
+              <div className='select-all-row'>
+                <button onClick={() => setAllFilteredSelected(true)} className='tag-mode-toggle'>
+                  Select all {total}
+                </button>
+              </div>
+            )}
+            <div className='bookmarks-grid' ref={gridRef} role='list' aria-label='Bookmarks'>
+              {shownBookmarks.map((bookmark, index) => (
+                <div
+                  key={bookmark.id}
+                  role='listitem'
+                  aria-label={bookmark.title}
+                  aria-keyshortcuts='Enter e d'
+                  data-index={index}
+                  tabIndex={index === tabStop ? 0 : -1}
+                  onFocus={(e) => e.target === e.currentTarget && setActiveIndex(index)}
+                  className={`bookmark-card ${dropTargetId === bookmark.id ? 'drop-target' : ''} ${allFilteredSelected || selectedIds.has(bookmark.id) ? 'selected' : ''} ${bookmark.pending ? 'pending' : ''}`}
+                  draggable={!isPending(bookmark)}
+                  onDragStart={(e) => e.dataTransfer.setData(BOOKMARK_DRAG_TYPE, String(bookmark.id))}
+                  {...cardDropProps(bookmark)}
+                >
+                  {bookmark.image && (
+                    <img
+                      src={bookmark.image}
+                      alt=''
+                      className='bookmark-image'
+                      loading='lazy'
+                      onError={(e) => { e.currentTarget.style.display = 'none' }}
+                    />
+                  )}
+                  <div className='bookmark-header'>
+                    <input
+                      type='checkbox'
+                      disabled={isPending(bookmark)}
+                      checked={allFilteredSelected || selectedIds.has(bookmark.id)}
+                      onClick={(e) => toggleSelected(bookmark.id, e.shiftKey)}
+                      readOnly
+                      className='bookmark-select'
+                      aria-label={`Select ${bookmark.title}`}
+                    />
+                    <h3 className='bookmark-title'>
+                      {bookmark.favicon && (
+                        <img
+                          src={bookmark.favicon}
+                          alt=''
+                          className='bookmark-favicon'
+                          loading='lazy'
+                          onError={(e) => { e.currentTarget.style.display = 'none' }}
+                        />
+                      )}
+                      {bookmark.title}
+                    </h3>
+                    <div className='bookmark-actions'>
+                      {bookmark.archive && bookmark.archive.archivedAt && (
+                        <button onClick={() => setReading(bookmark)} className='action-btn' title='Read saved copy'>
+                          <BookOpen size={16} />
+                        </button>
+                      )}
+                      <button
+                        onClick={() => archiveBookmark(bookmark)}
+                        disabled={archivingId === bookmark.id || isPending(bookmark)}
+                        className='action-btn'
+                        title={bookmark.archive && bookmark.archive.state === 'failed'
+                          ? `Saving a copy failed: ${bookmark.archive.error}. Try again`
+                          : 'Save a readable copy'}
+                      >
+                        <Save size={16} />
+                      </button>
+                      {INBOX_STATUSES.includes(bookmark.status) && (
+                        <button onClick={() => updateFields(bookmark, { status: 'done' })} className='action-btn' title='Mark as read'>
+                          <Check size={16} />
+                        </button>
+                      )}
+                      {!bookmark.status && (
+                        <button onClick={() => updateFields(bookmark, { status: 'unread' })} className='action-btn' title='Read later'>
+                          <ListPlus size={16} />
+                        </button>
+                      )}
+                      <button onClick={() => handleEdit(bookmark)} className='action-btn'><Edit3 size={16} /></button>
+                      <button onClick={() => handleDelete(bookmark)} className='action-btn delete-btn'><Trash2 size={16} /></button>
+                    </div>
+                  </div>
+                  {bookmark.description && <p className='bookmark-description'>{bookmark.description}</p>}
+                  <div className='bookmark-meta'>
+                    {bookmark.category && <span className='bookmark-category'>{bookmark.category}</span>}
+                    {bookmark.status && <span className={`status-badge status-${bookmark.status}`}>{STATUS_LABELS[bookmark.status]}</span>}
+                    {bookmark.remindAt && (
+                      <span className='bookmark-reminder' title='Reminder'>
+                        <AlarmClock size={14} /> {new Date(bookmark.remindAt).toLocaleString()}
+                      </span>
+                    )}
+                    {bookmark.health && (
+                      <span
+                        className={`health-badge health-${bookmark.health.state}`}
+                        title={`${bookmark.health.status ? `HTTP ${bookmark.health.status}` : bookmark.health.error || ''}, checked ${new Date(bookmark.health.checkedAt).toLocaleString()}`}
+                      >
+                        {HEALTH_LABELS[bookmark.health.state]}
+                        {bookmark.health.state === 'broken' && bookmark.health.status ? ` (${bookmark.health.status})` : ''}
+                      </span>
+                    )}
+                    {bookmark.pending && <span className='bookmark-pending'>Waiting to sync</span>}
+                    {bookmark.visitCount > 0 && (
+                      <span className='bookmark-visits' title={`Last opened ${new Date(bookmark.lastVisited).toLocaleString()}`}>
+                        Opened {bookmark.visitCount}×
+                      </span>
+                    )}
+                    <span className='bookmark-date'>{bookmark.dateAdded}</span>
+                  </div>
+                  {bookmark.notes && (
+                    <details className='bookmark-notes'>
+                      <summary>Notes</summary>
+                      <Markdown text={bookmark.notes} />
+                    </details>
+                  )}
+                  {bookmark.health && bookmark.health.redirectUrl && (
+                    <div className='redirect-notice'>
+                      <span>Moved to <span className='bookmark-url'>{bookmark.health.redirectUrl}</span></span>
+                      <button onClick={() => adoptRedirect(bookmark)} className='btn btn-secondary'>Use new URL</button>
+                    </div>
+                  )}
+                  {bookmark.tags && bookmark.tags.length > 0 && (
+                    <div className='bookmark-tags'>
+                      {bookmark.tags.map(tag => (
+                        <button key={tag} onClick={() => toggleTagFilter(tag)} className='bookmark-tag'>#{tag}</button>
+                      ))}
+                    </div>
+                  )}
+                  <a
+                    href={isPending(bookmark) ? bookmark.url : visitUrl(bookmark.id)}
+                    onClick={() => noteVisit(bookmark)}
+                    target='_blank'
+                    rel='noopener noreferrer'
+                    className='bookmark-link'
+                  >
+                    <ExternalLink size={16} /> <span className='bookmark-url'>{bookmark.url}</span>
+                  </a>
                 </div>
+              ))}
+            </div>
+
+            {nextCursor && (
+              <div ref={sentinelRef} className='load-more'>
+                <button onClick={loadMore} disabled={loadingMore} className='btn btn-secondary'>
+                  {loadingMore ? 'Loading...' : `Load more (${total - bookmarks.length} left)`}
+                </button>
               </div>
-              {bookmark.description && <p className='bookmark-description'>{bookmark.description}</p>}
-              <div className='bookmark-meta'>
-                {bookmark.category && <span className='bookmark-category'>{bookmark.category}</span>}
-                <span className='bookmark-date'>{bookmark.dateAdded}</span>
+            )}
+
+            {shownBookmarks.length === 0 && !loading && (
+              <div className='empty-state'>
+                <Bookmark size={64} />
+                <h3>No bookmarks found</h3>
+                <p>
+                  {inbox && !searchTerm
+                    ? 'Nothing left to read. Mark bookmarks to read later and they show up here.'
+                    : searchTerm || selectedCategory !== 'All' || selectedFolder !== 'all' || selectedTags.length > 0 || statusFilter
+                      ? 'Try adjusting your search or filter'
+                      : 'Add your first bookmark!'}
+                </p>
               </div>
-              <a href={bookmark.url} target='_blank' rel='noopener noreferrer' className='bookmark-link'>
-                <ExternalLink size={16} /> <span className='bookmark-url'>{bookmark.url}</span>
-              </a>
-            </div>
-          ))}
+            )}
+          </main>
         </div>
 
-        {filteredBookmarks.length === 0 && !loading && (
-          <div className='empty-state'>
-            <Bookmark size={64} />
-            <h3>No bookmarks found</h3>
-            <p>{searchTerm || selectedCategory !== 'All' ? 'Try adjusting your search or filter' : 'Add your first bookmark!'}</p>
+        {reading && <ReaderView bookmark={reading} onClose={() => setReading(null)} />}
+
+        {undo && (
+          <div className='undo-toast' role='status'>
+            <span>{undo.message}</span>
+            <button onClick={undoDelete} className='btn btn-secondary'>Undo</button>
           </div>
         )}
       </div>
@@ -331,4 +1611,50 @@ const BookmarkManager = () => {
   )
 }
 
-export default BookmarkManager
+// Shows the login screen until there is a session, then the bookmarks
+const App = () => {
+  // undefined while we ask the server, null when signed out
+  const [user, setUser] = useState(undefined)
+
+  // Whoever was signed in last can keep working while the server can't be
+  // reached; an expired session still signs them out
+  const signedIn = (next) => {
+    rememberUser(next)
+    setUser(next)
+  }
+
+  useEffect(() => {
+    setUnauthorizedHandler(() => signedIn(null))
+    apiCall('/auth/me')
+      .then(data => signedIn(data.user))
+      .catch(err => setUser(err.offline ? rememberedUser() : null))
+    return () => setUnauthorizedHandler(() => {})
+  }, [])
+
+  const authenticate = async (mode, credentials) => {
+    const data = await apiCall(`/auth/${mode}`, {
+      method: 'POST',
+      body: JSON.stringify(credentials)
+    })
+    signedIn(data.user)
+  }
+
+  const logout = async () => {
+    await apiCall('/auth/logout', { method: 'POST' }).catch(() => {})
+    await clearOfflineData(user.id).catch(() => {})
+    signedIn(null)
+  }
+
+  if (user === undefined) {
+    return <LoadingScreen message='Loading...' />
+  }
+
+  if (!user) {
+    return <LoginScreen onAuthenticate={authenticate} />
+  }
+
+  // key resets all bookmark state when a different user signs in
+  return <BookmarkManager key={user.id} user={user} onLogout={logout} />
+}
+
+export default App
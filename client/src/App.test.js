@@ -1,8 +1,21 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+beforeEach(() => {
+  global.fetch = jest.fn(() => Promise.resolve({
+    ok: false,
+    status: 401,
+    json: () => Promise.resolve({ error: 'Authentication required' })
+  }));
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('shows the sign in form when there is no session', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  const heading = await screen.findByRole('heading', { name: /sign in/i });
+  expect(heading).toBeInTheDocument();
+  expect(global.fetch).toHaveBeenCalledWith('/api/auth/me', expect.objectContaining({ credentials: 'same-origin' }));
 });
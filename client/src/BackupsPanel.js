@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { DatabaseBackup, GitCompare, RotateCcw, X } from 'lucide-react'
+import { apiCall } from './api'
+
+const REASON_LABELS = {
+  scheduled: 'Scheduled',
+  manual: 'Taken by hand',
+  import: 'Before an import',
+  clear: 'Before Clear All',
+  'empty-trash': 'Before emptying the trash',
+  purge: 'Before deleting from the trash',
+  restore: 'Before a restore'
+}
+
+// Bookmarks listed under each heading of a comparison; the rest are counted
+const DIFF_SHOWN = 10
+
+const DiffList = ({ title, items }) => items.length === 0 ? null : (
+  <div className='backup-diff-group'>
+    <h3>{title} ({items.length})</h3>
+    <ul>
+      {items.slice(0, DIFF_SHOWN).map(item => (
+        <li key={item.id}>
+          {item.title} <span className='bookmark-url'>{item.url}</span>
+          {item.fields && <span className='bookmark-date'> · {item.fields.join(', ')}</span>}
+        </li>
+      ))}
+    </ul>
+    {items.length > DIFF_SHOWN && <p className='panel-note'>...and {items.length - DIFF_SHOWN} more</p>}
+  </div>
+)
+
+// Snapshots the server took of the user's bookmarks, folders and trash. Any
+// of them can be compared with the bookmarks as they are now and restored.
+const BackupsPanel = ({ onRestored, onError, onClose }) => {
+  const [backups, setBackups] = useState([])
+  const [retentionDays, setRetentionDays] = useState(null)
+  const [loading, setLoading] = useState(true)
+  // Dry run of restoring one snapshot: { backup, diff, message }
+  const [comparison, setComparison] = useState(null)
+  const [message, setMessage] = useState(null)
+
+  const loadBackups = useCallback(async () => {
+    try {
+      const data = await apiCall('/backups')
+      setBackups(data.backups)
+      setRetentionDays(data.retentionDays)
+    } catch (err) {
+      onError(`Failed to load backups: ${err.message}`)
+    } finally {
+      setLoading(false)
+    }
+  }, [onError])
+
+  useEffect(() => {
+    loadBackups()
+  }, [loadBackups])
+
+  const backUpNow = async () => {
+    try {
+      const backup = await apiCall('/backups', { method: 'POST' })
+      setBackups([backup, ...backups])
+    } catch (err) {
+      onError(`Failed to back up bookmarks: ${err.message}`)
+    }
+  }
+
+  const compare = async (backup) => {
+    try {
+      setComparison(await apiCall(`/backups/${backup.id}/restore`, { method: 'POST', body: JSON.stringify({ dryRun: true }) }))
+    } catch (err) {
+      onError(`Failed to compare backup: ${err.message}`)
+    }
+  }
+
+  const restore = async () => {
+    const when = new Date(comparison.backup.createdAt).toLocaleString()
+    if (!window.confirm(`Replace your bookmarks, folders and trash with the backup from ${when}? A backup of them as they are now is taken first.`)) return
+    try {
+      const result = await apiCall(`/backups/${comparison.backup.id}/restore`, { method: 'POST', body: JSON.stringify({}) })
+      setComparison(null)
+      setMessage(result.message)
+      setBackups([result.undoBackup, ...backups])
+      onRestored()
+    } catch (err) {
+      onError(`Failed to restore backup: ${err.message}`)
+    }
+  }
+
+  return (
+    <div className='form-card backups-panel'>
+      <div className='panel-header'>
+        <h2>Backups</h2>
+        <button onClick={onClose} className='action-btn' title='Close'><X size={16} /></button>
+      </div>
+      {retentionDays && <p className='panel-note'>Backups are kept for {retentionDays} days. One is also taken before every import, Clear All and emptying of the trash.</p>}
+      {message && <p className='panel-note' role='status'>{message}</p>}
+
+      {comparison && (
+        <div className='backup-diff'>
+          <p role='status'>{comparison.message}, compared with your bookmarks now.</p>
+          <DiffList title='Come back' items={comparison.diff.restored} />
+          <DiffList title='Go away' items={comparison.diff.removed} />
+          <DiffList title='Change' items={comparison.diff.changed} />
+          <div className='form-buttons'>
+            <button onClick={restore} className='btn btn-danger'>
+              <RotateCcw size={16} /> <span>Restore this backup</span>
+            </button>
+            <button onClick={() => setComparison(null)} className='btn btn-secondary'>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      <button onClick={backUpNow} className='btn btn-secondary'>
+        <DatabaseBackup size={16} /> <span>Back up now</span>
+      </button>
+
+      {loading && <p className='panel-note'>Loading...</p>}
+      {!loading && backups.length === 0 && <p className='panel-note'>No backups yet.</p>}
+      {backups.length > 0 && (
+        <ul className='panel-list'>
+          {backups.map(backup => (
+            <li key={backup.id} className='panel-item'>
+              <div className='panel-item-text'>
+                <strong>{new Date(backup.createdAt).toLocaleString()}</strong>
+                <span className='bookmark-date'>
+                  {REASON_LABELS[backup.reason] || backup.reason} · {backup.bookmarks} bookmarks, {backup.folders} folders, {backup.trash} in the trash
+                </span>
+              </div>
+              <div className='panel-item-actions'>
+                <button onClick={() => compare(backup)} className='btn btn-secondary'>
+                  <GitCompare size={16} /> <span>Compare</span>
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default BackupsPanel
@@ -0,0 +1,47 @@
+import React from 'react'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import BackupsPanel from './BackupsPanel'
+
+const BACKUP = { id: '2026-10-01T08-00-00-000Z', reason: 'scheduled', createdAt: '2026-10-01T08:00:00.000Z', bookmarks: 3, folders: 1, trash: 0 }
+const UNDO = { ...BACKUP, id: '2026-10-02T09-00-00-000Z', reason: 'restore', createdAt: '2026-10-02T09:00:00.000Z' }
+const DIFF = {
+  restored: [{ id: 3, title: 'GitHub', url: 'https://github.com' }],
+  removed: [],
+  changed: [{ id: 1, title: 'React', url: 'https://react.dev', fields: ['title'] }],
+  unchanged: 1
+}
+
+const respond = (data) => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(data) })
+
+beforeEach(() => {
+  global.fetch = jest.fn((url, options = {}) => {
+    if (url.endsWith('/backups')) return respond({ backups: [BACKUP], retentionDays: 30, intervalHours: 24 })
+    const dryRun = JSON.parse(options.body).dryRun
+    return respond(dryRun
+      ? { message: 'Restoring would bring 1 back, 0 removed, 1 changed', dryRun: true, backup: BACKUP, diff: DIFF }
+      : { message: 'Restored backup: 1 back, 0 removed, 1 changed', backup: BACKUP, undoBackup: UNDO, diff: DIFF })
+  })
+  window.confirm = jest.fn(() => true)
+})
+
+afterEach(() => {
+  delete global.fetch
+})
+
+test('compares a backup with a dry run before restoring it', async () => {
+  const onRestored = jest.fn()
+  render(<BackupsPanel onRestored={onRestored} onError={jest.fn()} onClose={jest.fn()} />)
+
+  fireEvent.click(await screen.findByRole('button', { name: /Compare/ }))
+  expect(await screen.findByText(/Restoring would bring 1 back/)).toBeInTheDocument()
+  expect(screen.getByText('Come back (1)')).toBeInTheDocument()
+  expect(screen.getByText('Change (1)')).toBeInTheDocument()
+  expect(onRestored).not.toHaveBeenCalled()
+
+  fireEvent.click(screen.getByRole('button', { name: /Restore this backup/ }))
+  await waitFor(() => expect(onRestored).toHaveBeenCalled())
+  expect(window.confirm).toHaveBeenCalled()
+  expect(JSON.parse(global.fetch.mock.calls[2][1].body)).toEqual({})
+  expect(screen.getByText(/Restored backup/)).toBeInTheDocument()
+  expect(screen.getByText(/Before a restore/)).toBeInTheDocument()
+})
@@ -0,0 +1,118 @@
+import React, { useState } from 'react'
+import { Trash2, Tag, FolderInput, BookOpen, X } from 'lucide-react'
+import { STATUS_LABELS } from './readingList'
+
+// Actions for the selected bookmarks. onAction(action, fields) runs one
+// POST /api/bookmarks/batch; status is { running, message, failures } from
+// the last run.
+const BulkActionBar = ({ count, total, allSelected, folders, status, onAction, onSelectAll, onClear, onDismissStatus }) => {
+  const [category, setCategory] = useState('')
+  const [tag, setTag] = useState('')
+  const [folderId, setFolderId] = useState('')
+  const [readingStatus, setReadingStatus] = useState('unread')
+
+  const running = status && status.running
+  const disabled = running || count === 0
+
+  // Full path, e.g. "Dev / JavaScript"
+  const folderLabel = (folder) => {
+    const byId = new Map(folders.map(f => [f.id, f]))
+    const names = [folder.name]
+    let parent = byId.get(folder.parentId)
+    while (parent && names.length < folders.length) {
+      names.unshift(parent.name)
+      parent = byId.get(parent.parentId)
+    }
+    return names.join(' / ')
+  }
+
+  return (
+    <div className='bulk-bar' role='region' aria-label='Bulk actions'>
+      <div className='bulk-bar-row'>
+        <strong>{allSelected ? `All ${total} matching selected` : `${count} selected`}</strong>
+        {!allSelected && total > count && (
+          <button onClick={onSelectAll} className='tag-mode-toggle'>Select all {total} matching</button>
+        )}
+        <button onClick={onClear} className='action-btn' title='Clear selection'><X size={16} /></button>
+      </div>
+
+      <div className='bulk-bar-row'>
+        <button onClick={() => onAction('delete')} disabled={disabled} className='btn btn-danger'>
+          <Trash2 size={16} /> <span>Delete</span>
+        </button>
+
+        <div className='bulk-field'>
+          <input
+            type='text'
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            placeholder='Category'
+            className='form-input'
+            aria-label='Category for selected bookmarks'
+          />
+          <button onClick={() => onAction('setCategory', { category })} disabled={disabled} className='btn btn-secondary'>
+            Set category
+          </button>
+        </div>
+
+        <div className='bulk-field'>
+          <Tag size={16} />
+          <input
+            type='text'
+            value={tag}
+            onChange={(e) => setTag(e.target.value)}
+            placeholder='tag'
+            className='form-input'
+            aria-label='Tag to add or remove'
+          />
+          <button onClick={() => onAction('addTags', { tags: tag })} disabled={disabled || !tag.trim()} className='btn btn-secondary'>
+            Add
+          </button>
+          <button onClick={() => onAction('removeTags', { tags: tag })} disabled={disabled || !tag.trim()} className='btn btn-secondary'>
+            Remove
+          </button>
+        </div>
+
+        <div className='bulk-field'>
+          <FolderInput size={16} />
+          <select value={folderId} onChange={(e) => setFolderId(e.target.value)} className='filter-select' aria-label='Folder to move to'>
+            <option value=''>Unfiled</option>
+            {folders.map(folder => <option key={folder.id} value={folder.id}>{folderLabel(folder)}</option>)}
+          </select>
+          <button
+            onClick={() => onAction('move', { parentId: folderId ? Number(folderId) : null })}
+            disabled={disabled}
+            className='btn btn-secondary'
+          >
+            Move
+          </button>
+        </div>
+
+        <div className='bulk-field'>
+          <BookOpen size={16} />
+          <select value={readingStatus} onChange={(e) => setReadingStatus(e.target.value)} className='filter-select' aria-label='Reading list status for selected bookmarks'>
+            {Object.entries(STATUS_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            <option value=''>Off the reading list</option>
+          </select>
+          <button onClick={() => onAction('setStatus', { status: readingStatus })} disabled={disabled} className='btn btn-secondary'>
+            Set status
+          </button>
+        </div>
+      </div>
+
+      {status && (
+        <div className={`bulk-status ${status.failures && status.failures.length ? 'has-failures' : ''}`} role='status'>
+          <span>{status.message}</span>
+          {status.failures && status.failures.length > 0 && (
+            <ul>
+              {status.failures.map(failure => <li key={failure.id}>{failure.label}: {failure.error}</li>)}
+            </ul>
+          )}
+          {!running && <button onClick={onDismissStatus} className='tag-mode-toggle'>Dismiss</button>}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BulkActionBar
@@ -0,0 +1,41 @@
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import BulkActionBar from './BulkActionBar'
+
+const folders = [
+  { id: 1, name: 'Dev', parentId: null },
+  { id: 2, name: 'JavaScript', parentId: 1 }
+]
+
+const renderBar = (props = {}) => {
+  const handlers = { onAction: jest.fn(), onSelectAll: jest.fn(), onClear: jest.fn(), onDismissStatus: jest.fn() }
+  render(<BulkActionBar count={2} total={10} allSelected={false} folders={folders} status={null} {...handlers} {...props} />)
+  return handlers
+}
+
+test('sends the chosen action with its fields', () => {
+  const { onAction } = renderBar()
+
+  fireEvent.change(screen.getByLabelText('Tag to add or remove'), { target: { value: 'reading' } })
+  fireEvent.click(screen.getByText('Add'))
+  fireEvent.change(screen.getByLabelText('Folder to move to'), { target: { value: '2' } })
+  fireEvent.click(screen.getByText('Move'))
+
+  expect(onAction).toHaveBeenCalledWith('addTags', { tags: 'reading' })
+  expect(onAction).toHaveBeenCalledWith('move', { parentId: 2 })
+  expect(screen.getByRole('option', { name: 'Dev / JavaScript' })).toBeInTheDocument()
+})
+
+test('offers to select every matching bookmark', () => {
+  const { onSelectAll } = renderBar()
+  fireEvent.click(screen.getByText('Select all 10 matching'))
+  expect(onSelectAll).toHaveBeenCalled()
+})
+
+test('lists the bookmarks that failed and disables actions while running', () => {
+  renderBar({
+    status: { running: true, message: 'Working on 2 bookmarks...', failures: [{ id: 7, label: 'Old link', error: 'Bookmark not found' }] }
+  })
+  expect(screen.getByText('Old link: Bookmark not found')).toBeInTheDocument()
+  expect(screen.getByRole('button', { name: 'Delete' })).toBeDisabled()
+})
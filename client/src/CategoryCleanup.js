@@ -0,0 +1,106 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { Merge, X } from 'lucide-react'
+import { apiCall } from './api'
+
+// Category names that look like the same category ("Dev", "Development",
+// "development"), each group merged into the name picked for it. Names can be
+// unticked to leave them out of the merge.
+const CategoryCleanup = ({ onMerged, onError, onClose }) => {
+  const [groups, setGroups] = useState([])
+  // Name picked to keep for each group, by the group's suggested name
+  const [targets, setTargets] = useState({})
+  // Names left out of each group's merge, by the group's suggested name
+  const [unticked, setUnticked] = useState({})
+  const [loading, setLoading] = useState(true)
+
+  const loadGroups = useCallback(async () => {
+    try {
+      const data = await apiCall('/categories/similar')
+      setGroups(data.groups)
+    } catch (err) {
+      onError(`Failed to find similar categories: ${err.message}`)
+    } finally {
+      setLoading(false)
+    }
+  }, [onError])
+
+  useEffect(() => {
+    loadGroups()
+  }, [loadGroups])
+
+  const tickedNames = (group) => group.names.map(n => n.name).filter(name => !(unticked[group.suggested] || []).includes(name))
+
+  // The name picked to keep, or the first ticked one once that is unticked
+  const targetOf = (group) => {
+    const ticked = tickedNames(group)
+    const picked = targets[group.suggested] || group.suggested
+    return ticked.includes(picked) ? picked : ticked[0]
+  }
+
+  const toggleName = (group, name) => {
+    const left = unticked[group.suggested] || []
+    setUnticked({ ...unticked, [group.suggested]: left.includes(name) ? left.filter(n => n !== name) : [...left, name] })
+  }
+
+  const merge = async (group) => {
+    const into = targetOf(group)
+    try {
+      await apiCall('/categories/merge', {
+        method: 'POST',
+        body: JSON.stringify({ categories: tickedNames(group).filter(name => name !== into), into })
+      })
+      setGroups(groups.filter(g => g !== group))
+      onMerged()
+    } catch (err) {
+      onError(`Failed to merge categories: ${err.message}`)
+    }
+  }
+
+  return (
+    <div className='form-card category-cleanup'>
+      <div className='panel-header'>
+        <h2>Clean up categories</h2>
+        <button onClick={onClose} className='action-btn' title='Close'><X size={16} /></button>
+      </div>
+      {loading && <p className='panel-note'>Loading...</p>}
+      {!loading && groups.length === 0 && <p className='panel-note'>No categories look alike.</p>}
+      {groups.length > 0 && (
+        <ul className='panel-list'>
+          {groups.map(group => (
+            <li key={group.suggested} className='panel-item'>
+              <div className='panel-item-text'>
+                {group.names.map(n => (
+                  <label key={n.name} className='category-name'>
+                    <input
+                      type='checkbox'
+                      checked={tickedNames(group).includes(n.name)}
+                      onChange={() => toggleName(group, n.name)}
+                    /> {n.name} ({n.count})
+                  </label>
+                ))}
+              </div>
+              <div className='panel-item-actions'>
+                <label>
+                  Keep
+                  {' '}
+                  <select
+                    value={targetOf(group) || ''}
+                    onChange={(e) => setTargets({ ...targets, [group.suggested]: e.target.value })}
+                    className='filter-select'
+                  >
+                    {tickedNames(group).map(name => <option key={name} value={name}>{name}</option>)}
+                  </select>
+                </label>
+                <button onClick={() => merge(group)} disabled={tickedNames(group).length < 2} className='btn btn-secondary'>
+                  <Merge size={16} /> <span>Merge</span>
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default CategoryCleanup
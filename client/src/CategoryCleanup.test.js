@@ -0,0 +1,56 @@
+import React from 'react'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import CategoryCleanup from './CategoryCleanup'
+
+const GROUPS = {
+  groups: [{
+    names: [{ name: 'Development', count: 5 }, { name: 'Dev', count: 2 }, { name: 'development', count: 1 }],
+    suggested: 'Development',
+    count: 8
+  }]
+}
+
+beforeEach(() => {
+  global.fetch = jest.fn((url) => Promise.resolve({
+    ok: true,
+    status: 200,
+    json: () => Promise.resolve(url.endsWith('/similar') ? GROUPS : { updated: 3 })
+  }))
+})
+
+afterEach(() => {
+  delete global.fetch
+})
+
+test('merges a group into the name picked to keep', async () => {
+  const onMerged = jest.fn()
+  render(<CategoryCleanup onMerged={onMerged} onError={jest.fn()} onClose={jest.fn()} />)
+
+  expect(await screen.findByLabelText('Development (5)')).toBeChecked()
+  fireEvent.change(screen.getByLabelText('Keep'), { target: { value: 'Dev' } })
+  fireEvent.click(screen.getByRole('button', { name: /Merge/ }))
+
+  await waitFor(() => expect(onMerged).toHaveBeenCalled())
+  const [url, options] = global.fetch.mock.calls[1]
+  expect(url).toMatch(/\/categories\/merge$/)
+  expect(JSON.parse(options.body)).toEqual({ categories: ['Development', 'development'], into: 'Dev' })
+  expect(screen.getByText('No categories look alike.')).toBeInTheDocument()
+})
+
+test('leaves unticked names out of the merge', async () => {
+  const onMerged = jest.fn()
+  render(<CategoryCleanup onMerged={onMerged} onError={jest.fn()} onClose={jest.fn()} />)
+
+  fireEvent.click(await screen.findByLabelText('Development (5)'))
+  // The name to keep moves to one still ticked
+  expect(screen.getByLabelText('Keep')).toHaveValue('Dev')
+  fireEvent.click(screen.getByLabelText('development (1)'))
+  expect(screen.getByRole('button', { name: /Merge/ })).toBeDisabled()
+
+  fireEvent.click(screen.getByLabelText('development (1)'))
+  fireEvent.click(screen.getByRole('button', { name: /Merge/ }))
+
+  await waitFor(() => expect(onMerged).toHaveBeenCalled())
+  const [, options] = global.fetch.mock.calls[1]
+  expect(JSON.parse(options.body)).toEqual({ categories: ['development'], into: 'Dev' })
+})
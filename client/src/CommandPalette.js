@@ -0,0 +1,144 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react'
+import { Search, Bookmark, CornerDownLeft } from 'lucide-react'
+import { apiCall } from './api'
+import { fuzzyFilter, fuzzyScore } from './fuzzy'
+
+// Bookmarks listed under the actions
+const BOOKMARK_LIMIT = 8
+
+// Ctrl/Cmd+K palette. Actions and the bookmarks on screen are matched here;
+// the server's search adds matches from pages that aren't loaded yet.
+// commands are { id, label, shortcut, run }.
+const CommandPalette = ({ commands, bookmarks, onOpenBookmark, onClose }) => {
+  const [query, setQuery] = useState('')
+  const [found, setFound] = useState([])
+  const [active, setActive] = useState(0)
+  const inputRef = useRef(null)
+  const listRef = useRef(null)
+
+  // Focus goes back where it was, unless the chosen action moved it
+  useEffect(() => {
+    const previous = document.activeElement
+    inputRef.current.focus()
+    return () => {
+      if (previous && (!document.activeElement || document.activeElement === document.body)) previous.focus()
+    }
+  }, [])
+
+  useEffect(() => {
+    const term = query.trim()
+    if (!term) {
+      setFound([])
+      return
+    }
+    let cancelled = false
+    const timer = setTimeout(() => {
+      apiCall(`/bookmarks?${new URLSearchParams({ q: term, limit: BOOKMARK_LIMIT })}`)
+        .then(data => { if (!cancelled) setFound(data.bookmarks) })
+        .catch(() => {})
+    }, 200)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [query])
+
+  const results = useMemo(() => {
+    const actions = fuzzyFilter(commands, query, c => c.label)
+      .map(command => ({ key: `command-${command.id}`, label: command.label, shortcut: command.shortcut, command }))
+    if (!query.trim()) return actions
+
+    // Fuzzy matches first; search hits that only match on other fields follow
+    const seen = new Set()
+    const candidates = [...bookmarks, ...found].filter(b => !seen.has(b.id) && seen.add(b.id))
+    const foundIds = new Set(found.map(b => b.id))
+    const score = (b) => Math.max(fuzzyScore(query, b.title) ?? -Infinity, fuzzyScore(query, b.url) ?? -Infinity)
+    const marks = candidates
+      .filter(b => foundIds.has(b.id) || score(b) > -Infinity)
+      .sort((a, b) => score(b) - score(a))
+      .slice(0, BOOKMARK_LIMIT)
+      .map(bookmark => ({ key: `bookmark-${bookmark.id}`, label: bookmark.title, detail: bookmark.url, bookmark }))
+    return [...actions, ...marks]
+  }, [commands, bookmarks, found, query])
+
+  const current = Math.min(active, results.length - 1)
+
+  useEffect(() => {
+    const option = listRef.current && listRef.current.querySelector('[aria-selected="true"]')
+    if (option && option.scrollIntoView) option.scrollIntoView({ block: 'nearest' })
+  }, [current])
+
+  const choose = (result) => {
+    onClose()
+    if (result.command) result.command.run()
+    else onOpenBookmark(result.bookmark)
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      if (results.length === 0) return
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setActive((current + step + results.length) % results.length)
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      if (results[current]) choose(results[current])
+    } else if (e.key === 'Escape') {
+      e.preventDefault()
+      onClose()
+    } else if (e.key === 'Tab') {
+      // The input is the only stop; keep focus in the dialog
+      e.preventDefault()
+    }
+  }
+
+  return (
+    <div className='palette-overlay' onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <div className='palette' role='dialog' aria-modal='true' aria-label='Command palette'>
+        <div className='palette-search'>
+          <Search size={18} />
+          <input
+            ref={inputRef}
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value)
+              setActive(0)
+            }}
+            onKeyDown={handleKeyDown}
+            placeholder='Search bookmarks and actions...'
+            role='combobox'
+            aria-expanded='true'
+            aria-controls='palette-results'
+            aria-autocomplete='list'
+            aria-activedescendant={results[current] ? `palette-${results[current].key}` : undefined}
+            aria-label='Search bookmarks and actions'
+          />
+        </div>
+        <ul id='palette-results' ref={listRef} role='listbox' aria-label='Results' className='palette-results'>
+          {results.map((result, index) => (
+            <li
+              key={result.key}
+              id={`palette-${result.key}`}
+              role='option'
+              aria-selected={index === current}
+              className={`palette-option ${index === current ? 'active' : ''}`}
+              onMouseDown={(e) => e.preventDefault()}
+              onMouseMove={() => index !== current && setActive(index)}
+              onClick={() => choose(result)}
+            >
+              {result.bookmark ? <Bookmark size={16} /> : <CornerDownLeft size={16} />}
+              <span className='palette-label'>
+                {result.label}
+                {result.detail && <span className='palette-detail'>{result.detail}</span>}
+              </span>
+              {result.shortcut && <kbd>{result.shortcut}</kbd>}
+            </li>
+          ))}
+          {results.length === 0 && <li className='palette-empty' role='presentation'>Nothing matches "{query}"</li>}
+        </ul>
+      </div>
+    </div>
+  )
+}
+
+export default CommandPalette
@@ -0,0 +1,61 @@
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import CommandPalette from './CommandPalette'
+
+beforeEach(() => {
+  global.fetch = jest.fn(() => Promise.resolve({
+    ok: true,
+    status: 200,
+    json: () => Promise.resolve({ bookmarks: [], total: 0, nextCursor: null })
+  }))
+})
+
+afterEach(() => {
+  delete global.fetch
+})
+
+const renderPalette = (props = {}) => {
+  const commands = [
+    { id: 'add', label: 'Add bookmark', run: jest.fn() },
+    { id: 'export', label: 'Export bookmarks as JSON', run: jest.fn() }
+  ]
+  const handlers = { onOpenBookmark: jest.fn(), onClose: jest.fn() }
+  render(<CommandPalette commands={commands} bookmarks={[{ id: 1, title: 'React docs', url: 'https://react.dev' }]} {...handlers} {...props} />)
+  return { commands, ...handlers }
+}
+
+test('filters actions and runs the highlighted one', () => {
+  const { commands, onClose } = renderPalette()
+  const input = screen.getByRole('combobox')
+  expect(input).toHaveFocus()
+
+  fireEvent.change(input, { target: { value: 'exp' } })
+  expect(screen.getAllByRole('option')).toHaveLength(1)
+  fireEvent.keyDown(input, { key: 'Enter' })
+
+  expect(onClose).toHaveBeenCalled()
+  expect(commands[1].run).toHaveBeenCalled()
+  expect(commands[0].run).not.toHaveBeenCalled()
+})
+
+test('moves through results with the arrow keys and opens bookmarks', () => {
+  const { onOpenBookmark } = renderPalette()
+  const input = screen.getByRole('combobox')
+
+  fireEvent.change(input, { target: { value: 'r' } })
+  const options = screen.getAllByRole('option')
+  expect(options[options.length - 1]).toHaveTextContent('React docs')
+
+  fireEvent.keyDown(input, { key: 'ArrowUp' })
+  expect(options[options.length - 1]).toHaveAttribute('aria-selected', 'true')
+  expect(input).toHaveAttribute('aria-activedescendant', options[options.length - 1].id)
+
+  fireEvent.keyDown(input, { key: 'Enter' })
+  expect(onOpenBookmark).toHaveBeenCalledWith(expect.objectContaining({ id: 1 }))
+})
+
+test('closes on Escape', () => {
+  const { onClose } = renderPalette()
+  fireEvent.keyDown(screen.getByRole('combobox'), { key: 'Escape' })
+  expect(onClose).toHaveBeenCalled()
+})
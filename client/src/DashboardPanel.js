@@ -0,0 +1,108 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { Trash2, X } from 'lucide-react'
+import { apiCall, visitUrl } from './api'
+
+const MONTH_CHOICES = [3, 6, 12, 24]
+
+const formatVisit = (bookmark) =>
+  `${bookmark.visitCount} ${bookmark.visitCount === 1 ? 'visit' : 'visits'}, last ${new Date(bookmark.lastVisited).toLocaleDateString()}`
+
+// Which bookmarks get used, from the visits the server counts, and which
+// haven't been opened in months and could go
+const DashboardPanel = ({ onVisit, onTrashed, onError, onClose }) => {
+  const [dashboard, setDashboard] = useState(null)
+  const [months, setMonths] = useState(6)
+
+  const loadDashboard = useCallback(async () => {
+    try {
+      setDashboard(await apiCall(`/dashboard?months=${months}`))
+    } catch (err) {
+      onError(`Failed to load dashboard: ${err.message}`)
+    }
+  }, [months, onError])
+
+  useEffect(() => {
+    loadDashboard()
+  }, [loadDashboard])
+
+  const trash = async (ids) => {
+    try {
+      const result = await apiCall('/bookmarks/batch', { method: 'POST', body: JSON.stringify({ action: 'delete', ids }) })
+      onTrashed(result)
+      await loadDashboard()
+    } catch (err) {
+      onError(`Failed to delete bookmarks: ${err.message}`)
+    }
+  }
+
+  const renderList = (bookmarks, detail, empty) => (
+    bookmarks.length === 0
+      ? <p className='panel-note'>{empty}</p>
+      : (
+        <ol className='dashboard-list'>
+          {bookmarks.map(bookmark => (
+            <li key={bookmark.id}>
+              <a href={visitUrl(bookmark.id)} onClick={() => onVisit(bookmark)} target='_blank' rel='noopener noreferrer'>
+                {bookmark.title}
+              </a>
+              <span className='bookmark-date'>{detail(bookmark)}</span>
+            </li>
+          ))}
+        </ol>
+        )
+  )
+
+  return (
+    <div className='form-card dashboard-panel'>
+      <div className='panel-header'>
+        <h2>Dashboard</h2>
+        <button onClick={onClose} className='action-btn' title='Close'><X size={16} /></button>
+      </div>
+
+      {!dashboard && <p className='panel-note'>Loading...</p>}
+      {dashboard && (
+        <>
+          <p className='panel-note'>
+            {dashboard.totals.visits} visits to {dashboard.totals.visited} of {dashboard.totals.bookmarks} bookmarks;
+            {' '}{dashboard.totals.openedLastMonth} opened in the last 30 days.
+          </p>
+
+          <div className='dashboard-grid'>
+            <section>
+              <h3>Most visited</h3>
+              {renderList(dashboard.mostVisited, formatVisit, 'No visits yet. Open bookmarks from this app to count them.')}
+            </section>
+            <section>
+              <h3>Recently opened</h3>
+              {renderList(dashboard.recentlyOpened, b => new Date(b.lastVisited).toLocaleString(), 'Nothing opened yet.')}
+            </section>
+            <section>
+              <h3>
+                Not opened in{' '}
+                <select value={months} onChange={(e) => setMonths(Number(e.target.value))} className='filter-select' aria-label='Months without a visit'>
+                  {MONTH_CHOICES.map(m => <option key={m} value={m}>{m} months</option>)}
+                </select>
+              </h3>
+              {renderList(
+                dashboard.unused.bookmarks,
+                b => (b.lastVisited ? `Last opened ${new Date(b.lastVisited).toLocaleDateString()}` : `Never opened, added ${b.dateAdded}`),
+                'Everything has been used recently.'
+              )}
+              {dashboard.unused.bookmarks.length > 0 && (
+                <button onClick={() => trash(dashboard.unused.bookmarks.map(b => b.id))} className='btn btn-danger'>
+                  <Trash2 size={16} />
+                  <span>Move {dashboard.unused.bookmarks.length === dashboard.unused.total ? 'these' : `these ${dashboard.unused.bookmarks.length}`} to trash</span>
+                </button>
+              )}
+              {dashboard.unused.total > dashboard.unused.bookmarks.length && (
+                <p className='panel-note'>{dashboard.unused.total} in all, oldest first.</p>
+              )}
+            </section>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default DashboardPanel
@@ -0,0 +1,121 @@
+import React, { useState } from 'react'
+import { ChevronRight, ChevronDown, Folder, FolderPlus, Edit3, Trash2, Bookmark } from 'lucide-react'
+
+// dataTransfer types, so a drop knows whether a bookmark or a folder arrived
+export const BOOKMARK_DRAG_TYPE = 'application/x-bkmrks-bookmark'
+export const FOLDER_DRAG_TYPE = 'application/x-bkmrks-folder'
+
+// Collapsible folder tree. selected is 'all', 'root' or a folder id.
+// Bookmarks and folders can be dropped on any folder to move them there.
+const FolderSidebar = ({ folders, selected, onSelect, onCreate, onRename, onDelete, onMoveBookmark, onMoveFolder }) => {
+  const [expanded, setExpanded] = useState(() => new Set())
+  const [dropTarget, setDropTarget] = useState(null)
+
+  const childrenOf = (parentId) => folders.filter(f => (f.parentId ?? null) === parentId)
+
+  const toggle = (id) => {
+    const next = new Set(expanded)
+    if (next.has(id)) next.delete(id)
+    else next.add(id)
+    setExpanded(next)
+  }
+
+  const dropProps = (key, parentId) => ({
+    onDragOver: (e) => {
+      const types = Array.from(e.dataTransfer.types)
+      if (!types.includes(BOOKMARK_DRAG_TYPE) && !types.includes(FOLDER_DRAG_TYPE)) return
+      e.preventDefault()
+      setDropTarget(key)
+    },
+    onDragLeave: () => setDropTarget(null),
+    onDrop: (e) => {
+      e.preventDefault()
+      setDropTarget(null)
+      const bookmarkId = e.dataTransfer.getData(BOOKMARK_DRAG_TYPE)
+      const folderId = e.dataTransfer.getData(FOLDER_DRAG_TYPE)
+      if (bookmarkId) onMoveBookmark(Number(bookmarkId), parentId)
+      else if (folderId && Number(folderId) !== parentId) onMoveFolder(Number(folderId), parentId)
+    }
+  })
+
+  const createFolder = (parentId) => {
+    const name = window.prompt('Folder name')
+    if (!name || !name.trim()) return
+    onCreate(name.trim(), parentId)
+    if (parentId !== null) setExpanded(new Set(expanded).add(parentId))
+  }
+
+  const renameFolder = (folder) => {
+    const name = window.prompt('Rename folder', folder.name)
+    if (name && name.trim() && name.trim() !== folder.name) onRename(folder, name.trim())
+  }
+
+  const renderFolder = (folder, depth) => {
+    const children = childrenOf(folder.id)
+    const isOpen = expanded.has(folder.id)
+
+    return (
+      <li key={folder.id}>
+        <div
+          className={`folder-row ${selected === folder.id ? 'active' : ''} ${dropTarget === folder.id ? 'drop-target' : ''}`}
+          style={{ paddingLeft: 8 + depth * 16 }}
+          draggable
+          onDragStart={(e) => e.dataTransfer.setData(FOLDER_DRAG_TYPE, String(folder.id))}
+          {...dropProps(folder.id, folder.id)}
+        >
+          <button
+            onClick={() => toggle(folder.id)}
+            className='folder-toggle'
+            aria-label={isOpen ? 'Collapse' : 'Expand'}
+            style={{ visibility: children.length ? 'visible' : 'hidden' }}
+          >
+            {isOpen ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+          </button>
+          <button onClick={() => onSelect(folder.id)} className='folder-name'>
+            <Folder size={16} /> <span>{folder.name}</span>
+            <span className='folder-count'>{folder.count}</span>
+          </button>
+          <div className='folder-actions'>
+            <button onClick={() => createFolder(folder.id)} className='action-btn' title='New subfolder'><FolderPlus size={14} /></button>
+            <button onClick={() => renameFolder(folder)} className='action-btn' title='Rename'><Edit3 size={14} /></button>
+            <button onClick={() => onDelete(folder)} className='action-btn delete-btn' title='Delete folder'><Trash2 size={14} /></button>
+          </div>
+        </div>
+        {isOpen && children.length > 0 && (
+          <ul className='folder-tree'>{children.map(child => renderFolder(child, depth + 1))}</ul>
+        )}
+      </li>
+    )
+  }
+
+  return (
+    <aside className='folder-sidebar'>
+      <div className='folder-sidebar-header'>
+        <h2>Folders</h2>
+        <button onClick={() => createFolder(null)} className='action-btn' title='New folder'><FolderPlus size={16} /></button>
+      </div>
+      <ul className='folder-tree'>
+        <li>
+          <div className={`folder-row ${selected === 'all' ? 'active' : ''}`}>
+            <button onClick={() => onSelect('all')} className='folder-name'>
+              <Bookmark size={16} /> <span>All bookmarks</span>
+            </button>
+          </div>
+        </li>
+        <li>
+          <div
+            className={`folder-row ${selected === 'root' ? 'active' : ''} ${dropTarget === 'root' ? 'drop-target' : ''}`}
+            {...dropProps('root', null)}
+          >
+            <button onClick={() => onSelect('root')} className='folder-name'>
+              <Folder size={16} /> <span>Unfiled</span>
+            </button>
+          </div>
+        </li>
+        {childrenOf(null).map(folder => renderFolder(folder, 0))}
+      </ul>
+    </aside>
+  )
+}
+
+export default FolderSidebar
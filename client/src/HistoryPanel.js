@@ -0,0 +1,52 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { History } from 'lucide-react'
+import { apiCall } from './api'
+
+// Earlier versions of a bookmark, shown while editing it
+const HistoryPanel = ({ bookmarkId, onReverted, onError }) => {
+  const [revisions, setRevisions] = useState([])
+
+  const loadHistory = useCallback(async () => {
+    try {
+      setRevisions(await apiCall(`/bookmarks/${bookmarkId}/history`))
+    } catch (err) {
+      onError(`Failed to load history: ${err.message}`)
+    }
+  }, [bookmarkId, onError])
+
+  useEffect(() => {
+    loadHistory()
+  }, [loadHistory])
+
+  const revert = async (revision) => {
+    try {
+      const updated = await apiCall(`/bookmarks/${bookmarkId}/history/${revision.id}/revert`, { method: 'POST' })
+      onReverted(updated)
+      await loadHistory()
+    } catch (err) {
+      onError(`Failed to revert bookmark: ${err.message}`)
+    }
+  }
+
+  if (revisions.length === 0) return null
+
+  return (
+    <div className='history-panel'>
+      <h3><History size={16} /> Earlier versions</h3>
+      <ul className='panel-list'>
+        {revisions.map(revision => (
+          <li key={revision.id} className='panel-item'>
+            <div className='panel-item-text'>
+              <strong>{revision.title}</strong>
+              <span className='bookmark-url'>{revision.url}</span>
+              <span className='bookmark-date'>Changed {new Date(revision.changedAt).toLocaleString()}</span>
+            </div>
+            <button onClick={() => revert(revision)} className='btn btn-secondary'>Revert</button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default HistoryPanel
@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react'
+import { Upload, X } from 'lucide-react'
+import { apiCall } from './api'
+
+export const IMPORT_FORMATS = {
+  auto: 'Detect automatically',
+  bkmrks: 'bkmrks JSON export',
+  netscape: 'Browser bookmarks.html',
+  pocket: 'Pocket (HTML or CSV)',
+  pinboard: 'Pinboard JSON',
+  raindrop: 'Raindrop CSV',
+  csv: 'Other CSV'
+}
+
+// Bookmark fields a CSV column can fill
+const CSV_FIELDS = {
+  title: 'Title',
+  url: 'URL',
+  category: 'Category',
+  tags: 'Tags',
+  description: 'Description',
+  notes: 'Notes',
+  status: 'Status',
+  remindAt: 'Reminder',
+  dateAdded: 'Date added'
+}
+
+// Rejected rows listed; the rest are only counted
+const REJECTS_SHOWN = 10
+
+// Preview of an import before anything is saved. Each change to the format,
+// CSV columns or duplicate handling asks the server for a new dry run.
+// file is { name, content }.
+const ImportPanel = ({ file, onImported, onClose }) => {
+  const [format, setFormat] = useState('auto')
+  // null lets the server guess the columns from their names
+  const [mapping, setMapping] = useState(null)
+  const [strategy, setStrategy] = useState('skip')
+  const [preview, setPreview] = useState(null)
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    apiCall('/bookmarks/import', {
+      method: 'POST',
+      body: JSON.stringify({ content: file.content, format, strategy, dryRun: true, ...(mapping ? { mapping } : {}) })
+    })
+      .then(data => {
+        if (cancelled) return
+        setPreview(data)
+        setError(null)
+      })
+      .catch(err => {
+        if (cancelled) return
+        setPreview(null)
+        setError(err.message)
+      })
+      .finally(() => { if (!cancelled) setLoading(false) })
+    return () => { cancelled = true }
+  }, [file, format, mapping, strategy])
+
+  const changeFormat = (value) => {
+    setFormat(value)
+    setMapping(null)
+  }
+
+  const changeColumn = (field, column) => {
+    const next = { ...preview.mapping }
+    if (column) next[field] = column
+    else delete next[field]
+    setMapping(next)
+  }
+
+  const runImport = async () => {
+    try {
+      setLoading(true)
+      const data = await apiCall('/bookmarks/import', {
+        method: 'POST',
+        body: JSON.stringify({ content: file.content, format, strategy, ...(mapping ? { mapping } : {}) })
+      })
+      setResult(data)
+      onImported(data)
+    } catch (err) {
+      setError(`Import failed: ${err.message}`)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (result) {
+    return (
+      <div className='form-card import-panel'>
+        <div className='panel-header'>
+          <h2>Imported {file.name}</h2>
+          <button onClick={onClose} className='action-btn' title='Close'><X size={16} /></button>
+        </div>
+        <p className='panel-note' role='status'>{result.message}</p>
+        <button onClick={onClose} className='btn btn-secondary'>Close</button>
+      </div>
+    )
+  }
+
+  const rejected = preview ? preview.rejected : []
+
+  return (
+    <div className='form-card import-panel'>
+      <div className='panel-header'>
+        <h2>Import {file.name}</h2>
+        <button onClick={onClose} className='action-btn' title='Close'><X size={16} /></button>
+      </div>
+
+      <div className='import-options'>
+        <label>
+          File from
+          <select value={format} onChange={(e) => changeFormat(e.target.value)} className='filter-select'>
+            {Object.entries(IMPORT_FORMATS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {value === 'auto' && preview && format === 'auto' ? `${label} (${IMPORT_FORMATS[preview.format]})` : label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Already saved
+          <select value={strategy} onChange={(e) => setStrategy(e.target.value)} className='filter-select'>
+            <option value='skip'>Skip duplicates</option>
+            <option value='overwrite'>Overwrite duplicates</option>
+            <option value='keep'>Keep both</option>
+          </select>
+        </label>
+      </div>
+
+      {error && <p className='field-error' role='alert'>{error}</p>}
+
+      {preview && (
+        <>
+          <p className='import-summary' role='status'>
+            Read {preview.parsed} rows: {preview.mapped} can be imported and {preview.failed} can't.
+            {' '}That's {preview.added} new, {preview.merged} merged and {preview.skipped} skipped as already saved.
+          </p>
+
+          {preview.columns && (
+            <fieldset className='import-mapping'>
+              <legend>Which column holds each field?</legend>
+              {Object.entries(CSV_FIELDS).map(([field, label]) => (
+                <label key={field}>
+                  {label}
+                  <select value={preview.mapping[field] || ''} onChange={(e) => changeColumn(field, e.target.value)} className='filter-select'>
+                    <option value=''>Not imported</option>
+                    {preview.columns.map(column => <option key={column} value={column}>{column}</option>)}
+                  </select>
+                </label>
+              ))}
+            </fieldset>
+          )}
+
+          {rejected.length > 0 && (
+            <div className='import-rejected'>
+              <h3>Rows that can't be imported</h3>
+              <ul>
+                {rejected.slice(0, REJECTS_SHOWN).map(r => (
+                  <li key={r.row}>
+                    Row {r.row}{r.title ? ` "${r.title}"` : ''}: {r.errors.map(e => e.message).join(', ')}
+                  </li>
+                ))}
+              </ul>
+              {rejected.length > REJECTS_SHOWN && <p className='panel-note'>...and {rejected.length - REJECTS_SHOWN} more</p>}
+            </div>
+          )}
+
+          {preview.preview.length > 0 && (
+            <div className='import-preview'>
+              <table>
+                <caption>First {preview.preview.length} of {preview.mapped} rows</caption>
+                <thead>
+                  <tr><th>Title</th><th>URL</th><th>Category</th><th>Tags</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                  {preview.preview.map((row, index) => (
+                    <tr key={index}>
+                      <td>{row.title}</td>
+                      <td className='bookmark-url'>{row.url}</td>
+                      <td>{row.category}</td>
+                      <td>{(row.tags || []).join(', ')}</td>
+                      <td>{row.status}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+
+      <div className='form-buttons'>
+        <button onClick={runImport} disabled={loading || !preview || preview.count === 0} className='btn btn-primary'>
+          <Upload size={16} /> <span>{preview ? `Import ${preview.count} bookmarks` : 'Import'}</span>
+        </button>
+        <button onClick={onClose} className='btn btn-secondary'>Cancel</button>
+      </div>
+    </div>
+  )
+}
+
+export default ImportPanel
@@ -0,0 +1,53 @@
+import React from 'react'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import ImportPanel from './ImportPanel'
+
+const PREVIEW = {
+  message: 'Ready to import: 1 added, 0 skipped, 0 merged, 1 rejected',
+  count: 1,
+  added: 1,
+  skipped: 0,
+  merged: 0,
+  format: 'csv',
+  parsed: 2,
+  mapped: 1,
+  failed: 1,
+  columns: ['Name', 'Link'],
+  mapping: { title: 'Name', url: 'Link' },
+  rejected: [{ row: 2, title: 'Bad', url: 'ftp://x', errors: [{ field: 'url', message: 'URL must start with http:// or https://' }] }],
+  dryRun: true,
+  preview: [{ title: 'A', url: 'https://a.dev' }]
+}
+
+const sent = () => global.fetch.mock.calls.map(([, options]) => JSON.parse(options.body))
+
+beforeEach(() => {
+  global.fetch = jest.fn(() => Promise.resolve({
+    ok: true,
+    status: 200,
+    json: () => Promise.resolve(PREVIEW)
+  }))
+})
+
+afterEach(() => {
+  delete global.fetch
+})
+
+test('previews with a dry run and maps CSV columns before importing', async () => {
+  const onImported = jest.fn()
+  render(<ImportPanel file={{ name: 'links.csv', content: 'Name,Link\nA,https://a.dev\nBad,ftp://x' }} onImported={onImported} onClose={jest.fn()} />)
+
+  expect(await screen.findByText(/Read 2 rows: 1 can be imported and 1 can't/)).toBeInTheDocument()
+  expect(screen.getByText(/Row 2 "Bad": URL must start with/)).toBeInTheDocument()
+  expect(sent()[0]).toMatchObject({ format: 'auto', strategy: 'skip', dryRun: true })
+  expect(onImported).not.toHaveBeenCalled()
+
+  fireEvent.change(screen.getByLabelText('Category'), { target: { value: 'Name' } })
+  await waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(2))
+  expect(sent()[1].mapping).toEqual({ title: 'Name', url: 'Link', category: 'Name' })
+
+  fireEvent.click(await screen.findByRole('button', { name: /Import 1 bookmarks/ }))
+  await waitFor(() => expect(onImported).toHaveBeenCalled())
+  expect(sent()[2].dryRun).toBeUndefined()
+  expect(sent()[2].mapping).toMatchObject({ category: 'Name' })
+})
@@ -0,0 +1,83 @@
+import React, { useState } from 'react'
+import { Bookmark } from 'lucide-react'
+
+// Sign-in and registration form shown until the server accepts a session
+const LoginScreen = ({ onAuthenticate }) => {
+  const [mode, setMode] = useState('login')
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+
+  const isRegister = mode === 'register'
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!username || !password) return
+    try {
+      setSubmitting(true)
+      setError(null)
+      await onAuthenticate(mode, { username, password })
+    } catch (err) {
+      setError(err.message)
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className='app'>
+      <div className='container'>
+        <div className='login-card'>
+          <div className='header-title'>
+            <Bookmark size={32} />
+            <h1>Bookmark Manager</h1>
+          </div>
+          <h2>{isRegister ? 'Create an account' : 'Sign in'}</h2>
+          {error && <p className='login-error' role='alert'>{error}</p>}
+          <form onSubmit={handleSubmit} className='form-container'>
+            <div className='form-group'>
+              <label htmlFor='login-username'>Username</label>
+              <input
+                id='login-username'
+                type='text'
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                className='form-input'
+                autoComplete='username'
+                autoFocus
+                required
+              />
+            </div>
+            <div className='form-group'>
+              <label htmlFor='login-password'>Password</label>
+              <input
+                id='login-password'
+                type='password'
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className='form-input'
+                autoComplete={isRegister ? 'new-password' : 'current-password'}
+                minLength={isRegister ? 8 : undefined}
+                required
+              />
+            </div>
+            <div className='form-buttons'>
+              <button type='submit' disabled={submitting} className='btn btn-primary'>
+                {isRegister ? 'Create account' : 'Sign in'}
+              </button>
+              <button
+                type='button'
+                onClick={() => { setMode(isRegister ? 'login' : 'register'); setError(null) }}
+                className='btn btn-secondary'
+              >
+                {isRegister ? 'I have an account' : 'Create an account'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default LoginScreen
@@ -0,0 +1,117 @@
+import React from 'react'
+
+// Notes are written in a small part of Markdown: paragraphs, # headings, -
+// and 1. lists, > quotes, ``` code blocks, **bold**, *italic*, `code` and
+// [links](https://...). Everything becomes React elements rather than HTML,
+// so nothing in a note can run.
+
+const FENCE = /^```/
+const HEADING = /^(#{1,6})\s+(.*)$/
+const QUOTE = /^>\s?(.*)$/
+const BULLET = /^\s*[-*+]\s+(.*)$/
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/
+
+const INLINE = /(`[^`]+`)|(\*\*[^*]+\*\*|__[^_]+__)|(\*[^*\s][^*]*\*|(?<!\w)_[^_\s][^_]*_(?!\w))|\[([^\]]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<]*[^\s<.,;:!?)\]])/g
+
+// javascript: and data: links are shown as text
+const isSafeLink = (href) => /^(https?:|mailto:)/i.test(href)
+
+const listItem = (line) => {
+  const bullet = line.match(BULLET)
+  if (bullet) return { ordered: false, text: bullet[1] }
+  const numbered = line.match(NUMBERED)
+  return numbered ? { ordered: true, text: numbered[1] } : null
+}
+
+const startsBlock = (line) => FENCE.test(line) || HEADING.test(line) || QUOTE.test(line) || Boolean(listItem(line))
+
+// Split a note into blocks: { type: 'heading', level, text },
+// { type: 'list', ordered, items }, { type: 'quote' | 'code' | 'paragraph', text }
+export const parseMarkdown = (source) => {
+  const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n')
+  const blocks = []
+  let i = 0
+
+  while (i < lines.length) {
+    const line = lines[i]
+    if (!line.trim()) {
+      i++
+    } else if (FENCE.test(line)) {
+      const code = []
+      for (i++; i < lines.length && !FENCE.test(lines[i]); i++) code.push(lines[i])
+      i++
+      blocks.push({ type: 'code', text: code.join('\n') })
+    } else if (HEADING.test(line)) {
+      const [, marks, text] = line.match(HEADING)
+      blocks.push({ type: 'heading', level: marks.length, text })
+      i++
+    } else if (QUOTE.test(line)) {
+      const quoted = []
+      for (; i < lines.length && QUOTE.test(lines[i]); i++) quoted.push(lines[i].match(QUOTE)[1])
+      blocks.push({ type: 'quote', text: quoted.join('\n') })
+    } else if (listItem(line)) {
+      const { ordered } = listItem(line)
+      const items = []
+      for (; i < lines.length && listItem(lines[i]) && listItem(lines[i]).ordered === ordered; i++) items.push(listItem(lines[i]).text)
+      blocks.push({ type: 'list', ordered, items })
+    } else {
+      const paragraph = []
+      for (; i < lines.length && lines[i].trim() && !startsBlock(lines[i]); i++) paragraph.push(lines[i])
+      blocks.push({ type: 'paragraph', text: paragraph.join('\n') })
+    }
+  }
+  return blocks
+}
+
+const renderInline = (text) => {
+  const parts = []
+  let last = 0
+  for (const match of text.matchAll(INLINE)) {
+    const [whole, code, bold, italic, label, href, bare] = match
+    if (match.index > last) parts.push(text.slice(last, match.index))
+    const key = parts.length
+    if (code) parts.push(<code key={key}>{code.slice(1, -1)}</code>)
+    else if (bold) parts.push(<strong key={key}>{renderInline(bold.slice(2, -2))}</strong>)
+    else if (italic) parts.push(<em key={key}>{renderInline(italic.slice(1, -1))}</em>)
+    else if (label && isSafeLink(href)) parts.push(<a key={key} href={href} target='_blank' rel='noopener noreferrer'>{renderInline(label)}</a>)
+    else if (bare) parts.push(<a key={key} href={bare} target='_blank' rel='noopener noreferrer'>{bare}</a>)
+    else parts.push(whole)
+    last = match.index + whole.length
+  }
+  if (last < text.length) parts.push(text.slice(last))
+  return parts
+}
+
+// Line breaks inside a paragraph are kept, as notes are usually typed that way
+const renderLines = (text) => text.split('\n').map((line, index) => (
+  <React.Fragment key={index}>
+    {index > 0 && <br />}
+    {renderInline(line)}
+  </React.Fragment>
+))
+
+const renderBlock = (block, index) => {
+  switch (block.type) {
+    case 'heading': {
+      // Below the card's own title
+      const Heading = `h${Math.min(block.level + 3, 6)}`
+      return <Heading key={index}>{renderInline(block.text)}</Heading>
+    }
+    case 'list': {
+      const List = block.ordered ? 'ol' : 'ul'
+      return <List key={index}>{block.items.map((item, i) => <li key={i}>{renderInline(item)}</li>)}</List>
+    }
+    case 'quote':
+      return <blockquote key={index}>{renderLines(block.text)}</blockquote>
+    case 'code':
+      return <pre key={index}><code>{block.text}</code></pre>
+    default:
+      return <p key={index}>{renderLines(block.text)}</p>
+  }
+}
+
+const Markdown = ({ text, className = 'markdown' }) => (
+  <div className={className}>{parseMarkdown(text).map(renderBlock)}</div>
+)
+
+export default Markdown
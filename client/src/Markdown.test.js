@@ -0,0 +1,31 @@
+import React from 'react'
+import { render, screen } from '@testing-library/react'
+import Markdown, { parseMarkdown } from './Markdown'
+
+test('splits notes into headings, lists, quotes, code and paragraphs', () => {
+  const blocks = parseMarkdown('# Why\nworth a read\nlater\n\n- one\n- two\n1. first\n> quoted\n```\nx = 1\n```')
+  expect(blocks).toEqual([
+    { type: 'heading', level: 1, text: 'Why' },
+    { type: 'paragraph', text: 'worth a read\nlater' },
+    { type: 'list', ordered: false, items: ['one', 'two'] },
+    { type: 'list', ordered: true, items: ['first'] },
+    { type: 'quote', text: 'quoted' },
+    { type: 'code', text: 'x = 1' }
+  ])
+})
+
+test('renders inline formatting and only safe links', () => {
+  render(<Markdown text={'**Bold** and *soft* with `code`, [docs](https://react.dev), snake_case_name and [bad](javascript:alert(1))'} />)
+  expect(screen.getByText('Bold').tagName).toBe('STRONG')
+  expect(screen.getByText('soft').tagName).toBe('EM')
+  expect(screen.getByText('code').tagName).toBe('CODE')
+  expect(screen.getByRole('link', { name: 'docs' })).toHaveAttribute('href', 'https://react.dev')
+  expect(screen.getAllByRole('link')).toHaveLength(1)
+  expect(screen.getByText(/snake_case_name/)).toBeInTheDocument()
+})
+
+test('never turns a note into HTML', () => {
+  render(<Markdown text={'<img src=x onerror="alert(1)">'} />)
+  expect(screen.queryByRole('img')).toBeNull()
+  expect(screen.getByText('<img src=x onerror="alert(1)">')).toBeInTheDocument()
+})
@@ -0,0 +1,37 @@
+import React, { useEffect } from 'react'
+import { ExternalLink, X } from 'lucide-react'
+import { API_BASE_URL } from './api'
+
+// The saved copy of a bookmarked page, readable even if the site is gone
+const ReaderView = ({ bookmark, onClose }) => {
+  useEffect(() => {
+    const closeOnEscape = (e) => e.key === 'Escape' && onClose()
+    window.addEventListener('keydown', closeOnEscape)
+    return () => window.removeEventListener('keydown', closeOnEscape)
+  }, [onClose])
+
+  return (
+    <div className='reader-overlay' role='dialog' aria-label={`Saved copy of ${bookmark.title}`}>
+      <div className='reader-card'>
+        <div className='panel-header'>
+          <h2>{bookmark.title}</h2>
+          <div className='panel-item-actions'>
+            <a href={bookmark.url} target='_blank' rel='noopener noreferrer' className='btn btn-secondary'>
+              <ExternalLink size={16} /> <span>Original</span>
+            </a>
+            <button onClick={onClose} className='action-btn' title='Close'><X size={16} /></button>
+          </div>
+        </div>
+        {/* The copy is sanitized on the server; the sandbox keeps it from running anything */}
+        <iframe
+          src={`${API_BASE_URL}/bookmarks/${bookmark.id}/archive`}
+          title={`Saved copy of ${bookmark.title}`}
+          sandbox='allow-popups allow-popups-to-escape-sandbox'
+          className='reader-frame'
+        />
+      </div>
+    </div>
+  )
+}
+
+export default ReaderView
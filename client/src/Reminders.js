@@ -0,0 +1,77 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { Bell, Check, Clock, X } from 'lucide-react'
+import { apiCall } from './api'
+import { tomorrowMorning } from './readingList'
+
+// How often to look for reminders that have come round
+const POLL_INTERVAL = 5 * 60 * 1000
+
+// In-app notifications for reading list reminders that are due. Each stays
+// until it's opened, put off until tomorrow, marked done or dismissed for
+// this visit. onUpdate(bookmark, fields) saves a change and resolves once
+// it's done; refreshKey changing asks the server again.
+const Reminders = ({ refreshKey, onOpen, onUpdate }) => {
+  const [due, setDue] = useState([])
+  const [dismissed, setDismissed] = useState(() => new Set())
+
+  const load = useCallback(() => {
+    apiCall('/bookmarks/due')
+      .then(data => setDue(data.bookmarks))
+      .catch(() => {})
+  }, [])
+
+  useEffect(() => {
+    load()
+    const timer = setInterval(load, POLL_INTERVAL)
+    return () => clearInterval(timer)
+  }, [load, refreshKey])
+
+  // A reminder set again for a new time shows up again
+  const reminderKey = (bookmark) => `${bookmark.id}@${bookmark.remindAt}`
+  const shown = due.filter(bookmark => !dismissed.has(reminderKey(bookmark)))
+
+  if (shown.length === 0) return null
+
+  const dismiss = (bookmark) => setDismissed(current => new Set([...current, reminderKey(bookmark)]))
+
+  const update = async (bookmark, fields) => {
+    dismiss(bookmark)
+    await onUpdate(bookmark, fields)
+    load()
+  }
+
+  return (
+    <section className='reminders' aria-label='Reminders' aria-live='polite'>
+      <h2><Bell size={18} /> {shown.length === 1 ? 'Reminder' : `${shown.length} reminders`}</h2>
+      <ul>
+        {shown.map(bookmark => (
+          <li key={bookmark.id} className='reminder'>
+            <button
+              onClick={() => {
+                dismiss(bookmark)
+                onOpen(bookmark)
+              }}
+              className='reminder-title'
+            >
+              {bookmark.title}
+            </button>
+            <span className='reminder-time'>{new Date(bookmark.remindAt).toLocaleString()}</span>
+            <div className='reminder-actions'>
+              <button onClick={() => update(bookmark, { remindAt: tomorrowMorning() })} className='tag-mode-toggle'>
+                <Clock size={14} /> Tomorrow
+              </button>
+              <button onClick={() => update(bookmark, { status: 'done', remindAt: '' })} className='tag-mode-toggle'>
+                <Check size={14} /> Done
+              </button>
+              <button onClick={() => dismiss(bookmark)} className='action-btn' aria-label={`Dismiss reminder for ${bookmark.title}`}>
+                <X size={16} />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </section>
+  )
+}
+
+export default Reminders
@@ -0,0 +1,255 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { KeyRound, Webhook, Copy, Send, Trash2, X } from 'lucide-react'
+import { apiCall } from './api'
+
+const SCOPE_LABELS = { read: 'Read only', write: 'Read and write' }
+
+// Days until a new token expires; '' never expires
+const EXPIRY_OPTIONS = { 30: '30 days', 90: '90 days', 365: '1 year', '': 'Never' }
+
+const EVENT_LABELS = {
+  'bookmark.created': 'Created',
+  'bookmark.updated': 'Updated',
+  'bookmark.deleted': 'Deleted'
+}
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'never')
+
+// A token or secret the server shows only once, with a way to copy it
+const RevealedSecret = ({ label, value, onDone }) => {
+  const [copied, setCopied] = useState(false)
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(value)
+      setCopied(true)
+    } catch (err) {
+      window.prompt(label, value)
+    }
+  }
+
+  return (
+    <div className='secret-reveal' role='status'>
+      <p>{label}. Copy it now; it won't be shown again.</p>
+      <code>{value}</code>
+      <div className='panel-item-actions'>
+        <button onClick={copy} className='btn btn-secondary'>
+          <Copy size={16} /> <span>{copied ? 'Copied' : 'Copy'}</span>
+        </button>
+        <button onClick={onDone} className='btn btn-secondary'>Done</button>
+      </div>
+    </div>
+  )
+}
+
+// Personal access tokens for scripts, and webhooks that hear about every
+// change to the user's bookmarks
+const SettingsPanel = ({ onError, onClose }) => {
+  const [tokens, setTokens] = useState([])
+  const [webhooks, setWebhooks] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [tokenName, setTokenName] = useState('')
+  const [scope, setScope] = useState('read')
+  const [expiry, setExpiry] = useState('90')
+  const [hookUrl, setHookUrl] = useState('')
+  const [events, setEvents] = useState(Object.keys(EVENT_LABELS))
+  // { label, value } just created
+  const [revealed, setRevealed] = useState(null)
+  // Outcome of the last test delivery, by webhook id
+  const [tests, setTests] = useState({})
+
+  const loadSettings = useCallback(async () => {
+    try {
+      const [tokenList, webhookList] = await Promise.all([apiCall('/tokens'), apiCall('/webhooks')])
+      setTokens(tokenList)
+      setWebhooks(webhookList)
+    } catch (err) {
+      onError(`Failed to load settings: ${err.message}`)
+    } finally {
+      setLoading(false)
+    }
+  }, [onError])
+
+  useEffect(() => {
+    loadSettings()
+  }, [loadSettings])
+
+  const createToken = async (e) => {
+    e.preventDefault()
+    try {
+      const { token, ...created } = await apiCall('/tokens', {
+        method: 'POST',
+        body: JSON.stringify({ name: tokenName, scope, expiresInDays: expiry ? Number(expiry) : undefined })
+      })
+      setTokens([created, ...tokens])
+      setRevealed({ label: `Token "${created.name}"`, value: token })
+      setTokenName('')
+    } catch (err) {
+      onError(`Failed to create token: ${err.message}`)
+    }
+  }
+
+  const revokeToken = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Anything using it will stop working.`)) return
+    try {
+      await apiCall(`/tokens/${token.id}`, { method: 'DELETE' })
+      setTokens(tokens.filter(t => t.id !== token.id))
+    } catch (err) {
+      onError(`Failed to revoke token: ${err.message}`)
+    }
+  }
+
+  const toggleEvent = (event) => {
+    setEvents(events.includes(event) ? events.filter(e => e !== event) : [...events, event])
+  }
+
+  const createWebhook = async (e) => {
+    e.preventDefault()
+    try {
+      const { secret, ...created } = await apiCall('/webhooks', {
+        method: 'POST',
+        body: JSON.stringify({ url: hookUrl, events })
+      })
+      setWebhooks([...webhooks, created])
+      setRevealed({ label: `Signing secret for ${created.url}`, value: secret })
+      setHookUrl('')
+    } catch (err) {
+      onError(`Failed to add webhook: ${err.message}`)
+    }
+  }
+
+  const setActive = async (webhook, active) => {
+    try {
+      const updated = await apiCall(`/webhooks/${webhook.id}`, { method: 'PUT', body: JSON.stringify({ active }) })
+      setWebhooks(webhooks.map(w => (w.id === webhook.id ? updated : w)))
+    } catch (err) {
+      onError(`Failed to update webhook: ${err.message}`)
+    }
+  }
+
+  const testWebhook = async (webhook) => {
+    try {
+      const result = await apiCall(`/webhooks/${webhook.id}/test`, { method: 'POST' })
+      setTests({ ...tests, [webhook.id]: result.ok ? `Delivered (${result.status})` : `Failed: ${result.error || `HTTP ${result.status}`}` })
+    } catch (err) {
+      onError(`Failed to test webhook: ${err.message}`)
+    }
+  }
+
+  const deleteWebhook = async (webhook) => {
+    if (!window.confirm(`Stop sending changes to ${webhook.url}?`)) return
+    try {
+      await apiCall(`/webhooks/${webhook.id}`, { method: 'DELETE' })
+      setWebhooks(webhooks.filter(w => w.id !== webhook.id))
+    } catch (err) {
+      onError(`Failed to delete webhook: ${err.message}`)
+    }
+  }
+
+  const lastDelivery = (webhook) => {
+    const delivery = webhook.lastDelivery
+    if (tests[webhook.id]) return `Test: ${tests[webhook.id]}`
+    if (!delivery) return 'Nothing sent yet'
+    const outcome = delivery.ok ? `delivered (${delivery.status})` : `failed on try ${delivery.attempt}: ${delivery.error || `HTTP ${delivery.status}`}`
+    return `Last ${delivery.event} ${outcome}${delivery.ok || delivery.final ? '' : ', retrying'} · ${formatDate(delivery.at)}`
+  }
+
+  return (
+    <div className='form-card settings-panel'>
+      <div className='panel-header'>
+        <h2>Settings</h2>
+        <button onClick={onClose} className='action-btn' title='Close'><X size={16} /></button>
+      </div>
+
+      {revealed && <RevealedSecret {...revealed} onDone={() => setRevealed(null)} />}
+
+      <h3><KeyRound size={16} /> Personal access tokens</h3>
+      <p className='panel-note'>Scripts send a token as <code>Authorization: Bearer &lt;token&gt;</code>. Read-only tokens can't change anything.</p>
+      <form onSubmit={createToken} className='share-form'>
+        <input
+          type='text'
+          value={tokenName}
+          onChange={(e) => setTokenName(e.target.value)}
+          placeholder='What is it for?'
+          className='form-input'
+          aria-label='Token name'
+        />
+        <select value={scope} onChange={(e) => setScope(e.target.value)} className='filter-select' aria-label='Token access'>
+          {Object.entries(SCOPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <select value={expiry} onChange={(e) => setExpiry(e.target.value)} className='filter-select' aria-label='Token expires after'>
+          {Object.entries(EXPIRY_OPTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <button type='submit' disabled={!tokenName.trim()} className='btn btn-primary'>
+          <KeyRound size={16} /> <span>Create token</span>
+        </button>
+      </form>
+      {!loading && tokens.length === 0 && <p className='panel-note'>No tokens yet.</p>}
+      {tokens.length > 0 && (
+        <ul className='panel-list'>
+          {tokens.map(token => (
+            <li key={token.id} className='panel-item'>
+              <div className='panel-item-text'>
+                <strong>{token.name}</strong>
+                <span className='bookmark-date'>
+                  {SCOPE_LABELS[token.scope]} · <code>{token.hint}...</code> · expires {token.expiresAt ? formatDate(token.expiresAt) : 'never'} · last used {formatDate(token.lastUsedAt)}
+                </span>
+              </div>
+              <div className='panel-item-actions'>
+                <button onClick={() => revokeToken(token)} className='action-btn delete-btn' title='Revoke token'><Trash2 size={16} /></button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h3><Webhook size={16} /> Webhooks</h3>
+      <p className='panel-note'>
+        Changes are POSTed as JSON, signed with the webhook's secret in <code>X-Bkmrks-Signature</code>. Failed deliveries are retried with growing delays.
+      </p>
+      <form onSubmit={createWebhook} className='share-form'>
+        <input
+          type='url'
+          value={hookUrl}
+          onChange={(e) => setHookUrl(e.target.value)}
+          placeholder='https://example.com/hooks/bookmarks'
+          className='form-input'
+          aria-label='Webhook URL'
+        />
+        {Object.entries(EVENT_LABELS).map(([event, label]) => (
+          <label key={event} className='settings-event'>
+            <input type='checkbox' checked={events.includes(event)} onChange={() => toggleEvent(event)} /> {label}
+          </label>
+        ))}
+        <button type='submit' disabled={!hookUrl || events.length === 0} className='btn btn-primary'>
+          <Webhook size={16} /> <span>Add webhook</span>
+        </button>
+      </form>
+      {!loading && webhooks.length === 0 && <p className='panel-note'>No webhooks yet.</p>}
+      {webhooks.length > 0 && (
+        <ul className='panel-list'>
+          {webhooks.map(webhook => (
+            <li key={webhook.id} className='panel-item'>
+              <div className='panel-item-text'>
+                <strong className='bookmark-url'>{webhook.url}</strong>
+                <span className='bookmark-date'>{webhook.events.map(e => EVENT_LABELS[e]).join(', ')}</span>
+                <span className='bookmark-date'>{lastDelivery(webhook)}</span>
+              </div>
+              <div className='panel-item-actions'>
+                <label className='settings-event'>
+                  <input type='checkbox' checked={webhook.active} onChange={(e) => setActive(webhook, e.target.checked)} /> Active
+                </label>
+                <button onClick={() => testWebhook(webhook)} className='btn btn-secondary'>
+                  <Send size={16} /> <span>Test</span>
+                </button>
+                <button onClick={() => deleteWebhook(webhook)} className='action-btn delete-btn' title='Delete webhook'><Trash2 size={16} /></button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default SettingsPanel
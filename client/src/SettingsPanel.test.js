@@ -0,0 +1,34 @@
+import React from 'react'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import SettingsPanel from './SettingsPanel'
+
+const respond = (data) => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(data) })
+
+beforeEach(() => {
+  global.fetch = jest.fn((url, options = {}) => {
+    if (options.method === 'POST' && url.endsWith('/tokens')) {
+      return respond({ id: 5, name: 'Backup', scope: 'read', hint: 'bkp_abcd', expiresAt: null, lastUsedAt: null, token: 'bkp_abcdsecret' })
+    }
+    return respond([])
+  })
+})
+
+afterEach(() => {
+  delete global.fetch
+})
+
+test('shows a new token once and lists it without the secret', async () => {
+  render(<SettingsPanel onError={jest.fn()} onClose={jest.fn()} />)
+  expect(await screen.findByText('No tokens yet.')).toBeInTheDocument()
+
+  fireEvent.change(screen.getByLabelText('Token name'), { target: { value: 'Backup' } })
+  fireEvent.change(screen.getByLabelText('Token expires after'), { target: { value: '' } })
+  fireEvent.click(screen.getByRole('button', { name: /Create token/ }))
+
+  expect(await screen.findByText('bkp_abcdsecret')).toBeInTheDocument()
+  expect(JSON.parse(global.fetch.mock.calls[2][1].body)).toEqual({ name: 'Backup', scope: 'read' })
+  expect(screen.getByText('Backup')).toBeInTheDocument()
+
+  fireEvent.click(screen.getByRole('button', { name: 'Done' }))
+  await waitFor(() => expect(screen.queryByText('bkp_abcdsecret')).not.toBeInTheDocument())
+})
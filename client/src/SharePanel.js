@@ -0,0 +1,144 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { Share2, Copy, RefreshCw, Trash2, Rss, X } from 'lucide-react'
+import { apiCall } from './api'
+
+const TYPE_LABELS = { category: 'Category', tag: 'Tag', folder: 'Folder' }
+
+// Public, read-only links to a category, tag or folder, with RSS and Atom
+// feeds. Regenerating a link or revoking it stops the old one working.
+const SharePanel = ({ categories, tags, folders, onError, onClose }) => {
+  const [shares, setShares] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [type, setType] = useState('category')
+  const [value, setValue] = useState('')
+  const [name, setName] = useState('')
+  const [copiedId, setCopiedId] = useState(null)
+
+  const loadShares = useCallback(async () => {
+    try {
+      setShares(await apiCall('/shares'))
+    } catch (err) {
+      onError(`Failed to load shared collections: ${err.message}`)
+    } finally {
+      setLoading(false)
+    }
+  }, [onError])
+
+  useEffect(() => {
+    loadShares()
+  }, [loadShares])
+
+  const options = {
+    category: categories.map(c => ({ value: c, label: c })),
+    tag: tags.map(t => ({ value: t, label: `#${t}` })),
+    folder: folders.map(f => ({ value: String(f.id), label: f.name }))
+  }[type]
+
+  const createShare = async (e) => {
+    e.preventDefault()
+    try {
+      const share = await apiCall('/shares', { method: 'POST', body: JSON.stringify({ type, value, name }) })
+      setShares([...shares, share])
+      setValue('')
+      setName('')
+    } catch (err) {
+      onError(`Failed to share collection: ${err.message}`)
+    }
+  }
+
+  const regenerate = async (share) => {
+    if (!window.confirm(`Replace the link for "${share.name}"? Anyone using the old link or feed will lose access.`)) return
+    try {
+      const updated = await apiCall(`/shares/${share.id}/regenerate`, { method: 'POST' })
+      setShares(shares.map(s => (s.id === share.id ? updated : s)))
+    } catch (err) {
+      onError(`Failed to regenerate link: ${err.message}`)
+    }
+  }
+
+  const revoke = async (share) => {
+    if (!window.confirm(`Stop sharing "${share.name}"? The link and its feeds will stop working.`)) return
+    try {
+      await apiCall(`/shares/${share.id}`, { method: 'DELETE' })
+      setShares(shares.filter(s => s.id !== share.id))
+    } catch (err) {
+      onError(`Failed to revoke link: ${err.message}`)
+    }
+  }
+
+  const copyLink = async (share) => {
+    try {
+      await navigator.clipboard.writeText(share.links.page)
+      setCopiedId(share.id)
+    } catch (err) {
+      window.prompt('Copy this link', share.links.page)
+    }
+  }
+
+  return (
+    <div className='form-card share-panel'>
+      <div className='panel-header'>
+        <h2>Shared collections</h2>
+        <button onClick={onClose} className='action-btn' title='Close'><X size={16} /></button>
+      </div>
+      <p className='panel-note'>Anyone with a link can see the bookmarks in that collection, including ones you add later.</p>
+
+      <form onSubmit={createShare} className='share-form'>
+        <select
+          value={type}
+          onChange={(e) => { setType(e.target.value); setValue('') }}
+          className='filter-select'
+          aria-label='Share by'
+        >
+          {Object.entries(TYPE_LABELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        <select value={value} onChange={(e) => setValue(e.target.value)} className='filter-select' aria-label='Collection to share'>
+          <option value=''>Choose...</option>
+          {options.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+        <input
+          type='text'
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder='Title (optional)'
+          className='form-input'
+          aria-label='Title of the shared collection'
+        />
+        <button type='submit' disabled={!value} className='btn btn-primary'>
+          <Share2 size={16} /> <span>Share</span>
+        </button>
+      </form>
+
+      {loading && <p className='panel-note'>Loading...</p>}
+      {!loading && shares.length === 0 && <p className='panel-note'>Nothing is shared yet.</p>}
+      {shares.length > 0 && (
+        <ul className='panel-list'>
+          {shares.map(share => (
+            <li key={share.id} className='panel-item'>
+              <div className='panel-item-text'>
+                <strong>{share.name}</strong>
+                <span className='bookmark-date'>{share.description} · {share.count} bookmarks</span>
+                <a href={share.links.page} target='_blank' rel='noopener noreferrer' className='bookmark-url'>{share.links.page}</a>
+                <span className='share-feeds'>
+                  <Rss size={14} />
+                  <a href={share.links.rss} target='_blank' rel='noopener noreferrer'>RSS</a>
+                  <a href={share.links.atom} target='_blank' rel='noopener noreferrer'>Atom</a>
+                  <a href={share.links.json} target='_blank' rel='noopener noreferrer'>JSON</a>
+                </span>
+              </div>
+              <div className='panel-item-actions'>
+                <button onClick={() => copyLink(share)} className='btn btn-secondary'>
+                  <Copy size={16} /> <span>{copiedId === share.id ? 'Copied' : 'Copy link'}</span>
+                </button>
+                <button onClick={() => regenerate(share)} className='action-btn' title='New link'><RefreshCw size={16} /></button>
+                <button onClick={() => revoke(share)} className='action-btn delete-btn' title='Revoke link'><Trash2 size={16} /></button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default SharePanel
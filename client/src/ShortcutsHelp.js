@@ -0,0 +1,60 @@
+import React, { useEffect, useRef } from 'react'
+import { Keyboard, X } from 'lucide-react'
+
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform)
+
+export const SHORTCUTS = [
+  { keys: [isMac ? '⌘' : 'Ctrl', 'K'], description: 'Open the command palette' },
+  { keys: ['/'], description: 'Search bookmarks' },
+  { keys: ['j'], description: 'Next bookmark' },
+  { keys: ['k'], description: 'Previous bookmark' },
+  { keys: ['Enter'], description: 'Open the selected bookmark' },
+  { keys: ['e'], description: 'Edit the selected bookmark' },
+  { keys: ['d'], description: 'Move the selected bookmark to the trash' },
+  { keys: ['?'], description: 'Show this list' },
+  { keys: ['Esc'], description: 'Close the palette or this list' }
+]
+
+// The ? overlay. Focus moves to its close button and back again afterwards.
+const ShortcutsHelp = ({ onClose }) => {
+  const closeRef = useRef(null)
+
+  useEffect(() => {
+    const previous = document.activeElement
+    closeRef.current.focus()
+    return () => previous && previous.focus()
+  }, [])
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose()
+      // The close button is the only stop; keep focus in the dialog
+      else if (e.key === 'Tab') e.preventDefault()
+    }
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  }, [onClose])
+
+  return (
+    <div className='palette-overlay' onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <div className='palette shortcuts-help' role='dialog' aria-modal='true' aria-labelledby='shortcuts-title'>
+        <div className='panel-header'>
+          <h2 id='shortcuts-title'><Keyboard size={20} /> Keyboard shortcuts</h2>
+          <button ref={closeRef} onClick={onClose} className='action-btn' title='Close' aria-label='Close'>
+            <X size={16} />
+          </button>
+        </div>
+        <dl className='shortcut-list'>
+          {SHORTCUTS.map(({ keys, description }) => (
+            <div key={description} className='shortcut-row'>
+              <dt>{keys.map(key => <kbd key={key}>{key}</kbd>)}</dt>
+              <dd>{description}</dd>
+            </div>
+          ))}
+        </dl>
+      </div>
+    </div>
+  )
+}
+
+export default ShortcutsHelp
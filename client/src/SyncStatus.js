@@ -0,0 +1,52 @@
+import React from 'react'
+import { CloudOff, RefreshCw, AlertTriangle, X } from 'lucide-react'
+
+const CHANGE_LABELS = { create: 'Adding', update: 'Editing', delete: 'Deleting' }
+
+// Connection and offline queue status, and the queued changes the server
+// refused. An edit that lost to a newer version can be kept (overwriting the
+// newer one) or dropped; anything else can only be dropped.
+const SyncStatus = ({ offline, snapshotAt, pending, syncing, conflicts, onSync, onKeepMine, onDiscard }) => {
+  if (!offline && !snapshotAt && pending === 0 && !syncing && conflicts.length === 0) return null
+
+  const title = (change) => (change.data && change.data.title) || (change.current && change.current.title) || `Bookmark ${change.bookmarkId}`
+
+  return (
+    <div className={`sync-status ${offline ? 'is-offline' : ''}`} role='status'>
+      <div className='sync-status-row'>
+        {offline && <CloudOff size={16} />}
+        <span>
+          {offline ? 'Offline.' : syncing ? 'Syncing...' : ''}
+          {snapshotAt && ` Showing bookmarks saved ${new Date(snapshotAt).toLocaleString()}.`}
+          {pending > 0 && ` ${pending} ${pending === 1 ? 'change' : 'changes'} waiting to sync.`}
+        </span>
+        {pending > 0 && !syncing && (
+          <button onClick={onSync} className='tag-mode-toggle'>
+            <RefreshCw size={14} /> Sync now
+          </button>
+        )}
+      </div>
+
+      {conflicts.length > 0 && (
+        <ul className='sync-conflicts'>
+          {conflicts.map((conflict, index) => (
+            <li key={`${conflict.bookmarkId}-${index}`}>
+              <AlertTriangle size={14} />
+              <span>
+                {CHANGE_LABELS[conflict.type]} "{title(conflict)}" failed: {conflict.error}
+              </span>
+              {conflict.status === 412 && (
+                <button onClick={() => onKeepMine(conflict)} className='tag-mode-toggle'>Keep my version</button>
+              )}
+              <button onClick={() => onDiscard(conflict)} className='action-btn' title={conflict.status === 412 ? 'Keep the other version' : 'Dismiss'}>
+                <X size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default SyncStatus
@@ -0,0 +1,68 @@
+import React, { useState } from 'react'
+import { X } from 'lucide-react'
+
+// Chip style tag editor. Enter or comma adds the typed tag, Backspace on an
+// empty input removes the last one, and known tags are offered as you type.
+const TagInput = ({ value, onChange, suggestions = [] }) => {
+  const [input, setInput] = useState('')
+
+  const query = input.trim().toLowerCase()
+  const matches = query
+    ? suggestions.filter(tag => tag.includes(query) && !value.includes(tag)).slice(0, 8)
+    : []
+
+  const addTag = (tag) => {
+    const clean = tag.trim().toLowerCase().replace(/\s+/g, ' ')
+    if (clean && !value.includes(clean)) onChange([...value, clean])
+    setInput('')
+  }
+
+  const removeTag = (tag) => onChange(value.filter(t => t !== tag))
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault()
+      addTag(input)
+    } else if (e.key === 'Backspace' && !input && value.length > 0) {
+      removeTag(value[value.length - 1])
+    }
+  }
+
+  return (
+    <div className='tag-input'>
+      <div className='tag-input-field'>
+        {value.map(tag => (
+          <span key={tag} className='tag-chip'>
+            {tag}
+            <button type='button' onClick={() => removeTag(tag)} className='tag-chip-remove' aria-label={`Remove ${tag}`}>
+              <X size={12} />
+            </button>
+          </span>
+        ))}
+        <input
+          type='text'
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => input && addTag(input)}
+          placeholder={value.length ? '' : 'Add tags...'}
+          className='tag-input-text'
+        />
+      </div>
+      {matches.length > 0 && (
+        <ul className='tag-suggestions'>
+          {matches.map(tag => (
+            <li key={tag}>
+              {/* onMouseDown fires before the input's blur */}
+              <button type='button' onMouseDown={(e) => { e.preventDefault(); addTag(tag) }}>
+                {tag}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default TagInput
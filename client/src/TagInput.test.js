@@ -0,0 +1,42 @@
+import React, { useState } from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import TagInput from './TagInput'
+
+const Harness = ({ initial = [], suggestions = [] }) => {
+  const [tags, setTags] = useState(initial)
+  return (
+    <>
+      <TagInput value={tags} onChange={setTags} suggestions={suggestions} />
+      <output data-testid='tags'>{tags.join('|')}</output>
+    </>
+  )
+}
+
+test('adds cleaned tags on Enter and comma and ignores duplicates', () => {
+  render(<Harness />)
+  const input = screen.getByPlaceholderText('Add tags...')
+
+  fireEvent.change(input, { target: { value: '  Web   Dev ' } })
+  fireEvent.keyDown(input, { key: 'Enter' })
+  fireEvent.change(input, { target: { value: 'web dev' } })
+  fireEvent.keyDown(input, { key: ',' })
+
+  expect(screen.getByTestId('tags')).toHaveTextContent(/^web dev$/)
+})
+
+test('removes the last tag with Backspace on an empty input', () => {
+  render(<Harness initial={['a', 'b']} />)
+  fireEvent.keyDown(screen.getByRole('textbox'), { key: 'Backspace' })
+  expect(screen.getByTestId('tags')).toHaveTextContent(/^a$/)
+})
+
+test('suggests known tags that are not already selected', () => {
+  render(<Harness initial={['react']} suggestions={['react', 'redux', 'css']} />)
+  const input = screen.getByRole('textbox')
+
+  fireEvent.change(input, { target: { value: 're' } })
+  expect(screen.queryByRole('button', { name: 'react' })).not.toBeInTheDocument()
+
+  fireEvent.mouseDown(screen.getByRole('button', { name: 'redux' }))
+  expect(screen.getByTestId('tags')).toHaveTextContent(/^react\|redux$/)
+})
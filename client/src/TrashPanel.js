@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { RotateCcw, Trash2, X } from 'lucide-react'
+import { apiCall } from './api'
+
+// Deleted bookmarks, with restore and permanent delete
+const TrashPanel = ({ onRestored, onError, onClose }) => {
+  const [items, setItems] = useState([])
+  const [retentionDays, setRetentionDays] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  const loadTrash = useCallback(async () => {
+    try {
+      const data = await apiCall('/trash')
+      setItems(data.items)
+      setRetentionDays(data.retentionDays)
+    } catch (err) {
+      onError(`Failed to load trash: ${err.message}`)
+    } finally {
+      setLoading(false)
+    }
+  }, [onError])
+
+  useEffect(() => {
+    loadTrash()
+  }, [loadTrash])
+
+  const restore = async (id) => {
+    try {
+      await apiCall('/trash/restore', { method: 'POST', body: JSON.stringify({ ids: [id] }) })
+      setItems(items.filter(item => item.id !== id))
+      onRestored()
+    } catch (err) {
+      onError(`Failed to restore bookmark: ${err.message}`)
+    }
+  }
+
+  const deleteForever = async (id) => {
+    try {
+      await apiCall(`/trash/${id}`, { method: 'DELETE' })
+      setItems(items.filter(item => item.id !== id))
+    } catch (err) {
+      onError(`Failed to delete bookmark: ${err.message}`)
+    }
+  }
+
+  const emptyTrash = async () => {
+    if (!window.confirm('Permanently delete everything in the trash? This cannot be undone.')) return
+    try {
+      await apiCall('/trash', { method: 'DELETE' })
+      setItems([])
+    } catch (err) {
+      onError(`Failed to empty trash: ${err.message}`)
+    }
+  }
+
+  return (
+    <div className='form-card trash-panel'>
+      <div className='panel-header'>
+        <h2>Trash</h2>
+        <button onClick={onClose} className='action-btn' title='Close'><X size={16} /></button>
+      </div>
+      {retentionDays && <p className='panel-note'>Bookmarks are deleted for good after {retentionDays} days in the trash.</p>}
+      {loading && <p className='panel-note'>Loading...</p>}
+      {!loading && items.length === 0 && <p className='panel-note'>The trash is empty.</p>}
+      {items.length > 0 && (
+        <>
+          <ul className='panel-list'>
+            {items.map(item => (
+              <li key={item.id} className='panel-item'>
+                <div className='panel-item-text'>
+                  <strong>{item.title}</strong>
+                  <span className='bookmark-url'>{item.url}</span>
+                  <span className='bookmark-date'>Deleted {new Date(item.deletedAt).toLocaleString()}</span>
+                </div>
+                <div className='panel-item-actions'>
+                  <button onClick={() => restore(item.id)} className='btn btn-secondary'>
+                    <RotateCcw size={16} /> <span>Restore</span>
+                  </button>
+                  <button onClick={() => deleteForever(item.id)} className='action-btn delete-btn' title='Delete forever'>
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+          <button onClick={emptyTrash} className='btn btn-danger'>
+            <Trash2 size={16} /> <span>Empty Trash</span>
+          </button>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default TrashPanel
@@ -0,0 +1,42 @@
+// Thin wrapper around fetch for the bookmark server's JSON API
+
+export const API_BASE_URL = '/api'
+
+// Opens a bookmark through the server, which counts the visit and redirects
+export const visitUrl = (id) => `${API_BASE_URL}/bookmarks/${id}/visit`
+
+// Called when the server rejects our session; App swaps in the login screen
+let handleUnauthorized = () => {}
+
+export const apiCall = async (endpoint, options = {}) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+      credentials: 'same-origin',
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...options.headers,
+      },
+    })
+    if (response.status === 401) handleUnauthorized()
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      const apiError = new Error(errorData.error || `HTTP ${response.status}`)
+      apiError.status = response.status
+      apiError.data = errorData
+      // A proxy answering for a server that is down, rather than the server
+      apiError.offline = [502, 503, 504].includes(response.status) && !errorData.error
+      throw apiError
+    }
+    return await response.json()
+  } catch (error) {
+    // fetch itself only fails when the server can't be reached
+    if (error instanceof TypeError) error.offline = true
+    console.error(`API call failed for ${endpoint}:`, error)
+    throw error
+  }
+}
+
+export const setUnauthorizedHandler = (handler) => {
+  handleUnauthorized = handler
+}
@@ -0,0 +1,33 @@
+// Fuzzy matching for the command palette. A query matches when its letters
+// appear in the text in order, so "gh iss" finds "GitHub issues".
+
+// Higher is better, or null when text doesn't match. Letters that follow on
+// from the previous match or start a word count extra, and shorter texts
+// win ties.
+export const fuzzyScore = (query, text) => {
+  const needle = String(query || '').toLowerCase().replace(/\s+/g, '')
+  const haystack = String(text || '').toLowerCase()
+  if (!needle) return 0
+
+  let score = 0
+  let from = 0
+  let previous = -2
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from)
+    if (index === -1) return null
+    score += 1
+    if (index === previous + 1) score += 3
+    if (index === 0 || !/[\p{L}\p{N}]/u.test(haystack[index - 1])) score += 2
+    previous = index
+    from = index + 1
+  }
+  return score - haystack.length / 1000
+}
+
+// The items matching query, best first. text(item) is what gets matched.
+export const fuzzyFilter = (items, query, text) =>
+  items
+    .map(item => ({ item, score: fuzzyScore(query, text(item)) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map(({ item }) => item)
@@ -0,0 +1,17 @@
+import { fuzzyScore, fuzzyFilter } from './fuzzy'
+
+test('matches letters in order, ignoring case and spaces', () => {
+  expect(fuzzyScore('gh iss', 'GitHub issues')).not.toBeNull()
+  expect(fuzzyScore('sig', 'GitHub issues')).toBeNull()
+})
+
+test('ranks word starts and runs above scattered letters', () => {
+  const items = ['Add a new bookmark', 'Export bookmarks as JSON', 'Show dashboard']
+  expect(fuzzyFilter(items, 'exp', item => item)).toEqual(['Export bookmarks as JSON'])
+  expect(fuzzyFilter(items, 'bo', item => item)[0]).toBe('Add a new bookmark')
+  expect(fuzzyFilter(items, 'sd', item => item)[0]).toBe('Show dashboard')
+})
+
+test('keeps the original order for an empty query', () => {
+  expect(fuzzyFilter(['b', 'a'], '', item => item)).toEqual(['b', 'a'])
+})
@@ -0,0 +1,196 @@
+// Offline support. The bookmark lists the app last loaded and the changes
+// made without a connection are kept in IndexedDB, per user, and the queued
+// changes are sent once the server can be reached again.
+
+import { apiCall } from './api'
+
+const DB_NAME = 'bkmrks'
+const DB_VERSION = 1
+// Saved lists per user; each filter and sort combination is one
+const MAX_SNAPSHOTS = 20
+const USER_KEY = 'bkmrks:user'
+
+let dbPromise = null
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('snapshots', { keyPath: 'key' })
+        request.result.createObjectStore('queues', { keyPath: 'userId' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+  return dbPromise
+}
+
+// Run fn(store) in one transaction and resolve with its request's result
+const withStore = async (name, mode, fn) => {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(name, mode)
+    const request = fn(transaction.objectStore(name))
+    transaction.oncomplete = () => resolve(request ? request.result : undefined)
+    transaction.onerror = () => reject(transaction.error)
+  })
+}
+
+// The signed-in user, so the app can open without reaching /api/auth/me
+export const rememberUser = (user) => {
+  try {
+    if (user) window.localStorage.setItem(USER_KEY, JSON.stringify(user))
+    else window.localStorage.removeItem(USER_KEY)
+  } catch (err) {
+    // Private browsing can refuse storage; offline start just won't work
+  }
+}
+
+export const rememberedUser = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(USER_KEY))
+  } catch (err) {
+    return null
+  }
+}
+
+// Keep a loaded list ({ bookmarks, total, nextCursor }) for when the server
+// can't be reached
+export const saveSnapshot = async (userId, query, data) => {
+  const snapshots = await withStore('snapshots', 'readonly', store => store.getAll())
+  const stale = snapshots
+    .filter(s => s.userId === userId && s.query !== query)
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt))
+    .slice(MAX_SNAPSHOTS - 1)
+
+  await withStore('snapshots', 'readwrite', store => {
+    stale.forEach(s => store.delete(s.key))
+    return store.put({ key: `${userId}?${query}`, userId, query, data, savedAt: new Date().toISOString() })
+  })
+}
+
+// Resolves to { data, savedAt }, or undefined if this list was never loaded
+export const loadSnapshot = (userId, query) =>
+  withStore('snapshots', 'readonly', store => store.get(`${userId}?${query}`))
+
+// Resolves to { changes, conflicts } for the user
+export const readQueue = async (userId) => {
+  const record = await withStore('queues', 'readonly', store => store.get(userId))
+  return record || { changes: [], conflicts: [] }
+}
+
+export const writeQueue = (userId, { changes, conflicts }) =>
+  withStore('queues', 'readwrite', store => store.put({ userId, changes, conflicts }))
+
+// Forget everything kept for the user, e.g. when they sign out
+export const clearOfflineData = async (userId) => {
+  const snapshots = await withStore('snapshots', 'readonly', store => store.getAll())
+  await withStore('snapshots', 'readwrite', store => {
+    snapshots.filter(s => s.userId === userId).forEach(s => store.delete(s.key))
+  })
+  await withStore('queues', 'readwrite', store => store.delete(userId))
+}
+
+// Bookmarks created offline get negative ids until the server assigns one
+export const isPending = (bookmark) => bookmark.id < 0
+
+// The next negative id: below every one still in the queue or its
+// conflicts, so two bookmarks created in the same moment don't share one
+export const temporaryId = ({ changes, conflicts }) =>
+  Math.min(0, ...[...changes, ...conflicts].map(c => c.bookmarkId)) - 1
+
+// Bookmark data as the server takes it, without the pending flag the list
+// shows or an id the server hasn't assigned yet
+export const serverData = ({ pending, ...data }) => {
+  if (!isPending(data)) return data
+  const { id, ...rest } = data
+  return rest
+}
+
+// Add a change ({ type: create|update|delete, bookmarkId, data, version }) to
+// the queue, folding it into an earlier change to the same bookmark so each
+// bookmark is sent once. Returns the new queue.
+export const enqueue = (changes, change) => {
+  const queued = change.data ? { ...change, data: serverData(change.data) } : change
+  const earlier = changes.find(c => c.bookmarkId === change.bookmarkId)
+  if (!earlier) return [...changes, queued]
+
+  const others = changes.filter(c => c !== earlier)
+  if (change.type === 'delete') {
+    // Never reached the server, so there's nothing to delete there
+    if (earlier.type === 'create') return others
+    return [...others, { type: 'delete', bookmarkId: change.bookmarkId }]
+  }
+  if (earlier.type === 'delete') return changes
+
+  // An edit keeps the version the first offline edit started from
+  return changes.map(c => (c === earlier ? { ...earlier, data: { ...earlier.data, ...queued.data } } : c))
+}
+
+// Show queued changes on top of a list from the server or a snapshot
+export const applyQueue = (bookmarks, changes) => {
+  const byId = new Map(changes.map(c => [c.bookmarkId, c]))
+  const created = changes
+    .filter(c => c.type === 'create')
+    .map(c => ({ ...c.data, id: c.bookmarkId, pending: true }))
+
+  return [
+    ...bookmarks
+      .filter(b => !byId.has(b.id) || byId.get(b.id).type !== 'delete')
+      .map(b => (byId.has(b.id) ? { ...b, ...byId.get(b.id).data, pending: true } : b)),
+    ...created.filter(c => !bookmarks.some(b => b.id === c.id))
+  ]
+}
+
+// Send one queued change. An edit is refused if the bookmark changed on the
+// server after the version it started from, unless force is set.
+export const sendChange = (change, { force = false } = {}) => {
+  if (change.type === 'create') {
+    return apiCall('/bookmarks', { method: 'POST', body: JSON.stringify(serverData(change.data)) })
+  }
+  if (change.type === 'update') {
+    return apiCall(`/bookmarks/${change.bookmarkId}`, {
+      method: 'PUT',
+      headers: force ? {} : { 'If-Match': `"${change.version}"` },
+      body: JSON.stringify(serverData(change.data))
+    })
+  }
+  // Already gone is as good as deleted
+  return apiCall(`/bookmarks/${change.bookmarkId}`, { method: 'DELETE' }).catch(err => {
+    if (err.status !== 404) throw err
+  })
+}
+
+// Send queued changes in order with send(change). Stops at the first one that
+// fails for lack of a connection; ones the server refuses become conflicts.
+// Resolves to { changes, conflicts, synced } with the changes still queued.
+export const replayQueue = async (changes, send) => {
+  const remaining = [...changes]
+  const conflicts = []
+  let synced = 0
+
+  while (remaining.length > 0) {
+    const change = remaining[0]
+    try {
+      await send(change)
+      synced++
+    } catch (err) {
+      if (err.offline) break
+      conflicts.push({
+        ...change,
+        status: err.status,
+        error: err.message,
+        current: err.data ? err.data.bookmark : undefined
+      })
+    }
+    remaining.shift()
+  }
+
+  return { changes: remaining, conflicts, synced }
+}
@@ -0,0 +1,83 @@
+import { apiCall } from './api'
+import { enqueue, applyQueue, replayQueue, sendChange, temporaryId } from './offline'
+
+jest.mock('./api', () => ({ apiCall: jest.fn() }))
+
+const update = (bookmarkId, data, version = 1) => ({ type: 'update', bookmarkId, version, data })
+
+test('folds changes to the same bookmark into one', () => {
+  let changes = enqueue([], update(1, { title: 'First' }, 3))
+  changes = enqueue(changes, update(1, { title: 'Second' }, 4))
+  expect(changes).toEqual([update(1, { title: 'Second' }, 3)])
+
+  changes = enqueue(changes, { type: 'delete', bookmarkId: 1 })
+  expect(changes).toEqual([{ type: 'delete', bookmarkId: 1 }])
+})
+
+test('drops a bookmark created and deleted while offline', () => {
+  const changes = enqueue([], { type: 'create', bookmarkId: -5, data: { title: 'New' } })
+  expect(enqueue(changes, { type: 'delete', bookmarkId: -5 })).toEqual([])
+})
+
+test('shows queued changes on top of the list', () => {
+  const bookmarks = [{ id: 1, title: 'One' }, { id: 2, title: 'Two' }]
+  const changes = [
+    update(1, { title: 'Edited' }),
+    { type: 'delete', bookmarkId: 2 },
+    { type: 'create', bookmarkId: -5, data: { title: 'New' } }
+  ]
+
+  expect(applyQueue(bookmarks, changes)).toEqual([
+    { id: 1, title: 'Edited', pending: true },
+    { id: -5, title: 'New', pending: true }
+  ])
+})
+
+test('keeps what could not be sent and reports refused changes', async () => {
+  const offline = Object.assign(new Error('Failed to fetch'), { offline: true })
+  const stale = Object.assign(new Error('Bookmark was changed by someone else'), {
+    status: 412,
+    data: { bookmark: { id: 2, title: 'Theirs' } }
+  })
+  const send = jest.fn()
+    .mockResolvedValueOnce({})
+    .mockRejectedValueOnce(stale)
+    .mockRejectedValueOnce(offline)
+
+  const changes = [update(1, { title: 'A' }), update(2, { title: 'B' }), update(3, { title: 'C' })]
+  const result = await replayQueue(changes, send)
+
+  expect(result.synced).toBe(1)
+  expect(result.changes).toEqual([changes[2]])
+  expect(result.conflicts).toEqual([
+    { ...changes[1], status: 412, error: stale.message, current: { id: 2, title: 'Theirs' } }
+  ])
+})
+
+test('gives each bookmark created offline its own id', () => {
+  const queue = { changes: [], conflicts: [] }
+  const first = temporaryId(queue)
+  queue.changes = enqueue(queue.changes, { type: 'create', bookmarkId: first, data: { title: 'One' } })
+  const second = temporaryId(queue)
+
+  expect(first).toBeLessThan(0)
+  expect(second).toBeLessThan(first)
+  expect(temporaryId({ changes: [], conflicts: [{ type: 'create', bookmarkId: -3 }] })).toBe(-4)
+})
+
+test('replays queued edits of listed bookmarks without the fields only the app uses', async () => {
+  apiCall.mockResolvedValue({})
+  const [listed, created] = applyQueue([{ id: 1, title: 'One', version: 2 }], [
+    { type: 'create', bookmarkId: -1, data: { title: 'New' } }
+  ])
+  let changes = enqueue([], update(1, { ...listed, status: 'read' }, 2))
+  changes = enqueue(changes, { type: 'create', bookmarkId: -2, data: { ...created, title: 'Newer' } })
+
+  const result = await replayQueue(changes, change => sendChange(change))
+
+  expect(result.synced).toBe(2)
+  expect(apiCall).toHaveBeenCalledWith('/bookmarks/1', expect.objectContaining({ method: 'PUT' }))
+  const bodies = apiCall.mock.calls.map(([, options]) => JSON.parse(options.body))
+  expect(bodies[0]).toEqual({ id: 1, title: 'One', version: 2, status: 'read' })
+  expect(bodies[1]).toEqual({ title: 'Newer' })
+})
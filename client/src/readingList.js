@@ -0,0 +1,37 @@
+// The reading list: a bookmark's status and when to be reminded of it.
+
+// Labels for the statuses the server accepts; '' isn't on the reading list
+export const STATUS_LABELS = {
+  unread: 'Unread',
+  reading: 'Reading',
+  done: 'Done',
+  archived: 'Archived'
+}
+
+// Still to be read; what the inbox shows
+export const INBOX_STATUSES = ['unread', 'reading']
+
+const pad = (n) => String(n).padStart(2, '0')
+
+// A stored reminder time as a datetime-local input value, in local time
+export const toLocalInput = (iso) => {
+  if (!iso) return ''
+  const date = new Date(iso)
+  if (Number.isNaN(date.getTime())) return ''
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`
+}
+
+// A datetime-local input value as the time the server stores
+export const fromLocalInput = (value) => {
+  if (!value) return ''
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString()
+}
+
+// Tomorrow at 9, for "remind me tomorrow"
+export const tomorrowMorning = (now = new Date()) => {
+  const date = new Date(now)
+  date.setDate(date.getDate() + 1)
+  date.setHours(9, 0, 0, 0)
+  return date.toISOString()
+}
@@ -0,0 +1,35 @@
+/* eslint-disable no-restricted-globals */
+// Caches the app shell so bkmrks can be installed and opened without a
+// connection. Bookmark data isn't cached here; the app keeps its own copy in
+// IndexedDB (see offline.js). Built by react-scripts in production only.
+import { clientsClaim } from 'workbox-core'
+import { ExpirationPlugin } from 'workbox-expiration'
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching'
+import { registerRoute } from 'workbox-routing'
+import { StaleWhileRevalidate } from 'workbox-strategies'
+
+clientsClaim()
+
+// The build's HTML, scripts and styles
+precacheAndRoute(self.__WB_MANIFEST)
+
+// Page loads get the cached index.html, except the server's own pages: the
+// API (shared collections, saved copies, visit redirects) and the old /r/
+// visit links
+const fileExtension = /\/[^/?]+\.[^/]+$/
+registerRoute(({ request, url }) =>
+  request.mode === 'navigate' &&
+  !url.pathname.startsWith('/api/') &&
+  !url.pathname.startsWith('/r/') &&
+  !fileExtension.test(url.pathname),
+createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+)
+
+// Icons and images from public/
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|ico|svg)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })]
+  })
+)
@@ -0,0 +1,13 @@
+// Registers the service worker from service-worker.js in production builds.
+// Development servers skip it, so changes always show up on reload. A new
+// version takes over once every tab running the old one has been closed.
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch(error => {
+      console.error('Service worker registration failed:', error)
+    })
+  })
+}
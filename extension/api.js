@@ -0,0 +1,56 @@
+// Settings and API calls shared by the popup, options page and background
+// worker. The extension signs in like the command-line client: it keeps the
+// session token from POST /api/auth/login and sends it as a Bearer token.
+
+const SETTINGS_KEY = 'settings'
+
+export const DEFAULT_SERVER = 'http://localhost:3001'
+
+// Resolves to { server, token, username }; token is missing when signed out
+export const getSettings = async () => {
+  const stored = await chrome.storage.local.get(SETTINGS_KEY)
+  return { server: DEFAULT_SERVER, ...stored[SETTINGS_KEY] }
+}
+
+export const saveSettings = (settings) => chrome.storage.local.set({ [SETTINGS_KEY]: settings })
+
+// The origin pattern to ask host permission for, so requests to the server
+// aren't blocked as cross-origin
+export const serverPermission = (server) => `${new URL(server).origin}/*`
+
+// Only pages on the web can be bookmarked, not browser or extension pages
+export const isBookmarkable = (url) => /^https?:\/\//i.test(url || '')
+
+export const apiCall = async (endpoint, options = {}) => {
+  const { server, token } = await getSettings()
+  if (!token) {
+    const error = new Error('Sign in on the options page first')
+    error.status = 401
+    throw error
+  }
+
+  const response = await fetch(`${server.replace(/\/+$/, '')}/api${endpoint}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+      ...options.headers
+    }
+  })
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    const error = new Error(data.error || `HTTP ${response.status}`)
+    error.status = response.status
+    error.data = data
+    throw error
+  }
+  return data
+}
+
+// The bookmark saved for a page, or null
+export const lookupBookmark = async (url) => (await apiCall(`/bookmarks/lookup?url=${encodeURIComponent(url)}`)).bookmark
+
+// Resolves to the new bookmark. Already saved pages reject with status 409
+// and the existing bookmark in error.data.bookmark.
+export const saveBookmark = (bookmark) =>
+  apiCall('/bookmarks', { method: 'POST', body: JSON.stringify(bookmark) })
@@ -0,0 +1,89 @@
+// Background worker: the "Save link to bkmrks" context menu item and the
+// toolbar badge that shows whether the current tab is already bookmarked.
+
+import { apiCall, lookupBookmark, saveBookmark, isBookmarkable } from './api.js'
+
+const MENU_ID = 'save-link'
+// How long a save result stays on the badge before the page status returns
+const FLASH_TIMEOUT = 3000
+
+const SAVED_COLOR = '#16a34a'
+const ERROR_COLOR = '#dc2626'
+
+const setBadge = (tabId, text, title, color) => {
+  chrome.action.setBadgeText({ tabId, text })
+  chrome.action.setTitle({ tabId, title })
+  if (color) chrome.action.setBadgeBackgroundColor({ tabId, color })
+}
+
+// Mark the tab when its page is bookmarked. Signed out, offline or on a page
+// that can't be saved, the badge is just left empty.
+const updateBadge = async (tab) => {
+  if (!tab || !tab.id) return
+  const clear = () => setBadge(tab.id, '', 'Save to bkmrks')
+  if (!isBookmarkable(tab.url)) return clear()
+
+  try {
+    const bookmark = await lookupBookmark(tab.url)
+    if (bookmark) setBadge(tab.id, '✓', `Bookmarked as "${bookmark.title}"`, SAVED_COLOR)
+    else clear()
+  } catch (error) {
+    clear()
+  }
+}
+
+const updateActiveBadge = async () => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
+  await updateBadge(tab)
+}
+
+// Show the outcome of a context menu save for a moment
+const flash = (tab, text, title, color) => {
+  setBadge(tab.id, text, title, color)
+  setTimeout(() => updateBadge(tab), FLASH_TIMEOUT)
+}
+
+const saveLink = async (info, tab) => {
+  try {
+    const url = info.linkUrl
+    // Firefox passes the link text; Chrome only the selection, if any
+    const title = (info.linkText || info.selectionText || '').trim() || url
+    let metadata = {}
+    try {
+      metadata = await apiCall('/metadata', { method: 'POST', body: JSON.stringify({ url }) })
+    } catch (error) {
+      // Saved with what the link itself says
+    }
+
+    await saveBookmark({
+      url,
+      title: metadata.title || title,
+      description: metadata.description || '',
+      image: metadata.image || '',
+      favicon: metadata.favicon || ''
+    })
+    flash(tab, '+', `Saved ${url}`, SAVED_COLOR)
+  } catch (error) {
+    if (error.status === 409) flash(tab, '✓', `Already bookmarked as "${error.data.bookmark.title}"`, SAVED_COLOR)
+    else flash(tab, '!', `Couldn't save link: ${error.message}`, ERROR_COLOR)
+  }
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({ id: MENU_ID, title: 'Save link to bkmrks', contexts: ['link'] })
+})
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === MENU_ID) saveLink(info, tab)
+})
+
+chrome.tabs.onActivated.addListener(() => updateActiveBadge())
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url || changeInfo.status === 'complete') updateBadge(tab)
+})
+
+// The popup saved the page, or the options page signed in or out
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.type === 'refresh-badge') updateActiveBadge()
+})
@@ -0,0 +1,68 @@
+// Options page: choose the server and sign in. The password is only sent to
+// the server; the extension keeps the session token it answers with.
+
+import { apiCall, getSettings, saveSettings, serverPermission } from './api.js'
+
+const $ = (id) => document.getElementById(id)
+
+const showStatus = (message, isError = false) => {
+  $('status').textContent = message
+  $('status').className = isError ? 'error' : ''
+}
+
+const render = async () => {
+  const settings = await getSettings()
+  $('signed-in').hidden = !settings.token
+  $('sign-in-form').hidden = Boolean(settings.token)
+  $('account').textContent = `Signed in to ${settings.server} as ${settings.username}.`
+  $('server').value = settings.server
+  $('username').value = settings.username || ''
+  $('password').value = ''
+}
+
+$('sign-in-form').addEventListener('submit', async (event) => {
+  event.preventDefault()
+  let server
+  try {
+    server = new URL($('server').value.trim()).origin
+  } catch (error) {
+    showStatus('Enter the address of your bkmrks server, like https://bookmarks.example.com', true)
+    return
+  }
+
+  // Asked first, while the click still counts as the user's
+  const granted = await chrome.permissions.request({ origins: [serverPermission(server)] })
+  if (!granted) {
+    showStatus('The extension needs access to the server to save bookmarks there.', true)
+    return
+  }
+
+  try {
+    showStatus('Signing in...')
+    const response = await fetch(`${server}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: $('username').value.trim(), password: $('password').value })
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`)
+
+    await saveSettings({ server, token: data.token, username: data.user.username })
+    showStatus('')
+    chrome.runtime.sendMessage({ type: 'refresh-badge' })
+    render()
+  } catch (error) {
+    showStatus(`Couldn't sign in: ${error.message}`, true)
+  }
+})
+
+$('sign-out').addEventListener('click', async () => {
+  const { server } = await getSettings()
+  // Forget the token even if the server can't be told
+  await apiCall('/auth/logout', { method: 'POST' }).catch(() => {})
+  await saveSettings({ server })
+  chrome.runtime.sendMessage({ type: 'refresh-badge' })
+  render()
+})
+
+render()
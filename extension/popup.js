@@ -0,0 +1,103 @@
+// Toolbar popup: save the active tab, with its title and any selected text
+// filled in and the user's categories offered as suggestions.
+
+import { apiCall, getSettings, lookupBookmark, saveBookmark, isBookmarkable } from './api.js'
+
+const $ = (id) => document.getElementById(id)
+
+let tab = null
+
+const showStatus = (message, isError = false) => {
+  $('status').textContent = message
+  $('status').className = isError ? 'error' : ''
+}
+
+// Text selected on the page, or '' where scripts can't run
+const selectedText = async (tabId) => {
+  try {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => window.getSelection().toString()
+    })
+    return (result && result.result ? result.result : '').trim()
+  } catch (error) {
+    return ''
+  }
+}
+
+// Most used first, so the likeliest one is at the top of the list
+const loadCategories = async () => {
+  try {
+    const categories = await apiCall('/categories')
+    $('categories').replaceChildren(...categories
+      .sort((a, b) => b.count - a.count)
+      .map(category => Object.assign(document.createElement('option'), { value: category.name })))
+  } catch (error) {
+    // Typing a category still works
+  }
+}
+
+const showExisting = (bookmark) => {
+  $('existing').textContent = `Already bookmarked as "${bookmark.title}"${bookmark.category ? ` in ${bookmark.category}` : ''}.`
+  $('existing').hidden = false
+}
+
+const init = async () => {
+  const { token } = await getSettings()
+  if (!token) {
+    $('signed-out').hidden = false
+    $('open-options').addEventListener('click', () => chrome.runtime.openOptionsPage())
+    return
+  }
+
+  const tabs = await chrome.tabs.query({ active: true, currentWindow: true })
+  tab = tabs[0]
+  $('save-form').hidden = false
+  $('title').value = tab.title || ''
+  $('url').value = tab.url || ''
+  $('description').value = await selectedText(tab.id)
+  loadCategories()
+
+  if (!isBookmarkable(tab.url)) {
+    showStatus('Only web pages can be bookmarked.', true)
+    $('save').disabled = true
+    return
+  }
+
+  try {
+    const bookmark = await lookupBookmark(tab.url)
+    if (bookmark) showExisting(bookmark)
+  } catch (error) {
+    showStatus(`Couldn't reach the server: ${error.message}`, true)
+  }
+}
+
+$('save-form').addEventListener('submit', async (event) => {
+  event.preventDefault()
+  $('save').disabled = true
+  showStatus('Saving...')
+
+  try {
+    const bookmark = await saveBookmark({
+      title: $('title').value.trim(),
+      url: $('url').value.trim(),
+      description: $('description').value.trim(),
+      category: $('category').value.trim(),
+      tags: $('tags').value.split(',').map(tag => tag.trim()).filter(Boolean),
+      favicon: tab.favIconUrl || ''
+    })
+    showStatus(`Saved "${bookmark.title}".`)
+    chrome.runtime.sendMessage({ type: 'refresh-badge' })
+    setTimeout(() => window.close(), 800)
+  } catch (error) {
+    if (error.status === 409) {
+      showExisting(error.data.bookmark)
+      showStatus('')
+      return
+    }
+    showStatus(`Couldn't save: ${error.message}`, true)
+    $('save').disabled = false
+  }
+})
+
+init()
@@ -0,0 +1,250 @@
+// Save a readable copy of a page: find the main article, keep only safe
+// markup and pull out the text for search
+
+const { decodeEntities, escapeHtml, parseAttributes } = require('./html')
+const { parseMetadata } = require('./metadata')
+const { fetchPage } = require('./fetcher')
+
+const MAX_PAGE_BYTES = 5 * 1024 * 1024
+const ARCHIVE_TIMEOUT = 15000
+// Below this much text an <article> or <main> is probably a teaser
+const MIN_ARTICLE_LENGTH = 200
+const MAX_TEXT_LENGTH = 200 * 1024
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'])
+
+// Their contents are text, not markup
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'noscript', 'textarea', 'title'])
+
+// Never part of the article; dropped along with everything inside
+const DROP_TAGS = new Set([
+  'head', 'script', 'style', 'noscript', 'template', 'title', 'iframe', 'frame', 'object', 'embed',
+  'form', 'button', 'input', 'select', 'textarea', 'nav', 'aside', 'footer', 'svg', 'canvas',
+  'video', 'audio', 'dialog', 'menu'
+])
+
+// Kept in the snapshot with these attributes; any other element is replaced
+// by its contents
+const ALLOWED_TAGS = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title'],
+  blockquote: ['cite'],
+  abbr: ['title'],
+  time: ['datetime'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan'],
+  ...Object.fromEntries([
+    'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'pre', 'code',
+    'em', 'strong', 'b', 'i', 'u', 's', 'sub', 'sup', 'small', 'mark', 'q', 'cite', 'br', 'hr',
+    'figure', 'figcaption', 'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr'
+  ].map(tag => [tag, []]))
+}
+
+// Block elements separate words in the extracted text and close an open <p>
+const BLOCK_TAGS = ['p', 'div', 'ul', 'ol', 'dl', 'table', 'pre', 'blockquote', 'section', 'article', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'figure', 'hr']
+
+// Open elements that a new tag implicitly closes, as browsers do for <p>a<p>b
+const IMPLIED_END = {
+  li: ['li'],
+  dt: ['dt', 'dd'],
+  dd: ['dt', 'dd'],
+  tr: ['tr', 'td', 'th'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  ...Object.fromEntries(BLOCK_TAGS.map(tag => [tag, ['p']]))
+}
+
+// A forgiving parser into { tag, attrs, children, parent } nodes with text
+// as plain strings. Good enough for real-world pages; not a spec parser.
+const parseHtml = (html) => {
+  const root = { tag: '#root', attrs: {}, children: [], parent: null }
+  const lower = html.toLowerCase()
+  const pattern = /<!--[\s\S]*?-->|<![^>]*>|<\/?([a-zA-Z][a-zA-Z0-9-]*)([^>]*)>|[^<]+|</g
+  let current = root
+  let match
+
+  while ((match = pattern.exec(html)) !== null) {
+    const [token, name, rest] = match
+
+    if (!name) {
+      // Comments and doctypes are dropped; a lone < is text
+      if (token[0] !== '<' || token === '<') current.children.push(decodeEntities(token))
+      continue
+    }
+
+    const tag = name.toLowerCase()
+
+    if (token[1] === '/') {
+      // Close the nearest open element with this name and ignore strays
+      let node = current
+      while (node !== root && node.tag !== tag) node = node.parent
+      if (node !== root) current = node.parent
+      continue
+    }
+
+    if (IMPLIED_END[tag] && IMPLIED_END[tag].includes(current.tag)) current = current.parent
+
+    const element = { tag, attrs: parseAttributes(rest), children: [], parent: current }
+    current.children.push(element)
+
+    if (RAW_TEXT_TAGS.has(tag)) {
+      const end = lower.indexOf(`</${tag}`, pattern.lastIndex)
+      const stop = end === -1 ? html.length : end
+      element.children.push(html.slice(pattern.lastIndex, stop))
+      const close = html.indexOf('>', stop)
+      pattern.lastIndex = close === -1 ? html.length : close + 1
+    } else if (!VOID_TAGS.has(tag) && !rest.trim().endsWith('/')) {
+      current = element
+    }
+  }
+
+  return root
+}
+
+const findAll = (node, test, found = []) => {
+  node.children.forEach(child => {
+    if (typeof child === 'string') return
+    if (test(child)) found.push(child)
+    findAll(child, test, found)
+  })
+  return found
+}
+
+const textOf = (node) => {
+  if (typeof node === 'string') return node
+  if (DROP_TAGS.has(node.tag)) return ''
+  if (node.tag === 'br') return ' '
+  const text = node.children.map(textOf).join('')
+  // Keep words in neighbouring blocks apart
+  return BLOCK_TAGS.includes(node.tag) || node.tag === 'li' ? ` ${text} ` : text
+}
+
+const textLength = (node) => textOf(node).replace(/\s+/g, ' ').trim().length
+
+// Prefer an explicit <article> or <main>. Otherwise pick the element whose
+// paragraphs hold the most text, giving half credit to the grandparent so
+// an article split into sections still wins.
+const findMainContent = (root) => {
+  const marked = findAll(root, node => node.tag === 'article' || node.tag === 'main' || node.attrs.role === 'main')
+  const articles = marked.filter(node => node.tag === 'article')
+  const candidates = (articles.length ? articles : marked).filter(node => textLength(node) >= MIN_ARTICLE_LENGTH)
+  if (candidates.length) {
+    return candidates.reduce((best, node) => (textLength(node) > textLength(best) ? node : best))
+  }
+
+  const scores = new Map()
+  findAll(root, node => node.tag === 'p').forEach(paragraph => {
+    const length = textLength(paragraph)
+    if (length < 25) return
+    const { parent } = paragraph
+    scores.set(parent, (scores.get(parent) || 0) + length)
+    if (parent.parent) scores.set(parent.parent, (scores.get(parent.parent) || 0) + length / 2)
+  })
+
+  let best = null
+  scores.forEach((score, node) => {
+    if (node !== root && (!best || score > scores.get(best))) best = node
+  })
+
+  return best || findAll(root, node => node.tag === 'body')[0] || root
+}
+
+// Absolute http(s) or mailto URL, or '' for anything else (javascript: etc.)
+const safeUrl = (value, baseUrl, protocols = ['http:', 'https:']) => {
+  try {
+    const url = new URL(value.trim(), baseUrl)
+    return protocols.includes(url.protocol) ? url.href : ''
+  } catch (error) {
+    return ''
+  }
+}
+
+const serialize = (node, baseUrl) => {
+  if (typeof node === 'string') return escapeHtml(node)
+  if (DROP_TAGS.has(node.tag)) return ''
+
+  const inner = node.children.map(child => serialize(child, baseUrl)).join('')
+  const allowed = ALLOWED_TAGS[node.tag]
+  if (!allowed) return inner
+
+  const attrs = { ...node.attrs }
+  // Lazy-loaded images keep the real address in data-src
+  if (node.tag === 'img') attrs.src = attrs.src || attrs['data-src'] || ''
+  if (node.tag === 'a' && attrs.href) attrs.href = safeUrl(attrs.href, baseUrl, ['http:', 'https:', 'mailto:'])
+  if (node.tag === 'img') attrs.src = safeUrl(attrs.src, baseUrl)
+  if (node.tag === 'blockquote' && attrs.cite) attrs.cite = safeUrl(attrs.cite, baseUrl)
+
+  if (node.tag === 'img' && !attrs.src) return ''
+
+  let attributes = allowed
+    .filter(name => attrs[name])
+    .map(name => ` ${name}="${escapeHtml(attrs[name])}"`)
+    .join('')
+  if (node.tag === 'a' && attrs.href) attributes += ' target="_blank" rel="noopener noreferrer"'
+
+  if (VOID_TAGS.has(node.tag)) return `<${node.tag}${attributes}>`
+  return `<${node.tag}${attributes}>${inner}</${node.tag}>`
+}
+
+// Returns { title, html, text } for a page's main content
+const extractArticle = (html, baseUrl) => {
+  const root = parseHtml(html)
+  const main = findMainContent(root)
+
+  return {
+    title: parseMetadata(html, baseUrl).title,
+    html: serialize(main, baseUrl).trim(),
+    text: textOf(main).replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH)
+  }
+}
+
+// Fetch url and resolve to { url, title, html, text, truncated }. Rejects with
+// the fetcher's codes, HTTP_ERROR (with .status) or NOT_HTML.
+const archivePage = async (url, options = {}) => {
+  const page = await fetchPage(url, { timeout: ARCHIVE_TIMEOUT, maxBytes: MAX_PAGE_BYTES, ...options })
+
+  if (!page.ok) {
+    const error = new Error(`Page responded with HTTP ${page.status}`)
+    error.code = 'HTTP_ERROR'
+    error.status = page.status
+    throw error
+  }
+
+  if (!/html/i.test(page.headers.get('content-type') || '')) {
+    const error = new Error('Only HTML pages can be archived')
+    error.code = 'NOT_HTML'
+    throw error
+  }
+
+  return { url: page.url, ...extractArticle(page.body, page.url), truncated: page.truncated }
+}
+
+const READER_STYLES = `
+  body { max-width: 42rem; margin: 2rem auto; padding: 0 1rem; font: 18px/1.6 Georgia, serif; color: #1f2937; }
+  img { max-width: 100%; height: auto; }
+  pre { overflow: auto; padding: 1rem; background: #f3f4f6; }
+  a { color: #4f46e5; }
+  .archive-note { padding-bottom: 1rem; border-bottom: 1px solid #e5e7eb; font: 14px system-ui, sans-serif; color: #6b7280; }
+`
+
+// A standalone page for reading a stored archive
+const renderArchive = ({ title, url, html, archivedAt }) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title || url)}</title>
+<style>${READER_STYLES}</style>
+</head>
+<body>
+<p class="archive-note">Saved copy of <a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(url)}</a>, taken ${escapeHtml(new Date(archivedAt).toUTCString())}</p>
+${html}
+</body>
+</html>
+`
+
+module.exports = {
+  archivePage,
+  extractArticle,
+  renderArchive
+}
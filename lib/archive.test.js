@@ -0,0 +1,108 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const http = require('http')
+const { archivePage, extractArticle } = require('./archive')
+
+const ARTICLE = `<!doctype html>
+<html>
+<head>
+  <title>Fixture Article</title>
+  <script>window.tracking = '<p>not content</p>'</script>
+  <style>p { color: red }</style>
+</head>
+<body>
+  <nav><a href="/">Home</a> <a href="/about">About</a></nav>
+  <div class="sidebar"><p>Subscribe to our newsletter for weekly updates!</p></div>
+  <article>
+    <h1>Why fixtures matter</h1>
+    <p>Tests that reach out to the internet are slow and flaky, so this one talks to a server on localhost instead.</p>
+    <p onclick="steal()">Here is a <a href="/docs/guide">relative link</a>, a <a href="javascript:alert(1)">bad link</a>
+      and an image: <img src="/img/diagram.png" alt="Diagram" onerror="steal()"></p>
+    <p>Lazy images <img data-src="lazy.png" alt="Lazy"> still show up.<br>Line two.
+    <p>Unclosed paragraphs are closed the way browsers close them, and <b>bold</b> text survives.</p>
+    <iframe src="https://ads.example/"></iframe>
+    <form><input name="q"></form>
+  </article>
+  <footer>Copyright and other boilerplate</footer>
+</body>
+</html>`
+
+const NO_ARTICLE = `<html><body>
+<div id="menu"><p>Menu</p></div>
+<div id="content">
+  <p>The first paragraph of a page without article or main elements, which is long enough to count.</p>
+  <p>A second paragraph, so this container clearly holds the most text on the page.</p>
+</div>
+<div id="comments"><p>Nice post!</p></div>
+</body></html>`
+
+// The stubs listen on localhost, which fetches refuse unless allowed
+const LOCAL = { allowPrivateNetwork: true }
+
+// Local stand-in for the web so the tests never touch the network
+const startFixtures = () => new Promise(resolve => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/article') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+      res.end(ARTICLE)
+    } else if (req.url === '/old') {
+      res.writeHead(301, { Location: '/article' })
+      res.end()
+    } else if (req.url === '/gone') {
+      res.writeHead(410, { 'Content-Type': 'text/html' })
+      res.end('<p>Gone</p>')
+    } else {
+      res.writeHead(200, { 'Content-Type': 'application/pdf' })
+      res.end('%PDF-1.4')
+    }
+  })
+  server.listen(0, '127.0.0.1', () => resolve(server))
+})
+
+test('archivePage', async (t) => {
+  const server = await startFixtures()
+  const base = `http://127.0.0.1:${server.address().port}`
+  t.after(() => server.close())
+
+  await t.test('keeps the article and drops scripts, navigation and forms', async () => {
+    const archive = await archivePage(`${base}/article`, LOCAL)
+
+    assert.strictEqual(archive.title, 'Fixture Article')
+    assert.match(archive.html, /^<h1>Why fixtures matter<\/h1>/)
+    assert.match(archive.html, /<b>bold<\/b> text survives/)
+    assert.doesNotMatch(archive.html, /script|style|iframe|<form|<input|newsletter|Copyright|onclick|onerror/i)
+  })
+
+  await t.test('makes links and images absolute and removes unsafe ones', async () => {
+    const { html } = await archivePage(`${base}/article`, LOCAL)
+
+    assert.match(html, new RegExp(`<a href="${base}/docs/guide" target="_blank" rel="noopener noreferrer">relative link</a>`))
+    assert.match(html, /<a>bad link<\/a>/)
+    assert.match(html, new RegExp(`<img src="${base}/img/diagram.png" alt="Diagram">`))
+    assert.match(html, new RegExp(`<img src="${base}/lazy.png" alt="Lazy">`))
+  })
+
+  await t.test('extracts plain text for search', async () => {
+    const { text } = await archivePage(`${base}/article`, LOCAL)
+
+    assert.match(text, /^Why fixtures matter Tests that reach out/)
+    assert.match(text, /still show up\. Line two\./)
+    assert.doesNotMatch(text, /tracking|newsletter|Copyright/)
+  })
+
+  await t.test('follows redirects and reports the final URL', async () => {
+    const archive = await archivePage(`${base}/old`, LOCAL)
+    assert.strictEqual(archive.url, `${base}/article`)
+  })
+
+  await t.test('rejects error pages and non-HTML documents', async () => {
+    await assert.rejects(archivePage(`${base}/gone`, LOCAL), { code: 'HTTP_ERROR', status: 410 })
+    await assert.rejects(archivePage(`${base}/paper.pdf`, LOCAL), { code: 'NOT_HTML' })
+  })
+})
+
+test('extractArticle picks the container with the most paragraph text', () => {
+  const { html } = extractArticle(NO_ARTICLE, 'https://example.com/')
+  assert.match(html, /^<p>The first paragraph/)
+  assert.doesNotMatch(html, /Menu|Nice post/)
+})
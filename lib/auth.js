@@ -0,0 +1,200 @@
+// Password hashing, login sessions and the middleware that guards the API
+
+const crypto = require('crypto')
+const { promisify } = require('util')
+const { hashToken, isApiToken, isExpired, scopeAllows } = require('./tokens')
+
+const scrypt = promisify(crypto.scrypt)
+
+const SESSION_COOKIE = 'bkmrks_session'
+const SESSION_DAYS = 30
+// A token's last use is saved at most this often, not on every request
+const TOKEN_USE_INTERVAL = 60 * 60 * 1000
+const KEY_LENGTH = 64
+
+// Stored as scrypt$<salt>$<hash>, both hex encoded
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex')
+  const hash = await scrypt(password, salt, KEY_LENGTH)
+  return `scrypt$${salt}$${hash.toString('hex')}`
+}
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored || '').split('$')
+  if (scheme !== 'scrypt' || !salt || !hash) return false
+
+  const expected = Buffer.from(hash, 'hex')
+  const actual = await scrypt(password, salt, expected.length)
+  return crypto.timingSafeEqual(expected, actual)
+}
+
+// A malformed escape in someone else's cookie on the same host mustn't throw,
+// so such values are kept as sent
+const decodeCookie = (value) => {
+  try {
+    return decodeURIComponent(value)
+  } catch (error) {
+    return value
+  }
+}
+
+const parseCookies = (header) =>
+  String(header || '').split(';').reduce((cookies, part) => {
+    const index = part.indexOf('=')
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeCookie(part.slice(index + 1).trim())
+    }
+    return cookies
+  }, {})
+
+// Bearer token for scripts, session cookie for the browser app
+const tokenFromRequest = (req) => {
+  const header = req.headers.authorization || ''
+  if (header.startsWith('Bearer ')) return header.slice(7).trim()
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null
+}
+
+const publicUser = (user) => ({ id: user.id, username: user.username, createdAt: user.createdAt })
+
+const createAuth = ({ storage, createId }) => {
+  const createSession = async (user) => {
+    const token = crypto.randomBytes(32).toString('base64url')
+    const now = Date.now()
+    const session = {
+      tokenHash: hashToken(token),
+      userId: user.id,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + SESSION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    }
+
+    // Drop expired sessions while we're writing anyway
+    await storage.update('sessions', sessions => [
+      ...sessions.filter(s => s.expiresAt > new Date(now).toISOString()),
+      session
+    ])
+
+    return { token, expiresAt: session.expiresAt }
+  }
+
+  const destroySession = async (token) => {
+    const tokenHash = hashToken(token)
+    await storage.update('sessions', sessions => sessions.filter(s => s.tokenHash !== tokenHash))
+  }
+
+  // Only a hash of each session token is stored, so a leaked sessions file
+  // can't be used to sign in
+  const findUserByToken = async (token) => {
+    const tokenHash = hashToken(token)
+    const sessions = await storage.read('sessions')
+    const session = sessions.find(s => s.tokenHash === tokenHash)
+    if (!session || session.expiresAt <= new Date().toISOString()) return null
+
+    const users = await storage.read('users')
+    return users.find(u => u.id === session.userId) || null
+  }
+
+  // Resolves to { user, apiToken } for a personal access token that hasn't
+  // expired or been revoked, or null
+  const findUserByApiToken = async (token) => {
+    const tokenHash = hashToken(token)
+    const apiToken = (await storage.read('tokens')).find(t => t.tokenHash === tokenHash)
+    if (!apiToken || isExpired(apiToken)) return null
+
+    const users = await storage.read('users')
+    const user = users.find(u => u.id === apiToken.userId)
+    if (!user) return null
+
+    const now = new Date()
+    if (!apiToken.lastUsedAt || now - new Date(apiToken.lastUsedAt) > TOKEN_USE_INTERVAL) {
+      await storage.update('tokens', tokens => {
+        const stored = tokens.find(t => t.id === apiToken.id)
+        if (!stored) return undefined
+        stored.lastUsedAt = now.toISOString()
+        return tokens
+      })
+    }
+
+    return { user, apiToken }
+  }
+
+  const findUserByName = async (username) => {
+    const users = await storage.read('users')
+    return users.find(u => u.username === String(username || '').trim().toLowerCase()) || null
+  }
+
+  // Resolves to { user } or { error } when the name is taken
+  const registerUser = async (username, password) => {
+    const name = String(username).trim().toLowerCase()
+    const passwordHash = await hashPassword(password)
+    let user = null
+
+    await storage.update('users', users => {
+      if (users.some(u => u.username === name)) return undefined
+      user = { id: createId(), username: name, passwordHash, createdAt: new Date().toISOString() }
+      return [...users, user]
+    })
+
+    return user ? { user } : { error: 'Username is already taken' }
+  }
+
+  const authenticate = async (username, password) => {
+    const user = await findUserByName(username)
+    if (!user || !(await verifyPassword(password, user.passwordHash))) return null
+    return user
+  }
+
+  // Express middleware: sets req.user or answers 401. Requests made with a
+  // personal access token also get req.apiToken, and a read token trying to
+  // change something is answered with 403.
+  const requireAuth = async (req, res, next) => {
+    try {
+      const token = tokenFromRequest(req)
+      let found = null
+      if (token && isApiToken(token)) found = await findUserByApiToken(token)
+      else if (token) found = { user: await findUserByToken(token) }
+
+      if (!found || !found.user) {
+        return res.status(401).json({ error: 'Authentication required' })
+      }
+
+      if (found.apiToken && !scopeAllows(found.apiToken.scope, req.method)) {
+        return res.status(403).json({ error: 'This token can only read' })
+      }
+
+      req.user = found.user
+      req.apiToken = found.apiToken
+      next()
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to check authentication' })
+    }
+  }
+
+  const setSessionCookie = (req, res, session) => {
+    res.cookie(SESSION_COOKIE, session.token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      expires: new Date(session.expiresAt),
+      path: '/'
+    })
+  }
+
+  const clearSessionCookie = (res) => res.clearCookie(SESSION_COOKIE, { path: '/' })
+
+  return {
+    registerUser,
+    authenticate,
+    createSession,
+    destroySession,
+    requireAuth,
+    setSessionCookie,
+    clearSessionCookie,
+    tokenFromRequest
+  }
+}
+
+module.exports = {
+  createAuth,
+  parseCookies,
+  publicUser
+}
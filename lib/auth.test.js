@@ -0,0 +1,83 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs').promises
+const os = require('os')
+const path = require('path')
+const { createAuth, parseCookies } = require('./auth')
+const { createStorage } = require('./storage')
+
+test('parseCookies reads name=value pairs and decodes them', () => {
+  assert.deepStrictEqual(parseCookies('a=1; bkmrks_session=abc%2Fdef ;b=x=y'), { a: '1', bkmrks_session: 'abc/def', b: 'x=y' })
+  assert.deepStrictEqual(parseCookies(undefined), {})
+  assert.deepStrictEqual(parseCookies('novalue'), {})
+})
+
+test('parseCookies keeps a malformed value as sent instead of throwing', () => {
+  assert.deepStrictEqual(parseCookies('tracker=100%; bkmrks_session=token'), { tracker: '100%', bkmrks_session: 'token' })
+  assert.deepStrictEqual(parseCookies('bad=%E0%A4%A'), { bad: '%E0%A4%A' })
+})
+
+// createAuth against a JSON store in a temp dir
+const withAuth = async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bkmrks-auth-'))
+  t.after(() => fs.rm(dir, { recursive: true, force: true }))
+  const storage = createStorage({ backend: 'json', dir })
+  await storage.init()
+  let id = 0
+  return { storage, auth: createAuth({ storage, createId: () => ++id }) }
+}
+
+// Runs requireAuth; resolves to { status, user } for what it decided
+const authorize = (auth, headers, method = 'GET') => new Promise(resolve => {
+  const req = { headers, method }
+  const res = {
+    status: (status) => ({ json: () => resolve({ status }) })
+  }
+  auth.requireAuth(req, res, () => resolve({ status: 200, user: req.user }))
+})
+
+test('registers users once per name and checks their passwords', async (t) => {
+  const { storage, auth } = await withAuth(t)
+
+  const { user } = await auth.registerUser(' Alice ', 'password123')
+  assert.strictEqual(user.username, 'alice')
+  assert.deepStrictEqual(await auth.registerUser('ALICE', 'other-password'), { error: 'Username is already taken' })
+
+  const [stored] = await storage.read('users')
+  assert.match(stored.passwordHash, /^scrypt\$[0-9a-f]+\$[0-9a-f]+$/)
+  assert.ok(!stored.passwordHash.includes('password123'))
+
+  assert.strictEqual((await auth.authenticate('alice', 'password123')).id, user.id)
+  assert.strictEqual(await auth.authenticate('alice', 'wrong-password'), null)
+  assert.strictEqual(await auth.authenticate('bob', 'password123'), null)
+})
+
+test('requireAuth accepts a live session by header or cookie, and nothing else', async (t) => {
+  const { storage, auth } = await withAuth(t)
+  const { user } = await auth.registerUser('alice', 'password123')
+  const session = await auth.createSession(user)
+
+  // Only the hash is stored
+  const [stored] = await storage.read('sessions')
+  assert.notStrictEqual(stored.tokenHash, session.token)
+
+  assert.strictEqual((await authorize(auth, { authorization: `Bearer ${session.token}` })).user.id, user.id)
+  assert.strictEqual((await authorize(auth, { cookie: `bkmrks_session=${session.token}` })).user.id, user.id)
+  assert.strictEqual((await authorize(auth, {})).status, 401)
+  assert.strictEqual((await authorize(auth, { authorization: 'Bearer made-up' })).status, 401)
+
+  await auth.destroySession(session.token)
+  assert.strictEqual((await authorize(auth, { authorization: `Bearer ${session.token}` })).status, 401)
+})
+
+test('expired sessions are refused and cleared out by the next sign-in', async (t) => {
+  const { storage, auth } = await withAuth(t)
+  const { user } = await auth.registerUser('alice', 'password123')
+  const session = await auth.createSession(user)
+
+  await storage.update('sessions', sessions => sessions.map(s => ({ ...s, expiresAt: new Date(Date.now() - 1000).toISOString() })))
+  assert.strictEqual((await authorize(auth, { authorization: `Bearer ${session.token}` })).status, 401)
+
+  await auth.createSession(user)
+  assert.strictEqual((await storage.read('sessions')).length, 1)
+})
@@ -0,0 +1,148 @@
+// Snapshots of each user's bookmarks, folders and trash, taken on a schedule
+// and before anything that throws data away. They are plain files beside the
+// storage, whichever backend it is: <dir>/<userId>/<id>.json for each
+// snapshot, and an index.json listing them so the list doesn't read them all.
+
+const fs = require('fs').promises
+const path = require('path')
+const crypto = require('crypto')
+
+// Fields compared when diffing a snapshot against the current bookmarks
+const DIFF_FIELDS = ['title', 'url', 'category', 'description', 'tags', 'notes', 'status', 'remindAt', 'parentId']
+
+// Ids are the snapshot time, safe in file names; a number is added when two
+// land in the same millisecond
+const isBackupId = (value) => /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z(-\d+)?$/.test(value)
+
+const hashData = (data) => crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex')
+
+const writeAtomic = async (file, value) => {
+  const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`
+  await fs.writeFile(tempFile, JSON.stringify(value))
+  await fs.rename(tempFile, file)
+}
+
+// retentionDays: snapshots older than this are deleted, though the newest is
+// always kept
+const createBackupStore = ({ dir, retentionDays = 30 }) => {
+  const locks = new Map()
+
+  const userDir = (userId) => path.join(dir, String(userId))
+  const indexFile = (userId) => path.join(userDir(userId), 'index.json')
+
+  // One change to a user's snapshots at a time
+  const withLock = (userId, task) => {
+    const current = (locks.get(userId) || Promise.resolve()).then(task, task)
+    const settled = current.catch(() => {})
+    locks.set(userId, settled)
+    settled.then(() => {
+      if (locks.get(userId) === settled) locks.delete(userId)
+    })
+    return current
+  }
+
+  const readIndex = async (userId) => {
+    try {
+      return JSON.parse(await fs.readFile(indexFile(userId), 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+  }
+
+  // Drop snapshots past the retention period. Resolves to the index kept.
+  const prune = async (userId, index, now) => {
+    const cutoff = new Date(now - retentionDays * 24 * 60 * 60 * 1000).toISOString()
+    const expired = index.slice(0, -1).filter(b => b.createdAt < cutoff)
+    if (expired.length === 0) return index
+
+    const kept = index.filter(b => !expired.includes(b))
+    await writeAtomic(indexFile(userId), kept)
+    await Promise.all(expired.map(b => fs.rm(path.join(userDir(userId), `${b.id}.json`), { force: true })))
+    return kept
+  }
+
+  // Save data { bookmarks, folders, trash } as a snapshot. reason says why,
+  // e.g. scheduled, manual or import. With skipUnchanged, nothing is saved
+  // if it matches the newest snapshot. Resolves to the snapshot's details,
+  // or null when skipped.
+  const create = (userId, data, reason, { skipUnchanged = false } = {}) => withLock(userId, async () => {
+    const now = Date.now()
+    const hash = hashData(data)
+    let index = await readIndex(userId)
+
+    if (skipUnchanged && index.length > 0 && index[index.length - 1].hash === hash) return null
+
+    const base = new Date(now).toISOString().replace(/[:.]/g, '-')
+    let id = base
+    for (let n = 2; index.some(b => b.id === id); n++) id = `${base}-${n}`
+
+    const backup = {
+      id,
+      reason,
+      createdAt: new Date(now).toISOString(),
+      bookmarks: data.bookmarks.length,
+      folders: data.folders.length,
+      trash: data.trash.length,
+      hash
+    }
+
+    await fs.mkdir(userDir(userId), { recursive: true })
+    await writeAtomic(path.join(userDir(userId), `${id}.json`), { ...backup, data })
+    index = [...index, backup]
+    await writeAtomic(indexFile(userId), index)
+    await prune(userId, index, now)
+    return backup
+  })
+
+  // The user's snapshots, newest first
+  const list = async (userId) => (await readIndex(userId)).slice().reverse()
+
+  // Resolves to { ...details, data }, or null for an unknown id
+  const read = async (userId, id) => {
+    if (!isBackupId(id)) return null
+    try {
+      return JSON.parse(await fs.readFile(path.join(userDir(userId), `${id}.json`), 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+  }
+
+  // Apply the retention period without taking a snapshot
+  const expire = (userId) => withLock(userId, async () => prune(userId, await readIndex(userId), Date.now()))
+
+  return { create, list, read, expire }
+}
+
+const summary = (bookmark) => ({ id: bookmark.id, title: bookmark.title, url: bookmark.url })
+
+// What restoring snapshot bookmarks over the current ones would do: which
+// come back, which go away and which change (and in which fields)
+const diffBackup = (snapshot, current) => {
+  const currentById = new Map(current.map(b => [b.id, b]))
+  const snapshotIds = new Set(snapshot.map(b => b.id))
+  const restored = []
+  const changed = []
+  let unchanged = 0
+
+  snapshot.forEach(bookmark => {
+    const now = currentById.get(bookmark.id)
+    if (!now) {
+      restored.push(summary(bookmark))
+      return
+    }
+    const fields = DIFF_FIELDS.filter(field => JSON.stringify(bookmark[field] ?? null) !== JSON.stringify(now[field] ?? null))
+    if (fields.length) changed.push({ ...summary(bookmark), fields })
+    else unchanged++
+  })
+
+  const removed = current.filter(b => !snapshotIds.has(b.id)).map(summary)
+  return { restored, removed, changed, unchanged }
+}
+
+module.exports = {
+  isBackupId,
+  createBackupStore,
+  diffBackup
+}
@@ -0,0 +1,70 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs').promises
+const os = require('os')
+const path = require('path')
+const { createBackupStore, diffBackup, isBackupId } = require('./backups')
+
+const DAY = 24 * 60 * 60 * 1000
+
+const data = (bookmarks) => ({ bookmarks, folders: [], trash: [] })
+
+test('snapshots are listed newest first and read back', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bkmrks-backups-'))
+  t.after(() => fs.rm(dir, { recursive: true, force: true }))
+  const store = createBackupStore({ dir })
+
+  const first = await store.create(1, data([{ id: 1, title: 'A' }]), 'manual')
+  const second = await store.create(1, data([{ id: 1, title: 'B' }]), 'import')
+  assert.ok(isBackupId(first.id) && isBackupId(second.id))
+  assert.notStrictEqual(first.id, second.id)
+
+  assert.deepStrictEqual((await store.list(1)).map(b => [b.reason, b.bookmarks]), [['import', 1], ['manual', 1]])
+  assert.deepStrictEqual((await store.read(1, first.id)).data.bookmarks, [{ id: 1, title: 'A' }])
+  assert.deepStrictEqual(await store.list(2), [])
+  assert.strictEqual(await store.read(1, '../../etc/passwd'), null)
+
+  // A scheduled snapshot of unchanged data is skipped
+  assert.strictEqual(await store.create(1, data([{ id: 1, title: 'B' }]), 'scheduled', { skipUnchanged: true }), null)
+  assert.strictEqual((await store.list(1)).length, 2)
+})
+
+test('snapshots past the retention period are deleted, except the newest', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bkmrks-backups-'))
+  t.after(() => fs.rm(dir, { recursive: true, force: true }))
+  const store = createBackupStore({ dir, retentionDays: 7 })
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() - 10 * DAY })
+  const old = await store.create(1, data([]), 'manual')
+  const older = await store.create(1, data([{ id: 1 }]), 'manual')
+  t.mock.timers.reset()
+
+  // The newest of the old ones survives expiry on its own...
+  await store.expire(1)
+  assert.deepStrictEqual((await store.list(1)).map(b => b.id), [older.id])
+
+  // ...until something newer comes along
+  const fresh = await store.create(1, data([{ id: 2 }]), 'manual')
+  assert.deepStrictEqual((await store.list(1)).map(b => b.id), [fresh.id])
+  assert.strictEqual(await store.read(1, old.id), null)
+  assert.strictEqual(await store.read(1, older.id), null)
+})
+
+test('diffBackup says what a restore would bring back, remove and change', () => {
+  const snapshot = [
+    { id: 1, title: 'Same', url: 'https://a.dev' },
+    { id: 2, title: 'Old title', url: 'https://b.dev', tags: ['x'] },
+    { id: 3, title: 'Deleted since', url: 'https://c.dev' }
+  ]
+  const current = [
+    { id: 1, title: 'Same', url: 'https://a.dev', visitCount: 4 },
+    { id: 2, title: 'New title', url: 'https://b.dev', tags: ['x', 'y'] },
+    { id: 4, title: 'Added since', url: 'https://d.dev' }
+  ]
+  assert.deepStrictEqual(diffBackup(snapshot, current), {
+    restored: [{ id: 3, title: 'Deleted since', url: 'https://c.dev' }],
+    removed: [{ id: 4, title: 'Added since', url: 'https://d.dev' }],
+    changed: [{ id: 2, title: 'Old title', url: 'https://b.dev', fields: ['title', 'tags'] }],
+    unchanged: 1
+  })
+})
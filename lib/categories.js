@@ -0,0 +1,124 @@
+// Categories are free text, so the same one gets typed several ways:
+// "Dev", "Development" and "development". These helpers find such names and
+// fold them together.
+
+const normalizeCategory = (category) => String(category ?? '').trim().replace(/\s+/g, ' ')
+
+// Usage counts for every category, by name
+const countCategories = (bookmarks) => {
+  const counts = new Map()
+  bookmarks.forEach(b => {
+    if (b.category) counts.set(b.category, (counts.get(b.category) || 0) + 1)
+  })
+  return [...counts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+// Lowercase letters and digits only, without a plural s
+const comparable = (name) => name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '').replace(/(?<=.{3})s$/, '')
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+// Short forms people use for categories, by the start every long form of
+// them shares (after comparable). Any prefix would also pair "Java" with
+// "JavaScript" and "Art" with "Articles", so only these count.
+const ABBREVIATIONS = {
+  admin: 'administ',
+  biz: 'business',
+  config: 'configur',
+  dev: 'develop',
+  doc: 'document',
+  edu: 'educat',
+  ent: 'entertain',
+  env: 'environ',
+  fav: 'favo',
+  fin: 'financ',
+  gov: 'govern',
+  govt: 'govern',
+  info: 'informat',
+  lang: 'languag',
+  lib: 'librar',
+  mgmt: 'manage',
+  misc: 'miscellan',
+  photo: 'photograph',
+  prog: 'program',
+  ref: 'referenc',
+  sci: 'scien',
+  tech: 'techn',
+  util: 'utilit'
+}
+
+const isAbbreviation = (short, long) =>
+  Object.hasOwn(ABBREVIATIONS, short) && long.startsWith(ABBREVIATIONS[short])
+
+// Same name apart from case, punctuation or a plural; a known short form of
+// the other ("Dev" and "Development"); or a typo away
+const looksAlike = (a, b) => {
+  if (!a || !b) return false
+  if (a === b) return true
+  if (isAbbreviation(a, b) || isAbbreviation(b, a)) return true
+  const short = a.length <= b.length ? a : b
+  return short.length >= 5 && editDistance(a, b) <= (short.length >= 8 ? 2 : 1)
+}
+
+// Groups of category names that are probably the same category, from
+// countCategories output. Each group is built around its most used name,
+// which it suggests keeping, and only takes names that look like that one:
+// "A" like "B" and "B" like "C" doesn't put "A" and "C" together. Names are
+// listed most used first, and groups with the most bookmarks come first.
+const similarCategories = (counts) => {
+  const byUse = [...counts]
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .map(category => ({ category, key: comparable(category.name) }))
+  const grouped = new Set()
+  const groups = []
+
+  byUse.forEach((anchor, index) => {
+    if (grouped.has(anchor)) return
+    const names = [anchor.category]
+    byUse.slice(index + 1).forEach(other => {
+      if (grouped.has(other) || !looksAlike(anchor.key, other.key)) return
+      names.push(other.category)
+      grouped.add(other)
+    })
+    if (names.length > 1) {
+      groups.push({ names, suggested: anchor.category.name, count: names.reduce((sum, c) => sum + c.count, 0) })
+    }
+  })
+
+  return groups.sort((a, b) => b.count - a.count || a.suggested.localeCompare(b.suggested))
+}
+
+// Move every bookmark in one of the sources to target. Returns how many
+// bookmarks changed.
+const mergeCategories = (bookmarks, sources, target) => {
+  const from = new Set(sources.map(normalizeCategory))
+  const to = normalizeCategory(target)
+  let updated = 0
+
+  bookmarks.forEach(bookmark => {
+    if (!from.has(bookmark.category) || bookmark.category === to) return
+    bookmark.category = to
+    updated++
+  })
+
+  return updated
+}
+
+module.exports = {
+  normalizeCategory,
+  countCategories,
+  similarCategories,
+  mergeCategories
+}
@@ -0,0 +1,56 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { countCategories, similarCategories, mergeCategories } = require('./categories')
+
+test('similarCategories groups case, plural, short form and typo variants', () => {
+  const groups = similarCategories([
+    { name: 'Dev', count: 2 },
+    { name: 'Development', count: 5 },
+    { name: 'development', count: 1 },
+    { name: 'Recipe', count: 1 },
+    { name: 'Recipes', count: 3 },
+    { name: 'Photografy', count: 1 },
+    { name: 'Photography', count: 2 },
+    { name: 'News', count: 4 },
+    { name: 'Art', count: 1 }
+  ])
+  assert.deepStrictEqual(groups.map(g => g.suggested), ['Development', 'Recipes', 'Photography'])
+  assert.deepStrictEqual(groups[0].names.map(n => n.name), ['Development', 'Dev', 'development'])
+  assert.strictEqual(groups[0].count, 8)
+})
+
+test('mergeCategories moves bookmarks to the target category', () => {
+  const bookmarks = [{ category: 'Dev' }, { category: 'development' }, { category: 'Development' }, { category: 'News' }]
+  assert.strictEqual(mergeCategories(bookmarks, ['Dev', 'development'], ' Development '), 2)
+  assert.deepStrictEqual(countCategories(bookmarks), [{ name: 'Development', count: 3 }, { name: 'News', count: 1 }])
+})
+
+test('similarCategories only pairs a prefix when it is a known short form', () => {
+  const groups = similarCategories([
+    { name: 'Java', count: 3 },
+    { name: 'JavaScript', count: 4 },
+    { name: 'Art', count: 2 },
+    { name: 'Articles', count: 5 },
+    { name: 'Car', count: 1 },
+    { name: 'Cartography', count: 1 },
+    { name: 'Docs', count: 1 },
+    { name: 'Documentation', count: 2 },
+    { name: 'Tech', count: 1 },
+    { name: 'Technology', count: 2 }
+  ])
+  assert.deepStrictEqual(groups.map(g => g.names.map(n => n.name)), [['Documentation', 'Docs'], ['Technology', 'Tech']])
+})
+
+test('similarCategories does not chain look-alikes into one group', () => {
+  // Fotografy is a typo away from Photografy but not from Photography
+  const groups = similarCategories([
+    { name: 'Photography', count: 5 },
+    { name: 'Photografy', count: 2 },
+    { name: 'Fotografy', count: 1 }
+  ])
+  assert.deepStrictEqual(groups, [{
+    names: [{ name: 'Photography', count: 5 }, { name: 'Photografy', count: 2 }],
+    suggested: 'Photography',
+    count: 7
+  }])
+})
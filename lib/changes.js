@@ -0,0 +1,70 @@
+// Per-user change feed behind GET /api/events. Every event has an increasing
+// id, and the last few are kept so a client that reconnects with
+// Last-Event-ID is sent what it missed.
+
+const BUFFER_SIZE = 200
+
+// Compare a collection before and after a write. before maps ids to the JSON
+// of each item. Returns { created, updated, deleted } with the items, or ids
+// for deleted ones.
+const diffItems = (before, after) => {
+  const created = []
+  const updated = []
+  after.forEach(item => {
+    const previous = before.get(item.id)
+    if (previous === undefined) created.push(item)
+    else if (previous !== JSON.stringify(item)) updated.push(item)
+  })
+  const ids = new Set(after.map(item => item.id))
+  const deleted = [...before.keys()].filter(id => !ids.has(id))
+  return { created, updated, deleted }
+}
+
+const createChangeFeed = ({ bufferSize = BUFFER_SIZE } = {}) => {
+  // Ids carry on from the start time, so ids from before a restart are
+  // recognisably older than anything this process sent
+  const firstId = Date.now()
+  let lastId = firstId
+  // userId -> { listeners, events, trimmedThrough }
+  const channels = new Map()
+
+  const channel = (userId) => {
+    if (!channels.has(userId)) channels.set(userId, { listeners: new Set(), events: [], trimmedThrough: firstId })
+    return channels.get(userId)
+  }
+
+  const publish = (userId, type, data) => {
+    const event = { id: ++lastId, type, data }
+    const current = channel(userId)
+    current.events.push(event)
+    if (current.events.length > bufferSize) current.trimmedThrough = current.events.shift().id
+    current.listeners.forEach(listener => listener(event))
+    return event
+  }
+
+  // Call listener with each new event for the user. With lastEventId, first
+  // replay what came after it, or send a single resync event when that is no
+  // longer known. Returns a function that unsubscribes.
+  const subscribe = (userId, listener, lastEventId) => {
+    const current = channel(userId)
+
+    if (lastEventId !== undefined && lastEventId !== null && lastEventId !== '') {
+      const since = Number(lastEventId)
+      if (!Number.isInteger(since) || since < current.trimmedThrough || since > lastId) {
+        listener({ id: lastId, type: 'resync', data: {} })
+      } else {
+        current.events.filter(event => event.id > since).forEach(listener)
+      }
+    }
+
+    current.listeners.add(listener)
+    return () => current.listeners.delete(listener)
+  }
+
+  return { publish, subscribe }
+}
+
+module.exports = {
+  createChangeFeed,
+  diffItems
+}
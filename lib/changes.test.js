@@ -0,0 +1,62 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { createChangeFeed, diffItems } = require('./changes')
+
+test('diffItems finds created, updated and deleted items', () => {
+  const before = new Map([
+    [1, JSON.stringify({ id: 1, title: 'Same' })],
+    [2, JSON.stringify({ id: 2, title: 'Old' })],
+    [3, JSON.stringify({ id: 3, title: 'Gone' })]
+  ])
+  const after = [{ id: 1, title: 'Same' }, { id: 2, title: 'New' }, { id: 4, title: 'Added' }]
+
+  const { created, updated, deleted } = diffItems(before, after)
+  assert.deepStrictEqual(created.map(b => b.id), [4])
+  assert.deepStrictEqual(updated.map(b => b.id), [2])
+  assert.deepStrictEqual(deleted, [3])
+})
+
+test('subscribers only hear about their own user, until they unsubscribe', () => {
+  const feed = createChangeFeed()
+  const heard = []
+  const unsubscribe = feed.subscribe(1, event => heard.push(event))
+
+  feed.publish(1, 'created', { bookmarks: [{ id: 10 }] })
+  feed.publish(2, 'deleted', { ids: [20] })
+  unsubscribe()
+  feed.publish(1, 'deleted', { ids: [10] })
+
+  assert.deepStrictEqual(heard.map(e => e.type), ['created'])
+})
+
+test('reconnecting with Last-Event-ID replays what was missed', () => {
+  const feed = createChangeFeed()
+  const first = feed.publish(1, 'created', { bookmarks: [{ id: 10 }] })
+  feed.publish(1, 'updated', { bookmarks: [{ id: 10 }] })
+  feed.publish(1, 'deleted', { ids: [10] })
+
+  const heard = []
+  feed.subscribe(1, event => heard.push(event), String(first.id))
+  assert.deepStrictEqual(heard.map(e => e.type), ['updated', 'deleted'])
+  assert.ok(heard[0].id < heard[1].id)
+})
+
+test('a resync is sent when missed events are no longer kept', () => {
+  const feed = createChangeFeed({ bufferSize: 2 })
+  const first = feed.publish(1, 'created', { bookmarks: [] })
+  feed.publish(1, 'created', { bookmarks: [] })
+  feed.publish(1, 'created', { bookmarks: [] })
+  feed.publish(1, 'created', { bookmarks: [] })
+
+  const types = (lastEventId) => {
+    const heard = []
+    feed.subscribe(1, event => heard.push(event.type), lastEventId)
+    return heard
+  }
+
+  assert.deepStrictEqual(types(String(first.id)), ['resync'])
+  // An id from before a restart, or nonsense
+  assert.deepStrictEqual(types('1'), ['resync'])
+  assert.deepStrictEqual(types('abc'), ['resync'])
+  assert.deepStrictEqual(types(undefined), [])
+})
@@ -0,0 +1,401 @@
+// The bkmrks command: manage bookmarks on a bkmrks server from the shell.
+// Every command goes through the server's /api routes, so it sees the same
+// data as the web app.
+
+const fs = require('fs').promises
+const os = require('os')
+const path = require('path')
+const { parseArgs } = require('util')
+
+const DEFAULT_SERVER = 'http://localhost:3001'
+
+// Exit codes scripts can rely on
+const EXIT_OK = 0
+const EXIT_API_ERROR = 1
+const EXIT_USAGE = 2
+
+const USAGE = `Usage: bkmrks [options] <command> [arguments]
+
+Commands:
+  ls                       List bookmarks
+  search <query>           Full-text search
+  show <id>                Show one bookmark
+  due                      List reading list reminders that have come round
+  add <url>                Add a bookmark (title is fetched from the page if not given)
+  edit <id>                Change a bookmark's fields
+  rm <id>...               Move bookmarks to the trash
+  import <file>            Import an export from bkmrks, a browser, Pocket, Pinboard,
+                           Raindrop or any CSV ("-" reads stdin)
+  export                   Write all bookmarks to stdout or --output
+  login                    Sign in and remember the session
+  logout                   Sign out and forget the session
+
+Filters for ls and search:
+  --category <name>  --tag <tag> (repeatable)  --folder <id|root>
+  --status unread|reading|done|archived|none (repeatable)
+  --sort relevance|title|dateAdded|lastVisited|visitCount|position  --limit <n>  --all
+
+Fields for add and edit:
+  --title  --url (edit)  --category  --tags <a,b>  --description  --folder <id> (add)
+  --status  --notes  --remind <time, e.g. 2024-01-31T09:00> ("" clears it)
+
+Other options:
+  --strategy skip|overwrite|keep   Duplicate handling for import
+  --from <format>                  What import reads: auto (default), bkmrks, netscape,
+                                   pocket, pinboard, raindrop or csv
+  --map <field=column,...>         CSV columns for import, e.g. title=Name,url=Link
+  --dry-run                        Show what import would do without saving
+  --format json|html|csv           Export format
+  --output, -o <file>              Write export to a file
+  --json                           Print raw JSON for piping
+  --server <url>                   Server address (BKMRKS_SERVER, default ${DEFAULT_SERVER})
+  --token <token>                  Session or API token (BKMRKS_TOKEN)
+  --user, --password               Sign in for this command (BKMRKS_USER, BKMRKS_PASSWORD)
+  --help, -h                       Show this help
+
+Exit status is 0 on success, 1 when the server or network fails and 2 for
+usage errors.`
+
+const OPTIONS = {
+  category: { type: 'string' },
+  tag: { type: 'string', multiple: true },
+  folder: { type: 'string' },
+  sort: { type: 'string' },
+  limit: { type: 'string' },
+  all: { type: 'boolean' },
+  title: { type: 'string' },
+  url: { type: 'string' },
+  tags: { type: 'string' },
+  description: { type: 'string' },
+  status: { type: 'string', multiple: true },
+  notes: { type: 'string' },
+  remind: { type: 'string' },
+  strategy: { type: 'string' },
+  from: { type: 'string' },
+  map: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  format: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  json: { type: 'boolean' },
+  server: { type: 'string' },
+  token: { type: 'string' },
+  user: { type: 'string' },
+  password: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+}
+
+// USAGE errors exit with EXIT_USAGE, API errors (with .status when the
+// server answered) with EXIT_API_ERROR
+const cliError = (code, message, status) => {
+  const error = new Error(message)
+  error.code = code
+  error.status = status
+  return error
+}
+
+const usageError = (message) => cliError('USAGE', message)
+
+const configPath = (env) =>
+  path.join(env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'bkmrks', 'config.json')
+
+const readConfig = async (env) => {
+  try {
+    return JSON.parse(await fs.readFile(configPath(env), 'utf8'))
+  } catch (error) {
+    return {}
+  }
+}
+
+// The file holds a session token, so only the owner may read it
+const writeConfig = async (env, config) => {
+  const file = configPath(env)
+  await fs.mkdir(path.dirname(file), { recursive: true })
+  await fs.writeFile(file, JSON.stringify(config, null, 2) + '\n', { mode: 0o600 })
+}
+
+// Minimal JSON client for the bkmrks API
+const createClient = (server, token) => {
+  const request = async (method, endpoint, body, { raw = false } = {}) => {
+    let response
+    try {
+      response = await fetch(`${server.replace(/\/+$/, '')}/api${endpoint}`, {
+        method,
+        headers: {
+          ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      })
+    } catch (error) {
+      throw cliError('API', `Cannot reach ${server}: ${(error.cause && error.cause.message) || error.message}`)
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}))
+      throw cliError('API', data.error || `HTTP ${response.status}`, response.status)
+    }
+
+    return raw ? response.text() : response.json()
+  }
+
+  return {
+    get: (endpoint, options) => request('GET', endpoint, undefined, options),
+    post: (endpoint, body) => request('POST', endpoint, body),
+    put: (endpoint, body) => request('PUT', endpoint, body),
+    delete: (endpoint) => request('DELETE', endpoint)
+  }
+}
+
+const readInput = async (file, stdin) => {
+  if (file !== '-') return fs.readFile(file, 'utf8')
+  const chunks = []
+  for await (const chunk of stdin) chunks.push(chunk)
+  return Buffer.concat(chunks).toString('utf8')
+}
+
+const parseId = (value) => {
+  const id = Number(value)
+  if (!Number.isInteger(id) || id <= 0) throw usageError(`Not a bookmark id: ${value}`)
+  return id
+}
+
+const formatBookmark = (bookmark) => {
+  const tags = (bookmark.tags || []).map(tag => `#${tag}`).join(' ')
+  const status = bookmark.status ? `[${bookmark.status}]` : ''
+  const details = [status, bookmark.category, tags].filter(Boolean).join('  ')
+  return `${bookmark.id}\t${bookmark.title}\n\t${bookmark.url}${details ? `\n\t${details}` : ''}`
+}
+
+// GET /api/bookmarks, following cursors when --all is given
+const listBookmarks = async (client, values, q) => {
+  const params = new URLSearchParams()
+  if (q) params.set('q', q)
+  if (values.category) params.set('category', values.category)
+  ;(values.tag || []).forEach(tag => params.append('tag', tag))
+  ;(values.status || []).forEach(status => params.append('status', status))
+  if (values.folder) params.set('folder', values.folder)
+  if (values.sort) params.set('sort', values.sort)
+  params.set('limit', values.all ? '200' : values.limit || '50')
+
+  const bookmarks = []
+  let page
+  do {
+    if (page && page.nextCursor) params.set('cursor', page.nextCursor)
+    page = await client.get(`/bookmarks?${params}`)
+    bookmarks.push(...page.bookmarks)
+  } while (values.all && page.nextCursor)
+
+  return { bookmarks, total: page.total }
+}
+
+const bookmarkFields = (values) => {
+  const fields = {}
+  ;['title', 'url', 'category', 'description', 'tags', 'notes'].forEach(name => {
+    if (values[name] !== undefined) fields[name] = values[name]
+  })
+  // A filter for ls, a single value here
+  if (values.status !== undefined) fields.status = values.status[values.status.length - 1]
+  if (values.remind !== undefined) fields.remindAt = values.remind
+  return fields
+}
+
+const commands = {
+  async ls ({ client, values, print }) {
+    const result = await listBookmarks(client, values)
+    print(result, () => [
+      ...result.bookmarks.map(formatBookmark),
+      `${result.bookmarks.length} of ${result.total} bookmarks`
+    ].join('\n'))
+  },
+
+  async search ({ client, values, positionals, print }) {
+    const q = positionals.join(' ')
+    if (!q) throw usageError('search needs a query')
+    const result = await listBookmarks(client, values, q)
+    print(result, () => [
+      ...result.bookmarks.map(formatBookmark),
+      `${result.total} matches`
+    ].join('\n'))
+  },
+
+  async show ({ client, positionals, print }) {
+    const bookmark = await client.get(`/bookmarks/${parseId(positionals[0])}`)
+    print(bookmark, () => formatBookmark(bookmark) + (bookmark.description ? `\n\t${bookmark.description}` : ''))
+  },
+
+  async due ({ client, print }) {
+    const result = await client.get('/bookmarks/due')
+    print(result, () => [
+      ...result.bookmarks.map(b => `${formatBookmark(b)}\n\treminder ${b.remindAt}`),
+      `${result.total} due`
+    ].join('\n'))
+  },
+
+  async add ({ client, values, positionals, print }) {
+    const url = positionals[0]
+    if (!url) throw usageError('add needs a URL')
+
+    let { title, description } = values
+    if (!title) {
+      // Same as the Fetch button in the web app; fall back to the URL
+      const metadata = await client.post('/metadata', { url }).catch(() => ({}))
+      title = metadata.title || url
+      description = description ?? metadata.description
+    }
+
+    const bookmark = await client.post('/bookmarks', {
+      ...bookmarkFields(values),
+      url,
+      title,
+      description,
+      parentId: values.folder ? Number(values.folder) : null
+    })
+    print(bookmark, () => `Added ${formatBookmark(bookmark)}`)
+  },
+
+  async edit ({ client, values, positionals, print }) {
+    const id = parseId(positionals[0])
+    const changes = bookmarkFields(values)
+    if (Object.keys(changes).length === 0) throw usageError('edit needs at least one of --title, --url, --category, --tags, --description, --status, --notes, --remind')
+
+    const current = await client.get(`/bookmarks/${id}`)
+    const bookmark = await client.put(`/bookmarks/${id}`, { ...current, ...changes })
+    print(bookmark, () => `Updated ${formatBookmark(bookmark)}`)
+  },
+
+  async rm ({ client, positionals, print }) {
+    if (positionals.length === 0) throw usageError('rm needs at least one id')
+    const ids = positionals.map(parseId)
+    const result = await client.post('/bookmarks/batch', { action: 'delete', ids })
+    print(result, () => result.results
+      .map(r => (r.ok ? `Moved ${r.id} to trash` : `${r.id}: ${r.error}`))
+      .join('\n'))
+    // Partial failures still fail the command
+    if (result.failed > 0) throw cliError('API', `${result.failed} of ${ids.length} bookmarks were not deleted`)
+  },
+
+  async import ({ client, values, positionals, stdin, print }) {
+    if (!positionals[0]) throw usageError('import needs a file, or - for stdin')
+    const text = await readInput(positionals[0], stdin)
+
+    let mapping
+    if (values.map) {
+      mapping = {}
+      for (const pair of values.map.split(',')) {
+        const [field, ...column] = pair.split('=')
+        if (!field || column.length === 0) throw usageError(`--map needs field=column pairs, not "${pair}"`)
+        mapping[field.trim()] = column.join('=').trim()
+      }
+    }
+
+    const result = await client.post('/bookmarks/import', {
+      content: text,
+      format: values.from || 'auto',
+      mapping,
+      strategy: values.strategy || 'skip',
+      dryRun: Boolean(values['dry-run'])
+    })
+    print(result, () => [
+      `Read ${result.parsed} rows as ${result.format}: ${result.mapped} mapped, ${result.failed} failed`,
+      ...(result.columns ? [`Columns: ${Object.entries(result.mapping).map(([field, column]) => `${field}=${column}`).join(',') || 'none mapped'}`] : []),
+      result.message,
+      ...(result.rejected || []).map(r => `  row ${r.row}: ${r.errors.map(e => e.message).join(', ')}`)
+    ].join('\n'))
+  },
+
+  async export ({ client, values, stdout }) {
+    const format = values.format || 'json'
+    if (!['json', 'html', 'csv'].includes(format)) throw usageError('--format must be json, html or csv')
+
+    const body = await client.get(`/bookmarks/export?format=${format}`, { raw: true })
+    if (values.output) {
+      await fs.writeFile(values.output, body)
+    } else {
+      stdout.write(body.endsWith('\n') ? body : body + '\n')
+    }
+  },
+
+  async login ({ client, values, env, settings, print }) {
+    if (!settings.user || !settings.password) throw usageError('login needs --user and --password (or BKMRKS_USER and BKMRKS_PASSWORD)')
+    const session = await client.post('/auth/login', { username: settings.user, password: settings.password })
+    await writeConfig(env, { ...(await readConfig(env)), server: settings.server, token: session.token })
+    print({ user: session.user, expiresAt: session.expiresAt }, () =>
+      `Signed in to ${settings.server} as ${session.user.username} until ${session.expiresAt}`
+    )
+  },
+
+  async logout ({ client, env, print }) {
+    await client.post('/auth/logout', {})
+    const { token, ...config } = await readConfig(env)
+    await writeConfig(env, config)
+    print({ message: 'Signed out' }, () => 'Signed out')
+  }
+}
+
+// Run one command. Resolves to the exit status instead of exiting, so it can
+// be tested and embedded.
+const run = async (argv, {
+  env = process.env,
+  stdout = process.stdout,
+  stderr = process.stderr,
+  stdin = process.stdin
+} = {}) => {
+  try {
+    let parsed
+    try {
+      parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true })
+    } catch (error) {
+      throw usageError(error.message)
+    }
+
+    const { values, positionals: [command, ...positionals] } = parsed
+
+    if (values.help || !command) {
+      stdout.write(USAGE + '\n')
+      return command || values.help ? EXIT_OK : EXIT_USAGE
+    }
+
+    if (!commands[command]) throw usageError(`Unknown command: ${command}`)
+
+    // Flags win over environment variables, which win over the saved config
+    const config = await readConfig(env)
+    const settings = {
+      server: values.server || env.BKMRKS_SERVER || config.server || DEFAULT_SERVER,
+      token: values.token || env.BKMRKS_TOKEN || config.token,
+      user: values.user || env.BKMRKS_USER,
+      password: values.password || env.BKMRKS_PASSWORD
+    }
+
+    let client = createClient(settings.server, settings.token)
+
+    // Explicit credentials sign in just for this command, and sign out after
+    // it so each run doesn't leave a session behind on the server
+    const signIn = command !== 'login' && settings.user && settings.password
+    if (signIn) {
+      const session = await client.post('/auth/login', { username: settings.user, password: settings.password })
+      client = createClient(settings.server, session.token)
+    }
+
+    const print = (data, text) => stdout.write((values.json ? JSON.stringify(data, null, 2) : text()) + '\n')
+
+    try {
+      await commands[command]({ client, values, positionals, env, settings, stdin, stdout, print })
+    } finally {
+      // The logout command has already ended the session
+      if (signIn && command !== 'logout') await client.post('/auth/logout', {}).catch(() => {})
+    }
+    return EXIT_OK
+  } catch (error) {
+    if (error.code === 'USAGE') {
+      stderr.write(`bkmrks: ${error.message}\nRun bkmrks --help for usage.\n`)
+      return EXIT_USAGE
+    }
+    const hint = error.status === 401 ? ' (run bkmrks login, or pass --token or --user/--password)' : ''
+    stderr.write(`bkmrks: ${error.message}${hint}\n`)
+    return EXIT_API_ERROR
+  }
+}
+
+module.exports = {
+  run
+}
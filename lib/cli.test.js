@@ -0,0 +1,123 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const { run } = require('./cli')
+const { startApp } = require('./server-harness')
+
+const BOOKMARKS = [
+  { id: 1, title: 'Example', url: 'https://example.com', category: 'Dev', tags: ['js'] },
+  { id: 2, title: 'Other', url: 'https://other.example', category: '', tags: [] }
+]
+
+// Stand-in for the bkmrks API that only knows the token 'good'
+const startServer = () => new Promise(resolve => {
+  const requests = []
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization })
+    res.setHeader('Content-Type', 'application/json')
+    if (req.headers.authorization !== 'Bearer good') {
+      res.statusCode = 401
+      return res.end(JSON.stringify({ error: 'Not signed in' }))
+    }
+    if (req.url.startsWith('/api/bookmarks?')) {
+      return res.end(JSON.stringify({ bookmarks: BOOKMARKS, total: 2, nextCursor: null }))
+    }
+    res.statusCode = 404
+    res.end(JSON.stringify({ error: 'Not found' }))
+  })
+  server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }))
+})
+
+// Collects what the CLI writes
+const output = () => {
+  const stream = { text: '', write: (chunk) => { stream.text += chunk } }
+  return stream
+}
+
+const runCli = async (argv, env) => {
+  const stdout = output()
+  const stderr = output()
+  // An empty config directory so a real ~/.config/bkmrks is never read
+  const code = await run(argv, { env: { XDG_CONFIG_HOME: path.join(os.tmpdir(), 'bkmrks-cli-test'), ...env }, stdout, stderr })
+  return { code, stdout: stdout.text, stderr: stderr.text }
+}
+
+test('ls --json prints the API response and exits 0', async () => {
+  const { server, requests, url } = await startServer()
+  try {
+    const result = await runCli(['ls', '--json', '--tag', 'js'], { BKMRKS_SERVER: url, BKMRKS_TOKEN: 'good' })
+    assert.strictEqual(result.code, 0)
+    assert.deepStrictEqual(JSON.parse(result.stdout).bookmarks, BOOKMARKS)
+    assert.match(requests[0].url, /tag=js/)
+    assert.strictEqual(requests[0].authorization, 'Bearer good')
+  } finally {
+    server.close()
+  }
+})
+
+test('ls prints one bookmark per entry without --json', async () => {
+  const { server, url } = await startServer()
+  try {
+    const result = await runCli(['--server', url, '--token', 'good', 'ls'])
+    assert.strictEqual(result.code, 0)
+    assert.match(result.stdout, /^1\tExample\n\thttps:\/\/example\.com\n\tDev {2}#js$/m)
+    assert.match(result.stdout, /2 of 2 bookmarks/)
+  } finally {
+    server.close()
+  }
+})
+
+test('ls --status filters the reading list', async () => {
+  const { server, requests, url } = await startServer()
+  try {
+    const result = await runCli(['ls', '--status', 'unread', '--status', 'reading'], { BKMRKS_SERVER: url, BKMRKS_TOKEN: 'good' })
+    assert.strictEqual(result.code, 0)
+    assert.match(requests[0].url, /status=unread&status=reading/)
+  } finally {
+    server.close()
+  }
+})
+
+test('API errors exit 1 with the server message', async () => {
+  const { server, url } = await startServer()
+  try {
+    const result = await runCli(['ls'], { BKMRKS_SERVER: url, BKMRKS_TOKEN: 'bad' })
+    assert.strictEqual(result.code, 1)
+    assert.match(result.stderr, /Not signed in/)
+    assert.strictEqual(result.stdout, '')
+  } finally {
+    server.close()
+  }
+})
+
+test('unreachable servers exit 1', async () => {
+  const result = await runCli(['ls'], { BKMRKS_SERVER: 'http://127.0.0.1:1' })
+  assert.strictEqual(result.code, 1)
+  assert.match(result.stderr, /Cannot reach/)
+})
+
+test('usage errors exit 2 without calling the server', async () => {
+  assert.strictEqual((await runCli(['frobnicate'])).code, 2)
+  assert.strictEqual((await runCli(['show', 'abc'])).code, 2)
+  assert.strictEqual((await runCli(['ls', '--no-such-flag'])).code, 2)
+  assert.strictEqual((await runCli(['--help'])).code, 0)
+})
+
+test('--user and --password sign out again after the command', async () => {
+  const app = await startApp()
+  try {
+    await app.register('cli')
+    const before = (await app.storage.read('sessions')).length
+
+    const env = { BKMRKS_SERVER: app.url, BKMRKS_USER: 'cli', BKMRKS_PASSWORD: app.PASSWORD }
+    assert.strictEqual((await runCli(['ls'], env)).code, 0)
+    // Also when the command fails
+    assert.strictEqual((await runCli(['show', '999999'], env)).code, 1)
+
+    assert.strictEqual((await app.storage.read('sessions')).length, before)
+  } finally {
+    await app.close()
+  }
+})
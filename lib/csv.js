@@ -0,0 +1,76 @@
+// Reader and writer for comma separated values as spreadsheets and most
+// export tools write them (RFC 4180): quoted fields may hold commas, quotes
+// doubled as "" and line breaks.
+
+// Parse CSV text into rows of strings. Blank lines are skipped.
+const parseCsv = (text) => {
+  const source = String(text).replace(/^\uFEFF/, '')
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  const endField = () => {
+    row.push(field)
+    field = ''
+  }
+  const endRow = () => {
+    endField()
+    if (row.length > 1 || row[0] !== '') rows.push(row)
+    row = []
+  }
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      endField()
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++
+      endRow()
+    } else {
+      field += char
+    }
+  }
+  if (field !== '' || row.length > 0) endRow()
+
+  return rows
+}
+
+const unquoteFormula = (text) => /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text
+
+// Parse CSV whose first row names the columns. Returns { columns, records },
+// each record an object keyed by column name.
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text)
+  const columns = header.map(name => name.trim())
+  const records = rows.map(row => Object.fromEntries(columns.map((column, index) => [column, unquoteFormula(row[index] ?? '')])))
+  return { columns, records }
+}
+
+const quoteField = (value) => {
+  let text = value === undefined || value === null ? '' : String(value)
+  // Spreadsheets run cells starting with these as formulas; the quote keeps
+  // them as text and parseCsvRecords takes it off again
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Write rows of values as CSV text
+const toCsv = (rows) => rows.map(row => row.map(quoteField).join(',')).join('\r\n') + '\r\n'
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsv
+}
@@ -0,0 +1,27 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { parseCsv, parseCsvRecords, toCsv } = require('./csv')
+
+test('parseCsv handles quotes, doubled quotes and line breaks in fields', () => {
+  const text = '\uFEFFtitle,url\r\n"Hello, world","https://a.dev"\n"Say ""hi""\nthere",https://b.dev\n\n'
+  assert.deepStrictEqual(parseCsv(text), [
+    ['title', 'url'],
+    ['Hello, world', 'https://a.dev'],
+    ['Say "hi"\nthere', 'https://b.dev']
+  ])
+})
+
+test('parseCsvRecords keys rows by column and fills short rows', () => {
+  const { columns, records } = parseCsvRecords('Title , URL\nA,https://a.dev\nB')
+  assert.deepStrictEqual(columns, ['Title', 'URL'])
+  assert.deepStrictEqual(records, [
+    { Title: 'A', URL: 'https://a.dev' },
+    { Title: 'B', URL: '' }
+  ])
+})
+
+test('toCsv quotes what needs it and defuses formulas', () => {
+  const text = toCsv([['title', 'tags'], ['Hi, "you"', '=HYPERLINK("x")'], [null, 'plain']])
+  assert.strictEqual(text, 'title,tags\r\n"Hi, ""you""","\'=HYPERLINK(""x"")"\r\n,plain\r\n')
+  assert.deepStrictEqual(parseCsvRecords(text).records[0], { title: 'Hi, "you"', tags: '=HYPERLINK("x")' })
+})
@@ -0,0 +1,132 @@
+// RSS, Atom and HTML renderings of a public collection. Each takes
+// { title, description, author, pageUrl, rssUrl, atomUrl, jsonUrl, bookmarks }
+// with bookmarks newest first.
+
+const { escapeHtml } = require('./html')
+
+// Feed readers only look at recent entries
+const FEED_LIMIT = 50
+
+// Characters XML 1.0 doesn't allow, even escaped
+const xmlText = (text) => escapeHtml(String(text ?? '').replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, ''))
+
+// Only web links are clickable on the public page
+const isWebUrl = (url) => /^https?:\/\//i.test(String(url || ''))
+
+// dateAdded is a YYYY-MM-DD string; fall back for anything unparseable
+const bookmarkDate = (bookmark, fallback) => {
+  const date = new Date(bookmark.dateAdded)
+  return Number.isNaN(date.getTime()) ? fallback : date
+}
+
+const lastUpdated = (bookmarks) =>
+  bookmarks.reduce((latest, b) => {
+    const date = bookmarkDate(b, null)
+    return date && date > latest ? date : latest
+  }, new Date(0))
+
+const entryId = (pageUrl, bookmark) => `${pageUrl}#bookmark-${bookmark.id}`
+
+const renderRss = ({ title, description, pageUrl, rssUrl, bookmarks }) => {
+  const updated = lastUpdated(bookmarks)
+  const items = bookmarks.slice(0, FEED_LIMIT).map(b => `    <item>
+      <title>${xmlText(b.title)}</title>
+      <link>${xmlText(b.url)}</link>
+      <guid isPermaLink="false">${xmlText(entryId(pageUrl, b))}</guid>
+      <pubDate>${bookmarkDate(b, updated).toUTCString()}</pubDate>${b.description ? `
+      <description>${xmlText(b.description)}</description>` : ''}${(b.tags || []).map(tag => `
+      <category>${xmlText(tag)}</category>`).join('')}
+    </item>`)
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${xmlText(title)}</title>
+    <link>${xmlText(pageUrl)}</link>
+    <description>${xmlText(description)}</description>
+    <atom:link href="${xmlText(rssUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`
+}
+
+const renderAtom = ({ title, description, author, pageUrl, atomUrl, bookmarks }) => {
+  const updated = lastUpdated(bookmarks)
+  const entries = bookmarks.slice(0, FEED_LIMIT).map(b => `  <entry>
+    <title>${xmlText(b.title)}</title>
+    <id>${xmlText(entryId(pageUrl, b))}</id>
+    <link href="${xmlText(b.url)}"/>
+    <updated>${bookmarkDate(b, updated).toISOString()}</updated>${b.description ? `
+    <summary>${xmlText(b.description)}</summary>` : ''}${(b.tags || []).map(tag => `
+    <category term="${xmlText(tag)}"/>`).join('')}
+  </entry>`)
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${xmlText(title)}</title>
+  <subtitle>${xmlText(description)}</subtitle>
+  <id>${xmlText(pageUrl)}</id>
+  <link rel="alternate" type="text/html" href="${xmlText(pageUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${xmlText(atomUrl)}"/>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>${xmlText(author)}</name></author>
+${entries.join('\n')}
+</feed>
+`
+}
+
+const PAGE_STYLES = `
+  body { max-width: 48rem; margin: 2rem auto; padding: 0 1rem; font: 16px/1.5 system-ui, sans-serif; color: #1f2937; }
+  header { padding-bottom: 1rem; border-bottom: 1px solid #e5e7eb; }
+  header p, .feeds { color: #6b7280; }
+  ul { list-style: none; padding: 0; }
+  li { padding: 0.75rem 0; border-bottom: 1px solid #f3f4f6; }
+  a { color: #4f46e5; }
+  .url, .meta { display: block; font-size: 0.85rem; color: #6b7280; word-break: break-all; }
+  .tag { margin-right: 0.5rem; }
+`
+
+const renderPage = ({ title, description, author, rssUrl, atomUrl, jsonUrl, bookmarks }) => {
+  const items = bookmarks.map(b => {
+    const link = isWebUrl(b.url)
+      ? `<a href="${escapeHtml(b.url)}" target="_blank" rel="noopener noreferrer nofollow">${escapeHtml(b.title)}</a>`
+      : escapeHtml(b.title)
+    const tags = (b.tags || []).map(tag => `<span class="tag">#${escapeHtml(tag)}</span>`).join('')
+    return `<li id="bookmark-${b.id}">
+  <strong>${link}</strong>
+  <span class="url">${escapeHtml(b.url)}</span>${b.description ? `
+  <p>${escapeHtml(b.description)}</p>` : ''}
+  <span class="meta">${escapeHtml(b.dateAdded || '')} ${tags}</span>
+</li>`
+  })
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="alternate" type="application/rss+xml" title="${escapeHtml(title)} (RSS)" href="${escapeHtml(rssUrl)}">
+<link rel="alternate" type="application/atom+xml" title="${escapeHtml(title)} (Atom)" href="${escapeHtml(atomUrl)}">
+<style>${PAGE_STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(description)}, shared by ${escapeHtml(author)}</p>
+<span class="feeds">Follow: <a href="${escapeHtml(rssUrl)}">RSS</a> · <a href="${escapeHtml(atomUrl)}">Atom</a> · <a href="${escapeHtml(jsonUrl)}">JSON</a></span>
+</header>
+${items.length ? `<ul>\n${items.join('\n')}\n</ul>` : '<p>Nothing here yet.</p>'}
+</body>
+</html>
+`
+}
+
+module.exports = {
+  FEED_LIMIT,
+  renderRss,
+  renderAtom,
+  renderPage
+}
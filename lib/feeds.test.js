@@ -0,0 +1,52 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { FEED_LIMIT, renderRss, renderAtom, renderPage } = require('./feeds')
+
+const collection = (bookmarks) => ({
+  title: 'Reading <list>',
+  description: 'Bookmarks tagged #js',
+  author: 'ann',
+  pageUrl: 'https://bk.example/api/shared/abc',
+  jsonUrl: 'https://bk.example/api/shared/abc/bookmarks.json',
+  rssUrl: 'https://bk.example/api/shared/abc/rss.xml',
+  atomUrl: 'https://bk.example/api/shared/abc/atom.xml',
+  bookmarks
+})
+
+const BOOKMARKS = [
+  { id: 2, title: 'Tom & Jerry', url: 'https://b.example/?a=1&b=2', description: 'Cat\u0007 and mouse', tags: ['fun'], dateAdded: '2024-03-01' },
+  { id: 1, title: 'Bad', url: 'javascript:alert(1)', description: '', tags: [], dateAdded: '2024-01-01' }
+]
+
+test('renderRss escapes text and dates the channel by its newest bookmark', () => {
+  const rss = renderRss(collection(BOOKMARKS))
+  assert.match(rss, /<title>Reading &lt;list&gt;<\/title>/)
+  assert.match(rss, /<link>https:\/\/b\.example\/\?a=1&amp;b=2<\/link>/)
+  assert.match(rss, /<guid isPermaLink="false">https:\/\/bk\.example\/api\/shared\/abc#bookmark-2<\/guid>/)
+  assert.match(rss, /<lastBuildDate>Fri, 01 Mar 2024 00:00:00 GMT<\/lastBuildDate>/)
+  assert.match(rss, /<description>Cat and mouse<\/description>/)
+  assert.match(rss, /<category>fun<\/category>/)
+})
+
+test('renderAtom has the ids, links and dates Atom requires', () => {
+  const atom = renderAtom(collection(BOOKMARKS))
+  assert.match(atom, /<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom">/)
+  assert.match(atom, /<link rel="self" type="application\/atom\+xml" href="https:\/\/bk\.example\/api\/shared\/abc\/atom\.xml"\/>/)
+  assert.match(atom, /<updated>2024-03-01T00:00:00\.000Z<\/updated>/)
+  assert.match(atom, /<author><name>ann<\/name><\/author>/)
+  assert.strictEqual(atom.match(/<entry>/g).length, 2)
+})
+
+test('feeds stop at FEED_LIMIT entries', () => {
+  const many = Array.from({ length: FEED_LIMIT + 5 }, (_, i) => ({ id: i + 1, title: `B${i}`, url: `https://e.example/${i}`, dateAdded: '2024-01-01' }))
+  assert.strictEqual(renderRss(collection(many)).match(/<item>/g).length, FEED_LIMIT)
+  assert.strictEqual(renderAtom(collection(many)).match(/<entry>/g).length, FEED_LIMIT)
+})
+
+test('renderPage links only web URLs and advertises the feeds', () => {
+  const html = renderPage(collection(BOOKMARKS))
+  assert.match(html, /<a href="https:\/\/b\.example\/\?a=1&amp;b=2" target="_blank" rel="noopener noreferrer nofollow">Tom &amp; Jerry<\/a>/)
+  assert.doesNotMatch(html, /href="javascript:/)
+  assert.match(html, /<link rel="alternate" type="application\/rss\+xml"/)
+  assert.match(renderPage(collection([])), /Nothing here yet/)
+})
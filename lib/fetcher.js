@@ -0,0 +1,116 @@
+// Fetch remote pages with a timeout and a cap on how much of the body is read.
+// Private network addresses are refused unless allowPrivateNetwork is set.
+
+const { guardedFetch } = require('./network')
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; bkmrks/0.1)'
+
+const DEFAULT_TIMEOUT = 5000
+const DEFAULT_MAX_BYTES = 1024 * 1024
+
+// Errors carry a code so routes can pick a status:
+// BAD_URL, PRIVATE_ADDRESS, TIMEOUT or NETWORK
+const fetchError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+// Read at most maxBytes of the body and stop the download after that
+const readLimited = async (body, maxBytes, controller) => {
+  if (!body) return { text: '', truncated: false }
+
+  const reader = body.getReader()
+  const chunks = []
+  let size = 0
+  let truncated = false
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+
+    if (size + value.length > maxBytes) {
+      chunks.push(value.subarray(0, maxBytes - size))
+      truncated = true
+      controller.abort()
+      break
+    }
+
+    chunks.push(value)
+    size += value.length
+  }
+
+  return {
+    text: Buffer.concat(chunks).toString('utf8'),
+    truncated
+  }
+}
+
+// Resolves to { url, status, ok, headers, body, truncated }, where url is the
+// address after redirects. HTTP error statuses resolve; only unreachable
+// hosts, bad URLs and timeouts reject.
+const fetchPage = async (url, options = {}) => {
+  const {
+    method = 'GET',
+    timeout = DEFAULT_TIMEOUT,
+    maxBytes = DEFAULT_MAX_BYTES,
+    redirect = 'follow',
+    allowPrivateNetwork = false
+  } = options
+
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch (error) {
+    throw fetchError('BAD_URL', 'Invalid URL')
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw fetchError('BAD_URL', 'Only http and https URLs can be fetched')
+  }
+
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), timeout)
+  let finished = false
+
+  try {
+    const response = await guardedFetch(parsed, {
+      allowPrivateNetwork,
+      method,
+      redirect,
+      signal: controller.signal,
+      headers: {
+        'User-Agent': USER_AGENT,
+        Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8'
+      }
+    })
+
+    const { text, truncated } = method === 'HEAD'
+      ? { text: '', truncated: false }
+      : await readLimited(response.body, maxBytes, controller)
+    finished = true
+
+    return {
+      url: response.url || parsed.href,
+      status: response.status,
+      ok: response.ok,
+      headers: response.headers,
+      body: text,
+      truncated
+    }
+  } catch (error) {
+    if (error.code === 'BAD_URL') throw error
+    if (error.cause && error.cause.code === 'PRIVATE_ADDRESS') throw fetchError('PRIVATE_ADDRESS', error.cause.message)
+    if (!finished && controller.signal.aborted) {
+      throw fetchError('TIMEOUT', `Timed out after ${timeout}ms`)
+    }
+    throw fetchError('NETWORK', (error.cause && error.cause.message) || error.message)
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+module.exports = {
+  fetchPage,
+  USER_AGENT
+}
@@ -0,0 +1,60 @@
+// Folder tree helpers. Folders and bookmarks both have a parentId (null at the
+// top level) and a position that orders them among their siblings.
+
+// Items saved before folders existed have no position and sort last
+const byPosition = (a, b) => (a.position ?? Infinity) - (b.position ?? Infinity) || 0
+
+const parentOf = (item) => item.parentId ?? null
+
+// Position for an item added at the end of a folder
+const nextPosition = (items, parentId) =>
+  items
+    .filter(item => parentOf(item) === parentId)
+    .reduce((max, item) => Math.max(max, (item.position ?? -1) + 1), 0)
+
+// Move `ids` into parentId, keeping the order they were given in, and
+// renumber that folder. They go in front of the `beforeId` item, at `index`,
+// or at the end if neither is given. Mutates the items in place.
+// Returns false if any id isn't in items.
+const placeItems = (items, ids, parentId, { index, beforeId } = {}) => {
+  const byId = new Map(items.map(item => [item.id, item]))
+  const moving = ids.map(id => byId.get(id))
+  if (moving.some(item => !item)) return false
+
+  const movingIds = new Set(ids)
+  const siblings = items
+    .filter(item => parentOf(item) === parentId && !movingIds.has(item.id))
+    .sort(byPosition)
+  const beforeIndex = siblings.findIndex(item => item.id === beforeId)
+  const at = beforeIndex !== -1
+    ? beforeIndex
+    : index === undefined ? siblings.length : Math.max(0, Math.min(index, siblings.length))
+
+  const ordered = [...siblings.slice(0, at), ...moving, ...siblings.slice(at)]
+  ordered.forEach((item, position) => {
+    item.parentId = parentId
+    item.position = position
+  })
+  return true
+}
+
+// True if folderId is ancestorId or somewhere below it
+const isWithin = (folders, folderId, ancestorId) => {
+  const byId = new Map(folders.map(f => [f.id, f]))
+  const seen = new Set()
+  let current = folderId
+
+  while (current !== null && current !== undefined && !seen.has(current)) {
+    if (current === ancestorId) return true
+    seen.add(current)
+    current = byId.has(current) ? parentOf(byId.get(current)) : null
+  }
+  return false
+}
+
+module.exports = {
+  byPosition,
+  nextPosition,
+  placeItems,
+  isWithin
+}
@@ -0,0 +1,66 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { nextPosition, placeItems, isWithin } = require('./folders')
+
+const order = (items, parentId) =>
+  items
+    .filter(item => (item.parentId ?? null) === parentId)
+    .sort((a, b) => a.position - b.position)
+    .map(item => item.id)
+
+test('placeItems moves items into a folder at an index and renumbers it', () => {
+  const items = [
+    { id: 1, parentId: null, position: 0 },
+    { id: 2, parentId: null, position: 1 },
+    { id: 3, parentId: 10, position: 0 },
+    { id: 4, parentId: 10, position: 1 }
+  ]
+
+  assert.strictEqual(placeItems(items, [2, 1], 10, { index: 1 }), true)
+  assert.deepStrictEqual(order(items, 10), [3, 2, 1, 4])
+  assert.deepStrictEqual(order(items, null), [])
+})
+
+test('placeItems appends by default and reorders within a folder', () => {
+  const items = [{ id: 1 }, { id: 2 }, { id: 3 }]
+
+  placeItems(items, [1], null)
+  assert.deepStrictEqual(order(items, null), [2, 3, 1])
+
+  placeItems(items, [1], null, { index: 0 })
+  assert.deepStrictEqual(order(items, null), [1, 2, 3])
+
+  placeItems(items, [1], null, { beforeId: 3 })
+  assert.deepStrictEqual(order(items, null), [2, 1, 3])
+})
+
+test('placeItems leaves everything alone when an id is unknown', () => {
+  const items = [{ id: 1, parentId: null, position: 0 }]
+  assert.strictEqual(placeItems(items, [1, 99], 5), false)
+  assert.deepStrictEqual(items, [{ id: 1, parentId: null, position: 0 }])
+})
+
+test('nextPosition counts only the given folder', () => {
+  const items = [
+    { id: 1, parentId: null, position: 4 },
+    { id: 2, parentId: 10, position: 0 }
+  ]
+  assert.strictEqual(nextPosition(items, null), 5)
+  assert.strictEqual(nextPosition(items, 10), 1)
+  assert.strictEqual(nextPosition(items, 11), 0)
+})
+
+test('isWithin finds descendants and survives loops', () => {
+  const folders = [
+    { id: 1, parentId: null },
+    { id: 2, parentId: 1 },
+    { id: 3, parentId: 2 },
+    { id: 4, parentId: 5 },
+    { id: 5, parentId: 4 }
+  ]
+  assert.strictEqual(isWithin(folders, 3, 1), true)
+  assert.strictEqual(isWithin(folders, 1, 1), true)
+  assert.strictEqual(isWithin(folders, 1, 3), false)
+  assert.strictEqual(isWithin(folders, null, 1), false)
+  assert.strictEqual(isWithin(folders, 4, 1), false)
+})
@@ -0,0 +1,50 @@
+// Small HTML helpers shared by the bookmark file parsers and page fetchers
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+}
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10)
+      return Number.isNaN(code) || code > 0x10ffff ? match : String.fromCodePoint(code)
+    }
+    const decoded = ENTITIES[entity.toLowerCase()]
+    return decoded === undefined ? match : decoded
+  })
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+const stripTags = (html) => decodeEntities(html.replace(/<[^>]*>/g, '')).trim()
+
+// Parse the attribute list of a tag, e.g. ` HREF="..." ADD_DATE="123"`
+const parseAttributes = (source) => {
+  const attributes = {}
+  const pattern = /([a-z_:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi
+  let match
+  while ((match = pattern.exec(source)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? ''
+    attributes[match[1].toLowerCase()] = decodeEntities(value)
+  }
+  return attributes
+}
+
+module.exports = {
+  decodeEntities,
+  escapeHtml,
+  stripTags,
+  parseAttributes
+}
@@ -0,0 +1,196 @@
+// Readers for the files other bookmark services export. Each turns a file
+// into rows shaped like our bookmarks; the import route then checks every
+// row against the bookmark schema, whatever it came from.
+
+const { parseNetscapeBookmarks } = require('./netscape')
+const { parseCsv, parseCsvRecords } = require('./csv')
+const { stripTags, parseAttributes } = require('./html')
+
+const IMPORT_FORMATS = ['bkmrks', 'netscape', 'pocket', 'pinboard', 'raindrop', 'csv']
+
+// Fields a generic CSV's columns can be mapped to, and the column names
+// guessed for each
+const CSV_FIELDS = {
+  title: ['title', 'name'],
+  url: ['url', 'link', 'href', 'address'],
+  category: ['category', 'folder', 'collection'],
+  tags: ['tags', 'labels', 'keywords'],
+  description: ['description', 'excerpt', 'summary', 'extended'],
+  notes: ['notes', 'note', 'comment', 'comments'],
+  status: ['status'],
+  remindAt: ['remindat', 'reminder'],
+  dateAdded: ['dateadded', 'date', 'added', 'created', 'createdat', 'timeadded']
+}
+
+// YYYY-MM-DD from a date string, or seconds (or milliseconds) since the epoch
+const toDay = (value) => {
+  const text = String(value ?? '').trim()
+  if (!text) return undefined
+  const number = Number(text)
+  const time = Number.isNaN(number) ? Date.parse(text) : number < 1e11 ? number * 1000 : number
+  // Infinity, or too far out for a Date
+  const date = new Date(time)
+  return Number.isFinite(time) && !Number.isNaN(date.getTime()) ? date.toISOString().split('T')[0] : undefined
+}
+
+const splitTags = (value, separator) => String(value || '').split(separator).map(tag => tag.trim()).filter(Boolean)
+
+// Drop empty fields so the import's defaults fill them in, and fall back to
+// the URL for a missing title as browsers do
+const compact = (row) => {
+  const result = {}
+  Object.entries(row).forEach(([field, value]) => {
+    if (value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)) result[field] = value
+  })
+  if (!result.title && result.url) result.title = result.url
+  return result
+}
+
+// Services link preview images from anywhere; only keep web addresses
+const webImage = (value) => (/^https?:\/\//i.test(value || '') ? value : undefined)
+
+// Pocket's HTML export lists links under "Unread" and "Read Archive"
+// headings; its newer CSV export has a status column instead
+const readPocket = (content) => {
+  if (!/^\s*</.test(content)) {
+    const { records } = parseCsvRecords(content)
+    return records.map(record => compact({
+      title: record.title,
+      url: record.url,
+      tags: splitTags(record.tags, '|'),
+      dateAdded: toDay(record.time_added),
+      status: record.status === 'archive' ? 'done' : 'unread'
+    }))
+  }
+
+  const rows = []
+  let status = 'unread'
+  const tokens = /<h1[^>]*>([\s\S]*?)<\/h1>|<a([^>]*)>([\s\S]*?)<\/a>/gi
+  let match
+  while ((match = tokens.exec(content)) !== null) {
+    if (match[1] !== undefined) {
+      status = /read archive/i.test(stripTags(match[1])) ? 'done' : 'unread'
+      continue
+    }
+    const attributes = parseAttributes(match[2])
+    rows.push(compact({
+      title: stripTags(match[3]),
+      url: attributes.href,
+      tags: splitTags(attributes.tags, ','),
+      dateAdded: toDay(attributes.time_added),
+      status
+    }))
+  }
+  return rows
+}
+
+// Pinboard's JSON export calls the title "description" and the description
+// "extended"; tags are space separated
+const readPinboard = (items) => items.map(item => !item || typeof item !== 'object' ? item : compact({
+  title: item.description,
+  url: item.href,
+  description: item.extended,
+  tags: splitTags(item.tags, /\s+/),
+  dateAdded: toDay(item.time),
+  status: item.toread === 'yes' ? 'unread' : undefined
+}))
+
+// Raindrop's CSV export; folders become categories
+const readRaindrop = (content) => parseCsvRecords(content).records.map(record => compact({
+  title: record.title,
+  url: record.url,
+  description: record.excerpt,
+  notes: record.note,
+  category: record.folder === 'Unsorted' ? undefined : record.folder,
+  tags: splitTags(record.tags, ','),
+  image: webImage(record.cover),
+  dateAdded: toDay(record.created)
+}))
+
+// A column for each field whose name looks like one of its usual names
+const guessMapping = (columns) => {
+  const mapping = {}
+  const key = (name) => name.toLowerCase().replace(/[^a-z]/g, '')
+  Object.entries(CSV_FIELDS).forEach(([field, names]) => {
+    const column = columns.find(c => names.includes(key(c)))
+    if (column) mapping[field] = column
+  })
+  return mapping
+}
+
+// Any CSV with a header row. mapping is { field: column name }; fields left
+// out of it are guessed from the column names.
+const readCsv = (content, mapping) => {
+  const { columns, records } = parseCsvRecords(content)
+  const chosen = mapping && typeof mapping === 'object' ? mapping : guessMapping(columns)
+  const used = Object.fromEntries(Object.entries(chosen).filter(([field, column]) => CSV_FIELDS[field] && columns.includes(column)))
+
+  const rows = records.map(record => {
+    const value = (field) => (used[field] ? record[used[field]].trim() : undefined)
+    return compact({
+      title: value('title'),
+      url: value('url'),
+      category: value('category'),
+      tags: splitTags(value('tags'), /[,;|]/),
+      description: value('description'),
+      notes: value('notes'),
+      status: value('status') ? value('status').toLowerCase() : undefined,
+      remindAt: value('remindAt'),
+      dateAdded: toDay(value('dateAdded'))
+    })
+  })
+  return { rows, columns, mapping: used }
+}
+
+// Work out which service a file came from by looking at it
+const detectFormat = (content) => {
+  const text = content.trimStart()
+  if (/^[[{]/.test(text)) {
+    try {
+      const data = JSON.parse(text)
+      return Array.isArray(data) && data.some(item => item && item.href && !item.url) ? 'pinboard' : 'bkmrks'
+    } catch (error) {
+      return 'bkmrks'
+    }
+  }
+  if (text.startsWith('<')) {
+    return /<title>\s*Pocket Export|<h1[^>]*>\s*Unread\s*<\/h1>/i.test(text) ? 'pocket' : 'netscape'
+  }
+  const header = (parseCsv(text.split(/\r?\n/, 1)[0])[0] || []).map(name => name.trim().toLowerCase())
+  if (['title', 'url', 'time_added'].every(name => header.includes(name))) return 'pocket'
+  if (['url', 'excerpt', 'folder'].every(name => header.includes(name))) return 'raindrop'
+  return 'csv'
+}
+
+// Read an uploaded file. format is one of IMPORT_FORMATS or auto. Returns
+// { format, rows } (plus { columns, mapping } for CSV) or { error }.
+const readImport = (content, { format = 'auto', mapping } = {}) => {
+  if (typeof content !== 'string') return { error: 'content must be the text of the file' }
+  if (format !== 'auto' && !IMPORT_FORMATS.includes(format)) {
+    return { error: `format must be one of: auto, ${IMPORT_FORMATS.join(', ')}` }
+  }
+
+  const chosen = format === 'auto' ? detectFormat(content) : format
+
+  if (chosen === 'bkmrks' || chosen === 'pinboard') {
+    let data
+    try {
+      data = JSON.parse(content)
+    } catch (error) {
+      return { error: 'The file is not valid JSON' }
+    }
+    if (!Array.isArray(data)) return { error: 'Invalid bookmarks format' }
+    return { format: chosen, rows: chosen === 'pinboard' ? readPinboard(data) : data }
+  }
+  if (chosen === 'netscape') return { format: chosen, rows: parseNetscapeBookmarks(content) }
+  if (chosen === 'pocket') return { format: chosen, rows: readPocket(content) }
+  if (chosen === 'raindrop') return { format: chosen, rows: readRaindrop(content) }
+  return { format: chosen, ...readCsv(content, mapping) }
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  CSV_FIELDS,
+  detectFormat,
+  readImport
+}
@@ -0,0 +1,82 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { detectFormat, readImport } = require('./importers')
+
+const POCKET_HTML = `<!DOCTYPE html>
+<html><head><title>Pocket Export</title></head><body>
+<h1>Unread</h1>
+<ul>
+<li><a href="https://a.dev/post" time_added="1596556800" tags="js,react">A post</a></li>
+</ul>
+<h1>Read Archive</h1>
+<ul>
+<li><a href="https://b.dev" time_added="1596556800" tags="">https://b.dev</a></li>
+</ul>
+</body></html>`
+
+test('detectFormat recognises each service by its contents', () => {
+  assert.strictEqual(detectFormat(POCKET_HTML), 'pocket')
+  assert.strictEqual(detectFormat('<!DOCTYPE NETSCAPE-Bookmark-file-1><DL></DL>'), 'netscape')
+  assert.strictEqual(detectFormat('title,url,time_added,tags,status\n'), 'pocket')
+  assert.strictEqual(detectFormat('id,title,note,excerpt,url,folder,tags,created\n'), 'raindrop')
+  assert.strictEqual(detectFormat('[{"href":"https://a.dev","description":"A"}]'), 'pinboard')
+  assert.strictEqual(detectFormat('[{"url":"https://a.dev","title":"A"}]'), 'bkmrks')
+  assert.strictEqual(detectFormat('Name,Link\nA,https://a.dev'), 'csv')
+})
+
+test('readImport maps Pocket exports, read items as done', () => {
+  assert.deepStrictEqual(readImport(POCKET_HTML).rows, [
+    { title: 'A post', url: 'https://a.dev/post', tags: ['js', 'react'], dateAdded: '2020-08-04', status: 'unread' },
+    { title: 'https://b.dev', url: 'https://b.dev', dateAdded: '2020-08-04', status: 'done' }
+  ])
+  const csv = readImport('title,url,time_added,tags,status\nA,https://a.dev,1596556800,js|react,archive\n')
+  assert.deepStrictEqual(csv.rows, [
+    { title: 'A', url: 'https://a.dev', tags: ['js', 'react'], dateAdded: '2020-08-04', status: 'done' }
+  ])
+})
+
+test('readImport maps Pinboard and Raindrop exports', () => {
+  const pinboard = readImport(JSON.stringify([
+    { href: 'https://a.dev', description: 'A', extended: 'About A', tags: 'js  react', time: '2020-08-04T10:00:00Z', toread: 'yes' }
+  ]))
+  assert.deepStrictEqual(pinboard.rows, [
+    { title: 'A', url: 'https://a.dev', description: 'About A', tags: ['js', 'react'], dateAdded: '2020-08-04', status: 'unread' }
+  ])
+
+  const raindrop = readImport('id,title,note,excerpt,url,folder,tags,created,cover\n' +
+    '1,A,my note,About A,https://a.dev,Dev,"js, react",2020-08-04T10:00:00.000Z,data:image/png;base64,AA\n' +
+    '2,B,,,https://b.dev,Unsorted,,2020-08-04T10:00:00.000Z,https://b.dev/cover.png\n')
+  assert.strictEqual(raindrop.format, 'raindrop')
+  assert.deepStrictEqual(raindrop.rows, [
+    { title: 'A', url: 'https://a.dev', description: 'About A', notes: 'my note', category: 'Dev', tags: ['js', 'react'], dateAdded: '2020-08-04' },
+    { title: 'B', url: 'https://b.dev', image: 'https://b.dev/cover.png', dateAdded: '2020-08-04' }
+  ])
+})
+
+test('readImport leaves out dates it cannot use instead of throwing', () => {
+  const csv = readImport('title,url,time_added,tags,status\n' +
+    'A,https://a.dev,Infinity,,\n' +
+    'B,https://b.dev,1e300,,\n' +
+    'C,https://c.dev,-9000000000000000000,,\n' +
+    'D,https://d.dev,someday,,\n')
+  assert.deepStrictEqual(csv.rows.map(row => row.dateAdded), [undefined, undefined, undefined, undefined])
+  assert.deepStrictEqual(csv.rows.map(row => row.url), ['https://a.dev', 'https://b.dev', 'https://c.dev', 'https://d.dev'])
+})
+
+test('readImport guesses CSV columns or uses the mapping given', () => {
+  const content = 'Name,Link,Labels,When\nA,https://a.dev,js;react,2020-08-04\n'
+  const guessed = readImport(content)
+  assert.deepStrictEqual(guessed.columns, ['Name', 'Link', 'Labels', 'When'])
+  assert.deepStrictEqual(guessed.mapping, { title: 'Name', url: 'Link', tags: 'Labels' })
+  assert.deepStrictEqual(guessed.rows, [{ title: 'A', url: 'https://a.dev', tags: ['js', 'react'] }])
+
+  const mapped = readImport(content, { format: 'csv', mapping: { url: 'Link', category: 'Name', dateAdded: 'When', color: 'Name' } })
+  assert.deepStrictEqual(mapped.mapping, { url: 'Link', category: 'Name', dateAdded: 'When' })
+  assert.deepStrictEqual(mapped.rows, [{ title: 'https://a.dev', url: 'https://a.dev', category: 'A', dateAdded: '2020-08-04' }])
+})
+
+test('readImport reports unreadable files', () => {
+  assert.deepStrictEqual(readImport('[not json'), { error: 'The file is not valid JSON' })
+  assert.deepStrictEqual(readImport('{}', { format: 'bkmrks' }), { error: 'Invalid bookmarks format' })
+  assert.match(readImport('x', { format: 'delicious' }).error, /^format must be one of/)
+})
@@ -0,0 +1,84 @@
+// Check whether bookmarked URLs still resolve
+
+const { fetchPage } = require('./fetcher')
+
+const MAX_REDIRECTS = 5
+const PERMANENT_REDIRECTS = [301, 308]
+
+// Some servers reject HEAD outright; retry those with a small GET
+const HEAD_UNSUPPORTED = [400, 403, 405, 501]
+
+// Request one URL without following redirects
+const request = async (url, options) => {
+  const head = await fetchPage(url, { ...options, method: 'HEAD', redirect: 'manual' })
+  if (!HEAD_UNSUPPORTED.includes(head.status)) return head
+  return fetchPage(url, { ...options, method: 'GET', redirect: 'manual', maxBytes: 16 * 1024 })
+}
+
+const classify = (status, redirectUrl) => {
+  if (status >= 200 && status < 300) return redirectUrl ? 'redirected' : 'ok'
+  if (status === 404 || status === 410 || status >= 500) return 'broken'
+  return 'unknown'
+}
+
+// Follow redirects by hand so permanent moves can be told apart from
+// temporary ones. Resolves to the health record stored on the bookmark:
+// { state, status, finalUrl, redirectUrl, error, checkedAt }
+const checkLink = async (url, options = {}) => {
+  const checkedAt = new Date().toISOString()
+  let current = url
+  let redirectUrl = null
+  let permanent = true
+
+  try {
+    for (let hops = 0; hops <= MAX_REDIRECTS; hops++) {
+      const response = await request(current, options)
+      const location = response.headers.get('location')
+
+      if (response.status >= 300 && response.status < 400 && location) {
+        // Only suggest the new address if every hop was permanent
+        permanent = permanent && PERMANENT_REDIRECTS.includes(response.status)
+        current = new URL(location, current).href
+        redirectUrl = permanent ? current : null
+        continue
+      }
+
+      return {
+        state: classify(response.status, redirectUrl),
+        status: response.status,
+        finalUrl: current,
+        redirectUrl,
+        error: null,
+        checkedAt
+      }
+    }
+
+    return { state: 'broken', status: null, finalUrl: current, redirectUrl: null, error: 'Too many redirects', checkedAt }
+  } catch (error) {
+    return { state: 'broken', status: null, finalUrl: current, redirectUrl: null, error: error.message, checkedAt }
+  }
+}
+
+// Check many bookmarks with at most `concurrency` requests in flight.
+// onResult(bookmark, health) is called as each one finishes.
+const checkLinks = async (bookmarks, { concurrency = 5, onResult = () => {}, ...options } = {}) => {
+  const queue = [...bookmarks]
+  const results = new Map()
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const bookmark = queue.shift()
+      const health = await checkLink(bookmark.url, options)
+      results.set(bookmark.id, health)
+      onResult(bookmark, health)
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker))
+  return results
+}
+
+module.exports = {
+  checkLink,
+  checkLinks
+}
@@ -0,0 +1,127 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const http = require('http')
+const { checkLink, checkLinks } = require('./link-checker')
+
+// The stub listens on localhost, which checks refuse unless allowed
+const LOCAL = { allowPrivateNetwork: true }
+
+// Local stand-in for the web so the tests never touch the network
+const startStub = () => new Promise(resolve => {
+  const requests = []
+  const server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`)
+    const redirect = (status, location) => {
+      res.writeHead(status, { Location: location })
+      res.end()
+    }
+    if (req.url === '/ok') {
+      res.writeHead(200, { 'Content-Type': 'text/html' })
+      res.end('<title>OK</title>')
+    } else if (req.url === '/gone') {
+      res.writeHead(410)
+      res.end()
+    } else if (req.url === '/error') {
+      res.writeHead(503)
+      res.end()
+    } else if (req.url === '/forbidden') {
+      res.writeHead(401)
+      res.end()
+    } else if (req.url === '/no-head') {
+      res.writeHead(req.method === 'HEAD' ? 405 : 200)
+      res.end()
+    } else if (req.url === '/moved') {
+      redirect(301, '/moved-again')
+    } else if (req.url === '/moved-again') {
+      redirect(308, '/ok')
+    } else if (req.url === '/temporary') {
+      redirect(301, '/elsewhere')
+    } else if (req.url === '/elsewhere') {
+      redirect(302, '/ok')
+    } else if (req.url.startsWith('/loop')) {
+      redirect(301, `/loop${req.url.length}`)
+    } else {
+      res.writeHead(404)
+      res.end()
+    }
+  })
+  server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }))
+})
+
+let stub
+
+test.before(async () => {
+  stub = await startStub()
+})
+
+test.after(() => stub.server.close())
+
+test('working and broken links', async () => {
+  const ok = await checkLink(`${stub.url}/ok`, LOCAL)
+  assert.strictEqual(ok.state, 'ok')
+  assert.strictEqual(ok.status, 200)
+  assert.strictEqual(ok.redirectUrl, null)
+  assert.ok(ok.checkedAt)
+
+  assert.strictEqual((await checkLink(`${stub.url}/missing`, LOCAL)).state, 'broken')
+  assert.strictEqual((await checkLink(`${stub.url}/gone`, LOCAL)).state, 'broken')
+  assert.strictEqual((await checkLink(`${stub.url}/error`, LOCAL)).state, 'broken')
+  // Could be a login wall rather than a dead page
+  assert.strictEqual((await checkLink(`${stub.url}/forbidden`, LOCAL)).state, 'unknown')
+})
+
+test('servers that refuse HEAD are asked again with GET', async () => {
+  stub.requests.length = 0
+  const health = await checkLink(`${stub.url}/no-head`, LOCAL)
+  assert.strictEqual(health.state, 'ok')
+  assert.deepStrictEqual(stub.requests, ['HEAD /no-head', 'GET /no-head'])
+})
+
+test('only a chain of permanent redirects suggests a new address', async () => {
+  const permanent = await checkLink(`${stub.url}/moved`, LOCAL)
+  assert.strictEqual(permanent.state, 'redirected')
+  assert.strictEqual(permanent.redirectUrl, `${stub.url}/ok`)
+  assert.strictEqual(permanent.finalUrl, `${stub.url}/ok`)
+
+  const temporary = await checkLink(`${stub.url}/temporary`, LOCAL)
+  assert.strictEqual(temporary.state, 'ok')
+  assert.strictEqual(temporary.redirectUrl, null)
+  assert.strictEqual(temporary.finalUrl, `${stub.url}/ok`)
+})
+
+test('endless redirects and unreachable hosts are broken', async () => {
+  const loop = await checkLink(`${stub.url}/loop`, LOCAL)
+  assert.strictEqual(loop.state, 'broken')
+  assert.strictEqual(loop.error, 'Too many redirects')
+
+  // Nothing listens on a port just given up
+  const closed = http.createServer()
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve))
+  const port = closed.address().port
+  await new Promise(resolve => closed.close(resolve))
+
+  const unreachable = await checkLink(`http://127.0.0.1:${port}/`, LOCAL)
+  assert.strictEqual(unreachable.state, 'broken')
+  assert.strictEqual(unreachable.status, null)
+  assert.ok(unreachable.error)
+
+  assert.strictEqual((await checkLink('not a url', LOCAL)).state, 'broken')
+})
+
+test('private network addresses are refused unless allowed', async () => {
+  stub.requests.length = 0
+  const health = await checkLink(`${stub.url}/ok`)
+  assert.strictEqual(health.state, 'broken')
+  assert.match(health.error, /private network address/)
+  assert.deepStrictEqual(stub.requests, [])
+})
+
+test('checkLinks checks every bookmark and reports each as it finishes', async () => {
+  const bookmarks = ['/ok', '/missing', '/moved', '/no-head', '/gone'].map((path, i) => ({ id: i + 1, url: `${stub.url}${path}` }))
+  const reported = []
+
+  const results = await checkLinks(bookmarks, { ...LOCAL, concurrency: 2, onResult: (bookmark, health) => reported.push([bookmark.id, health.state]) })
+
+  assert.deepStrictEqual([...results.keys()].sort(), [1, 2, 3, 4, 5])
+  assert.deepStrictEqual(reported.sort(), [[1, 'ok'], [2, 'broken'], [3, 'redirected'], [4, 'ok'], [5, 'broken']])
+})
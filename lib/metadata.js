@@ -0,0 +1,80 @@
+// Pull a title, description, preview image and favicon out of a web page
+
+const { stripTags, parseAttributes } = require('./html')
+const { fetchPage } = require('./fetcher')
+
+const MAX_TITLE = 300
+const MAX_DESCRIPTION = 1000
+
+// Attribute values and stripTags output are already entity-decoded
+const clean = (text, max) => String(text || '').replace(/\s+/g, ' ').trim().slice(0, max)
+
+const resolveUrl = (href, baseUrl) => {
+  try {
+    return new URL(href, baseUrl).href
+  } catch (error) {
+    return ''
+  }
+}
+
+const parseMetadata = (html, baseUrl) => {
+  const metas = [...html.matchAll(/<meta\b([^>]*)>/gi)].map(match => parseAttributes(match[1]))
+  const links = [...html.matchAll(/<link\b([^>]*)>/gi)].map(match => parseAttributes(match[1]))
+
+  // First non-empty content among <meta name=...> or <meta property=...>
+  const meta = (...names) => {
+    for (const name of names) {
+      const found = metas.find(m =>
+        (m.name || m.property || '').toLowerCase() === name && m.content
+      )
+      if (found) return found.content
+    }
+    return ''
+  }
+
+  const relOf = (link) => (link.rel || '').toLowerCase().split(/\s+/)
+  const icon = links.find(link => link.href && relOf(link).includes('icon')) ||
+    links.find(link => link.href && relOf(link).includes('apple-touch-icon'))
+
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)
+  const image = meta('og:image', 'og:image:url', 'twitter:image')
+
+  return {
+    title: clean(titleMatch ? stripTags(titleMatch[1]) : '', MAX_TITLE) ||
+      clean(meta('og:title', 'twitter:title'), MAX_TITLE),
+    description: clean(meta('description', 'og:description', 'twitter:description'), MAX_DESCRIPTION),
+    image: image ? resolveUrl(image, baseUrl) : '',
+    favicon: resolveUrl(icon ? icon.href : '/favicon.ico', baseUrl)
+  }
+}
+
+// Fetch url and return { url, title, description, image, favicon }.
+// Only the first maxBytes of the page are read; metadata lives in <head>.
+const fetchMetadata = async (url, options = {}) => {
+  const page = await fetchPage(url, options)
+
+  if (!page.ok) {
+    const error = new Error(`Page responded with HTTP ${page.status}`)
+    error.code = 'HTTP_ERROR'
+    error.status = page.status
+    throw error
+  }
+
+  const contentType = page.headers.get('content-type') || ''
+  if (!/html/i.test(contentType)) {
+    return {
+      url: page.url,
+      title: '',
+      description: '',
+      image: /^image\//i.test(contentType) ? page.url : '',
+      favicon: resolveUrl('/favicon.ico', page.url)
+    }
+  }
+
+  return { url: page.url, ...parseMetadata(page.body, page.url) }
+}
+
+module.exports = {
+  fetchMetadata,
+  parseMetadata
+}
@@ -0,0 +1,111 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const http = require('http')
+const { fetchMetadata } = require('./metadata')
+
+const PAGE = `<!doctype html>
+<html>
+<head>
+  <title>Stub &amp; Page</title>
+  <meta name="description" content="A page served by the test stub">
+  <meta property="og:image" content="/images/preview.png">
+  <link rel="shortcut icon" href="/static/icon.ico">
+</head>
+<body><h1>Hello</h1></body>
+</html>`
+
+// The stubs listen on localhost, which fetches refuse unless allowed
+const LOCAL = { allowPrivateNetwork: true }
+
+// Local stand-in for the web so the tests never touch the network
+const startStub = () => new Promise(resolve => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/page') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+      res.end(PAGE)
+    } else if (req.url === '/og-only') {
+      res.writeHead(200, { 'Content-Type': 'text/html' })
+      res.end('<meta property="og:title" content="From OG"><meta property="og:description" content="OG text">')
+    } else if (req.url === '/moved') {
+      res.writeHead(301, { Location: '/page' })
+      res.end()
+    } else if (req.url === '/slow') {
+      // Never answers; the fetcher has to give up on its own
+    } else if (req.url === '/huge') {
+      res.writeHead(200, { 'Content-Type': 'text/html' })
+      res.write('<title>Huge</title>')
+      const chunk = 'x'.repeat(64 * 1024)
+      const interval = setInterval(() => res.write(chunk), 1)
+      res.on('close', () => clearInterval(interval))
+    } else if (req.url === '/missing') {
+      res.writeHead(404, { 'Content-Type': 'text/html' })
+      res.end('<title>Not found</title>')
+    } else {
+      res.writeHead(200, { 'Content-Type': 'image/png' })
+      res.end('png')
+    }
+  })
+  server.listen(0, '127.0.0.1', () => resolve(server))
+})
+
+test('fetchMetadata', async (t) => {
+  const server = await startStub()
+  const base = `http://127.0.0.1:${server.address().port}`
+  t.after(() => {
+    server.closeAllConnections()
+    server.close()
+  })
+
+  await t.test('reads title, description, preview image and favicon', async () => {
+    const metadata = await fetchMetadata(`${base}/page`, LOCAL)
+    assert.deepStrictEqual(metadata, {
+      url: `${base}/page`,
+      title: 'Stub & Page',
+      description: 'A page served by the test stub',
+      image: `${base}/images/preview.png`,
+      favicon: `${base}/static/icon.ico`
+    })
+  })
+
+  await t.test('falls back to Open Graph tags and /favicon.ico', async () => {
+    const metadata = await fetchMetadata(`${base}/og-only`, LOCAL)
+    assert.strictEqual(metadata.title, 'From OG')
+    assert.strictEqual(metadata.description, 'OG text')
+    assert.strictEqual(metadata.favicon, `${base}/favicon.ico`)
+  })
+
+  await t.test('follows redirects and reports the final URL', async () => {
+    const metadata = await fetchMetadata(`${base}/moved`, LOCAL)
+    assert.strictEqual(metadata.url, `${base}/page`)
+    assert.strictEqual(metadata.title, 'Stub & Page')
+  })
+
+  await t.test('gives up after the timeout', async () => {
+    await assert.rejects(
+      fetchMetadata(`${base}/slow`, { ...LOCAL, timeout: 200 }),
+      { code: 'TIMEOUT' }
+    )
+  })
+
+  await t.test('stops reading once the size cap is reached', async () => {
+    const metadata = await fetchMetadata(`${base}/huge`, { ...LOCAL, maxBytes: 16 * 1024 })
+    assert.strictEqual(metadata.title, 'Huge')
+  })
+
+  await t.test('rejects HTTP errors and non-http URLs', async () => {
+    await assert.rejects(fetchMetadata(`${base}/missing`, LOCAL), { code: 'HTTP_ERROR', status: 404 })
+    await assert.rejects(fetchMetadata('javascript:alert(1)'), { code: 'BAD_URL' })
+    await assert.rejects(fetchMetadata('not a url'), { code: 'BAD_URL' })
+  })
+
+  await t.test('refuses private network addresses unless allowed', async () => {
+    await assert.rejects(fetchMetadata(`${base}/page`), { code: 'PRIVATE_ADDRESS' })
+    await assert.rejects(fetchMetadata(base.replace('127.0.0.1', 'localhost') + '/page'), { code: 'PRIVATE_ADDRESS' })
+  })
+
+  await t.test('uses the URL itself as the image for image links', async () => {
+    const metadata = await fetchMetadata(`${base}/photo.png`, LOCAL)
+    assert.strictEqual(metadata.image, `${base}/photo.png`)
+    assert.strictEqual(metadata.title, '')
+  })
+})
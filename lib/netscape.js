@@ -0,0 +1,116 @@
+// Reader and writer for the Netscape bookmark file format, the bookmarks.html
+// that Chrome, Firefox and Safari all import and export.
+
+const { escapeHtml, stripTags, parseAttributes } = require('./html')
+
+// ADD_DATE is seconds since the epoch; we store plain YYYY-MM-DD dates. Some
+// exporters write microseconds, which land outside the dates JavaScript can
+// represent, so anything unusable becomes today.
+const fromUnixDate = (value) => {
+  const date = new Date(parseInt(value, 10) * 1000)
+  if (!parseInt(value, 10) || Number.isNaN(date.getTime())) return new Date().toISOString().split('T')[0]
+  return date.toISOString().split('T')[0]
+}
+
+const toUnixDate = (value) => {
+  const time = Date.parse(value)
+  return Number.isNaN(time) ? Math.floor(Date.now() / 1000) : Math.floor(time / 1000)
+}
+
+// Turn a bookmarks.html document into bookmark objects. The innermost folder a
+// link sits in becomes its category.
+const parseNetscapeBookmarks = (html) => {
+  const bookmarks = []
+  const folders = []
+  let pendingFolder = null
+  let lastBookmark = null
+
+  const tokens = /<dt>\s*<h3([^>]*)>([\s\S]*?)<\/h3>|<dt>\s*<a([^>]*)>([\s\S]*?)<\/a>|<dd>([\s\S]*?)(?=<dt>|<\/?dl>|$)|<dl[^>]*>|<\/dl>/gi
+  let match
+
+  while ((match = tokens.exec(html)) !== null) {
+    const [token] = match
+
+    if (match[2] !== undefined) {
+      pendingFolder = stripTags(match[2])
+      lastBookmark = null
+    } else if (match[4] !== undefined) {
+      const attributes = parseAttributes(match[3])
+      if (!attributes.href) continue
+
+      lastBookmark = {
+        title: stripTags(match[4]) || attributes.href,
+        url: attributes.href,
+        category: folders[folders.length - 1] || '',
+        description: '',
+        // Firefox and Pinboard exports carry comma separated TAGS
+        tags: attributes.tags ? attributes.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+        dateAdded: fromUnixDate(attributes.add_date)
+      }
+      bookmarks.push(lastBookmark)
+    } else if (match[5] !== undefined) {
+      if (lastBookmark) lastBookmark.description = stripTags(match[5])
+      lastBookmark = null
+    } else if (/^<dl/i.test(token)) {
+      // The root <DL> has no heading; keep the stack aligned with a null entry
+      folders.push(pendingFolder)
+      pendingFolder = null
+      lastBookmark = null
+    } else {
+      folders.pop()
+      lastBookmark = null
+    }
+  }
+
+  return bookmarks
+}
+
+const renderBookmark = (bookmark, indent) => {
+  const tags = bookmark.tags && bookmark.tags.length
+    ? ` TAGS="${escapeHtml(bookmark.tags.join(','))}"`
+    : ''
+  const lines = [
+    `${indent}<DT><A HREF="${escapeHtml(bookmark.url)}" ADD_DATE="${toUnixDate(bookmark.dateAdded)}"${tags}>${escapeHtml(bookmark.title)}</A>`
+  ]
+  if (bookmark.description) {
+    lines.push(`${indent}<DD>${escapeHtml(bookmark.description)}`)
+  }
+  return lines
+}
+
+// Render bookmarks as a bookmarks.html document, one folder per category
+const toNetscapeBookmarks = (bookmarks) => {
+  const now = Math.floor(Date.now() / 1000)
+  const uncategorized = bookmarks.filter(b => !b.category)
+  const categories = [...new Set(bookmarks.map(b => b.category).filter(Boolean))]
+
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>'
+  ]
+
+  categories.forEach(category => {
+    lines.push(`    <DT><H3 ADD_DATE="${now}" LAST_MODIFIED="${now}">${escapeHtml(category)}</H3>`)
+    lines.push('    <DL><p>')
+    bookmarks
+      .filter(b => b.category === category)
+      .forEach(b => lines.push(...renderBookmark(b, '        ')))
+    lines.push('    </DL><p>')
+  })
+
+  uncategorized.forEach(b => lines.push(...renderBookmark(b, '    ')))
+  lines.push('</DL><p>')
+
+  return lines.join('\n') + '\n'
+}
+
+module.exports = {
+  parseNetscapeBookmarks,
+  toNetscapeBookmarks
+}
@@ -0,0 +1,53 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { parseNetscapeBookmarks, toNetscapeBookmarks } = require('./netscape')
+
+const today = () => new Date().toISOString().split('T')[0]
+
+test('parses nested folders, descriptions, tags and entities', () => {
+  const html = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<DL><p>
+    <DT><H3>Dev</H3>
+    <DL><p>
+        <DT><A HREF="https://nodejs.org/" ADD_DATE="1700000000" TAGS="js, runtime">Node.js</A>
+        <DD>Server-side &amp; tooling
+        <DT><H3>Front &lt;end&gt;</H3>
+        <DL><p>
+            <DT><A HREF="https://react.dev/?a=1&amp;b=2" ADD_DATE="1600000000">React &quot;docs&quot;</A>
+        </DL><p>
+        <DT><A HREF="https://developer.mozilla.org/">MDN</A>
+    </DL><p>
+    <DT><A HREF="https://example.com/">Example</A>
+</DL><p>
+`
+  assert.deepStrictEqual(parseNetscapeBookmarks(html), [
+    { title: 'Node.js', url: 'https://nodejs.org/', category: 'Dev', description: 'Server-side & tooling', tags: ['js', 'runtime'], dateAdded: '2023-11-14' },
+    { title: 'React "docs"', url: 'https://react.dev/?a=1&b=2', category: 'Front <end>', description: '', tags: [], dateAdded: '2020-09-13' },
+    { title: 'MDN', url: 'https://developer.mozilla.org/', category: 'Dev', description: '', tags: [], dateAdded: today() },
+    { title: 'Example', url: 'https://example.com/', category: '', description: '', tags: [], dateAdded: today() }
+  ])
+})
+
+test('dates it cannot use become today instead of throwing', () => {
+  const html = ['1700000000000000', '-9000000000000000', 'soon', '0']
+    .map((date, i) => `<DT><A HREF="https://example.com/${i}" ADD_DATE="${date}">${i}</A>`)
+    .join('\n')
+  const bookmarks = parseNetscapeBookmarks(`<DL><p>\n${html}\n</DL><p>`)
+  assert.strictEqual(bookmarks.length, 4)
+  bookmarks.forEach(bookmark => assert.strictEqual(bookmark.dateAdded, today()))
+})
+
+test('what is exported parses back to the same bookmarks', () => {
+  const bookmarks = [
+    { title: 'Tom & Jerry <3', url: 'https://example.com/?q="x"&y=1', category: 'Fun & Games', description: 'Cat "and" mouse', tags: ['cartoons', 'classic'], dateAdded: '2021-05-04' },
+    { title: 'Plain', url: 'https://example.org/', category: 'Fun & Games', description: '', tags: [], dateAdded: '2019-01-31' },
+    { title: 'Loose', url: 'https://example.net/', category: '', description: '', tags: ['misc'], dateAdded: '2024-02-29' }
+  ]
+  assert.deepStrictEqual(parseNetscapeBookmarks(toNetscapeBookmarks(bookmarks)), bookmarks)
+})
+
+test('a date that cannot be parsed is exported as now', () => {
+  const html = toNetscapeBookmarks([{ title: 'A', url: 'https://a.example/', category: '', tags: [], dateAdded: 'whenever' }])
+  const [{ dateAdded }] = parseNetscapeBookmarks(html)
+  assert.strictEqual(dateAdded, today())
+})
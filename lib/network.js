@@ -0,0 +1,81 @@
+// Guard for requests the server makes on a user's behalf (page metadata,
+// archives, link checks and webhooks). Without it anyone signed in could
+// have the server fetch its own admin ports, the LAN or a cloud metadata
+// address. Hostnames are checked after DNS resolution, on every connection,
+// so neither a redirect nor a name pointing at 127.0.0.1 gets through.
+
+const dns = require('dns')
+const net = require('net')
+const { Agent, buildConnector, fetch } = require('undici')
+
+const PRIVATE_RANGES = new net.BlockList()
+;[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'))
+;[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'))
+
+// Whether an IP address is loopback, private, link-local or otherwise not on
+// the public internet. IPv4 addresses written as IPv6 (::ffff:127.0.0.1)
+// count as the IPv4 address.
+const isPrivateAddress = (address) => {
+  const bare = String(address).replace(/^\[|\]$/g, '')
+  const mapped = bare.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)
+  if (mapped) return isPrivateAddress(mapped[1])
+  const family = net.isIP(bare)
+  if (family === 0) return false
+  return PRIVATE_RANGES.check(bare, family === 6 ? 'ipv6' : 'ipv4')
+}
+
+const blockedError = (hostname, address) => {
+  const error = new Error(`${hostname} is a private network address${address && address !== hostname ? ` (${address})` : ''}`)
+  error.code = 'PRIVATE_ADDRESS'
+  return error
+}
+
+// dns.lookup that fails for private addresses. Sockets may ask for every
+// address at once; any private one fails the lot.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error)
+    const addresses = Array.isArray(address) ? address : [{ address, family }]
+    const blocked = addresses.find(a => isPrivateAddress(a.address))
+    if (blocked) return callback(blockedError(hostname, blocked.address))
+    callback(null, address, family)
+  })
+}
+
+const connector = buildConnector({ lookup: publicLookup })
+
+// IP literals never reach the lookup, so they are checked here
+const publicConnect = (options, callback) => {
+  if (isPrivateAddress(options.hostname)) return callback(blockedError(options.hostname), null)
+  return connector(options, callback)
+}
+
+const publicAgent = new Agent({ connect: publicConnect })
+
+// fetch that only reaches public addresses, unless allowPrivateNetwork is
+// set (for a server on a home network, or tests against a local stub)
+const guardedFetch = (url, { allowPrivateNetwork = false, ...options } = {}) =>
+  fetch(url, allowPrivateNetwork ? options : { ...options, dispatcher: publicAgent })
+
+module.exports = {
+  isPrivateAddress,
+  guardedFetch
+}
@@ -0,0 +1,36 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const http = require('http')
+const { isPrivateAddress, guardedFetch } = require('./network')
+
+test('isPrivateAddress spots addresses off the public internet', () => {
+  ;[
+    '127.0.0.1', '127.8.9.10', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1',
+    '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255',
+    '::1', '[::1]', '::', 'fd00::1', 'fe80::1', 'ff02::1', '::ffff:127.0.0.1', '::FFFF:10.0.0.1', '::ffff:7f00:1'
+  ].forEach(address => assert.strictEqual(isPrivateAddress(address), true, address))
+  ;[
+    '8.8.8.8', '1.1.1.1', '172.32.0.1', '192.169.0.1', '100.128.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8',
+    'example.com', ''
+  ].forEach(address => assert.strictEqual(isPrivateAddress(address), false, address))
+})
+
+test('guardedFetch refuses private addresses, by name or number, unless allowed', async (t) => {
+  const requests = []
+  const server = http.createServer((req, res) => {
+    requests.push(req.url)
+    res.end('hello')
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  t.after(() => server.close())
+  const { port } = server.address()
+
+  for (const host of ['127.0.0.1', 'localhost']) {
+    await assert.rejects(guardedFetch(`http://${host}:${port}/`), error => error.cause.code === 'PRIVATE_ADDRESS')
+  }
+  assert.deepStrictEqual(requests, [])
+
+  const response = await guardedFetch(`http://127.0.0.1:${port}/allowed`, { allowPrivateNetwork: true })
+  assert.strictEqual(await response.text(), 'hello')
+  assert.deepStrictEqual(requests, ['/allowed'])
+})
@@ -0,0 +1,85 @@
+// Reading list reminders: which bookmarks are due, and the daily digest.
+// There is no mail server; digests are written to an outbox directory as
+// .eml files, which any mail client can open.
+
+const fs = require('fs').promises
+const path = require('path')
+
+// Reminders stop once a bookmark has been read or put away
+const FINISHED_STATUSES = ['done', 'archived']
+
+const isDue = (bookmark, now) => Boolean(bookmark.remindAt) &&
+  !FINISHED_STATUSES.includes(bookmark.status) &&
+  Date.parse(bookmark.remindAt) <= now.getTime()
+
+// Bookmarks whose reminder time has passed, oldest reminder first
+const dueReminders = (bookmarks, now = new Date()) => bookmarks
+  .filter(bookmark => isDue(bookmark, now))
+  .sort((a, b) => Date.parse(a.remindAt) - Date.parse(b.remindAt))
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`
+
+// The digest message for one user, or null when nothing is due
+const buildDigest = ({ user, bookmarks, now = new Date(), from, to }) => {
+  const due = dueReminders(bookmarks, now)
+  if (due.length === 0) return null
+
+  const unread = bookmarks.filter(b => b.status === 'unread').length
+  const lines = [
+    `Hi ${user.username},`,
+    '',
+    `You asked to be reminded about ${plural(due.length, 'bookmark')}:`,
+    '',
+    ...due.flatMap(b => [`* ${b.title}`, `  ${b.url}`]),
+    ''
+  ]
+  if (unread > 0) lines.push(`${plural(unread, 'bookmark')} on your reading list ${unread === 1 ? 'is' : 'are'} still unread.`, '')
+
+  return {
+    from,
+    to,
+    date: now,
+    subject: `Reading list: ${plural(due.length, 'reminder')}`,
+    text: lines.join('\n')
+  }
+}
+
+// A plain text message in the format mail clients read (RFC 5322)
+const formatMessage = ({ from, to, date, subject, text }) => [
+  `From: ${from}`,
+  `To: ${to}`,
+  `Date: ${date.toUTCString()}`,
+  `Subject: ${subject}`,
+  'MIME-Version: 1.0',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: 8bit',
+  '',
+  text
+].join('\r\n').replace(/\r?\n/g, '\r\n')
+
+// Write a message to dir, named after when and who it's for. Resolves to
+// the file's path.
+const writeToOutbox = async (dir, message) => {
+  await fs.mkdir(dir, { recursive: true })
+  const stamp = message.date.toISOString().replace(/[:.]/g, '-')
+  const recipient = message.to.replace(/[^\w.@-]+/g, '_')
+  const file = path.join(dir, `${stamp}-${recipient}.eml`)
+  await fs.writeFile(file, formatMessage(message), 'utf8')
+  return file
+}
+
+// Milliseconds from now until the next time the clock reads hour:00
+const msUntilHour = (hour, now = new Date()) => {
+  const next = new Date(now)
+  next.setHours(hour, 0, 0, 0)
+  if (next <= now) next.setDate(next.getDate() + 1)
+  return next - now
+}
+
+module.exports = {
+  dueReminders,
+  buildDigest,
+  formatMessage,
+  writeToOutbox,
+  msUntilHour
+}
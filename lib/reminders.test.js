@@ -0,0 +1,55 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs').promises
+const os = require('os')
+const path = require('path')
+const { dueReminders, buildDigest, writeToOutbox, msUntilHour } = require('./reminders')
+
+const NOW = new Date('2024-07-01T12:00:00Z')
+
+const bookmarks = () => [
+  { id: 1, title: 'Later', url: 'https://later.dev', status: 'unread', remindAt: '2024-07-02T09:00:00.000Z' },
+  { id: 2, title: 'Essay', url: 'https://essay.dev', status: 'reading', remindAt: '2024-07-01T08:00:00.000Z' },
+  { id: 3, title: 'Read', url: 'https://read.dev', status: 'done', remindAt: '2024-06-01T08:00:00.000Z' },
+  { id: 4, title: 'Paper', url: 'https://paper.dev', status: 'unread', remindAt: '2024-06-30T08:00:00.000Z' },
+  { id: 5, title: 'Plain', url: 'https://plain.dev', remindAt: '' }
+]
+
+test('dueReminders finds passed reminders on unfinished bookmarks', () => {
+  assert.deepStrictEqual(dueReminders(bookmarks(), NOW).map(b => b.id), [4, 2])
+})
+
+test('buildDigest lists what is due and counts unread', () => {
+  const digest = buildDigest({ user: { username: 'alice' }, bookmarks: bookmarks(), now: NOW, from: 'bkmrks@localhost', to: 'alice@localhost' })
+  assert.strictEqual(digest.subject, 'Reading list: 2 reminders')
+  assert.match(digest.text, /^Hi alice,/)
+  assert.match(digest.text, /\* Paper\n {2}https:\/\/paper\.dev\n\* Essay/)
+  assert.match(digest.text, /2 bookmarks on your reading list are still unread/)
+
+  assert.strictEqual(buildDigest({ user: { username: 'bob' }, bookmarks: bookmarks().slice(0, 1), now: NOW }), null)
+})
+
+test('writeToOutbox writes a mail message', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bkmrks-outbox-'))
+  try {
+    const file = await writeToOutbox(dir, {
+      from: 'bkmrks@localhost',
+      to: 'alice@localhost',
+      date: NOW,
+      subject: 'Reading list: 1 reminder',
+      text: 'Hi alice,\n\nhello'
+    })
+    assert.strictEqual(path.basename(file), '2024-07-01T12-00-00-000Z-alice@localhost.eml')
+    const message = await fs.readFile(file, 'utf8')
+    assert.match(message, /^From: bkmrks@localhost\r\nTo: alice@localhost\r\nDate: Mon, 01 Jul 2024 12:00:00 GMT\r\n/)
+    assert.ok(message.endsWith('\r\n\r\nHi alice,\r\n\r\nhello'))
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('msUntilHour waits for the next time the hour comes round', () => {
+  const now = new Date(2024, 6, 1, 7, 30)
+  assert.strictEqual(msUntilHour(8, now), 30 * 60 * 1000)
+  assert.strictEqual(msUntilHour(7, now), 23.5 * 60 * 60 * 1000)
+})
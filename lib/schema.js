@@ -0,0 +1,139 @@
+// The bookmark schema shared by every route that writes bookmarks. Problems
+// are reported per field, so clients can show each next to its input.
+
+const { normalizeTags } = require('./tags')
+
+const MAX_TAGS = 100
+const MAX_TAG_LENGTH = 50
+// Pages sometimes inline their icon or preview image
+const MAX_DATA_URL_LENGTH = 65536
+
+// Where a bookmark is on the reading list; '' means it isn't on it
+const READING_STATUSES = ['unread', 'reading', 'done', 'archived']
+
+// Fields a client may set. Labels start the error messages.
+const FIELDS = {
+  title: { label: 'Title', type: 'text', required: true, max: 500 },
+  url: { label: 'URL', type: 'url', required: true, max: 2048 },
+  category: { label: 'Category', type: 'text', max: 100 },
+  description: { label: 'Description', type: 'text', max: 5000 },
+  tags: { label: 'Tags', type: 'tags' },
+  image: { label: 'Image', type: 'image', max: 2048 },
+  favicon: { label: 'Favicon', type: 'image', max: 2048 },
+  dateAdded: { label: 'Date added', type: 'date' },
+  status: { label: 'Status', type: 'choice', choices: READING_STATUSES },
+  // Markdown
+  notes: { label: 'Notes', type: 'text', max: 20000 },
+  remindAt: { label: 'Reminder', type: 'time' }
+}
+
+// Kept by the server. A bookmark read from the API can be sent back as it
+// is; these are ignored rather than refused.
+const SERVER_FIELDS = [
+  'id', 'version', 'parentId', 'position', 'health', 'archive', 'visitCount', 'lastVisited', 'deletedAt', 'batchId'
+]
+
+const isWebUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol)
+  } catch (error) {
+    return false
+  }
+}
+
+// A real calendar day written as YYYY-MM-DD
+const isDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false
+  const date = new Date(`${value}T00:00:00Z`)
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value)
+}
+
+// A date, or a date and time, e.g. 2024-01-31T09:00:00Z. Without a zone it
+// is taken as UTC.
+const parseTime = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/.test(value)) return null
+  if (!isDate(value.slice(0, 10))) return null
+  const zoned = value.length === 10 || /(Z|[+-]\d{2}:\d{2})$/.test(value) ? value : `${value}Z`
+  const date = new Date(zoned)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+// Check one field. Returns { value } or { message }.
+const checkField = ({ label, type, required, max, choices }, input) => {
+  const missing = input === undefined || input === null || input === ''
+  if (missing) return required ? { message: `${label} is required` } : { value: type === 'tags' ? [] : '' }
+
+  if (type === 'tags') {
+    if (!Array.isArray(input) && typeof input !== 'string') return { message: `${label} must be a list or a comma separated string` }
+    if (Array.isArray(input) && input.some(tag => typeof tag !== 'string')) return { message: `${label} must all be text` }
+    const tags = normalizeTags(input)
+    if (tags.length > MAX_TAGS) return { message: `${label} can't have more than ${MAX_TAGS} entries` }
+    const long = tags.find(tag => tag.length > MAX_TAG_LENGTH)
+    if (long) return { message: `Tag "${long.slice(0, 20)}..." is longer than ${MAX_TAG_LENGTH} characters` }
+    return { value: tags }
+  }
+
+  if (typeof input !== 'string') return { message: `${label} must be text` }
+  const value = input.trim()
+  if (!value) return required ? { message: `${label} is required` } : { value }
+
+  if (type === 'image' && /^data:image\//i.test(value)) {
+    return value.length > MAX_DATA_URL_LENGTH ? { message: `${label} is too large` } : { value }
+  }
+  if (max && value.length > max) return { message: `${label} must be at most ${max} characters` }
+  if ((type === 'url' || type === 'image') && !isWebUrl(value)) {
+    return { message: /^[a-z][a-z0-9+.-]*:/i.test(value) && !/^https?:/i.test(value)
+      ? `${label} must start with http:// or https://`
+      : `${label} is not a valid URL` }
+  }
+  if (type === 'date' && !isDate(value)) return { message: `${label} must be a date like 2024-01-31` }
+  if (type === 'choice' && !choices.includes(value)) return { message: `${label} must be one of: ${choices.join(', ')}` }
+  if (type === 'time') {
+    const time = parseTime(value)
+    return time ? { value: time.toISOString() } : { message: `${label} must be a date and time like 2024-01-31T09:00:00Z` }
+  }
+  return { value }
+}
+
+// Check a bookmark sent by a client. Returns { value, errors }: value holds
+// the cleaned fields that were sent, errors a { field, message } for each
+// problem (empty when valid).
+//   partial  only check the fields that are present, e.g. a batch category
+//   unknown  'reject' fields the schema doesn't know, or 'strip' them, for
+//            imports from other tools
+const validateBookmark = (input, { partial = false, unknown = 'reject' } = {}) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: {}, errors: [{ field: null, message: 'Bookmark must be an object' }] }
+  }
+
+  const value = {}
+  const errors = []
+
+  Object.entries(FIELDS).forEach(([field, rule]) => {
+    if (partial && input[field] === undefined) return
+    if (!rule.required && input[field] === undefined) return
+    const result = checkField(rule, input[field])
+    if (result.message) errors.push({ field, message: result.message })
+    else value[field] = result.value
+  })
+
+  if (unknown === 'reject') {
+    Object.keys(input)
+      .filter(field => !FIELDS[field] && !SERVER_FIELDS.includes(field))
+      .forEach(field => errors.push({ field, message: `Unknown field "${field}"` }))
+  }
+
+  return { value, errors }
+}
+
+// The body of a 422 response
+const validationError = (errors) => ({
+  error: `Invalid bookmark: ${errors.map(e => e.message).join('; ')}`,
+  errors
+})
+
+module.exports = {
+  READING_STATUSES,
+  validateBookmark,
+  validationError
+}
@@ -0,0 +1,75 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { validateBookmark, validationError } = require('./schema')
+
+const fields = (result) => result.errors.map(e => e.field)
+
+test('validateBookmark cleans a valid bookmark', () => {
+  const { value, errors } = validateBookmark({
+    title: '  React  ',
+    url: 'https://react.dev',
+    category: 'Dev',
+    tags: 'UI, react ,ui',
+    dateAdded: '2024-02-29'
+  })
+  assert.deepStrictEqual(errors, [])
+  assert.deepStrictEqual(value, {
+    title: 'React',
+    url: 'https://react.dev',
+    category: 'Dev',
+    tags: ['ui', 'react'],
+    dateAdded: '2024-02-29'
+  })
+})
+
+test('validateBookmark refuses other URL schemes and malformed URLs', () => {
+  const script = validateBookmark({ title: 'x', url: 'javascript:alert(1)' })
+  assert.deepStrictEqual(script.errors, [{ field: 'url', message: 'URL must start with http:// or https://' }])
+  assert.deepStrictEqual(fields(validateBookmark({ title: 'x', url: 'not a url' })), ['url'])
+  assert.deepStrictEqual(fields(validateBookmark({ title: 'x', url: 'https://a.dev', favicon: 'file:///etc/passwd' })), ['favicon'])
+  assert.deepStrictEqual(validateBookmark({ title: 'x', url: 'https://a.dev', favicon: 'data:image/png;base64,AAAA' }).errors, [])
+})
+
+test('validateBookmark reports every problem at once', () => {
+  const { errors } = validateBookmark({
+    title: 'x'.repeat(501),
+    category: 7,
+    tags: ['ok', 3],
+    dateAdded: '2023-02-29',
+    color: 'red'
+  })
+  assert.deepStrictEqual(errors.map(e => e.field), ['title', 'url', 'category', 'tags', 'dateAdded', 'color'])
+  assert.match(validationError(errors).error, /^Invalid bookmark: Title must be at most 500 characters; URL is required/)
+  assert.deepStrictEqual(fields(validateBookmark({ title: 'x', url: 'https://a.dev', dateAdded: '2024-13-01' })), ['dateAdded'])
+})
+
+test('validateBookmark ignores fields the server keeps and can strip unknown ones', () => {
+  const stored = { id: 1, version: 3, title: 'x', url: 'https://a.dev', health: { state: 'ok' }, parentId: null }
+  assert.deepStrictEqual(validateBookmark(stored).errors, [])
+  assert.deepStrictEqual(validateBookmark({ ...stored, pocketId: 9 }, { unknown: 'strip' }).errors, [])
+})
+
+test('validateBookmark only checks fields present in partial mode', () => {
+  assert.deepStrictEqual(validateBookmark({ category: 'Reading' }, { partial: true }), { value: { category: 'Reading' }, errors: [] })
+  assert.deepStrictEqual(fields(validateBookmark({ tags: ['x'.repeat(51)] }, { partial: true })), ['tags'])
+})
+
+test('validateBookmark checks reading list fields', () => {
+  const { value, errors } = validateBookmark({
+    title: 'x',
+    url: 'https://a.dev',
+    status: 'unread',
+    notes: '# Why\n\n- **read** this',
+    remindAt: '2024-03-01T09:30:00+01:00'
+  })
+  assert.deepStrictEqual(errors, [])
+  assert.strictEqual(value.status, 'unread')
+  assert.strictEqual(value.notes, '# Why\n\n- **read** this')
+  assert.strictEqual(value.remindAt, '2024-03-01T08:30:00.000Z')
+
+  assert.strictEqual(validateBookmark({ title: 'x', url: 'https://a.dev', remindAt: '2024-03-01' }).value.remindAt, '2024-03-01T00:00:00.000Z')
+  assert.strictEqual(validateBookmark({ title: 'x', url: 'https://a.dev', status: '', remindAt: '' }).value.remindAt, '')
+  assert.deepStrictEqual(fields(validateBookmark({ title: 'x', url: 'https://a.dev', status: 'later' })), ['status'])
+  assert.deepStrictEqual(fields(validateBookmark({ title: 'x', url: 'https://a.dev', remindAt: 'tomorrow' })), ['remindAt'])
+  assert.deepStrictEqual(fields(validateBookmark({ title: 'x', url: 'https://a.dev', remindAt: '2024-02-30T10:00' })), ['remindAt'])
+})
@@ -0,0 +1,221 @@
+// Full-text search, filtering, sorting and pagination for GET /api/bookmarks
+
+const { normalizeTags } = require('./tags')
+const { READING_STATUSES } = require('./schema')
+
+// How much a match in each field counts towards relevance
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2.5,
+  category: 2,
+  description: 1,
+  url: 1,
+  // Text of the archived copy of the page
+  content: 0.5
+}
+
+const SORTS = {
+  title: { key: b => (b.title || '').toLowerCase(), order: 'asc' },
+  dateAdded: { key: b => b.dateAdded || '', order: 'desc' },
+  lastVisited: { key: b => b.lastVisited || '', order: 'desc' },
+  // Most used first; never visited goes last
+  visitCount: { key: b => b.visitCount || '', order: 'desc' },
+  // The order the user arranged bookmarks in
+  position: { key: b => b.position, order: 'asc' }
+}
+
+const MAX_LIMIT = 200
+
+const HEALTH_STATES = ['ok', 'redirected', 'broken', 'unknown', 'unchecked']
+
+// none finds bookmarks that aren't on the reading list
+const STATUS_FILTERS = [...READING_STATUSES, 'none']
+
+const tokenize = (text) => String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []
+
+const fieldTokens = (bookmark, content) => ({
+  title: tokenize(bookmark.title),
+  tags: (bookmark.tags || []).flatMap(tokenize),
+  category: tokenize(bookmark.category),
+  description: tokenize(bookmark.description),
+  url: tokenize(bookmark.url),
+  content: tokenize(content)
+})
+
+// Score every bookmark against the query terms. Whole-word matches count
+// double a prefix match, each field is weighted, and rare terms count more
+// than common ones (inverse document frequency). Bookmarks missing any term
+// are dropped.
+const rankBookmarks = (bookmarks, query, contents) => {
+  const terms = [...new Set(tokenize(query))]
+  if (terms.length === 0) return bookmarks.map(bookmark => ({ bookmark, score: 0 }))
+
+  const documents = bookmarks.map(bookmark => ({
+    bookmark,
+    fields: fieldTokens(bookmark, contents.get(bookmark.id))
+  }))
+
+  const matches = (tokens, term) => tokens.reduce((total, token) => {
+    if (token === term) return total + 1
+    if (token.startsWith(term)) return total + 0.5
+    return total
+  }, 0)
+
+  const frequencies = terms.map(term =>
+    documents.filter(({ fields }) =>
+      Object.values(fields).some(tokens => matches(tokens, term) > 0)
+    ).length
+  )
+
+  return documents
+    .map(({ bookmark, fields }) => {
+      let score = 0
+      const allTermsMatch = terms.every((term, index) => {
+        const idf = Math.log(1 + documents.length / (1 + frequencies[index]))
+        let termScore = 0
+        Object.entries(fields).forEach(([field, tokens]) => {
+          termScore += matches(tokens, term) * FIELD_WEIGHTS[field]
+        })
+        score += termScore * idf
+        return termScore > 0
+      })
+      return allTermsMatch ? { bookmark, score } : null
+    })
+    .filter(Boolean)
+}
+
+const isMissing = (value) => value === '' || value === null || value === undefined
+
+const compareBy = ({ key, order }) => (a, b) => {
+  const left = key(a.bookmark)
+  const right = key(b.bookmark)
+  // Bookmarks without a value (e.g. never visited) always go last
+  if (isMissing(left) && !isMissing(right)) return 1
+  if (!isMissing(left) && isMissing(right)) return -1
+  const result = left < right ? -1 : left > right ? 1 : 0
+  return order === 'desc' ? -result : result
+}
+
+const encodeCursor = (offset) => Buffer.from(JSON.stringify({ offset })).toString('base64url')
+
+const decodeCursor = (cursor) => {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+    return Number.isInteger(offset) && offset >= 0 ? offset : null
+  } catch (error) {
+    return null
+  }
+}
+
+// Express query values can be a string or an array of strings
+const asList = (value) => normalizeTags([].concat(value || []).join(','))
+
+// Validate query parameters. Returns { options } or { error }.
+const parseSearchParams = (query) => {
+  const options = {
+    q: query.q ? String(query.q) : '',
+    category: query.category ? String(query.category) : '',
+    tags: asList(query.tag),
+    tagMode: query.tagMode === 'all' ? 'all' : 'any',
+    from: query.from ? String(query.from) : '',
+    to: query.to ? String(query.to) : '',
+    health: query.health ? String(query.health) : '',
+    // Any of these, e.g. unread,reading for the inbox
+    statuses: asList(query.status),
+    // undefined searches every folder, null only the top level
+    folder: undefined,
+    sort: query.sort ? String(query.sort) : '',
+    order: query.order ? String(query.order) : '',
+    limit: null,
+    offset: 0
+  }
+
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/
+  if ((options.from && !datePattern.test(options.from)) || (options.to && !datePattern.test(options.to))) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' }
+  }
+
+  if (options.sort && options.sort !== 'relevance' && !SORTS[options.sort]) {
+    return { error: `sort must be one of: relevance, ${Object.keys(SORTS).join(', ')}` }
+  }
+
+  if (options.health && !HEALTH_STATES.includes(options.health)) {
+    return { error: `health must be one of: ${HEALTH_STATES.join(', ')}` }
+  }
+
+  const badStatus = options.statuses.find(status => !STATUS_FILTERS.includes(status))
+  if (badStatus) {
+    return { error: `status must be one of: ${STATUS_FILTERS.join(', ')}` }
+  }
+
+  if (options.order && !['asc', 'desc'].includes(options.order)) {
+    return { error: 'order must be asc or desc' }
+  }
+
+  if (query.folder) {
+    const folder = query.folder === 'root' ? null : Number(query.folder)
+    if (folder !== null && !Number.isInteger(folder)) return { error: 'folder must be a folder id or root' }
+    options.folder = folder
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10)
+    if (!(limit > 0)) return { error: 'limit must be a positive number' }
+    options.limit = Math.min(limit, MAX_LIMIT)
+  }
+
+  if (query.cursor) {
+    const offset = decodeCursor(String(query.cursor))
+    if (offset === null) return { error: 'Invalid cursor' }
+    options.offset = offset
+  }
+
+  return { options }
+}
+
+// Apply filters, ranking, sorting and pagination. contents maps bookmark ids
+// to the text of their archived pages, which the query also matches.
+// Returns { bookmarks, total, nextCursor }.
+const searchBookmarks = (bookmarks, options, contents = new Map()) => {
+  const filtered = bookmarks.filter(b => {
+    const tags = b.tags || []
+    if (options.category && b.category !== options.category) return false
+    if (options.tags.length > 0) {
+      const matchesTags = options.tagMode === 'all'
+        ? options.tags.every(tag => tags.includes(tag))
+        : options.tags.some(tag => tags.includes(tag))
+      if (!matchesTags) return false
+    }
+    if (options.from && (b.dateAdded || '') < options.from) return false
+    if (options.to && (b.dateAdded || '') > options.to) return false
+    if (options.health && (b.health ? b.health.state : 'unchecked') !== options.health) return false
+    if (options.statuses.length > 0 && !options.statuses.includes(b.status || 'none')) return false
+    if (options.folder !== undefined && (b.parentId ?? null) !== options.folder) return false
+    return true
+  })
+
+  const ranked = rankBookmarks(filtered, options.q, contents)
+  const sort = options.sort || (options.q ? 'relevance' : 'position')
+
+  if (sort === 'relevance') {
+    ranked.sort((a, b) => b.score - a.score)
+    if (options.order === 'asc') ranked.reverse()
+  } else if (sort) {
+    ranked.sort(compareBy({ ...SORTS[sort], order: options.order || SORTS[sort].order }))
+  }
+
+  const end = options.limit ? options.offset + options.limit : ranked.length
+  const page = ranked.slice(options.offset, end)
+
+  return {
+    bookmarks: page.map(({ bookmark }) => bookmark),
+    total: ranked.length,
+    nextCursor: end < ranked.length ? encodeCursor(end) : null
+  }
+}
+
+module.exports = {
+  parseSearchParams,
+  searchBookmarks,
+  tokenize
+}
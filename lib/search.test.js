@@ -0,0 +1,80 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { parseSearchParams, searchBookmarks, tokenize } = require('./search')
+
+const BOOKMARKS = [
+  { id: 1, title: 'React hooks guide', url: 'https://react.dev/hooks', category: 'Dev', tags: ['react'], description: '', dateAdded: '2024-01-10', position: 2 },
+  { id: 2, title: 'Cooking pasta', url: 'https://food.example/pasta', category: 'Food', tags: ['recipes'], description: 'Notes on react-ing to overcooked pasta', dateAdded: '2024-03-01', position: 0, status: 'unread' },
+  { id: 3, title: 'Reactive streams', url: 'https://streams.example', category: 'Dev', tags: ['java'], description: '', dateAdded: '2023-12-25', position: 1, health: { state: 'broken' } },
+  { id: 4, title: 'Garden', url: 'https://garden.example', category: 'Home', tags: [], description: '', dateAdded: '2024-02-14', position: 3, parentId: 9 }
+]
+
+const search = (query, contents) => {
+  const { options, error } = parseSearchParams(query)
+  assert.strictEqual(error, undefined)
+  return searchBookmarks(BOOKMARKS, options, contents)
+}
+
+const ids = (result) => result.bookmarks.map(b => b.id)
+
+test('tokenize splits on anything but letters and digits', () => {
+  assert.deepStrictEqual(tokenize('React-Hooks: déjà vu 2024!'), ['react', 'hooks', 'déjà', 'vu', '2024'])
+})
+
+test('parseSearchParams rejects bad values', () => {
+  assert.match(parseSearchParams({ from: '2024-1-1' }).error, /YYYY-MM-DD/)
+  assert.match(parseSearchParams({ sort: 'colour' }).error, /sort must be one of/)
+  assert.match(parseSearchParams({ health: 'meh' }).error, /health must be one of/)
+  assert.match(parseSearchParams({ status: 'unread,later' }).error, /status must be one of/)
+  assert.match(parseSearchParams({ order: 'up' }).error, /order must be asc or desc/)
+  assert.match(parseSearchParams({ folder: 'abc' }).error, /folder/)
+  assert.match(parseSearchParams({ limit: '0' }).error, /limit/)
+  assert.match(parseSearchParams({ cursor: 'nonsense' }).error, /Invalid cursor/)
+  assert.strictEqual(parseSearchParams({ limit: '100000' }).options.limit, 200)
+  assert.deepStrictEqual(parseSearchParams({ tag: ['React', 'java,React'] }).options.tags, ['react', 'java'])
+})
+
+test('ranks title matches above description matches and whole words above prefixes', () => {
+  assert.deepStrictEqual(ids(search({ q: 'react' })), [1, 3, 2])
+})
+
+test('every term has to match somewhere', () => {
+  assert.deepStrictEqual(ids(search({ q: 'react pasta' })), [2])
+  assert.deepStrictEqual(ids(search({ q: 'react nothing' })), [])
+})
+
+test('matches the text of archived pages', () => {
+  assert.deepStrictEqual(ids(search({ q: 'compost' }, new Map([[4, 'Turning compost weekly']]))), [4])
+})
+
+test('filters by category, tags, dates, health, status and folder', () => {
+  assert.deepStrictEqual(ids(search({ category: 'Dev' })), [3, 1])
+  assert.deepStrictEqual(ids(search({ tag: 'react,java' })), [3, 1])
+  assert.deepStrictEqual(ids(search({ tag: ['react', 'java'], tagMode: 'all' })), [])
+  assert.deepStrictEqual(ids(search({ from: '2024-01-01', to: '2024-02-28' })), [1, 4])
+  assert.deepStrictEqual(ids(search({ health: 'broken' })), [3])
+  assert.deepStrictEqual(ids(search({ health: 'unchecked' })), [2, 1, 4])
+  assert.deepStrictEqual(ids(search({ status: 'unread' })), [2])
+  assert.deepStrictEqual(ids(search({ status: 'none' })), [3, 1, 4])
+  assert.deepStrictEqual(ids(search({ folder: '9' })), [4])
+  assert.deepStrictEqual(ids(search({ folder: 'root' })), [2, 3, 1])
+})
+
+test('sorts by the field asked for, in either order', () => {
+  assert.deepStrictEqual(ids(search({})), [2, 3, 1, 4])
+  assert.deepStrictEqual(ids(search({ sort: 'title' })), [2, 4, 1, 3])
+  assert.deepStrictEqual(ids(search({ sort: 'dateAdded' })), [2, 4, 1, 3])
+  assert.deepStrictEqual(ids(search({ sort: 'dateAdded', order: 'asc' })), [3, 1, 4, 2])
+})
+
+test('pages through results with a cursor until there are none left', () => {
+  const first = search({ sort: 'title', limit: '3' })
+  assert.deepStrictEqual(ids(first), [2, 4, 1])
+  assert.strictEqual(first.total, 4)
+  assert.ok(first.nextCursor)
+
+  const second = search({ sort: 'title', limit: '3', cursor: first.nextCursor })
+  assert.deepStrictEqual(ids(second), [3])
+  assert.strictEqual(second.total, 4)
+  assert.strictEqual(second.nextCursor, null)
+})
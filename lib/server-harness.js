@@ -0,0 +1,63 @@
+// Runs the server's app against an empty data dir for route tests. The app
+// is configured from the environment when server.js is first required, so a
+// test file can start it once.
+
+const fs = require('fs').promises
+const os = require('os')
+const path = require('path')
+
+const PASSWORD = 'password123'
+
+const startApp = async (env = {}) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bkmrks-server-'))
+  Object.assign(process.env, {
+    DATA_DIR: dir,
+    AUTO_ARCHIVE: 'false',
+    LINK_CHECK_INTERVAL_HOURS: '0',
+    BACKUP_INTERVAL_HOURS: '0',
+    DIGEST_HOUR: '-1',
+    ...env
+  })
+  const { app, storage } = require('../server')
+  await storage.init()
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening))
+  })
+  const url = `http://127.0.0.1:${server.address().port}`
+
+  // Resolves to { status, headers, body }, body parsed when it is JSON
+  const request = async (route, { method = 'GET', body, token, headers = {} } = {}) => {
+    const response = await fetch(`${url}${route}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    })
+    const text = await response.text()
+    const isJson = (response.headers.get('content-type') || '').includes('application/json')
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text }
+  }
+
+  // Create an account; resolves to { user, token, expiresAt }
+  const register = async (username) => {
+    const { status, body } = await request('/api/auth/register', { method: 'POST', body: { username, password: PASSWORD } })
+    if (status !== 201) throw new Error(`Failed to register ${username}: ${body.error}`)
+    return body
+  }
+
+  const close = async () => {
+    server.closeAllConnections()
+    await new Promise(resolve => server.close(resolve))
+    await storage.close()
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+
+  return { url, dir, storage, request, register, close, PASSWORD }
+}
+
+module.exports = { startApp }
@@ -0,0 +1,415 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const http = require('http')
+const { startApp } = require('./server-harness')
+
+let app
+
+test.before(async () => {
+  // The link check test's stub runs on localhost
+  app = await startApp({ ALLOW_PRIVATE_NETWORK: 'true' })
+})
+
+test.after(() => app.close())
+
+// A new account without the starter bookmarks; resolves to its token
+const newUser = async (username) => {
+  const { user, token } = await app.register(username)
+  await app.storage.write(`bookmarks-${user.id}`, [])
+  return token
+}
+
+const addBookmark = async (token, bookmark) => {
+  const { status, body } = await app.request('/api/bookmarks', { method: 'POST', token, body: bookmark })
+  assert.strictEqual(status, 201, JSON.stringify(body))
+  return body
+}
+
+test('adding a URL already saved answers 409 with the saved bookmark', async () => {
+  const token = await newUser('dupes')
+  const saved = await addBookmark(token, { title: 'Docs', url: 'https://Example.com/docs/?utm_source=x#top' })
+
+  const again = await app.request('/api/bookmarks', { method: 'POST', token, body: { title: 'Again', url: 'https://example.com/docs' } })
+  assert.strictEqual(again.status, 409)
+  assert.strictEqual(again.body.bookmark.id, saved.id)
+
+  // Another user may save the same page
+  const other = await newUser('dupes2')
+  await addBookmark(other, { title: 'Docs', url: 'https://example.com/docs' })
+
+  const { body } = await app.request('/api/bookmarks', { token })
+  assert.strictEqual(body.total, 1)
+})
+
+test('lookup finds a saved bookmark by any form of its URL', async () => {
+  const token = await newUser('lookup')
+  const saved = await addBookmark(token, { title: 'Docs', url: 'https://example.com/docs' })
+
+  const found = await app.request(`/api/bookmarks/lookup?url=${encodeURIComponent('https://EXAMPLE.com/docs/#x')}`, { token })
+  assert.strictEqual(found.status, 200)
+  assert.strictEqual(found.body.bookmark.id, saved.id)
+})
+
+test('renaming a tag changes it on every bookmark and keeps their history', async () => {
+  const token = await newUser('tagrename')
+  const a = await addBookmark(token, { title: 'A', url: 'https://a.example', tags: ['js', 'web'] })
+  await addBookmark(token, { title: 'B', url: 'https://b.example', tags: ['js'] })
+  await addBookmark(token, { title: 'C', url: 'https://c.example', tags: ['css'] })
+
+  const renamed = await app.request('/api/tags/js', { method: 'PUT', token, body: { name: 'JavaScript' } })
+  assert.strictEqual(renamed.status, 200)
+  assert.strictEqual(renamed.body.updated, 2)
+
+  const tags = await app.request('/api/tags', { token })
+  assert.deepStrictEqual(tags.body, [{ name: 'javascript', count: 2 }, { name: 'css', count: 1 }, { name: 'web', count: 1 }])
+
+  const history = await app.request(`/api/bookmarks/${a.id}/history`, { token })
+  assert.deepStrictEqual(history.body.map(r => r.tags), [['js', 'web']])
+
+  const missing = await app.request('/api/tags/nope', { method: 'PUT', token, body: { name: 'yes' } })
+  assert.strictEqual(missing.status, 404)
+  const unnamed = await app.request('/api/tags/css', { method: 'PUT', token, body: { name: ' ' } })
+  assert.strictEqual(unnamed.status, 400)
+})
+
+test('merging tags folds them into one', async () => {
+  const token = await newUser('tagmerge')
+  const a = await addBookmark(token, { title: 'A', url: 'https://a.example', tags: ['js', 'javascript'] })
+  await addBookmark(token, { title: 'B', url: 'https://b.example', tags: ['ecmascript'] })
+
+  const merged = await app.request('/api/tags/merge', { method: 'POST', token, body: { tags: ['js', 'ecmascript'], into: 'javascript' } })
+  assert.strictEqual(merged.status, 200)
+  assert.strictEqual(merged.body.updated, 2)
+
+  const tags = await app.request('/api/tags', { token })
+  assert.deepStrictEqual(tags.body, [{ name: 'javascript', count: 2 }])
+
+  const history = await app.request(`/api/bookmarks/${a.id}/history`, { token })
+  assert.deepStrictEqual(history.body.map(r => r.tags), [['js', 'javascript']])
+
+  const invalid = await app.request('/api/tags/merge', { method: 'POST', token, body: { tags: [], into: 'x' } })
+  assert.strictEqual(invalid.status, 400)
+})
+
+test('searching pages through matches with a cursor and rejects bad parameters', async () => {
+  const token = await newUser('search')
+  for (const n of [1, 2, 3, 4, 5]) {
+    await addBookmark(token, { title: `Recipe ${n}`, url: `https://food.example/${n}`, description: n === 5 ? 'a recipe for recipes' : '' })
+  }
+  await addBookmark(token, { title: 'Unrelated', url: 'https://other.example' })
+
+  const first = await app.request('/api/bookmarks?q=recipe&limit=2', { token })
+  assert.strictEqual(first.status, 200)
+  assert.strictEqual(first.body.total, 5)
+  // Title and description both match, so it ranks first
+  assert.strictEqual(first.body.bookmarks[0].title, 'Recipe 5')
+
+  const seen = first.body.bookmarks.map(b => b.id)
+  let cursor = first.body.nextCursor
+  while (cursor) {
+    const page = await app.request(`/api/bookmarks?q=recipe&limit=2&cursor=${cursor}`, { token })
+    seen.push(...page.body.bookmarks.map(b => b.id))
+    cursor = page.body.nextCursor
+  }
+  assert.strictEqual(new Set(seen).size, 5)
+
+  const bad = await app.request('/api/bookmarks?sort=colour', { token })
+  assert.strictEqual(bad.status, 400)
+  assert.match(bad.body.error, /sort must be one of/)
+})
+
+// Collect a user's change events. untilEdited(bookmark) renames the bookmark
+// to 'B', which is announced, so once it arrives anything before it would
+// have been too; resolves to everything streamed.
+const listenForChanges = async (token) => {
+  const controller = new AbortController()
+  const events = await fetch(`${app.url}/api/events`, { headers: { Authorization: `Bearer ${token}` }, signal: controller.signal })
+  const reader = events.body.getReader()
+  let streamed = ''
+  const reading = (async () => {
+    for (;;) {
+      const { done, value } = await reader.read()
+      if (done) break
+      streamed += Buffer.from(value).toString()
+    }
+  })().catch(() => {})
+
+  const untilEdited = async (bookmark) => {
+    await app.request(`/api/bookmarks/${bookmark.id}`, { method: 'PUT', token, body: { title: 'B', url: bookmark.url } })
+    while (!streamed.includes('"title":"B"')) await new Promise(resolve => setTimeout(resolve, 10))
+    controller.abort()
+    await reading
+    return streamed
+  }
+  return { untilEdited }
+}
+
+// Pages for the link checker to find: /ok works, /old has moved for good and
+// anything else is missing
+const startStub = () => new Promise(resolve => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/old') res.writeHead(301, { Location: '/ok' })
+    else res.writeHead(req.url === '/ok' ? 200 : 404)
+    res.end()
+  })
+  server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` }))
+})
+
+test('a link check stores each bookmark\'s health and a permanent redirect can be adopted', async (t) => {
+  const stub = await startStub()
+  t.after(() => stub.server.close())
+  const token = await newUser('linkcheck')
+  const ok = await addBookmark(token, { title: 'OK', url: `${stub.url}/ok` })
+  const old = await addBookmark(token, { title: 'Old', url: `${stub.url}/old` })
+  const missing = await addBookmark(token, { title: 'Missing', url: `${stub.url}/missing` })
+  const changes = await listenForChanges(token)
+
+  const started = await app.request('/api/bookmarks/check', { method: 'POST', token, body: {} })
+  assert.strictEqual(started.status, 202)
+  assert.strictEqual(started.body.running, true)
+
+  let progress = started.body
+  while (progress.running) {
+    await new Promise(resolve => setTimeout(resolve, 20))
+    progress = (await app.request('/api/bookmarks/check', { token })).body
+  }
+  assert.strictEqual(progress.total, 3)
+  assert.strictEqual(progress.checked, 3)
+  assert.strictEqual(progress.broken, 1)
+  // Health is bookkeeping; only the edit afterwards is announced
+  assert.strictEqual((await changes.untilEdited(ok)).match(/event: updated/g).length, 1)
+
+  const health = async (id) => (await app.request(`/api/bookmarks/${id}`, { token })).body.health
+  assert.strictEqual((await health(ok.id)).state, 'ok')
+  assert.strictEqual((await health(missing.id)).state, 'broken')
+  assert.strictEqual((await health(old.id)).redirectUrl, `${stub.url}/ok`)
+
+  const broken = await app.request('/api/bookmarks?health=broken', { token })
+  assert.deepStrictEqual(broken.body.bookmarks.map(b => b.id), [missing.id])
+
+  const adopted = await app.request(`/api/bookmarks/${old.id}/adopt-redirect`, { method: 'POST', token })
+  assert.strictEqual(adopted.status, 200)
+  assert.strictEqual(adopted.body.url, `${stub.url}/ok`)
+  assert.strictEqual(adopted.body.health.state, 'ok')
+
+  const nothingToAdopt = await app.request(`/api/bookmarks/${ok.id}/adopt-redirect`, { method: 'POST', token })
+  assert.strictEqual(nothingToAdopt.status, 400)
+})
+
+test('registering, signing in and out, and what needs a session', async () => {
+  const signUp = (body) => app.request('/api/auth/register', { method: 'POST', body })
+  assert.strictEqual((await signUp({ username: 'x', password: 'password123' })).status, 400)
+  assert.strictEqual((await signUp({ username: 'shortpass', password: 'short' })).status, 400)
+
+  const registered = await signUp({ username: 'Carol', password: 'password123' })
+  assert.strictEqual(registered.status, 201)
+  assert.strictEqual(registered.body.user.username, 'carol')
+  assert.strictEqual(registered.body.user.passwordHash, undefined)
+  assert.strictEqual((await signUp({ username: 'carol', password: 'password123' })).status, 409)
+
+  assert.strictEqual((await app.request('/api/auth/login', { method: 'POST', body: { username: 'carol', password: 'wrong-password' } })).status, 401)
+  const login = await app.request('/api/auth/login', { method: 'POST', body: { username: 'carol', password: 'password123' } })
+  assert.strictEqual(login.status, 200)
+  const cookie = login.headers.get('set-cookie')
+  assert.match(cookie, /^bkmrks_session=[^;]+;.*HttpOnly/)
+
+  // The browser app signs in with the cookie, scripts with the token
+  const me = await app.request('/api/auth/me', { headers: { Cookie: cookie.split(';')[0] } })
+  assert.strictEqual(me.status, 200)
+  assert.strictEqual(me.body.user.username, 'carol')
+  assert.strictEqual((await app.request('/api/bookmarks', { token: login.body.token })).status, 200)
+
+  assert.strictEqual((await app.request('/api/bookmarks')).status, 401)
+  assert.strictEqual((await app.request('/api/auth/me')).status, 401)
+
+  await app.request('/api/auth/logout', { method: 'POST', token: login.body.token })
+  assert.strictEqual((await app.request('/api/bookmarks', { token: login.body.token })).status, 401)
+  // Other sessions carry on
+  assert.strictEqual((await app.request('/api/bookmarks', { token: registered.body.token })).status, 200)
+})
+
+test('users only see their own bookmarks', async () => {
+  const mine = await newUser('owner')
+  const theirs = await newUser('stranger')
+  const bookmark = await addBookmark(mine, { title: 'Private', url: 'https://private.example' })
+
+  assert.strictEqual((await app.request(`/api/bookmarks/${bookmark.id}`, { token: theirs })).status, 404)
+  assert.strictEqual((await app.request(`/api/bookmarks/${bookmark.id}`, { method: 'DELETE', token: theirs })).status, 404)
+  assert.strictEqual((await app.request('/api/bookmarks', { token: theirs })).body.total, 0)
+})
+
+// The id the app gave the user signed in with token
+const userIdOf = async (token) => (await app.request('/api/auth/me', { token })).body.user.id
+
+test('deleted bookmarks wait in the trash and come back when restored', async () => {
+  const token = await newUser('trash')
+  const a = await addBookmark(token, { title: 'A', url: 'https://a.example' })
+  const b = await addBookmark(token, { title: 'B', url: 'https://b.example' })
+
+  const cleared = await app.request('/api/bookmarks', { method: 'DELETE', token })
+  assert.strictEqual(cleared.body.count, 2)
+  assert.strictEqual((await app.request('/api/bookmarks', { token })).body.total, 0)
+
+  const trash = await app.request('/api/trash', { token })
+  assert.deepStrictEqual(trash.body.items.map(item => item.id).sort(), [a.id, b.id].sort())
+  assert.ok(trash.body.items.every(item => item.batchId === cleared.body.batchId && item.deletedAt))
+
+  const restored = await app.request('/api/trash/restore', { method: 'POST', token, body: { batchId: cleared.body.batchId } })
+  assert.strictEqual(restored.body.restored, 2)
+  const bookmarks = (await app.request('/api/bookmarks', { token })).body.bookmarks
+  assert.deepStrictEqual(bookmarks.map(bm => bm.id).sort(), [a.id, b.id].sort())
+  assert.ok(bookmarks.every(bm => bm.deletedAt === undefined && bm.batchId === undefined))
+  assert.deepStrictEqual((await app.request('/api/trash', { token })).body.items, [])
+
+  assert.strictEqual((await app.request('/api/trash/restore', { method: 'POST', token, body: {} })).status, 400)
+})
+
+test('restoring skips bookmarks that are already back and leaves them in the trash', async () => {
+  const token = await newUser('restoretwice')
+  const userId = await userIdOf(token)
+  const a = await addBookmark(token, { title: 'A', url: 'https://a.example' })
+  const b = await addBookmark(token, { title: 'B', url: 'https://b.example' })
+  await app.request(`/api/bookmarks/${b.id}`, { method: 'DELETE', token })
+  // A stale copy of a bookmark that is still there
+  await app.storage.update(`trash-${userId}`, trash => [...trash, { ...a, deletedAt: new Date().toISOString(), batchId: 1 }])
+
+  const restored = await app.request('/api/trash/restore', { method: 'POST', token, body: { ids: [a.id, b.id] } })
+  assert.strictEqual(restored.body.restored, 1)
+  assert.strictEqual((await app.request('/api/bookmarks', { token })).body.total, 2)
+  assert.deepStrictEqual((await app.request('/api/trash', { token })).body.items.map(item => item.id), [a.id])
+})
+
+test('purging from the trash deletes for good, history included', async () => {
+  const token = await newUser('purge')
+  const a = await addBookmark(token, { title: 'A', url: 'https://a.example' })
+  const b = await addBookmark(token, { title: 'B', url: 'https://b.example' })
+  await app.request(`/api/bookmarks/${a.id}`, { method: 'PUT', token, body: { title: 'A2', url: 'https://a.example' } })
+  await app.request('/api/bookmarks', { method: 'DELETE', token })
+
+  assert.strictEqual((await app.request(`/api/trash/${a.id}`, { method: 'DELETE', token })).status, 200)
+  assert.strictEqual((await app.request(`/api/trash/${a.id}`, { method: 'DELETE', token })).status, 404)
+  assert.deepStrictEqual((await app.request('/api/trash', { token })).body.items.map(item => item.id), [b.id])
+
+  // A backup taken just before still has it
+  const backups = (await app.request('/api/backups', { token })).body.backups
+  assert.deepStrictEqual(backups.map(backup => backup.reason), ['purge', 'clear'])
+  assert.strictEqual(backups[0].trash, 2)
+
+  const emptied = await app.request('/api/trash', { method: 'DELETE', token })
+  assert.strictEqual(emptied.body.purged, 1)
+  assert.deepStrictEqual(await app.storage.read(`history-${await userIdOf(token)}`), [])
+})
+
+test('edits are kept in history and any of them can be reverted to', async () => {
+  const token = await newUser('history')
+  const bookmark = await addBookmark(token, { title: 'First', url: 'https://a.example', tags: ['one'] })
+  const edit = (changes) => app.request(`/api/bookmarks/${bookmark.id}`, { method: 'PUT', token, body: { url: 'https://a.example', ...changes } })
+
+  await edit({ title: 'Second', tags: ['two'] })
+  await edit({ title: 'Third', tags: ['two'] })
+  // Nothing history keeps changed, so no revision
+  await edit({ title: 'Third', tags: ['two'], status: 'unread' })
+
+  const history = (await app.request(`/api/bookmarks/${bookmark.id}/history`, { token })).body
+  assert.deepStrictEqual(history.map(r => r.title), ['Second', 'First'])
+
+  const first = history.find(r => r.title === 'First')
+  const reverted = await app.request(`/api/bookmarks/${bookmark.id}/history/${first.id}/revert`, { method: 'POST', token })
+  assert.strictEqual(reverted.status, 200)
+  assert.strictEqual(reverted.body.title, 'First')
+  assert.deepStrictEqual(reverted.body.tags, ['one'])
+  assert.strictEqual(reverted.body.status, 'unread')
+
+  // Reverting is itself an edit that can be undone
+  const after = (await app.request(`/api/bookmarks/${bookmark.id}/history`, { token })).body
+  assert.strictEqual(after[0].title, 'Third')
+
+  assert.strictEqual((await app.request(`/api/bookmarks/${bookmark.id}/history/123/revert`, { method: 'POST', token })).status, 404)
+})
+
+test('batch edits apply to the ids given and report those not found', async () => {
+  const token = await newUser('batch')
+  const a = await addBookmark(token, { title: 'A', url: 'https://a.example', tags: ['old'] })
+  const b = await addBookmark(token, { title: 'B', url: 'https://b.example', tags: ['old', 'keep'] })
+  const batch = (body) => app.request('/api/bookmarks/batch', { method: 'POST', token, body })
+  const read = async (id) => (await app.request(`/api/bookmarks/${id}`, { token })).body
+
+  const categorized = await batch({ action: 'setCategory', ids: [a.id, b.id, 999], category: 'Reading' })
+  assert.strictEqual(categorized.status, 200)
+  assert.strictEqual(categorized.body.succeeded, 2)
+  assert.strictEqual(categorized.body.failed, 1)
+  assert.deepStrictEqual(categorized.body.results[2], { id: 999, ok: false, error: 'Bookmark not found' })
+  assert.strictEqual((await read(a.id)).category, 'Reading')
+
+  await batch({ action: 'addTags', ids: [a.id], tags: ['New', 'old'] })
+  assert.deepStrictEqual((await read(a.id)).tags, ['old', 'new'])
+  await batch({ action: 'removeTags', ids: [a.id, b.id], tags: ['old'] })
+  assert.deepStrictEqual((await read(a.id)).tags, ['new'])
+  assert.deepStrictEqual((await read(b.id)).tags, ['keep'])
+
+  await batch({ action: 'setStatus', ids: [b.id], status: 'reading' })
+  assert.strictEqual((await read(b.id)).status, 'reading')
+
+  // Each bookmark changed keeps its history
+  const history = (await app.request(`/api/bookmarks/${b.id}/history`, { token })).body
+  assert.deepStrictEqual(history.map(r => r.tags), [['old', 'keep'], ['old', 'keep']])
+
+  const deleted = await batch({ action: 'delete', ids: [a.id] })
+  assert.strictEqual(deleted.body.succeeded, 1)
+  assert.ok(deleted.body.batchId)
+  assert.strictEqual((await app.request('/api/bookmarks', { token })).body.total, 1)
+})
+
+test('batch edits can pick bookmarks with a search query', async () => {
+  const token = await newUser('batchquery')
+  await addBookmark(token, { title: 'Pasta', url: 'https://a.example', category: 'Food' })
+  await addBookmark(token, { title: 'Bread', url: 'https://b.example', category: 'Food' })
+  const other = await addBookmark(token, { title: 'Hammer', url: 'https://c.example', category: 'Tools' })
+
+  const result = await app.request('/api/bookmarks/batch', { method: 'POST', token, body: { action: 'addTags', query: 'category=Food&limit=1', tags: ['cooking'] } })
+  // limit and cursor are ignored so every match is changed
+  assert.strictEqual(result.body.succeeded, 2)
+  const tagged = await app.request('/api/bookmarks?tag=cooking', { token })
+  assert.strictEqual(tagged.body.total, 2)
+  assert.deepStrictEqual((await app.request(`/api/bookmarks/${other.id}`, { token })).body.tags, [])
+})
+
+test('batch edits reject bad requests', async () => {
+  const token = await newUser('batchbad')
+  const batch = (body) => app.request('/api/bookmarks/batch', { method: 'POST', token, body })
+
+  assert.strictEqual((await batch({ action: 'explode', ids: [1] })).status, 400)
+  assert.strictEqual((await batch({ action: 'setCategory', category: 'X' })).status, 400)
+  assert.strictEqual((await batch({ action: 'addTags', ids: [1], tags: [] })).status, 400)
+  assert.strictEqual((await batch({ action: 'setStatus', ids: [1], status: 'someday' })).status, 422)
+  assert.strictEqual((await batch({ action: 'move', ids: [1], parentId: 12345 })).status, 404)
+  assert.strictEqual((await batch({ action: 'setCategory', query: 'sort=colour', category: 'X' })).status, 400)
+})
+
+test('opening a bookmark counts the visit without announcing a change', async () => {
+  const token = await newUser('visits')
+  const bookmark = await addBookmark(token, { title: 'A', url: 'https://a.example/page' })
+
+  const changes = await listenForChanges(token)
+
+  const visit = await app.request(`/api/bookmarks/${bookmark.id}/visit`, { token })
+  assert.strictEqual(visit.status, 302)
+  assert.strictEqual(visit.headers.get('location'), 'https://a.example/page')
+  assert.strictEqual(visit.headers.get('cache-control'), 'no-store')
+
+  const streamed = await changes.untilEdited(bookmark)
+  assert.strictEqual(streamed.match(/event: updated/g).length, 1)
+  assert.match(streamed, /"title":"B"/)
+
+  const stored = (await app.request(`/api/bookmarks/${bookmark.id}`, { token })).body
+  assert.strictEqual(stored.visitCount, 1)
+  assert.ok(stored.lastVisited)
+
+  assert.strictEqual((await app.request('/api/bookmarks/999/visit', { token })).status, 404)
+  assert.strictEqual((await app.request(`/api/bookmarks/${bookmark.id}/visit`)).status, 401)
+
+  // Old /r/ links still find their way
+  const old = await app.request(`/r/${bookmark.id}`)
+  assert.strictEqual(old.status, 301)
+  assert.strictEqual(old.headers.get('location'), `/api/bookmarks/${bookmark.id}/visit`)
+})
@@ -0,0 +1,56 @@
+// Public collections: a category, tag or folder published under a secret
+// token. Anyone with the link can read it; only the owner can change it.
+
+const crypto = require('crypto')
+const { normalizeTag } = require('./tags')
+const { isWithin } = require('./folders')
+
+const SHARE_TYPES = ['category', 'tag', 'folder']
+
+// 192 random bits, so links can't be guessed or enumerated
+const createShareToken = () => crypto.randomBytes(24).toString('base64url')
+
+const isShareToken = (value) => /^[A-Za-z0-9_-]{32}$/.test(value)
+
+// The value a share of this type selects, or null if it isn't usable:
+// a category name, a normalized tag or a folder id
+const parseShareValue = (type, value) => {
+  if (type === 'category') return typeof value === 'string' && value.trim() ? value.trim() : null
+  if (type === 'tag') return typeof value === 'string' && normalizeTag(value) ? normalizeTag(value) : null
+  if (type !== 'folder') return null
+  const id = typeof value === 'string' && value.trim() ? Number(value) : value
+  return Number.isInteger(id) ? id : null
+}
+
+// The bookmarks in a share, newest first. A folder share includes its subfolders.
+const sharedBookmarks = (share, bookmarks, folders = []) => {
+  const matches = {
+    category: (b) => b.category === share.value,
+    tag: (b) => (b.tags || []).includes(share.value),
+    folder: (b) => b.parentId !== null && b.parentId !== undefined && isWithin(folders, b.parentId, share.value)
+  }[share.type]
+
+  return bookmarks
+    .filter(matches)
+    .sort((a, b) => String(b.dateAdded || '').localeCompare(String(a.dateAdded || '')) || b.id - a.id)
+}
+
+// Only what a visitor should see; health, archives and folder layout stay private
+const publicBookmark = (bookmark) => ({
+  id: bookmark.id,
+  title: bookmark.title,
+  url: bookmark.url,
+  description: bookmark.description || '',
+  category: bookmark.category || '',
+  tags: bookmark.tags || [],
+  dateAdded: bookmark.dateAdded
+})
+
+module.exports = {
+  SHARE_TYPES,
+  createShareToken,
+  isShareToken,
+  parseShareValue,
+  sharedBookmarks,
+  publicBookmark
+}
@@ -0,0 +1,46 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { createShareToken, isShareToken, parseShareValue, sharedBookmarks, publicBookmark } = require('./shares')
+
+const folders = [
+  { id: 10, name: 'Dev', parentId: null },
+  { id: 11, name: 'JavaScript', parentId: 10 },
+  { id: 12, name: 'Cooking', parentId: null }
+]
+
+const bookmarks = [
+  { id: 1, title: 'Old', url: 'https://a.example', category: 'Dev', tags: ['js'], parentId: 10, dateAdded: '2024-01-01' },
+  { id: 2, title: 'New', url: 'https://b.example', category: 'Dev', tags: ['css'], parentId: 11, dateAdded: '2024-03-01' },
+  { id: 3, title: 'Soup', url: 'https://c.example', category: 'Food', tags: ['js'], parentId: 12, dateAdded: '2024-02-01' },
+  { id: 4, title: 'Loose', url: 'https://d.example', category: '', tags: [], parentId: null, dateAdded: '2024-04-01' }
+]
+
+const ids = (items) => items.map(b => b.id)
+
+test('share tokens are long, random and url safe', () => {
+  const token = createShareToken()
+  assert.ok(isShareToken(token))
+  assert.notStrictEqual(token, createShareToken())
+  assert.strictEqual(isShareToken('../../etc'), false)
+})
+
+test('parseShareValue checks the value against the share type', () => {
+  assert.strictEqual(parseShareValue('category', ' Dev '), 'Dev')
+  assert.strictEqual(parseShareValue('tag', 'JavaScript'), 'javascript')
+  assert.strictEqual(parseShareValue('folder', '10'), 10)
+  assert.strictEqual(parseShareValue('folder', 'Dev'), null)
+  assert.strictEqual(parseShareValue('category', ''), null)
+  assert.strictEqual(parseShareValue('everything', 'x'), null)
+})
+
+test('sharedBookmarks picks a category, tag or folder tree, newest first', () => {
+  assert.deepStrictEqual(ids(sharedBookmarks({ type: 'category', value: 'Dev' }, bookmarks, folders)), [2, 1])
+  assert.deepStrictEqual(ids(sharedBookmarks({ type: 'tag', value: 'js' }, bookmarks, folders)), [3, 1])
+  assert.deepStrictEqual(ids(sharedBookmarks({ type: 'folder', value: 10 }, bookmarks, folders)), [2, 1])
+  assert.deepStrictEqual(ids(sharedBookmarks({ type: 'folder', value: 11 }, bookmarks, folders)), [2])
+})
+
+test('publicBookmark leaves out private fields', () => {
+  const shown = publicBookmark({ ...bookmarks[0], health: { status: 'ok' }, archive: { state: 'ok' }, position: 3 })
+  assert.deepStrictEqual(Object.keys(shown).sort(), ['category', 'dateAdded', 'description', 'id', 'tags', 'title', 'url'])
+})
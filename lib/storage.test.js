@@ -0,0 +1,103 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs').promises
+const os = require('os')
+const path = require('path')
+const { createStorage } = require('./storage')
+
+const BACKENDS = {
+  json: (dir) => createStorage({ backend: 'json', dir }),
+  sqlite: (dir) => createStorage({ backend: 'sqlite', dir, sqliteFile: path.join(dir, 'test.db') })
+}
+
+Object.entries(BACKENDS).forEach(([backend, create]) => {
+  const withStorage = async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), `bkmrks-${backend}-`))
+    const storage = create(dir)
+    await storage.init()
+    t.after(async () => {
+      await storage.close()
+      await fs.rm(dir, { recursive: true, force: true })
+    })
+    return { storage, dir }
+  }
+
+  test(`${backend}: reads back what was written and knows which collections exist`, async (t) => {
+    const { storage } = await withStorage(t)
+
+    assert.strictEqual(await storage.exists('bookmarks-1'), false)
+    assert.deepStrictEqual(await storage.read('bookmarks-1'), [])
+
+    const items = [{ id: 1, title: 'A', tags: ['x'] }, { id: 2, title: 'B', nested: { deep: true } }]
+    await storage.write('bookmarks-1', items)
+    assert.strictEqual(await storage.exists('bookmarks-1'), true)
+    assert.deepStrictEqual(await storage.read('bookmarks-1'), items)
+
+    // An empty collection still exists once written
+    await storage.write('folders-1', [])
+    assert.strictEqual(await storage.exists('folders-1'), true)
+    assert.deepStrictEqual(await storage.read('folders-1'), [])
+  })
+
+  test(`${backend}: update returning undefined leaves the collection alone`, async (t) => {
+    const { storage } = await withStorage(t)
+
+    assert.strictEqual(await storage.update('shares', () => undefined), undefined)
+    assert.strictEqual(await storage.exists('shares'), false)
+
+    await storage.write('shares', [{ id: 1 }])
+    await storage.update('shares', () => undefined)
+    assert.deepStrictEqual(await storage.read('shares'), [{ id: 1 }])
+  })
+
+  test(`${backend}: concurrent updates to one collection don't lose writes`, async (t) => {
+    const { storage } = await withStorage(t)
+    await storage.write('counter', [{ id: 1, value: 0 }])
+
+    await Promise.all(Array.from({ length: 50 }, (_, i) => storage.update('counter', items => {
+      items[0].value++
+      return [...items, { id: i + 2 }]
+    })))
+
+    const items = await storage.read('counter')
+    assert.strictEqual(items[0].value, 50)
+    assert.strictEqual(items.length, 51)
+  })
+
+  test(`${backend}: a failing update doesn't block the ones after it`, async (t) => {
+    const { storage } = await withStorage(t)
+
+    await assert.rejects(storage.update('list', () => { throw new Error('boom') }), /boom/)
+    await storage.update('list', items => [...items, { id: 1 }])
+    assert.deepStrictEqual(await storage.read('list'), [{ id: 1 }])
+  })
+})
+
+test('json: writes go through a temporary file renamed into place', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bkmrks-json-'))
+  t.after(() => fs.rm(dir, { recursive: true, force: true }))
+  const storage = createStorage({ backend: 'json', dir })
+  await storage.init()
+
+  await storage.write('bookmarks-1', [{ id: 1 }])
+  // Record each rename while a write and an update are in flight together
+  const renames = []
+  const rename = fs.rename
+  t.mock.method(fs, 'rename', async (from, to) => {
+    renames.push([path.basename(from), path.basename(to)])
+    return rename(from, to)
+  })
+
+  await Promise.all([
+    storage.write('bookmarks-1', [{ id: 2 }]),
+    storage.update('bookmarks-1', items => [...items, { id: 3 }])
+  ])
+
+  assert.deepStrictEqual(await storage.read('bookmarks-1'), [{ id: 2 }, { id: 3 }])
+  assert.strictEqual(renames.length, 2)
+  renames.forEach(([from, to]) => {
+    assert.match(from, /^bookmarks-1\.json\..+\.tmp$/)
+    assert.strictEqual(to, 'bookmarks-1.json')
+  })
+  assert.deepStrictEqual(await fs.readdir(dir), ['bookmarks-1.json'])
+})
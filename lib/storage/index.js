@@ -0,0 +1,28 @@
+const path = require('path')
+const { createJsonStorage } = require('./json')
+const { createSqliteStorage } = require('./sqlite')
+
+// Every backend exposes the same methods:
+//   init()                 prepare files or tables
+//   exists(name)           whether the collection has ever been written
+//   read(name)             the collection's items as an array
+//   write(name, items)     replace the collection atomically
+//   update(name, fn)       read, pass the items to fn and write what it returns,
+//                          all under one lock/transaction
+//   close()                release file handles
+const BACKENDS = {
+  json: ({ dir }) => createJsonStorage({ dir }),
+  sqlite: ({ dir, sqliteFile }) => createSqliteStorage({
+    file: sqliteFile || path.join(dir, 'bookmarks.db')
+  })
+}
+
+const createStorage = ({ backend = 'json', dir, sqliteFile } = {}) => {
+  const factory = BACKENDS[backend]
+  if (!factory) {
+    throw new Error(`Unknown storage backend "${backend}", expected one of: ${Object.keys(BACKENDS).join(', ')}`)
+  }
+  return factory({ dir, sqliteFile })
+}
+
+module.exports = { createStorage }
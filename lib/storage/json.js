@@ -0,0 +1,81 @@
+const fs = require('fs').promises
+const path = require('path')
+
+// Stores each collection as a JSON array in <dir>/<name>.json.
+// Writes go to a temp file that is renamed over the original, so a crash
+// mid-write never leaves a truncated file, and every write for a collection
+// runs through a queue so read-modify-write cycles can't interleave.
+const createJsonStorage = ({ dir }) => {
+  const locks = new Map()
+
+  const fileFor = (name) => path.join(dir, `${name}.json`)
+
+  // Run task after every earlier task queued for the same collection
+  const withLock = (name, task) => {
+    const previous = locks.get(name) || Promise.resolve()
+    const current = previous.then(task, task)
+    const settled = current.catch(() => {})
+    locks.set(name, settled)
+    settled.then(() => {
+      if (locks.get(name) === settled) locks.delete(name)
+    })
+    return current
+  }
+
+  const readFile = async (name) => {
+    try {
+      const data = await fs.readFile(fileFor(name), 'utf8')
+      return JSON.parse(data)
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+  }
+
+  const writeFile = async (name, items) => {
+    const file = fileFor(name)
+    const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`
+    const handle = await fs.open(tempFile, 'w')
+    try {
+      await handle.writeFile(JSON.stringify(items, null, 2))
+      await handle.sync()
+    } finally {
+      await handle.close()
+    }
+    await fs.rename(tempFile, file)
+  }
+
+  return {
+    description: `JSON files in ${dir}`,
+
+    init: async () => {
+      await fs.mkdir(dir, { recursive: true })
+    },
+
+    exists: async (name) => {
+      try {
+        await fs.access(fileFor(name))
+        return true
+      } catch (error) {
+        return false
+      }
+    },
+
+    read: (name) => readFile(name),
+
+    write: (name, items) => withLock(name, () => writeFile(name, items)),
+
+    // fn receives the current items and returns the new ones, or undefined to
+    // leave the collection untouched
+    update: (name, fn) => withLock(name, async () => {
+      const items = await readFile(name)
+      const updated = fn(items)
+      if (updated !== undefined) await writeFile(name, updated)
+      return updated
+    }),
+
+    close: async () => {}
+  }
+}
+
+module.exports = { createJsonStorage }
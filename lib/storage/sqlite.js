@@ -0,0 +1,78 @@
+// Stores every collection in one SQLite database, one row per item.
+// better-sqlite3 is synchronous, so each update runs as a single immediate
+// transaction and concurrent requests can't lose each other's writes.
+const createSqliteStorage = ({ file }) => {
+  // Loaded lazily so the JSON backend works without the native module
+  const Database = require('better-sqlite3')
+  let db = null
+  let statements = null
+
+  const readItems = (name) =>
+    statements.select.all(name).map(row => JSON.parse(row.data))
+
+  const writeItems = (name, items) => {
+    statements.markCollection.run(name)
+    statements.clear.run(name)
+    items.forEach((item, position) => {
+      statements.insert.run(
+        name,
+        position,
+        item && item.id !== undefined ? String(item.id) : null,
+        JSON.stringify(item)
+      )
+    })
+  }
+
+  return {
+    description: `SQLite database ${file}`,
+
+    init: async () => {
+      db = new Database(file)
+      db.pragma('journal_mode = WAL')
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS collections (
+          name TEXT PRIMARY KEY
+        );
+        CREATE TABLE IF NOT EXISTS records (
+          collection TEXT NOT NULL,
+          position INTEGER NOT NULL,
+          id TEXT,
+          data TEXT NOT NULL,
+          PRIMARY KEY (collection, position)
+        );
+        CREATE INDEX IF NOT EXISTS records_id ON records (collection, id);
+      `)
+
+      statements = {
+        exists: db.prepare('SELECT 1 FROM collections WHERE name = ?'),
+        markCollection: db.prepare('INSERT OR IGNORE INTO collections (name) VALUES (?)'),
+        select: db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY position'),
+        clear: db.prepare('DELETE FROM records WHERE collection = ?'),
+        insert: db.prepare('INSERT INTO records (collection, position, id, data) VALUES (?, ?, ?, ?)')
+      }
+    },
+
+    exists: async (name) => Boolean(statements.exists.get(name)),
+
+    read: async (name) => readItems(name),
+
+    write: async (name, items) => {
+      db.transaction(() => writeItems(name, items)).immediate()
+    },
+
+    // Same contract as the JSON backend: fn returns the new items, or
+    // undefined to leave the collection untouched
+    update: async (name, fn) =>
+      db.transaction(() => {
+        const updated = fn(readItems(name))
+        if (updated !== undefined) writeItems(name, updated)
+        return updated
+      }).immediate(),
+
+    close: async () => {
+      if (db) db.close()
+    }
+  }
+}
+
+module.exports = { createSqliteStorage }
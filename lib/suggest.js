@@ -0,0 +1,144 @@
+// Category and tag suggestions for a bookmark, learned from how the user
+// filed the bookmarks they already have. Everything runs here: categories
+// come from a naive Bayes classifier and tags from the most similar saved
+// bookmarks by TF-IDF. Only names already in use are suggested, so they
+// don't add new spellings.
+
+const { tokenize } = require('./search')
+
+// Words too common to say anything about a page
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it', 'my', 'of', 'on', 'or',
+  'our', 'the', 'this', 'that', 'to', 'what', 'why', 'with', 'you', 'your',
+  'www', 'com', 'org', 'net', 'io', 'html', 'htm', 'php', 'index'
+])
+
+// A bookmark's site counts as much as this many words
+const SITE_WEIGHT = 3
+// Similar bookmarks whose tags are considered
+const NEIGHBOURS = 10
+// Suggestions less likely than this are left out
+const MIN_CONFIDENCE = 0.2
+
+const parseUrl = (value) => {
+  try {
+    return new URL(value)
+  } catch (error) {
+    return null
+  }
+}
+
+// Words from the title, description and URL path, plus the site
+const features = ({ url, title, description }) => {
+  const parsed = parseUrl(url)
+  const words = [...tokenize(title), ...tokenize(description), ...tokenize(parsed ? parsed.pathname : '')]
+    .filter(word => word.length > 1 && !STOPWORDS.has(word) && !/^\d+$/.test(word))
+  if (!parsed) return words
+  const site = `site:${parsed.hostname.toLowerCase().replace(/^www\./, '')}`
+  return [...words, ...Array(SITE_WEIGHT).fill(site)]
+}
+
+const countWords = (words) => {
+  const counts = new Map()
+  words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1))
+  return counts
+}
+
+const byConfidence = (a, b) => b.confidence - a.confidence || a.name.localeCompare(b.name)
+
+// Multinomial naive Bayes over the categorized bookmarks, with add-one
+// smoothing. Words never seen before are ignored, and with none left there's
+// nothing to go on.
+const suggestCategories = (bookmarks, input, limit) => {
+  const labelled = bookmarks.filter(b => b.category)
+  const vocabulary = new Set()
+  const classes = new Map()
+
+  labelled.forEach(bookmark => {
+    const model = classes.get(bookmark.category) || { documents: 0, words: new Map(), total: 0 }
+    model.documents++
+    features(bookmark).forEach(word => {
+      model.words.set(word, (model.words.get(word) || 0) + 1)
+      model.total++
+      vocabulary.add(word)
+    })
+    classes.set(bookmark.category, model)
+  })
+
+  const words = features(input).filter(word => vocabulary.has(word))
+  if (words.length === 0) return []
+
+  const scores = [...classes].map(([name, model]) => {
+    let score = Math.log(model.documents / labelled.length)
+    words.forEach(word => {
+      score += Math.log(((model.words.get(word) || 0) + 1) / (model.total + vocabulary.size))
+    })
+    return { name, score }
+  })
+
+  // Log likelihoods to probabilities that add up to 1
+  const best = Math.max(...scores.map(s => s.score))
+  const total = scores.reduce((sum, s) => sum + Math.exp(s.score - best), 0)
+  return scores
+    .map(({ name, score }) => ({ name, confidence: Math.exp(score - best) / total }))
+    .filter(s => s.confidence >= MIN_CONFIDENCE)
+    .sort(byConfidence)
+    .slice(0, limit)
+}
+
+// Tags of the nearest tagged bookmarks by cosine similarity of TF-IDF
+// vectors, each weighted by how similar its bookmark is
+const suggestTags = (bookmarks, input, limit) => {
+  const tagged = bookmarks.filter(b => (b.tags || []).length > 0)
+  const documents = tagged.map(b => countWords(features(b)))
+
+  const documentFrequency = new Map()
+  documents.forEach(counts => counts.forEach((count, word) => {
+    documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1)
+  }))
+  const idf = (word) => Math.log((documents.length + 1) / ((documentFrequency.get(word) || 0) + 1)) + 1
+
+  const vector = (counts) => {
+    const weights = new Map()
+    counts.forEach((count, word) => weights.set(word, count * idf(word)))
+    const length = Math.sqrt([...weights.values()].reduce((sum, w) => sum + w * w, 0))
+    return { weights, length }
+  }
+  const cosine = (a, b) => {
+    if (!a.length || !b.length) return 0
+    let dot = 0
+    a.weights.forEach((weight, word) => { dot += weight * (b.weights.get(word) || 0) })
+    return dot / (a.length * b.length)
+  }
+
+  const query = vector(countWords(features(input)))
+  const neighbours = documents
+    .map((counts, index) => ({ bookmark: tagged[index], similarity: cosine(query, vector(counts)) }))
+    .filter(n => n.similarity > 0)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, NEIGHBOURS)
+
+  const total = neighbours.reduce((sum, n) => sum + n.similarity, 0)
+  const scores = new Map()
+  neighbours.forEach(({ bookmark, similarity }) => {
+    bookmark.tags.forEach(tag => scores.set(tag, (scores.get(tag) || 0) + similarity))
+  })
+
+  return [...scores]
+    .map(([name, score]) => ({ name, confidence: score / total }))
+    .filter(s => s.confidence >= MIN_CONFIDENCE)
+    .sort(byConfidence)
+    .slice(0, limit)
+}
+
+// Suggestions for input { url, title, description } from the user's other
+// bookmarks. Returns { categories, tags }, each a list of { name, confidence }
+// with the likeliest first.
+const suggestForBookmark = (bookmarks, input, { limit = 3 } = {}) => ({
+  categories: suggestCategories(bookmarks, input, limit),
+  tags: suggestTags(bookmarks, input, limit + 2)
+})
+
+module.exports = {
+  suggestForBookmark
+}
@@ -0,0 +1,31 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { suggestForBookmark } = require('./suggest')
+
+const BOOKMARKS = [
+  { id: 1, title: 'React hooks guide', url: 'https://react.dev/learn/hooks', category: 'Development', tags: ['react', 'javascript'] },
+  { id: 2, title: 'Node streams explained', url: 'https://nodejs.org/api/stream.html', category: 'Development', tags: ['node', 'javascript'] },
+  { id: 3, title: 'React server components', url: 'https://react.dev/reference/rsc', category: 'Development', tags: ['react'] },
+  { id: 4, title: 'Sourdough bread recipe', url: 'https://www.seriouseats.com/sourdough', category: 'Cooking', tags: ['baking'] },
+  { id: 5, title: 'Pizza dough recipe', url: 'https://www.seriouseats.com/pizza-dough', category: 'Cooking', tags: ['baking', 'pizza'] }
+]
+
+test('suggests the category of bookmarks with similar words and sites', () => {
+  const { categories } = suggestForBookmark(BOOKMARKS, { url: 'https://react.dev/learn/state', title: 'Managing state in React' })
+  assert.strictEqual(categories[0].name, 'Development')
+  assert.ok(categories[0].confidence > 0.8)
+
+  const cooking = suggestForBookmark(BOOKMARKS, { url: 'https://example.com/focaccia', title: 'Focaccia dough recipe' })
+  assert.strictEqual(cooking.categories[0].name, 'Cooking')
+})
+
+test('suggests tags of the most similar bookmarks', () => {
+  const { tags } = suggestForBookmark(BOOKMARKS, { url: 'https://react.dev/learn/effects', title: 'React effects' })
+  assert.strictEqual(tags[0].name, 'react')
+  assert.ok(!tags.some(tag => tag.name === 'baking'))
+})
+
+test('suggests nothing without anything to go on', () => {
+  assert.deepStrictEqual(suggestForBookmark(BOOKMARKS, { url: 'https://unknown.example/', title: 'Zebras' }), { categories: [], tags: [] })
+  assert.deepStrictEqual(suggestForBookmark([], { url: 'https://react.dev/', title: 'React' }), { categories: [], tags: [] })
+})
@@ -0,0 +1,46 @@
+// Tags are stored lowercase with single spaces, so "Dev  Tools" and "dev tools"
+// are the same tag
+
+const normalizeTag = (tag) => String(tag).trim().toLowerCase().replace(/\s+/g, ' ')
+
+// Accept an array or a comma separated string and return unique, clean tags
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',')
+  return [...new Set(list.map(normalizeTag))].filter(Boolean)
+}
+
+// Usage counts for every tag, most used first
+const countTags = (bookmarks) => {
+  const counts = new Map()
+  bookmarks.forEach(bookmark => {
+    (bookmark.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1))
+  })
+  return [...counts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+}
+
+// Replace every tag in sources with target on each bookmark. Returns how many
+// bookmarks changed. Renaming a tag is a merge with a single source.
+const mergeTags = (bookmarks, sources, target) => {
+  const from = new Set(normalizeTags(sources))
+  const to = normalizeTag(target)
+  let updated = 0
+
+  bookmarks.forEach(bookmark => {
+    const tags = bookmark.tags || []
+    if (!tags.some(tag => from.has(tag))) return
+
+    bookmark.tags = normalizeTags(tags.map(tag => (from.has(tag) ? to : tag)))
+    updated++
+  })
+
+  return updated
+}
+
+module.exports = {
+  normalizeTag,
+  normalizeTags,
+  countTags,
+  mergeTags
+}
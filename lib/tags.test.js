@@ -0,0 +1,28 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { normalizeTag, normalizeTags, countTags, mergeTags } = require('./tags')
+
+test('normalizeTags cleans, dedupes and accepts a comma separated string', () => {
+  assert.strictEqual(normalizeTag('  Dev   Tools '), 'dev tools')
+  assert.deepStrictEqual(normalizeTags('JS, js ,, React'), ['js', 'react'])
+  assert.deepStrictEqual(normalizeTags(['A', 'a', ' ']), ['a'])
+  assert.deepStrictEqual(normalizeTags(undefined), [])
+})
+
+test('countTags counts uses, most used first', () => {
+  assert.deepStrictEqual(countTags([{ tags: ['js', 'react'] }, { tags: ['js'] }, {}]), [
+    { name: 'js', count: 2 },
+    { name: 'react', count: 1 }
+  ])
+})
+
+test('mergeTags replaces sources with the target without doubling it up', () => {
+  const bookmarks = [
+    { tags: ['js', 'react'] },
+    { tags: ['javascript', 'js'] },
+    { tags: ['node'] },
+    {}
+  ]
+  assert.strictEqual(mergeTags(bookmarks, ['JS', 'javascript'], 'JavaScript'), 2)
+  assert.deepStrictEqual(bookmarks.map(b => b.tags), [['javascript', 'react'], ['javascript'], ['node'], undefined])
+})
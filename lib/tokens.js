@@ -0,0 +1,68 @@
+// Personal access tokens for scripts and integrations. Each is limited to a
+// scope and may expire; like sessions, only a hash of the token is stored.
+
+const crypto = require('crypto')
+
+// read can only look; write can change bookmarks too
+const TOKEN_SCOPES = ['read', 'write']
+const MAX_TOKEN_DAYS = 365
+
+// The prefix tells tokens apart from session tokens at a glance, and lets
+// secret scanners spot them
+const TOKEN_PREFIX = 'bkp_'
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+const isApiToken = (value) => typeof value === 'string' && value.startsWith(TOKEN_PREFIX)
+
+// Returns { token, record }: the token to show the user once, and what to
+// store. expiresInDays may be omitted for a token that never expires.
+const createApiToken = ({ id, userId, name, scope, expiresInDays }) => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`
+  const now = Date.now()
+  const record = {
+    id,
+    userId,
+    name,
+    scope,
+    tokenHash: hashToken(token),
+    // Enough to recognise the token in a list without revealing it
+    hint: token.slice(0, TOKEN_PREFIX.length + 4),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: expiresInDays ? new Date(now + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+    lastUsedAt: null
+  }
+  return { token, record }
+}
+
+// Checks { name, scope, expiresInDays } for a new token. Returns { error } or
+// the cleaned values.
+const parseTokenRequest = ({ name, scope, expiresInDays } = {}) => {
+  const cleanName = typeof name === 'string' ? name.trim() : ''
+  if (!cleanName || cleanName.length > 100) return { error: 'Name is required and must be at most 100 characters' }
+  if (!TOKEN_SCOPES.includes(scope)) return { error: `scope must be one of ${TOKEN_SCOPES.join(', ')}` }
+  if (expiresInDays !== undefined && expiresInDays !== null &&
+    (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_TOKEN_DAYS)) {
+    return { error: `expiresInDays must be a whole number from 1 to ${MAX_TOKEN_DAYS}` }
+  }
+  return { name: cleanName, scope, expiresInDays: expiresInDays || null }
+}
+
+const isExpired = (record, now = new Date()) => Boolean(record.expiresAt) && record.expiresAt <= now.toISOString()
+
+// Read tokens may only make requests that change nothing
+const scopeAllows = (scope, method) => scope === 'write' || ['GET', 'HEAD', 'OPTIONS'].includes(method)
+
+// A token as its owner sees it in the list, without the hash
+const publicToken = ({ tokenHash, userId, ...token }) => token
+
+module.exports = {
+  TOKEN_SCOPES,
+  hashToken,
+  isApiToken,
+  createApiToken,
+  parseTokenRequest,
+  isExpired,
+  scopeAllows,
+  publicToken
+}
@@ -0,0 +1,28 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { createApiToken, hashToken, isApiToken, parseTokenRequest, isExpired, scopeAllows, publicToken } = require('./tokens')
+
+test('createApiToken stores only a hash and a hint of the token', () => {
+  const { token, record } = createApiToken({ id: 1, userId: 2, name: 'Backup script', scope: 'read', expiresInDays: 30 })
+  assert.ok(isApiToken(token))
+  assert.strictEqual(record.tokenHash, hashToken(token))
+  assert.ok(token.startsWith(record.hint) && record.hint.length < 12)
+  assert.ok(!isExpired(record))
+  assert.ok(isExpired(record, new Date(Date.now() + 31 * 24 * 60 * 60 * 1000)))
+  assert.ok(!JSON.stringify(publicToken(record)).includes(record.tokenHash))
+  assert.strictEqual(createApiToken({ id: 3, userId: 2, name: 'Forever', scope: 'write' }).record.expiresAt, null)
+})
+
+test('parseTokenRequest checks the name, scope and expiry', () => {
+  assert.deepStrictEqual(parseTokenRequest({ name: ' CI ', scope: 'write' }), { name: 'CI', scope: 'write', expiresInDays: null })
+  assert.ok(parseTokenRequest({ name: '', scope: 'read' }).error)
+  assert.ok(parseTokenRequest({ name: 'CI', scope: 'admin' }).error)
+  assert.ok(parseTokenRequest({ name: 'CI', scope: 'read', expiresInDays: 0 }).error)
+})
+
+test('read tokens may only make safe requests', () => {
+  assert.ok(scopeAllows('read', 'GET'))
+  assert.ok(!scopeAllows('read', 'POST'))
+  assert.ok(!scopeAllows('read', 'DELETE'))
+  assert.ok(scopeAllows('write', 'PUT'))
+})
@@ -0,0 +1,46 @@
+// URL canonicalization used to spot the same page saved twice
+
+// Query parameters that only identify where a click came from
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^fbclid$/i,
+  /^gclid$/i,
+  /^dclid$/i,
+  /^msclkid$/i,
+  /^mc_cid$/i,
+  /^mc_eid$/i,
+  /^_hsenc$/i,
+  /^_hsmi$/i,
+  /^igshid$/i
+]
+
+const isTrackingParam = (name) => TRACKING_PARAMS.some(pattern => pattern.test(name))
+
+// Lowercase the host, drop the fragment, tracking params and trailing slashes.
+// Strings that don't parse as URLs are only trimmed and lowercased.
+const normalizeUrl = (value) => {
+  const input = String(value || '').trim()
+  let url
+  try {
+    url = new URL(input)
+  } catch (error) {
+    return input.toLowerCase()
+  }
+
+  url.hash = ''
+  url.hostname = url.hostname.toLowerCase()
+
+  for (const name of [...url.searchParams.keys()]) {
+    if (isTrackingParam(name)) url.searchParams.delete(name)
+  }
+
+  const pathname = url.pathname.replace(/\/+$/, '')
+  const search = url.searchParams.toString()
+  const auth = url.username ? `${url.username}${url.password ? `:${url.password}` : ''}@` : ''
+
+  return `${url.protocol}//${auth}${url.host}${pathname}${search ? `?${search}` : ''}`
+}
+
+module.exports = {
+  normalizeUrl
+}
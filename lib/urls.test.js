@@ -0,0 +1,30 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { normalizeUrl } = require('./urls')
+
+test('normalizeUrl ignores host case, fragments, trailing slashes and tracking params', () => {
+  const canonical = normalizeUrl('https://example.com/docs?page=2')
+  ;[
+    'https://EXAMPLE.com/docs?page=2',
+    'https://example.com/docs/?page=2',
+    'https://example.com/docs?page=2#intro',
+    'https://example.com/docs?utm_source=news&page=2&utm_medium=email',
+    'https://example.com/docs?page=2&fbclid=abc&gclid=def',
+    '  https://example.com/docs?page=2  '
+  ].forEach(url => assert.strictEqual(normalizeUrl(url), canonical, url))
+  assert.strictEqual(canonical, 'https://example.com/docs?page=2')
+})
+
+test('normalizeUrl keeps what tells pages apart', () => {
+  assert.notStrictEqual(normalizeUrl('https://example.com/a'), normalizeUrl('https://example.com/b'))
+  assert.notStrictEqual(normalizeUrl('https://example.com/?page=1'), normalizeUrl('https://example.com/?page=2'))
+  assert.notStrictEqual(normalizeUrl('http://example.com/'), normalizeUrl('https://example.com/'))
+  // Paths are case sensitive
+  assert.notStrictEqual(normalizeUrl('https://example.com/Docs'), normalizeUrl('https://example.com/docs'))
+  assert.strictEqual(normalizeUrl('https://user:pw@example.com:8080/x/'), 'https://user:pw@example.com:8080/x')
+})
+
+test('normalizeUrl only trims and lowercases what is not a URL', () => {
+  assert.strictEqual(normalizeUrl(' Not A URL '), 'not a url')
+  assert.strictEqual(normalizeUrl(undefined), '')
+})
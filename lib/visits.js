@@ -0,0 +1,57 @@
+// Visit counts recorded by the visit redirect, and the dashboard built on them
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Count one visit. Mutates the bookmark.
+const recordVisit = (bookmark, now = new Date()) => {
+  bookmark.visitCount = (bookmark.visitCount || 0) + 1
+  bookmark.lastVisited = now.toISOString()
+}
+
+// The date `months` months before now, as YYYY-MM-DD
+const monthsAgo = (months, now = new Date()) => {
+  const date = new Date(now)
+  date.setUTCMonth(date.getUTCMonth() - months)
+  return date.toISOString().split('T')[0]
+}
+
+// Most visited, recently opened and bookmarks nobody opened in `months`
+// months. A bookmark only counts as unused once it is older than that, so new
+// ones aren't suggested for cleanup.
+const summarizeVisits = (bookmarks, { months = 6, limit = 10, now = new Date() } = {}) => {
+  const visited = bookmarks.filter(b => b.visitCount > 0)
+  const cutoff = monthsAgo(months, now)
+  // lastVisited is a full timestamp and dateAdded a date; the first ten
+  // characters compare either against the cutoff
+  const lastUsed = (b) => String(b.lastVisited || b.dateAdded || '').slice(0, 10)
+
+  const unused = bookmarks
+    .filter(b => lastUsed(b) < cutoff)
+    .sort((a, b) => lastUsed(a).localeCompare(lastUsed(b)))
+
+  return {
+    totals: {
+      bookmarks: bookmarks.length,
+      visited: visited.length,
+      visits: visited.reduce((sum, b) => sum + b.visitCount, 0),
+      // Bookmarks opened at least once in the last 30 days
+      openedLastMonth: visited.filter(b => new Date(b.lastVisited) > new Date(now - 30 * DAY)).length
+    },
+    mostVisited: [...visited]
+      .sort((a, b) => b.visitCount - a.visitCount || String(b.lastVisited).localeCompare(String(a.lastVisited)))
+      .slice(0, limit),
+    recentlyOpened: [...visited]
+      .sort((a, b) => String(b.lastVisited).localeCompare(String(a.lastVisited)))
+      .slice(0, limit),
+    unused: {
+      months,
+      total: unused.length,
+      bookmarks: unused.slice(0, limit)
+    }
+  }
+}
+
+module.exports = {
+  recordVisit,
+  summarizeVisits
+}
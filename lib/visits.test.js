@@ -0,0 +1,44 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { recordVisit, summarizeVisits } = require('./visits')
+
+const NOW = new Date('2024-07-01T12:00:00Z')
+
+const bookmarks = () => [
+  { id: 1, title: 'Daily', dateAdded: '2023-01-01', visitCount: 40, lastVisited: '2024-06-30T08:00:00.000Z' },
+  { id: 2, title: 'Weekly', dateAdded: '2023-01-01', visitCount: 5, lastVisited: '2024-06-30T09:00:00.000Z' },
+  { id: 3, title: 'Forgotten', dateAdded: '2023-01-01', visitCount: 2, lastVisited: '2023-03-01T10:00:00.000Z' },
+  { id: 4, title: 'Never opened', dateAdded: '2022-05-01' },
+  { id: 5, title: 'Just added', dateAdded: '2024-06-20' }
+]
+
+const ids = (items) => items.map(b => b.id)
+
+test('recordVisit counts visits and stamps the time', () => {
+  const bookmark = { id: 1 }
+  recordVisit(bookmark, NOW)
+  recordVisit(bookmark, NOW)
+  assert.strictEqual(bookmark.visitCount, 2)
+  assert.strictEqual(bookmark.lastVisited, '2024-07-01T12:00:00.000Z')
+})
+
+test('summarizeVisits ranks by visits and by last visit', () => {
+  const summary = summarizeVisits(bookmarks(), { now: NOW })
+  assert.deepStrictEqual(ids(summary.mostVisited), [1, 2, 3])
+  assert.deepStrictEqual(ids(summary.recentlyOpened), [2, 1, 3])
+  assert.deepStrictEqual(summary.totals, { bookmarks: 5, visited: 3, visits: 47, openedLastMonth: 2 })
+})
+
+test('unused bookmarks are the ones not opened or added in the last N months, oldest first', () => {
+  const summary = summarizeVisits(bookmarks(), { months: 6, now: NOW })
+  assert.deepStrictEqual(ids(summary.unused.bookmarks), [4, 3])
+  assert.strictEqual(summary.unused.total, 2)
+  assert.deepStrictEqual(ids(summarizeVisits(bookmarks(), { months: 24, now: NOW }).unused.bookmarks), [4])
+})
+
+test('limit caps each list but not the unused total', () => {
+  const summary = summarizeVisits(bookmarks(), { months: 1, limit: 1, now: NOW })
+  assert.strictEqual(summary.mostVisited.length, 1)
+  assert.strictEqual(summary.unused.bookmarks.length, 1)
+  assert.strictEqual(summary.unused.total, 2)
+})
@@ -0,0 +1,129 @@
+// Outgoing webhooks: when a user's bookmarks are created, updated or deleted,
+// the change is POSTed to every URL they subscribed. Each delivery is signed
+// with the subscription's secret so receivers can tell it came from us, and
+// a failed delivery is retried with exponential backoff. Retries wait in
+// memory, so a restart drops any still pending. Like every other request the
+// server makes for a user, deliveries to private network addresses are
+// refused unless allowPrivateNetwork is set.
+
+const crypto = require('crypto')
+const { USER_AGENT } = require('./fetcher')
+const { guardedFetch } = require('./network')
+
+const WEBHOOK_EVENTS = ['bookmark.created', 'bookmark.updated', 'bookmark.deleted']
+
+const DEFAULT_TIMEOUT = 10000
+// Tries in all, counting the first
+const DEFAULT_ATTEMPTS = 6
+// Wait before the first retry; each one after waits twice as long
+const DEFAULT_RETRY_DELAY = 30 * 1000
+
+const createWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`
+
+// HMAC-SHA256 of "<timestamp>.<body>". Signing the timestamp too stops an
+// old delivery being replayed as new.
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+
+// For receivers: whether a delivery's X-Bkmrks-Signature matches and its
+// X-Bkmrks-Timestamp (seconds) is within tolerance seconds of now
+const verifySignature = (secret, { signature, timestamp, body }, { tolerance = 300, now = Date.now() } = {}) => {
+  const expected = Buffer.from(signPayload(secret, timestamp, body))
+  const actual = Buffer.from(String(signature || ''))
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return false
+  return Math.abs(now / 1000 - Number(timestamp)) <= tolerance
+}
+
+// Checks { url, events } for a subscription. Left out, events means all of
+// them. Returns { error } or the cleaned values.
+const parseWebhookRequest = ({ url, events } = {}) => {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch (error) {
+    return { error: 'url must be a valid http or https URL' }
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return { error: 'url must be a valid http or https URL' }
+
+  const chosen = events === undefined ? WEBHOOK_EVENTS : events
+  if (!Array.isArray(chosen) || chosen.length === 0 || chosen.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    return { error: `events must list some of ${WEBHOOK_EVENTS.join(', ')}` }
+  }
+  return { url: parsed.href, events: [...new Set(chosen)] }
+}
+
+// A subscription as its owner sees it in the list; the secret is only shown
+// when the subscription is made
+const publicWebhook = ({ secret, userId, ...webhook }) => webhook
+
+// Worth trying again: the receiver was busy, slow or broken rather than
+// turning the delivery down
+const shouldRetry = (status) => !status || status === 408 || status === 429 || status >= 500
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// onResult(webhook, attempt) hears how every try went: { deliveryId, event,
+// attempt, ok, status, error, at, final }, final being true once nothing
+// more will be tried.
+const createWebhookSender = ({
+  allowPrivateNetwork = false,
+  fetch = (url, options) => guardedFetch(url, { ...options, allowPrivateNetwork }),
+  timeout = DEFAULT_TIMEOUT,
+  attempts = DEFAULT_ATTEMPTS,
+  retryDelay = DEFAULT_RETRY_DELAY,
+  onResult = () => {}
+} = {}) => {
+  // Resolves to { ok, status } or { ok: false, error, refused }, refused
+  // meaning the address is private and trying again won't help; never rejects
+  const post = async (webhook, headers, body) => {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), timeout)
+    try {
+      const response = await fetch(webhook.url, { method: 'POST', headers, body, redirect: 'manual', signal: controller.signal })
+      // Only the status matters; don't leave the body hanging
+      await response.arrayBuffer().catch(() => {})
+      return { ok: response.status >= 200 && response.status < 300, status: response.status }
+    } catch (error) {
+      const message = controller.signal.aborted ? `Timed out after ${timeout}ms` : (error.cause && error.cause.message) || error.message
+      return { ok: false, error: message, refused: Boolean(error.cause && error.cause.code === 'PRIVATE_ADDRESS') }
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  // Deliver one event to webhook { id, url, secret }, retrying as needed.
+  // Resolves to the last try's result once done.
+  const send = async (webhook, event, data, { attempts: tries = attempts } = {}) => {
+    const deliveryId = crypto.randomUUID()
+    const body = JSON.stringify({ id: deliveryId, event, createdAt: new Date().toISOString(), data })
+
+    for (let attempt = 1; ; attempt++) {
+      const timestamp = String(Math.floor(Date.now() / 1000))
+      const { refused, ...result } = await post(webhook, {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Bkmrks-Event': event,
+        'X-Bkmrks-Delivery': deliveryId,
+        'X-Bkmrks-Timestamp': timestamp,
+        'X-Bkmrks-Signature': signPayload(webhook.secret, timestamp, body)
+      }, body)
+
+      const final = result.ok || refused || !shouldRetry(result.status) || attempt >= tries
+      onResult(webhook, { deliveryId, event, attempt, ...result, at: new Date().toISOString(), final })
+      if (final) return { deliveryId, attempt, ...result }
+      await wait(retryDelay * 2 ** (attempt - 1))
+    }
+  }
+
+  return { send }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  createWebhookSecret,
+  signPayload,
+  verifySignature,
+  parseWebhookRequest,
+  publicWebhook,
+  createWebhookSender
+}
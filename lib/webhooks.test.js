@@ -0,0 +1,104 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const http = require('http')
+const { signPayload, verifySignature, parseWebhookRequest, createWebhookSender } = require('./webhooks')
+
+// The receivers listen on localhost, which deliveries refuse unless allowed
+const LOCAL = { allowPrivateNetwork: true }
+
+// A local receiver that answers with the next of statuses (the last repeats)
+// and keeps what it was sent
+const startReceiver = async (statuses) => {
+  const received = []
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      received.push({ headers: req.headers, body })
+      res.statusCode = statuses[Math.min(received.length, statuses.length) - 1]
+      res.end()
+    })
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, received, close: () => server.close() }
+}
+
+test('delivers a signed payload the receiver can verify', async () => {
+  const receiver = await startReceiver([204])
+  try {
+    const webhook = { id: 1, url: receiver.url, secret: 'whsec_test' }
+    const result = await createWebhookSender(LOCAL).send(webhook, 'bookmark.created', { bookmarks: [{ id: 7 }] })
+
+    assert.strictEqual(result.ok, true)
+    assert.strictEqual(receiver.received.length, 1)
+    const { headers, body } = receiver.received[0]
+    assert.strictEqual(headers['x-bkmrks-event'], 'bookmark.created')
+    assert.deepStrictEqual(JSON.parse(body).data, { bookmarks: [{ id: 7 }] })
+    assert.ok(verifySignature('whsec_test', { signature: headers['x-bkmrks-signature'], timestamp: headers['x-bkmrks-timestamp'], body }))
+    assert.ok(!verifySignature('whsec_other', { signature: headers['x-bkmrks-signature'], timestamp: headers['x-bkmrks-timestamp'], body }))
+  } finally {
+    receiver.close()
+  }
+})
+
+test('retries server errors with backoff but not refusals', async () => {
+  const receiver = await startReceiver([500, 503, 200])
+  const results = []
+  const sender = createWebhookSender({ ...LOCAL, retryDelay: 10, onResult: (webhook, result) => results.push(result) })
+  try {
+    const result = await sender.send({ id: 1, url: receiver.url, secret: 's' }, 'bookmark.deleted', { ids: [1] })
+    assert.strictEqual(result.attempt, 3)
+    assert.deepStrictEqual(results.map(r => [r.status, r.final]), [[500, false], [503, false], [200, true]])
+    // Every try of a delivery carries the same id
+    assert.strictEqual(new Set(receiver.received.map(r => r.headers['x-bkmrks-delivery'])).size, 1)
+  } finally {
+    receiver.close()
+  }
+
+  const refusing = await startReceiver([410])
+  try {
+    const result = await createWebhookSender({ ...LOCAL, retryDelay: 10 }).send({ id: 2, url: refusing.url, secret: 's' }, 'bookmark.updated', {})
+    assert.deepStrictEqual([result.ok, result.attempt, refusing.received.length], [false, 1, 1])
+  } finally {
+    refusing.close()
+  }
+})
+
+test('gives up after the last attempt when the receiver is unreachable', async () => {
+  const results = []
+  const sender = createWebhookSender({ ...LOCAL, attempts: 2, retryDelay: 10, onResult: (webhook, result) => results.push(result) })
+  const result = await sender.send({ id: 1, url: 'http://127.0.0.1:9/hook', secret: 's' }, 'bookmark.created', {})
+  assert.strictEqual(result.ok, false)
+  assert.ok(result.error)
+  assert.deepStrictEqual(results.map(r => r.final), [false, true])
+})
+
+test('refuses private network addresses at once unless allowed', async () => {
+  const receiver = await startReceiver([204])
+  try {
+    const results = []
+    const sender = createWebhookSender({ retryDelay: 10, onResult: (webhook, result) => results.push(result) })
+    const result = await sender.send({ id: 1, url: receiver.url, secret: 's' }, 'bookmark.created', {})
+    assert.strictEqual(result.ok, false)
+    assert.match(result.error, /private network address/)
+    assert.strictEqual(receiver.received.length, 0)
+    // Not retried
+    assert.deepStrictEqual(results.map(r => [r.attempt, r.final, r.refused]), [[1, true, undefined]])
+  } finally {
+    receiver.close()
+  }
+})
+
+test('verifySignature rejects stale timestamps', () => {
+  const signature = signPayload('s', '1000', '{}')
+  assert.ok(verifySignature('s', { signature, timestamp: '1000', body: '{}' }, { now: 1100 * 1000 }))
+  assert.ok(!verifySignature('s', { signature, timestamp: '1000', body: '{}' }, { now: 2000 * 1000 }))
+})
+
+test('parseWebhookRequest checks the URL and events', () => {
+  assert.deepStrictEqual(parseWebhookRequest({ url: 'https://example.com/hook', events: ['bookmark.deleted'] }),
+    { url: 'https://example.com/hook', events: ['bookmark.deleted'] })
+  assert.strictEqual(parseWebhookRequest({ url: 'https://example.com/hook' }).events.length, 3)
+  assert.ok(parseWebhookRequest({ url: 'ftp://example.com' }).error)
+  assert.ok(parseWebhookRequest({ url: 'https://example.com', events: ['bookmark.read'] }).error)
+})
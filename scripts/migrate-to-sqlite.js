@@ -0,0 +1,54 @@
+// Copy the JSON file store into the SQLite store.
+//
+//   node scripts/migrate-to-sqlite.js [data-dir]
+//
+// Copies users.json, sessions.json, shares.json, tokens.json, bookmarks.json
+// and every user's bookmarks, folders, archives, trash, history and webhooks
+// files. DATA_DIR and
+// SQLITE_FILE are read the same way the server reads them. Collections already
+// in the database are replaced, so the command can be re-run.
+const fs = require('fs').promises
+const path = require('path')
+const { createStorage } = require('../lib/storage')
+
+const DATA_DIR = process.argv[2] || process.env.DATA_DIR || path.join(__dirname, '..')
+
+// Files in the data dir that hold collections
+const COLLECTION_FILE = /^(users|sessions|shares|tokens|bookmarks(-\d+)?|(folders|archives|trash|history|webhooks)-\d+)\.json$/
+
+const migrate = async () => {
+  const files = (await fs.readdir(DATA_DIR)).filter(file => COLLECTION_FILE.test(file))
+
+  if (files.length === 0) {
+    throw new Error(`No bookmark data found in ${DATA_DIR}`)
+  }
+
+  const source = createStorage({ backend: 'json', dir: DATA_DIR })
+  const target = createStorage({
+    backend: 'sqlite',
+    dir: DATA_DIR,
+    sqliteFile: process.env.SQLITE_FILE
+  })
+
+  await target.init()
+
+  for (const file of files) {
+    const name = path.basename(file, '.json')
+    const items = await source.read(name)
+
+    if (!Array.isArray(items)) {
+      throw new Error(`${file} does not contain an array`)
+    }
+
+    await target.write(name, items)
+    console.log(`Copied ${items.length} records from ${file}`)
+  }
+
+  await target.close()
+  console.log(`Migrated ${files.length} collections to ${target.description}`)
+}
+
+migrate().catch(error => {
+  console.error('Migration failed:', error.message)
+  process.exit(1)
+})
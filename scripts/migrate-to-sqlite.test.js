@@ -0,0 +1,47 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs').promises
+const os = require('os')
+const path = require('path')
+const { execFile } = require('child_process')
+const { promisify } = require('util')
+const { createStorage } = require('../lib/storage')
+
+const SCRIPT = path.join(__dirname, 'migrate-to-sqlite.js')
+
+const FILES = {
+  users: [{ id: 1, username: 'alice' }],
+  sessions: [{ tokenHash: 'abc', userId: 1 }],
+  shares: [],
+  tokens: [{ id: 2, userId: 1, name: 'CI', scope: 'read', tokenHash: 'def' }],
+  'bookmarks-1': [{ id: 3, title: 'Example', url: 'https://example.com' }],
+  'folders-1': [{ id: 4, name: 'Reading' }],
+  'trash-1': [],
+  'history-1': [],
+  'archives-1': [],
+  'webhooks-1': [{ id: 5, userId: 1, url: 'https://example.com/hook', events: ['bookmark.created'], secret: 'whsec_x' }]
+}
+
+test('copies every collection, tokens and webhooks included, into SQLite', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bkmrks-migrate-'))
+  t.after(() => fs.rm(dir, { recursive: true, force: true }))
+  await Promise.all(Object.entries(FILES).map(([name, items]) => fs.writeFile(path.join(dir, `${name}.json`), JSON.stringify(items))))
+  // Not collections, so left behind
+  await fs.writeFile(path.join(dir, 'package.json'), '{}')
+
+  const sqliteFile = path.join(dir, 'bkmrks.db')
+  const { stdout } = await promisify(execFile)(process.execPath, [SCRIPT, dir], {
+    env: { ...process.env, DATA_DIR: '', SQLITE_FILE: sqliteFile }
+  })
+  assert.match(stdout, /Copied 1 records from tokens\.json/)
+  assert.match(stdout, /Copied 1 records from webhooks-1\.json/)
+  assert.match(stdout, new RegExp(`Migrated ${Object.keys(FILES).length} collections`))
+
+  const storage = createStorage({ backend: 'sqlite', dir, sqliteFile })
+  await storage.init()
+  t.after(() => storage.close())
+  for (const [name, items] of Object.entries(FILES)) {
+    assert.deepStrictEqual(await storage.read(name), items, name)
+  }
+  assert.strictEqual(await storage.exists('package'), false)
+})
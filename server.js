@@ -1,22 +1,143 @@
-const express = require('express')
-const fs = require('fs').promises
 const path = require('path')
+const express = require('express')
 const cors = require('cors')
+const { createStorage } = require('./lib/storage')
+const { parseNetscapeBookmarks, toNetscapeBookmarks } = require('./lib/netscape')
+const { readImport } = require('./lib/importers')
+const { toCsv } = require('./lib/csv')
+const { normalizeUrl } = require('./lib/urls')
+const { normalizeTag, normalizeTags, countTags, mergeTags } = require('./lib/tags')
+const { normalizeCategory, countCategories, similarCategories, mergeCategories } = require('./lib/categories')
+const { suggestForBookmark } = require('./lib/suggest')
+const { parseSearchParams, searchBookmarks } = require('./lib/search')
+const { fetchMetadata } = require('./lib/metadata')
+const { checkLinks } = require('./lib/link-checker')
+const { createAuth, publicUser } = require('./lib/auth')
+const { createApiToken, parseTokenRequest, publicToken } = require('./lib/tokens')
+const { createWebhookSecret, parseWebhookRequest, publicWebhook, createWebhookSender } = require('./lib/webhooks')
+const { byPosition, nextPosition, placeItems, isWithin } = require('./lib/folders')
+const { archivePage, renderArchive } = require('./lib/archive')
+const { SHARE_TYPES, createShareToken, isShareToken, parseShareValue, sharedBookmarks, publicBookmark } = require('./lib/shares')
+const { renderRss, renderAtom, renderPage } = require('./lib/feeds')
+const { recordVisit, summarizeVisits } = require('./lib/visits')
+const { createChangeFeed, diffItems } = require('./lib/changes')
+const { validateBookmark, validationError } = require('./lib/schema')
+const { dueReminders, buildDigest, writeToOutbox, msUntilHour } = require('./lib/reminders')
+const { createBackupStore, diffBackup } = require('./lib/backups')
 
 const app = express()
 const PORT = process.env.PORT || 3001
-const BOOKMARKS_FILE = path.join(__dirname, 'bookmarks.json')
+const DATA_DIR = process.env.DATA_DIR || __dirname
+// Hours between scheduled link checks; 0 turns the schedule off
+const LINK_CHECK_INTERVAL_HOURS = Number(process.env.LINK_CHECK_INTERVAL_HOURS ?? 24)
+const LINK_CHECK_CONCURRENCY = Number(process.env.LINK_CHECK_CONCURRENCY || 5)
+// Set ALLOW_REGISTRATION=false to stop new sign-ups once your accounts exist
+const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION !== 'false'
+// Save a readable copy of each page as it is bookmarked; set to false to only
+// archive on request
+const AUTO_ARCHIVE = process.env.AUTO_ARCHIVE !== 'false'
+// Deleted bookmarks stay in the trash this long before they are purged
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30)
+// Comma separated origins allowed to call the API from other sites
+const CORS_ORIGINS = (process.env.CORS_ORIGIN || '').split(',').map(o => o.trim()).filter(Boolean)
+// Address the server is reached at, for share links and feeds; taken from
+// each request when unset
+const BASE_URL = (process.env.BASE_URL || '').replace(/\/+$/, '')
+// Hour of the day (server time) reading list reminders are collected into a
+// digest; -1 turns the digest off
+const DIGEST_HOUR = Number(process.env.DIGEST_HOUR ?? 8)
+// Digests are written here as .eml files rather than mailed
+const MAIL_DIR = process.env.MAIL_DIR || path.join(DATA_DIR, 'mail')
+const MAIL_FROM = process.env.MAIL_FROM || 'bkmrks@localhost'
+// Hours between scheduled snapshots of every user's bookmarks; 0 turns them
+// off. Snapshots are also taken before clearing, importing and emptying the
+// trash.
+const BACKUP_INTERVAL_HOURS = Number(process.env.BACKUP_INTERVAL_HOURS ?? 24)
+// Snapshots older than this are deleted, though each user's newest stays
+const BACKUP_RETENTION_DAYS = Number(process.env.BACKUP_RETENTION_DAYS || 30)
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(DATA_DIR, 'backups')
+// Page fetches, link checks and webhooks refuse loopback and private network
+// addresses; set ALLOW_PRIVATE_NETWORK=true when bookmarks or webhooks point
+// at your own network and everyone signed in is trusted
+const ALLOW_PRIVATE_NETWORK = process.env.ALLOW_PRIVATE_NETWORK === 'true'
+const FETCH_OPTIONS = { allowPrivateNetwork: ALLOW_PRIVATE_NETWORK }
+
+// STORAGE=json (default) keeps one JSON file per collection, STORAGE=sqlite uses bookmarks.db
+const storage = createStorage({
+  backend: process.env.STORAGE || 'json',
+  dir: DATA_DIR,
+  sqliteFile: process.env.SQLITE_FILE
+})
+
+const backups = createBackupStore({ dir: BACKUP_DIR, retentionDays: BACKUP_RETENTION_DAYS })
 
 // Middleware
-app.use(cors())
-app.use(express.json())
+// The app is served from the same origin; other origins must be listed
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : false, credentials: true }))
+app.use(express.json({ limit: '10mb' }))
 
-// Initialize bookmarks file with default data if it doesn't exist
-const initializeBookmarksFile = async () => {
-  try {
-    await fs.access(BOOKMARKS_FILE)
-  } catch (error) {
-    // File doesn't exist, create it with default bookmarks
+// Each user's bookmarks, folders, page archives, trash and edit history live
+// in their own collections
+const bookmarksCollection = (userId) => `bookmarks-${userId}`
+const archivesCollection = (userId) => `archives-${userId}`
+const foldersCollection = (userId) => `folders-${userId}`
+const trashCollection = (userId) => `trash-${userId}`
+const historyCollection = (userId) => `history-${userId}`
+const webhooksCollection = (userId) => `webhooks-${userId}`
+
+// Fields whose earlier values are kept in a bookmark's history
+const HISTORY_FIELDS = ['title', 'url', 'category', 'description', 'tags', 'notes']
+const MAX_REVISIONS = 50
+
+// Fields the edit form writes. Changing one gives the bookmark a new version,
+// and an edit based on an older version is refused. Visit counts, link health
+// and folder order change in the background and leave the version alone.
+const VERSIONED_FIELDS = [...HISTORY_FIELDS, 'image', 'favicon', 'status', 'remindAt']
+
+// Bookmarks saved before versions existed are version 0
+const versionOf = (bookmark) => bookmark.version || 0
+
+const bookmarkETag = (bookmark) => `"${versionOf(bookmark)}"`
+
+// Whether an If-Match header names the bookmark's current version
+const ifMatchAllows = (header, bookmark) => header.trim() === '*' ||
+  header.split(',').some(tag => tag.trim().replace(/^W\//, '') === bookmarkETag(bookmark))
+
+const versionedFields = (bookmark) => JSON.stringify(VERSIONED_FIELDS.map(field => bookmark[field] ?? null))
+
+// Open GET /api/events streams, told about every change to a user's bookmarks
+const changeFeed = createChangeFeed()
+
+// Sends webhook deliveries, keeping how each subscription's latest one went
+// for the settings page
+const webhookSender = createWebhookSender({
+  ...FETCH_OPTIONS,
+  onResult: (webhook, { deliveryId, event, attempt, ok, status, error, at, final }) => {
+    storage.update(webhooksCollection(webhook.userId), webhooks => {
+      const stored = webhooks.find(w => w.id === webhook.id)
+      if (!stored) return undefined
+      stored.lastDelivery = { deliveryId, event, attempt, ok, status, error, at, final }
+      return webhooks
+    }).catch(console.error)
+  }
+})
+
+// Send a change to each of the user's webhooks subscribed to it. Deliveries
+// and their retries carry on in the background.
+const notifyWebhooks = async (userId, event, data) => {
+  const webhooks = await storage.read(webhooksCollection(userId))
+  webhooks
+    .filter(w => w.active && w.events.includes(event))
+    .forEach(w => webhookSender.send(w, event, data))
+}
+
+// Give a new user their starting bookmarks. The first account takes over the
+// bookmarks.json from before accounts existed, everyone else gets the defaults.
+const initializeUserBookmarks = async (user, isFirstUser) => {
+  if (isFirstUser && (await storage.exists('bookmarks'))) {
+    await storage.write(bookmarksCollection(user.id), await storage.read('bookmarks'))
+    console.log(`Moved existing bookmarks to user ${user.username}`)
+  } else {
     const defaultBookmarks = [
       {
         id: 1,
@@ -44,26 +165,57 @@ const initializeBookmarksFile = async () => {
       }
     ]
 
-    await fs.writeFile(BOOKMARKS_FILE, JSON.stringify(defaultBookmarks, null, 2))
-    console.log('Created bookmarks.json with default data')
+    await storage.write(bookmarksCollection(user.id), defaultBookmarks)
   }
 }
 
-// Read bookmarks from file
-const readBookmarks = async () => {
+// Read a user's bookmarks from storage
+const readBookmarks = async (userId) => {
   try {
-    const data = await fs.readFile(BOOKMARKS_FILE, 'utf8')
-    return JSON.parse(data)
+    return await storage.read(bookmarksCollection(userId))
   } catch (error) {
     console.error('Error reading bookmarks:', error)
     return []
   }
 }
 
-// Write bookmarks to file
-const writeBookmarks = async (bookmarks) => {
+// Read, change and write bookmarks under the storage lock. fn returns the new
+// list, or undefined to leave it unchanged. Edited bookmarks get a new
+// version, and the user's change feed and webhooks hear about everything
+// created, updated or deleted, unless notify is false (for bookkeeping such
+// as visit counts, link health and archive state). Rejects if the write fails.
+const changeBookmarks = async (userId, fn, { notify = true } = {}) => {
+  let changes = null
+
+  await storage.update(bookmarksCollection(userId), bookmarks => {
+    const before = new Map(bookmarks.map(b => [b.id, JSON.stringify(b)]))
+    const fieldsBefore = new Map(bookmarks.map(b => [b.id, versionedFields(b)]))
+    const result = fn(bookmarks)
+    if (result === undefined) return undefined
+
+    changes = diffItems(before, result)
+    changes.created.forEach(b => { b.version = versionOf(b) || 1 })
+    changes.updated.forEach(b => {
+      if (versionedFields(b) !== fieldsBefore.get(b.id)) b.version = versionOf(b) + 1
+    })
+    return result
+  })
+
+  if (!changes || !notify) return
+  const publish = (type, data) => {
+    changeFeed.publish(userId, type, data)
+    notifyWebhooks(userId, `bookmark.${type}`, data).catch(console.error)
+  }
+  const { created, updated, deleted } = changes
+  if (created.length) publish('created', { bookmarks: created })
+  if (updated.length) publish('updated', { bookmarks: updated })
+  if (deleted.length) publish('deleted', { ids: deleted })
+}
+
+// changeBookmarks that resolves to false instead of rejecting
+const updateBookmarks = async (userId, fn, options) => {
   try {
-    await fs.writeFile(BOOKMARKS_FILE, JSON.stringify(bookmarks, null, 2))
+    await changeBookmarks(userId, fn, options)
     return true
   } catch (error) {
     console.error('Error writing bookmarks:', error)
@@ -71,42 +223,499 @@ const writeBookmarks = async (bookmarks) => {
   }
 }
 
+// Generate increasing integer ids, unique even when many are created at once
+let lastId = 0
+const createId = () => {
+  lastId = Math.max(Date.now(), lastId + 1)
+  return lastId
+}
+
+const auth = createAuth({ storage, createId })
+
+const historyChanged = (previous, updated) => HISTORY_FIELDS.some(field =>
+  JSON.stringify(previous[field]) !== JSON.stringify(updated[field])
+)
+
+// Keep a copy of the bookmarks' current fields before they change
+const recordRevisions = async (userId, bookmarks) => {
+  const changedAt = new Date().toISOString()
+  const revisions = bookmarks.map(bookmark => {
+    const revision = { id: createId(), bookmarkId: bookmark.id, changedAt }
+    HISTORY_FIELDS.forEach(field => { revision[field] = bookmark[field] ?? (field === 'tags' ? [] : '') })
+    return revision
+  })
+
+  // Keep only the newest MAX_REVISIONS of each bookmark
+  await storage.update(historyCollection(userId), history => {
+    const kept = new Map()
+    return [...history, ...revisions].reverse().filter(revision => {
+      const count = (kept.get(revision.bookmarkId) || 0) + 1
+      kept.set(revision.bookmarkId, count)
+      return count <= MAX_REVISIONS
+    }).reverse()
+  })
+}
+
+// Change one bookmark and record the old version in its history.
+// change(bookmark) returns the updated bookmark, or undefined to leave it;
+// options go to changeBookmarks. Resolves to { success, bookmark }, with
+// bookmark null when it doesn't exist.
+const updateBookmark = async (userId, bookmarkId, change, options) => {
+  let previous = null
+  let updated = null
+
+  const success = await updateBookmarks(userId, bookmarks => {
+    const index = bookmarks.findIndex(b => b.id === bookmarkId)
+    if (index === -1) return undefined
+
+    previous = bookmarks[index]
+    updated = change(previous)
+    if (updated === undefined) {
+      updated = previous
+      return undefined
+    }
+    bookmarks[index] = updated
+    return bookmarks
+  }, options)
+
+  if (success && previous && updated !== previous && historyChanged(previous, updated)) await recordRevisions(userId, [previous])
+
+  return { success, bookmark: updated }
+}
+
+// Move the bookmarks matching predicate to the trash. They are written to the
+// trash before leaving the bookmark list, so a crash in between can leave a
+// spare copy in the trash but never lose one. Resolves to { batchId, count, ids };
+// restoring the batchId undoes the whole delete.
+const trashBookmarks = async (userId, predicate) => {
+  const batchId = createId()
+  const deletedAt = new Date().toISOString()
+  const removed = (await storage.read(bookmarksCollection(userId))).filter(predicate)
+  if (removed.length === 0) return { batchId, count: 0, ids: [] }
+
+  await storage.update(trashCollection(userId), trash => [
+    ...trash,
+    ...removed.map(bookmark => ({ ...bookmark, deletedAt, batchId }))
+  ])
+
+  const ids = new Set(removed.map(b => b.id))
+  await changeBookmarks(userId, bookmarks => bookmarks.filter(b => !ids.has(b.id)))
+
+  return { batchId, count: removed.length, ids: removed.map(b => b.id) }
+}
+
+// Put trashed bookmarks matching predicate back. Resolves to the number restored.
+// Bookmarks whose folder was deleted in the meantime go to the top level. One
+// whose id is already among the bookmarks isn't restored and stays in the trash.
+const restoreBookmarks = async (userId, predicate) => {
+  const restoring = (await storage.read(trashCollection(userId))).filter(predicate)
+  if (restoring.length === 0) return 0
+
+  const folderIds = new Set((await storage.read(foldersCollection(userId))).map(f => f.id))
+  const ids = new Set()
+
+  await changeBookmarks(userId, bookmarks => {
+    const existing = new Set(bookmarks.map(b => b.id))
+    const restored = []
+    ids.clear()
+    restoring.forEach(({ deletedAt, batchId, ...bookmark }) => {
+      if (existing.has(bookmark.id)) return
+      existing.add(bookmark.id)
+      ids.add(bookmark.id)
+      restored.push(bookmark.parentId && !folderIds.has(bookmark.parentId)
+        ? { ...bookmark, parentId: null, position: undefined }
+        : bookmark)
+    })
+    return restored.length ? [...bookmarks, ...restored] : undefined
+  })
+
+  if (ids.size === 0) return 0
+  await storage.update(trashCollection(userId), trash => trash.filter(item => !(ids.has(item.id) && predicate(item))))
+
+  return ids.size
+}
+
+// Permanently delete trashed bookmarks matching predicate, with their history
+// and archived pages
+const purgeBookmarks = async (userId, predicate) => {
+  let purged = []
+
+  await storage.update(trashCollection(userId), trash => {
+    purged = trash.filter(predicate)
+    return purged.length ? trash.filter(item => !predicate(item)) : undefined
+  })
+
+  if (purged.length > 0) {
+    const ids = new Set(purged.map(item => item.id))
+    await storage.update(historyCollection(userId), history => history.filter(r => !ids.has(r.bookmarkId)))
+    await storage.update(archivesCollection(userId), archives => archives.filter(a => !ids.has(a.bookmarkId)))
+  }
+
+  return purged.length
+}
+
+// Drop trash older than the retention period
+const purgeExpiredTrash = (userId) => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  return purgeBookmarks(userId, item => item.deletedAt < cutoff)
+}
+
+// parentId from a request: null for the top level, otherwise a folder id.
+// Anything else comes back as NaN.
+const parseParentId = (value) =>
+  value === null || value === undefined || value === '' ? null : Number(value)
+
+const isValidParentId = (parentId) => parentId === null || Number.isInteger(parentId)
+
+const isValidPosition = (position) => position === undefined || (Number.isInteger(position) && position >= 0)
+
+const folderExists = async (userId, parentId) =>
+  parentId === null || (await storage.read(foldersCollection(userId))).some(f => f.id === parentId)
+
+// Search a user's bookmarks, matching text queries against archived pages too
+const searchUserBookmarks = async (userId, options) => {
+  const bookmarks = await readBookmarks(userId)
+  const contents = options.q
+    ? new Map((await storage.read(archivesCollection(userId))).map(a => [a.bookmarkId, a.text]))
+    : new Map()
+  return searchBookmarks(bookmarks, options, contents)
+}
+
+// Share links live in one collection for all users, so a visitor's token can
+// be looked up without knowing whose it is
+const sharedUrls = (req, share) => {
+  const page = `${BASE_URL || `${req.protocol}://${req.get('host')}`}/api/shared/${share.token}`
+  return { page, json: `${page}/bookmarks.json`, rss: `${page}/rss.xml`, atom: `${page}/atom.xml` }
+}
+
+const shareDescription = (share, folders) => {
+  if (share.type === 'category') return `Bookmarks in the ${share.value} category`
+  if (share.type === 'tag') return `Bookmarks tagged #${share.value}`
+  const folder = folders.find(f => f.id === share.value)
+  return `Bookmarks in the ${folder ? folder.name : 'deleted'} folder`
+}
+
+// A share as its owner sees it, with its links and how many bookmarks it shows
+const ownerShare = (req, share, bookmarks, folders) => ({
+  ...share,
+  description: shareDescription(share, folders),
+  count: sharedBookmarks(share, bookmarks, folders).length,
+  links: sharedUrls(req, share)
+})
+
+// Everything a public page or feed needs, or null for an unknown or revoked
+// token and for folders that no longer exist
+const loadSharedCollection = async (req, token) => {
+  if (!isShareToken(token)) return null
+  const share = (await storage.read('shares')).find(s => s.token === token)
+  if (!share) return null
+
+  const [bookmarks, folders, users] = await Promise.all([
+    readBookmarks(share.userId),
+    storage.read(foldersCollection(share.userId)),
+    storage.read('users')
+  ])
+  if (share.type === 'folder' && !folders.some(f => f.id === share.value)) return null
+
+  const owner = users.find(u => u.id === share.userId)
+  const urls = sharedUrls(req, share)
+  return {
+    title: share.name,
+    description: shareDescription(share, folders),
+    author: owner ? owner.username : 'bkmrks',
+    pageUrl: urls.page,
+    jsonUrl: urls.json,
+    rssUrl: urls.rss,
+    atomUrl: urls.atom,
+    bookmarks: sharedBookmarks(share, bookmarks, folders).map(publicBookmark)
+  }
+}
+
+// Fetch and store a readable copy of the bookmark's page, and note the
+// outcome on the bookmark as archive: { state: ok|failed, archivedAt, error }.
+// Resolves to the updated bookmark; rejects with the archiver's error codes.
+const archiveBookmark = async (userId, bookmark) => {
+  const archivedAt = new Date().toISOString()
+
+  try {
+    const page = await archivePage(bookmark.url, FETCH_OPTIONS)
+
+    await storage.update(archivesCollection(userId), archives => [
+      ...archives.filter(a => a.bookmarkId !== bookmark.id),
+      { bookmarkId: bookmark.id, url: page.url, title: page.title, html: page.html, text: page.text, archivedAt }
+    ])
+
+    const { bookmark: updated } = await updateBookmark(userId, bookmark.id, current => ({
+      ...current,
+      archive: { state: 'ok', archivedAt, size: page.html.length, error: null }
+    }), { notify: false })
+    return updated
+  } catch (error) {
+    await updateBookmark(userId, bookmark.id, current => ({
+      ...current,
+      archive: { ...current.archive, state: 'failed', attemptedAt: archivedAt, error: error.message }
+    }), { notify: false })
+    throw error
+  }
+}
+
+const IMPORT_STRATEGIES = ['skip', 'overwrite', 'keep']
+
+// Progress of each user's current or last link check; one per user at a time
+const linkChecks = new Map()
+
+const getLinkCheck = (userId) => linkChecks.get(userId) ||
+  { running: false, total: 0, checked: 0, broken: 0, startedAt: null, finishedAt: null }
+
+// Check a user's links (all bookmarks, or just ids) and store each result on
+// its bookmark as `health`
+const runLinkCheck = async (userId, ids) => {
+  const linkCheck = { running: true, total: 0, checked: 0, broken: 0, startedAt: new Date().toISOString(), finishedAt: null }
+  linkChecks.set(userId, linkCheck)
+
+  try {
+    const bookmarks = (await readBookmarks(userId)).filter(b => !ids || ids.includes(b.id))
+    linkCheck.total = bookmarks.length
+
+    const results = await checkLinks(bookmarks, {
+      ...FETCH_OPTIONS,
+      concurrency: LINK_CHECK_CONCURRENCY,
+      onResult: (bookmark, health) => {
+        linkCheck.checked++
+        if (health.state === 'broken') linkCheck.broken++
+      }
+    })
+
+    // Merge by id so edits made while the check ran are kept. Whoever
+    // started the check polls it and reloads, so nobody else is told.
+    await updateBookmarks(userId, current => current.map(b =>
+      (results.has(b.id) ? { ...b, health: results.get(b.id) } : b)
+    ), { notify: false })
+  } catch (error) {
+    console.error('Link check failed:', error)
+  } finally {
+    linkCheck.running = false
+    linkCheck.finishedAt = new Date().toISOString()
+  }
+}
+
 // Routes
 
-// GET /api/bookmarks - Get all bookmarks
+// POST /api/auth/register - Create an account and sign in
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { username, password } = req.body
+
+    if (!ALLOW_REGISTRATION) {
+      return res.status(403).json({ error: 'Registration is closed' })
+    }
+
+    if (typeof username !== 'string' || !/^[a-zA-Z0-9_.-]{3,32}$/.test(username.trim())) {
+      return res.status(400).json({ error: 'Username must be 3-32 letters, numbers, dots, dashes or underscores' })
+    }
+
+    if (typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' })
+    }
+
+    const isFirstUser = (await storage.read('users')).length === 0
+    const { user, error } = await auth.registerUser(username, password)
+
+    if (error) {
+      return res.status(409).json({ error })
+    }
+
+    await initializeUserBookmarks(user, isFirstUser)
+    const session = await auth.createSession(user)
+    auth.setSessionCookie(req, res, session)
+    res.status(201).json({ user: publicUser(user), ...session })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to register' })
+  }
+})
+
+// POST /api/auth/login - Sign in with username and password
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' })
+    }
+
+    const user = await auth.authenticate(username, password)
+
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password' })
+    }
+
+    const session = await auth.createSession(user)
+    auth.setSessionCookie(req, res, session)
+    res.json({ user: publicUser(user), ...session })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to sign in' })
+  }
+})
+
+// POST /api/auth/logout - End the current session
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const token = auth.tokenFromRequest(req)
+    if (token) await auth.destroySession(token)
+    auth.clearSessionCookie(res)
+    res.json({ message: 'Signed out' })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to sign out' })
+  }
+})
+
+// Public collections. The token is the only key, so responses are never
+// cached for long, keep the link out of Referer headers and stay out of
+// search engines.
+const sendShared = (type, render) => async (req, res) => {
+  try {
+    const collection = await loadSharedCollection(req, req.params.token)
+
+    if (!collection) {
+      return res.status(404).json({ error: 'Shared collection not found' })
+    }
+
+    res.setHeader('Cache-Control', 'no-cache')
+    res.setHeader('Referrer-Policy', 'no-referrer')
+    res.setHeader('X-Robots-Tag', 'noindex')
+    res.type(type).send(render(collection))
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read shared collection' })
+  }
+}
+
+// GET /api/shared/:token - Read-only page for a shared collection
+app.get('/api/shared/:token', (req, res, next) => {
+  res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'")
+  next()
+}, sendShared('html', renderPage))
+
+// GET /api/shared/:token/bookmarks.json - The shared bookmarks as JSON
+app.get('/api/shared/:token/bookmarks.json', sendShared('json', ({ title, description, author, bookmarks }) =>
+  JSON.stringify({ title, description, author, bookmarks })
+))
+
+// GET /api/shared/:token/rss.xml and /atom.xml - Feeds of the newest bookmarks
+app.get('/api/shared/:token/rss.xml', sendShared('application/rss+xml; charset=utf-8', renderRss))
+app.get('/api/shared/:token/atom.xml', sendShared('application/atom+xml; charset=utf-8', renderAtom))
+
+// GET /r/:id - Where visit links used to point; sends them to the API route
+// so open tabs and saved links keep working
+app.get('/r/:id(\\d+)', (req, res) => {
+  res.redirect(301, `/api/bookmarks/${req.params.id}/visit`)
+})
+
+// Everything else under /api needs a signed-in user
+app.use('/api', (req, res, next) => {
+  if (req.path.startsWith('/auth/') && req.path !== '/auth/me') return next()
+  auth.requireAuth(req, res, next)
+})
+
+// Comments sent this often keep proxies from closing an idle event stream
+const EVENTS_HEARTBEAT = 25000
+
+// GET /api/events - Server-Sent Events for changes to the user's bookmarks:
+// created and updated { bookmarks }, deleted { ids }. After a reconnect the
+// missed events are replayed, or a resync event says to reload everything.
+app.get('/api/events', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx buffering the stream
+    'X-Accel-Buffering': 'no'
+  })
+  res.write('retry: 3000\n\n')
+
+  const send = (event) => res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`)
+  const unsubscribe = changeFeed.subscribe(req.user.id, send, req.get('Last-Event-ID'))
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENTS_HEARTBEAT)
+
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+  })
+})
+
+// GET /api/auth/me - The signed-in user
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: publicUser(req.user) })
+})
+
+// GET /api/bookmarks - Search, filter, sort and page through bookmarks
+// ?q= &category= &tag= (repeatable) &tagMode=any|all &from= &to= &health=
+// &status=unread|reading|done|archived|none (repeatable) &folder=<id>|root &sort=relevance|title|dateAdded|lastVisited|visitCount|position
+// &order=asc|desc &limit= &cursor=
 app.get('/api/bookmarks', async (req, res) => {
   try {
-    const bookmarks = await readBookmarks()
-    res.json(bookmarks)
+    const { options, error } = parseSearchParams(req.query)
+
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    res.json(await searchUserBookmarks(req.user.id, options))
   } catch (error) {
     res.status(500).json({ error: 'Failed to read bookmarks' })
   }
 })
 
-// POST /api/bookmarks - Add a new bookmark
+// POST /api/bookmarks - Add a new bookmark. Invalid fields get a 422 listing
+// each problem as { field, message }.
 app.post('/api/bookmarks', async (req, res) => {
   try {
-    const { title, url, category, description } = req.body
+    const { value, errors } = validateBookmark(req.body)
+    const parentId = parseParentId(req.body.parentId)
 
-    if (!title || !url) {
-      return res.status(400).json({ error: 'Title and URL are required' })
+    if (errors.length) {
+      return res.status(422).json(validationError(errors))
     }
 
-    const bookmarks = await readBookmarks()
-    const newBookmark = {
-      id: Date.now(),
-      title,
-      url,
-      category: category || '',
-      description: description || '',
-      dateAdded: new Date().toISOString().split('T')[0]
+    if (!isValidParentId(parentId) || !(await folderExists(req.user.id, parentId))) {
+      return res.status(400).json({ error: 'Folder not found' })
     }
 
-    bookmarks.push(newBookmark)
-    const success = await writeBookmarks(bookmarks)
+    let existing = null
+    let newBookmark = null
+
+    const success = await updateBookmarks(req.user.id, bookmarks => {
+      existing = bookmarks.find(b => normalizeUrl(b.url) === normalizeUrl(value.url))
+      if (existing) return undefined
+
+      newBookmark = {
+        id: createId(),
+        title: value.title,
+        url: value.url,
+        category: value.category || '',
+        description: value.description || '',
+        tags: value.tags || [],
+        image: value.image || '',
+        favicon: value.favicon || '',
+        status: value.status || '',
+        notes: value.notes || '',
+        remindAt: value.remindAt || '',
+        // Clients saving offline send the day it was added
+        dateAdded: value.dateAdded || new Date().toISOString().split('T')[0]
+      }
+      bookmarks.push(newBookmark)
+      // Also numbers bookmarks saved before folders existed, in saved order
+      placeItems(bookmarks, [newBookmark.id], parentId)
+      return bookmarks
+    })
+
+    if (existing) {
+      return res.status(409).json({ error: 'Bookmark already exists', bookmark: existing })
+    }
 
     if (success) {
       res.status(201).json(newBookmark)
+      // In the background; the bookmark records whether it worked
+      if (AUTO_ARCHIVE) archiveBookmark(req.user.id, newBookmark).catch(() => {})
     } else {
       res.status(500).json({ error: 'Failed to save bookmark' })
     }
@@ -115,35 +724,164 @@ app.post('/api/bookmarks', async (req, res) => {
   }
 })
 
-// PUT /api/bookmarks/:id - Update a bookmark
-app.put('/api/bookmarks/:id', async (req, res) => {
+// GET /api/bookmarks/:id - One bookmark
+// (digits only, so /api/bookmarks/export and /check still reach their routes)
+app.get('/api/bookmarks/:id(\\d+)', async (req, res) => {
   try {
     const bookmarkId = parseInt(req.params.id)
-    const { title, url, category, description } = req.body
+    const bookmark = (await readBookmarks(req.user.id)).find(b => b.id === bookmarkId)
 
-    if (!title || !url) {
-      return res.status(400).json({ error: 'Title and URL are required' })
+    if (!bookmark) {
+      return res.status(404).json({ error: 'Bookmark not found' })
     }
 
-    const bookmarks = await readBookmarks()
-    const bookmarkIndex = bookmarks.findIndex(b => b.id === bookmarkId)
+    res.setHeader('ETag', bookmarkETag(bookmark))
+    res.json(bookmark)
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read bookmark' })
+  }
+})
+
+// GET /api/bookmarks/:id/visit - Open a bookmark, counting the visit first.
+// The app links through here rather than straight to the page. Counting a
+// visit isn't an edit, so no change events or webhooks go out for it.
+app.get('/api/bookmarks/:id(\\d+)/visit', async (req, res) => {
+  try {
+    const bookmarkId = parseInt(req.params.id)
+    let bookmark = null
 
-    if (bookmarkIndex === -1) {
+    // A failed write still sends the user on their way
+    await updateBookmarks(req.user.id, bookmarks => {
+      bookmark = bookmarks.find(b => b.id === bookmarkId)
+      if (!bookmark) return undefined
+      recordVisit(bookmark)
+      return bookmarks
+    }, { notify: false })
+
+    if (!bookmark) {
       return res.status(404).json({ error: 'Bookmark not found' })
     }
 
-    bookmarks[bookmarkIndex] = {
-      ...bookmarks[bookmarkIndex],
-      title,
-      url,
-      category: category || '',
-      description: description || ''
+    // Every click must reach the server, and the page shouldn't see where it came from
+    res.setHeader('Cache-Control', 'no-store')
+    res.setHeader('Referrer-Policy', 'no-referrer')
+    res.redirect(bookmark.url)
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to open bookmark' })
+  }
+})
+
+// GET /api/bookmarks/due - Bookmarks whose reminder has come round and that
+// haven't been read yet, oldest reminder first
+app.get('/api/bookmarks/due', async (req, res) => {
+  try {
+    const bookmarks = dueReminders(await readBookmarks(req.user.id))
+    res.json({ bookmarks, total: bookmarks.length })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read reminders' })
+  }
+})
+
+// GET /api/bookmarks/lookup?url= - The bookmark saved for a page, matched the
+// same way as duplicates, or { bookmark: null }
+app.get('/api/bookmarks/lookup', async (req, res) => {
+  try {
+    const { url } = req.query
+
+    if (typeof url !== 'string' || !url.trim()) {
+      return res.status(400).json({ error: 'url is required' })
+    }
+
+    const key = normalizeUrl(url)
+    const bookmark = (await readBookmarks(req.user.id)).find(b => normalizeUrl(b.url) === key)
+    res.json({ bookmark: bookmark || null })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to look up bookmark' })
+  }
+})
+
+// POST /api/bookmarks/suggest - Likely categories and tags for a page, from
+// how the user filed similar bookmarks. Send { url, title, description }, and
+// { id } when editing so the bookmark doesn't vote for itself.
+app.post('/api/bookmarks/suggest', async (req, res) => {
+  try {
+    const { url, title, description, id } = req.body
+
+    if ([url, title, description].some(value => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({ error: 'url, title and description must be text' })
+    }
+
+    const bookmarks = (await readBookmarks(req.user.id)).filter(b => b.id !== id)
+    res.json(suggestForBookmark(bookmarks, { url, title, description }))
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to suggest categories' })
+  }
+})
+
+// PUT /api/bookmarks/:id - Update a bookmark. To refuse to overwrite someone
+// else's newer edit, send the version the edit started from as an If-Match
+// ETag (412 when stale) or as { version } (409 when stale). Either way the
+// response carries the current bookmark.
+app.put('/api/bookmarks/:id', async (req, res) => {
+  try {
+    const bookmarkId = parseInt(req.params.id)
+    const { value, errors } = validateBookmark(req.body)
+    const { version } = req.body
+    const ifMatch = req.get('If-Match')
+
+    if (errors.length) {
+      return res.status(422).json(validationError(errors))
+    }
+
+    if (version !== undefined && !Number.isInteger(version)) {
+      return res.status(400).json({ error: 'version must be a whole number' })
+    }
+
+    // Set to the stored bookmark when the edit started from an older version
+    let conflict = null
+    const isStale = (bookmark) =>
+      (ifMatch !== undefined && !ifMatchAllows(ifMatch, bookmark)) ||
+      (version !== undefined && version !== versionOf(bookmark))
+
+    const { success, bookmark: updatedBookmark } = await updateBookmark(req.user.id, bookmarkId, bookmark => {
+      if (isStale(bookmark)) {
+        conflict = bookmark
+        return undefined
+      }
+      return {
+        ...bookmark,
+        title: value.title,
+        url: value.url,
+        category: value.category || '',
+        description: value.description || '',
+        // Clients that predate tags don't send them; keep what's stored
+        tags: value.tags === undefined ? bookmark.tags || [] : value.tags,
+        image: value.image === undefined ? bookmark.image || '' : value.image,
+        favicon: value.favicon === undefined ? bookmark.favicon || '' : value.favicon,
+        status: value.status === undefined ? bookmark.status || '' : value.status,
+        notes: value.notes === undefined ? bookmark.notes || '' : value.notes,
+        remindAt: value.remindAt === undefined ? bookmark.remindAt || '' : value.remindAt,
+        dateAdded: value.dateAdded || bookmark.dateAdded,
+        // A new URL hasn't been checked yet
+        health: value.url === bookmark.url ? bookmark.health : undefined
+      }
+    })
+
+    if (success && !updatedBookmark) {
+      return res.status(404).json({ error: 'Bookmark not found' })
     }
 
-    const success = await writeBookmarks(bookmarks)
+    if (conflict) {
+      res.setHeader('ETag', bookmarkETag(conflict))
+      return res.status(ifMatch !== undefined ? 412 : 409).json({
+        error: 'This bookmark was changed since you loaded it',
+        bookmark: conflict
+      })
+    }
 
     if (success) {
-      res.json(bookmarks[bookmarkIndex])
+      res.setHeader('ETag', bookmarkETag(updatedBookmark))
+      res.json(updatedBookmark)
     } else {
       res.status(500).json({ error: 'Failed to update bookmark' })
     }
@@ -152,99 +890,1371 @@ app.put('/api/bookmarks/:id', async (req, res) => {
   }
 })
 
-// DELETE /api/bookmarks/:id - Delete a bookmark
+// DELETE /api/bookmarks/:id - Move a bookmark to the trash
 app.delete('/api/bookmarks/:id', async (req, res) => {
   try {
     const bookmarkId = parseInt(req.params.id)
-    const bookmarks = await readBookmarks()
-    const filteredBookmarks = bookmarks.filter(b => b.id !== bookmarkId)
+    const { batchId, count } = await trashBookmarks(req.user.id, b => b.id === bookmarkId)
 
-    if (filteredBookmarks.length === bookmarks.length) {
+    if (count === 0) {
       return res.status(404).json({ error: 'Bookmark not found' })
     }
 
-    const success = await writeBookmarks(filteredBookmarks)
-
-    if (success) {
-      res.json({ message: 'Bookmark deleted successfully' })
-    } else {
-      res.status(500).json({ error: 'Failed to delete bookmark' })
-    }
+    res.json({ message: 'Bookmark moved to trash', batchId })
   } catch (error) {
     res.status(500).json({ error: 'Failed to delete bookmark' })
   }
 })
 
-// DELETE /api/bookmarks - Clear all bookmarks
+// DELETE /api/bookmarks - Move all bookmarks to the trash
 app.delete('/api/bookmarks', async (req, res) => {
   try {
-    const success = await writeBookmarks([])
-
-    if (success) {
-      res.json({ message: 'All bookmarks cleared successfully' })
-    } else {
-      res.status(500).json({ error: 'Failed to clear bookmarks' })
-    }
+    await backUp(req.user.id, 'clear')
+    const { batchId, count } = await trashBookmarks(req.user.id, () => true)
+    res.json({ message: `Moved ${count} bookmarks to trash`, batchId, count })
   } catch (error) {
     res.status(500).json({ error: 'Failed to clear bookmarks' })
   }
 })
 
-// POST /api/bookmarks/import - Import bookmarks
+// Everything a snapshot holds for a user. Page archives and edit history
+// aren't included.
+const readBackupData = async (userId) => {
+  const [bookmarks, folders, trash] = await Promise.all([
+    storage.read(bookmarksCollection(userId)),
+    storage.read(foldersCollection(userId)),
+    storage.read(trashCollection(userId))
+  ])
+  return { bookmarks, folders, trash }
+}
+
+// Snapshot a user's data, e.g. before a call that throws some of it away.
+// Rejects if it can't be saved, so the call doesn't go ahead without it.
+const backUp = async (userId, reason, options) => backups.create(userId, await readBackupData(userId), reason, options)
+
+// Add imported rows to bookmarks, or merge them into the ones already saved
+// for the same URL. Returns the counts and the ids of new bookmarks.
+const mergeImport = (bookmarks, rows, strategy) => {
+  const counts = { added: 0, skipped: 0, merged: 0 }
+  const addedIds = []
+  const byUrl = new Map(bookmarks.map(b => [normalizeUrl(b.url), b]))
+
+  rows.forEach(bookmark => {
+    const key = normalizeUrl(bookmark.url)
+    const existing = byUrl.get(key)
+
+    if (existing && strategy === 'skip') {
+      counts.skipped++
+    } else if (existing && strategy === 'overwrite') {
+      // Keep the existing id so links and edits still point at it
+      Object.assign(existing, bookmark, {
+        tags: normalizeTags([...(existing.tags || []), ...(bookmark.tags || [])])
+      })
+      counts.merged++
+    } else {
+      const newBookmark = {
+        category: '',
+        description: '',
+        tags: [],
+        image: '',
+        favicon: '',
+        status: '',
+        notes: '',
+        remindAt: '',
+        dateAdded: new Date().toISOString().split('T')[0],
+        ...bookmark,
+        id: createId()
+      }
+      bookmarks.push(newBookmark)
+      addedIds.push(newBookmark.id)
+      if (!existing) byUrl.set(key, newBookmark)
+      counts.added++
+    }
+  })
+
+  return { counts, addedIds }
+}
+
+// Mapped rows shown by a dry run
+const IMPORT_PREVIEW_ROWS = 20
+
+// POST /api/bookmarks/import - Import a file exported from bkmrks, a browser,
+// Pocket (HTML or CSV), Pinboard (JSON), Raindrop (CSV) or any CSV. Send its
+// text as { content }, with { format } to say which it is (auto detects it)
+// and, for CSV, { mapping: { field: column } } (guessed from the column names
+// when left out). { bookmarks } and { html } are still accepted for our own
+// JSON and browser exports.
+//
+// Each row is checked against the bookmark schema; fields it doesn't know are
+// dropped and invalid rows are left out and listed in rejected as
+// { row, title, url, errors }, counting rows from 1. With { dryRun: true }
+// nothing is saved: the response says what would happen and previews the
+// first rows.
 app.post('/api/bookmarks/import', async (req, res) => {
   try {
-    const { bookmarks: importedBookmarks } = req.body
+    const strategy = req.body.strategy || 'skip'
+    const dryRun = req.body.dryRun === true
 
-    if (!Array.isArray(importedBookmarks)) {
-      return res.status(400).json({ error: 'Invalid bookmarks format' })
+    let file
+    if (req.body.content !== undefined) {
+      file = readImport(req.body.content, { format: req.body.format, mapping: req.body.mapping })
+    } else if (typeof req.body.html === 'string') {
+      file = { format: 'netscape', rows: parseNetscapeBookmarks(req.body.html) }
+    } else {
+      file = { format: 'bkmrks', rows: req.body.bookmarks }
     }
 
-    const currentBookmarks = await readBookmarks()
+    if (file.error) {
+      return res.status(400).json({ error: file.error })
+    }
 
-    // Add unique IDs to imported bookmarks to avoid conflicts
-    const bookmarksWithNewIds = importedBookmarks.map(bookmark => ({
-      ...bookmark,
-      id: Date.now() + Math.random()
-    }))
+    if (!Array.isArray(file.rows)) {
+      return res.status(400).json({ error: 'Invalid bookmarks format' })
+    }
 
-    const allBookmarks = [...currentBookmarks, ...bookmarksWithNewIds]
-    const success = await writeBookmarks(allBookmarks)
+    if (!IMPORT_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({ error: `Strategy must be one of: ${IMPORT_STRATEGIES.join(', ')}` })
+    }
 
-    if (success) {
-      res.json({
-        message: `Successfully imported ${importedBookmarks.length} bookmarks`,
-        count: importedBookmarks.length
+    const rejected = []
+    const valid = []
+    file.rows.forEach((row, index) => {
+      const { value, errors } = validateBookmark(row, { unknown: 'strip' })
+      if (errors.length === 0) {
+        valid.push(value)
+        return
+      }
+      const summary = row && typeof row === 'object' ? row : {}
+      rejected.push({
+        row: index + 1,
+        title: typeof summary.title === 'string' ? summary.title.slice(0, 200) : null,
+        url: typeof summary.url === 'string' ? summary.url.slice(0, 200) : null,
+        errors
       })
+    })
+
+    // What was read from the file, before anything is saved
+    const summary = {
+      format: file.format,
+      parsed: file.rows.length,
+      mapped: valid.length,
+      failed: rejected.length,
+      ...(file.columns ? { columns: file.columns, mapping: file.mapping } : {})
+    }
+
+    let result
+    if (dryRun) {
+      result = mergeImport(structuredClone(await readBookmarks(req.user.id)), valid, strategy)
     } else {
-      res.status(500).json({ error: 'Failed to import bookmarks' })
+      await backUp(req.user.id, 'import')
+      const success = await updateBookmarks(req.user.id, bookmarks => {
+        result = mergeImport(bookmarks, valid, strategy)
+        // New bookmarks go at the end of the top level; folders from another
+        // account's export don't exist here
+        placeItems(bookmarks, result.addedIds, null)
+        return bookmarks
+      })
+      if (!success) {
+        return res.status(500).json({ error: 'Failed to import bookmarks' })
+      }
     }
+
+    const { counts } = result
+    const totals = `${counts.added} added, ${counts.skipped} skipped, ${counts.merged} merged` +
+      (rejected.length ? `, ${rejected.length} rejected` : '')
+
+    res.json({
+      message: dryRun ? `Ready to import: ${totals}` : `Import complete: ${totals}`,
+      count: counts.added + counts.merged,
+      ...counts,
+      ...summary,
+      rejected,
+      ...(dryRun ? { dryRun, preview: valid.slice(0, IMPORT_PREVIEW_ROWS) } : {})
+    })
   } catch (error) {
     res.status(500).json({ error: 'Failed to import bookmarks' })
   }
 })
 
-// GET /api/bookmarks/export - Export bookmarks
-app.get('/api/bookmarks/export', async (req, res) => {
+// POST /api/bookmarks/move - Move { ids } into { parentId } (null for the top
+// level), in front of bookmark { beforeId } or at { position }. Without either
+// they go at the end.
+app.post('/api/bookmarks/move', async (req, res) => {
   try {
-    const bookmarks = await readBookmarks()
-    const fileName = `bookmarks-${new Date().toISOString().split('T')[0]}.json`
+    const ids = Array.isArray(req.body.ids) ? [...new Set(req.body.ids.map(Number))] : []
+    const parentId = parseParentId(req.body.parentId)
+    const { position, beforeId } = req.body
 
-    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`)
-    res.setHeader('Content-Type', 'application/json')
-    res.json(bookmarks)
+    if (ids.length === 0) {
+      return res.status(400).json({ error: 'ids is required' })
+    }
+
+    if (!isValidParentId(parentId) || !isValidPosition(position)) {
+      return res.status(400).json({ error: 'parentId must be a folder id or null and position a whole number' })
+    }
+
+    if (!(await folderExists(req.user.id, parentId))) {
+      return res.status(404).json({ error: 'Folder not found' })
+    }
+
+    let found = false
+    const success = await updateBookmarks(req.user.id, bookmarks => {
+      found = placeItems(bookmarks, ids, parentId, { index: position, beforeId })
+      return found ? bookmarks : undefined
+    })
+
+    if (success && !found) {
+      return res.status(404).json({ error: 'Bookmark not found' })
+    }
+
+    if (success) {
+      res.json({ message: `Moved ${ids.length} bookmarks`, moved: ids.length })
+    } else {
+      res.status(500).json({ error: 'Failed to move bookmarks' })
+    }
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to move bookmarks' })
+  }
+})
+
+const BATCH_ACTIONS = ['delete', 'setCategory', 'addTags', 'removeTags', 'move', 'setStatus', 'setReminder']
+
+// Turn a GET /api/bookmarks query string into the object parseSearchParams takes
+const queryFromString = (queryString) => {
+  const params = new URLSearchParams(queryString)
+  const query = {}
+  for (const key of new Set(params.keys())) {
+    const values = params.getAll(key)
+    query[key] = values.length > 1 ? values : values[0]
+  }
+  return query
+}
+
+// POST /api/bookmarks/batch - Apply one action to many bookmarks in one write.
+// Pick the bookmarks with { ids }, or with { query }, a GET /api/bookmarks
+// query string whose every match is used. Actions and their extra fields:
+// delete, setCategory { category }, addTags { tags }, removeTags { tags },
+// move { parentId, beforeId, position }, setStatus { status },
+// setReminder { remindAt } ('' clears it)
+app.post('/api/bookmarks/batch', async (req, res) => {
+  try {
+    const { action } = req.body
+
+    if (!BATCH_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${BATCH_ACTIONS.join(', ')}` })
+    }
+
+    let ids
+    if (typeof req.body.query === 'string') {
+      const { limit, cursor, ...query } = queryFromString(req.body.query)
+      const { options, error } = parseSearchParams(query)
+      if (error) return res.status(400).json({ error })
+      ids = (await searchUserBookmarks(req.user.id, options)).bookmarks.map(b => b.id)
+    } else if (Array.isArray(req.body.ids)) {
+      ids = [...new Set(req.body.ids.map(Number))]
+    } else {
+      return res.status(400).json({ error: 'ids or query is required' })
+    }
+
+    // A new category, tags, status or reminder follow the same rules as
+    // editing one bookmark
+    const { value, errors } = validateBookmark({
+      category: action === 'setCategory' ? req.body.category : undefined,
+      tags: action === 'addTags' ? req.body.tags : undefined,
+      status: action === 'setStatus' ? req.body.status ?? '' : undefined,
+      remindAt: action === 'setReminder' ? req.body.remindAt ?? '' : undefined
+    }, { partial: true })
+    if (errors.length) {
+      return res.status(422).json(validationError(errors))
+    }
+
+    const category = value.category || ''
+    const tags = action === 'addTags' ? value.tags || [] : normalizeTags(req.body.tags)
+    const parentId = parseParentId(req.body.parentId)
+    const { position, beforeId } = req.body
+
+    if ((action === 'addTags' || action === 'removeTags') && tags.length === 0) {
+      return res.status(400).json({ error: 'tags is required' })
+    }
+
+    if (action === 'move') {
+      if (!isValidParentId(parentId) || !isValidPosition(position)) {
+        return res.status(400).json({ error: 'parentId must be a folder id or null and position a whole number' })
+      }
+      if (!(await folderExists(req.user.id, parentId))) {
+        return res.status(404).json({ error: 'Folder not found' })
+      }
+    }
+
+    let done = []
+    let batchId
+    let success = true
+
+    if (action === 'delete') {
+      const wanted = new Set(ids)
+      const trashed = await trashBookmarks(req.user.id, b => wanted.has(b.id))
+      done = trashed.ids
+      batchId = trashed.batchId
+    } else {
+      let changing = []
+      let previous = []
+      success = await updateBookmarks(req.user.id, bookmarks => {
+        const byId = new Map(bookmarks.map(b => [b.id, b]))
+        done = ids.filter(id => byId.has(id))
+        if (done.length === 0) return undefined
+
+        changing = done.map(id => byId.get(id))
+        previous = changing.map(b => ({ ...b }))
+
+        if (action === 'setCategory') {
+          changing.forEach(b => { b.category = category })
+        } else if (action === 'addTags') {
+          changing.forEach(b => { b.tags = normalizeTags([...(b.tags || []), ...tags]) })
+        } else if (action === 'removeTags') {
+          changing.forEach(b => { b.tags = (b.tags || []).filter(tag => !tags.includes(tag)) })
+        } else if (action === 'setStatus') {
+          changing.forEach(b => { b.status = value.status })
+        } else if (action === 'setReminder') {
+          changing.forEach(b => { b.remindAt = value.remindAt })
+        } else {
+          placeItems(bookmarks, done, parentId, { index: position, beforeId })
+        }
+        return bookmarks
+      })
+
+      const changed = previous.filter((bookmark, index) => historyChanged(bookmark, changing[index]))
+      if (success && changed.length) await recordRevisions(req.user.id, changed)
+    }
+
+    if (!success) {
+      return res.status(500).json({ error: 'Failed to update bookmarks' })
+    }
+
+    const doneIds = new Set(done)
+    const results = ids.map(id => doneIds.has(id) ? { id, ok: true } : { id, ok: false, error: 'Bookmark not found' })
+
+    res.json({
+      action,
+      succeeded: done.length,
+      failed: ids.length - done.length,
+      results,
+      ...(batchId ? { batchId } : {})
+    })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update bookmarks' })
+  }
+})
+
+// POST /api/bookmarks/check - Start a link check for all bookmarks or { ids }
+app.post('/api/bookmarks/check', (req, res) => {
+  const { ids } = req.body
+
+  if (ids !== undefined && !Array.isArray(ids)) {
+    return res.status(400).json({ error: 'ids must be an array' })
+  }
+
+  if (getLinkCheck(req.user.id).running) {
+    return res.status(409).json({ error: 'A link check is already running', ...getLinkCheck(req.user.id) })
+  }
+
+  runLinkCheck(req.user.id, ids)
+  res.status(202).json(getLinkCheck(req.user.id))
+})
+
+// GET /api/bookmarks/check - Progress of the current or last link check
+app.get('/api/bookmarks/check', (req, res) => {
+  res.json(getLinkCheck(req.user.id))
+})
+
+// POST /api/bookmarks/:id/adopt-redirect - Replace the URL with the permanent
+// redirect target found by the last link check
+app.post('/api/bookmarks/:id/adopt-redirect', async (req, res) => {
+  try {
+    const bookmarkId = parseInt(req.params.id)
+    let found = false
+    let updatedBookmark = null
+
+    const success = await updateBookmarks(req.user.id, bookmarks => {
+      const bookmark = bookmarks.find(b => b.id === bookmarkId)
+      found = Boolean(bookmark)
+      if (!bookmark || !bookmark.health || !bookmark.health.redirectUrl) return undefined
+
+      updatedBookmark = {
+        ...bookmark,
+        url: bookmark.health.redirectUrl,
+        health: { ...bookmark.health, state: 'ok', finalUrl: bookmark.health.redirectUrl, redirectUrl: null }
+      }
+      return bookmarks.map(b => (b.id === bookmarkId ? updatedBookmark : b))
+    })
+
+    if (success && !found) {
+      return res.status(404).json({ error: 'Bookmark not found' })
+    }
+
+    if (success && !updatedBookmark) {
+      return res.status(400).json({ error: 'Bookmark has no permanent redirect to adopt' })
+    }
+
+    if (success) {
+      res.json(updatedBookmark)
+    } else {
+      res.status(500).json({ error: 'Failed to update bookmark' })
+    }
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update bookmark' })
+  }
+})
+
+// GET /api/bookmarks/:id/history - Earlier versions of a bookmark, newest first
+app.get('/api/bookmarks/:id/history', async (req, res) => {
+  try {
+    const bookmarkId = parseInt(req.params.id)
+    const history = await storage.read(historyCollection(req.user.id))
+    res.json(history.filter(r => r.bookmarkId === bookmarkId).reverse())
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read history' })
+  }
+})
+
+// POST /api/bookmarks/:id/history/:revisionId/revert - Go back to an earlier version
+app.post('/api/bookmarks/:id/history/:revisionId/revert', async (req, res) => {
+  try {
+    const bookmarkId = parseInt(req.params.id)
+    const revisionId = parseInt(req.params.revisionId)
+    const history = await storage.read(historyCollection(req.user.id))
+    const revision = history.find(r => r.id === revisionId && r.bookmarkId === bookmarkId)
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' })
+    }
+
+    const { success, bookmark } = await updateBookmark(req.user.id, bookmarkId, current => {
+      const reverted = { ...current }
+      // Revisions from before notes existed leave them alone
+      HISTORY_FIELDS.forEach(field => { if (revision[field] !== undefined) reverted[field] = revision[field] })
+      if (reverted.url !== current.url) reverted.health = undefined
+      return reverted
+    })
+
+    if (success && !bookmark) {
+      return res.status(404).json({ error: 'Bookmark not found' })
+    }
+
+    if (success) {
+      res.json(bookmark)
+    } else {
+      res.status(500).json({ error: 'Failed to revert bookmark' })
+    }
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to revert bookmark' })
+  }
+})
+
+// POST /api/bookmarks/:id/archive - Save a readable copy of the page now
+app.post('/api/bookmarks/:id/archive', async (req, res) => {
+  try {
+    const bookmarkId = parseInt(req.params.id)
+    const bookmark = (await readBookmarks(req.user.id)).find(b => b.id === bookmarkId)
+
+    if (!bookmark) {
+      return res.status(404).json({ error: 'Bookmark not found' })
+    }
+
+    res.json(await archiveBookmark(req.user.id, bookmark))
+  } catch (error) {
+    const statuses = { BAD_URL: 400, PRIVATE_ADDRESS: 400, TIMEOUT: 504 }
+    res.status(statuses[error.code] || 502).json({ error: `Failed to archive page: ${error.message}` })
+  }
+})
+
+// GET /api/bookmarks/:id/archive - The saved copy as a page of its own
+app.get('/api/bookmarks/:id/archive', async (req, res) => {
+  try {
+    const bookmarkId = parseInt(req.params.id)
+    const archive = (await storage.read(archivesCollection(req.user.id))).find(a => a.bookmarkId === bookmarkId)
+
+    if (!archive) {
+      return res.status(404).json({ error: 'No saved copy of this bookmark' })
+    }
+
+    // The markup is sanitized when saved; the policy is a second line of
+    // defence that keeps scripts, frames and forms out of the copy
+    res.setHeader('Content-Security-Policy', "default-src 'none'; img-src http: https: data:; style-src 'unsafe-inline'; sandbox allow-popups allow-popups-to-escape-sandbox")
+    res.setHeader('Content-Type', 'text/html; charset=utf-8')
+    res.send(renderArchive(archive))
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read saved copy' })
+  }
+})
+
+// GET /api/trash - Deleted bookmarks, most recently deleted first
+app.get('/api/trash', async (req, res) => {
+  try {
+    await purgeExpiredTrash(req.user.id)
+    const trash = await storage.read(trashCollection(req.user.id))
+    res.json({
+      items: [...trash].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)),
+      retentionDays: TRASH_RETENTION_DAYS
+    })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read trash' })
+  }
+})
+
+// POST /api/trash/restore - Restore { ids } or everything from one { batchId }
+app.post('/api/trash/restore', async (req, res) => {
+  try {
+    const { ids, batchId } = req.body
+
+    if (!Array.isArray(ids) && batchId === undefined) {
+      return res.status(400).json({ error: 'ids or batchId is required' })
+    }
+
+    const restored = await restoreBookmarks(req.user.id, item =>
+      Array.isArray(ids) ? ids.includes(item.id) : item.batchId === batchId
+    )
+
+    res.json({ message: `Restored ${restored} bookmarks`, restored })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to restore bookmarks' })
+  }
+})
+
+// DELETE /api/trash/:id - Permanently delete one trashed bookmark
+app.delete('/api/trash/:id', async (req, res) => {
+  try {
+    const itemId = parseInt(req.params.id)
+    const trash = await storage.read(trashCollection(req.user.id))
+    const inTrash = trash.some(item => item.id === itemId)
+
+    // Gone for good, so keep a way back first
+    if (inTrash) await backUp(req.user.id, 'purge')
+    const purged = inTrash ? await purgeBookmarks(req.user.id, item => item.id === itemId) : 0
+
+    if (purged === 0) {
+      return res.status(404).json({ error: 'Bookmark not found in trash' })
+    }
+
+    res.json({ message: 'Bookmark permanently deleted' })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete bookmark' })
+  }
+})
+
+// DELETE /api/trash - Empty the trash
+app.delete('/api/trash', async (req, res) => {
+  try {
+    await backUp(req.user.id, 'empty-trash')
+    const purged = await purgeBookmarks(req.user.id, () => true)
+    res.json({ message: `Permanently deleted ${purged} bookmarks`, purged })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to empty trash' })
+  }
+})
+
+// Columns of a CSV export, which imports back with the generic CSV reader
+const CSV_COLUMNS = ['title', 'url', 'category', 'tags', 'description', 'notes', 'status', 'remindAt', 'dateAdded']
+
+// GET /api/bookmarks/export - Export bookmarks (?format=html for browsers,
+// ?format=csv for spreadsheets)
+app.get('/api/bookmarks/export', async (req, res) => {
+  try {
+    const bookmarks = await readBookmarks(req.user.id)
+    const date = new Date().toISOString().split('T')[0]
+
+    if (req.query.format === 'html') {
+      res.setHeader('Content-Disposition', `attachment; filename="bookmarks-${date}.html"`)
+      res.setHeader('Content-Type', 'text/html; charset=utf-8')
+      return res.send(toNetscapeBookmarks(bookmarks))
+    }
+
+    if (req.query.format === 'csv') {
+      const rows = bookmarks.map(b => CSV_COLUMNS.map(column => column === 'tags' ? (b.tags || []).join(', ') : b[column]))
+      res.setHeader('Content-Disposition', `attachment; filename="bookmarks-${date}.csv"`)
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+      return res.send(toCsv([CSV_COLUMNS, ...rows]))
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="bookmarks-${date}.json"`)
+    res.setHeader('Content-Type', 'application/json')
+    res.json(bookmarks)
   } catch (error) {
     res.status(500).json({ error: 'Failed to export bookmarks' })
   }
 })
 
+// POST /api/metadata - Fetch title, description, image and favicon for a URL
+app.post('/api/metadata', async (req, res) => {
+  try {
+    const { url } = req.body
+
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' })
+    }
+
+    res.json(await fetchMetadata(url, FETCH_OPTIONS))
+  } catch (error) {
+    const statuses = { BAD_URL: 400, PRIVATE_ADDRESS: 400, TIMEOUT: 504 }
+    res.status(statuses[error.code] || 502).json({ error: `Failed to fetch metadata: ${error.message}` })
+  }
+})
+
+// GET /api/dashboard - Most visited and recently opened bookmarks, and ones
+// not opened in ?months= months (default 6). ?limit= caps each list (default 10).
+app.get('/api/dashboard', async (req, res) => {
+  try {
+    const months = req.query.months === undefined ? 6 : Number(req.query.months)
+    const limit = req.query.limit === undefined ? 10 : Number(req.query.limit)
+
+    if (!Number.isInteger(months) || months < 1 || months > 120) {
+      return res.status(400).json({ error: 'months must be a whole number from 1 to 120' })
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'limit must be a whole number from 1 to 100' })
+    }
+
+    const bookmarks = await readBookmarks(req.user.id)
+    res.json(summarizeVisits(bookmarks, { months, limit }))
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read dashboard' })
+  }
+})
+
+// GET /api/categories - Category names with usage counts
+app.get('/api/categories', async (req, res) => {
+  try {
+    const bookmarks = await readBookmarks(req.user.id)
+    res.json(countCategories(bookmarks))
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read categories' })
+  }
+})
+
+// GET /api/categories/similar - Groups of category names that look like the
+// same category, each with the name to keep
+app.get('/api/categories/similar', async (req, res) => {
+  try {
+    const bookmarks = await readBookmarks(req.user.id)
+    res.json({ groups: similarCategories(countCategories(bookmarks)) })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read categories' })
+  }
+})
+
+// POST /api/categories/merge - Move every bookmark in several categories to one
+app.post('/api/categories/merge', async (req, res) => {
+  try {
+    const { categories, into } = req.body
+    const target = normalizeCategory(into)
+
+    if (!Array.isArray(categories) || categories.length === 0 || !target) {
+      return res.status(400).json({ error: 'Categories to merge and a target category are required' })
+    }
+
+    const { errors } = validateBookmark({ category: target }, { partial: true })
+    if (errors.length) {
+      return res.status(422).json(validationError(errors))
+    }
+
+    let updated = 0
+    let changed = []
+    const success = await updateBookmarks(req.user.id, bookmarks => {
+      const previous = bookmarks.map(b => ({ ...b }))
+      updated = mergeCategories(bookmarks, categories, target)
+      changed = previous.filter((bookmark, index) => historyChanged(bookmark, bookmarks[index]))
+      return updated ? bookmarks : undefined
+    })
+
+    if (success && changed.length) await recordRevisions(req.user.id, changed)
+
+    if (success) {
+      res.json({ message: `Merged ${categories.length} categories into "${target}" on ${updated} bookmarks`, updated })
+    } else {
+      res.status(500).json({ error: 'Failed to merge categories' })
+    }
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to merge categories' })
+  }
+})
+
+// GET /api/tags - Tag names with usage counts
+app.get('/api/tags', async (req, res) => {
+  try {
+    const bookmarks = await readBookmarks(req.user.id)
+    res.json(countTags(bookmarks))
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read tags' })
+  }
+})
+
+// PUT /api/tags/:name - Rename a tag on every bookmark
+app.put('/api/tags/:name', async (req, res) => {
+  try {
+    const from = normalizeTag(req.params.name)
+    const to = normalizeTag(req.body.name || '')
+
+    if (!to) {
+      return res.status(400).json({ error: 'New tag name is required' })
+    }
+
+    const { errors } = validateBookmark({ tags: [to] }, { partial: true })
+    if (errors.length) {
+      return res.status(422).json(validationError(errors))
+    }
+
+    let updated = 0
+    let changed = []
+    const success = await updateBookmarks(req.user.id, bookmarks => {
+      const previous = bookmarks.map(b => ({ ...b }))
+      updated = mergeTags(bookmarks, [from], to)
+      changed = previous.filter((bookmark, index) => historyChanged(bookmark, bookmarks[index]))
+      return updated ? bookmarks : undefined
+    })
+
+    if (success && changed.length) await recordRevisions(req.user.id, changed)
+
+    if (success && !updated) {
+      return res.status(404).json({ error: 'Tag not found' })
+    }
+
+    if (success) {
+      res.json({ message: `Renamed "${from}" to "${to}" on ${updated} bookmarks`, updated })
+    } else {
+      res.status(500).json({ error: 'Failed to rename tag' })
+    }
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to rename tag' })
+  }
+})
+
+// POST /api/tags/merge - Fold several tags into one
+app.post('/api/tags/merge', async (req, res) => {
+  try {
+    const { tags, into } = req.body
+    const target = normalizeTag(into || '')
+
+    if (!Array.isArray(tags) || tags.length === 0 || !target) {
+      return res.status(400).json({ error: 'Tags to merge and a target tag are required' })
+    }
+
+    const { errors } = validateBookmark({ tags: [target] }, { partial: true })
+    if (errors.length) {
+      return res.status(422).json(validationError(errors))
+    }
+
+    let updated = 0
+    let changed = []
+    const success = await updateBookmarks(req.user.id, bookmarks => {
+      const previous = bookmarks.map(b => ({ ...b }))
+      updated = mergeTags(bookmarks, tags, target)
+      changed = previous.filter((bookmark, index) => historyChanged(bookmark, bookmarks[index]))
+      return updated ? bookmarks : undefined
+    })
+
+    if (success && changed.length) await recordRevisions(req.user.id, changed)
+
+    if (success) {
+      res.json({ message: `Merged ${tags.length} tags into "${target}" on ${updated} bookmarks`, updated })
+    } else {
+      res.status(500).json({ error: 'Failed to merge tags' })
+    }
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to merge tags' })
+  }
+})
+
+// GET /api/folders - All folders in order, with how many bookmarks each holds
+app.get('/api/folders', async (req, res) => {
+  try {
+    const [folders, bookmarks] = await Promise.all([
+      storage.read(foldersCollection(req.user.id)),
+      readBookmarks(req.user.id)
+    ])
+
+    const counts = new Map()
+    bookmarks.forEach(b => counts.set(b.parentId, (counts.get(b.parentId) || 0) + 1))
+
+    res.json(folders.sort(byPosition).map(folder => ({ ...folder, count: counts.get(folder.id) || 0 })))
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read folders' })
+  }
+})
+
+// POST /api/folders - Create a folder { name, parentId }
+app.post('/api/folders', async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim()
+    const parentId = parseParentId(req.body.parentId)
+
+    if (!name) {
+      return res.status(400).json({ error: 'Folder name is required' })
+    }
+
+    if (!isValidParentId(parentId)) {
+      return res.status(400).json({ error: 'parentId must be a folder id or null' })
+    }
+
+    let folder = null
+    await storage.update(foldersCollection(req.user.id), folders => {
+      if (parentId !== null && !folders.some(f => f.id === parentId)) return undefined
+      folder = {
+        id: createId(),
+        name,
+        parentId,
+        position: nextPosition(folders, parentId),
+        createdAt: new Date().toISOString()
+      }
+      return [...folders, folder]
+    })
+
+    if (!folder) {
+      return res.status(404).json({ error: 'Parent folder not found' })
+    }
+
+    res.status(201).json(folder)
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create folder' })
+  }
+})
+
+// PUT /api/folders/:id - Rename { name } and/or move { parentId, position }
+app.put('/api/folders/:id', async (req, res) => {
+  try {
+    const folderId = parseInt(req.params.id)
+    const name = req.body.name === undefined ? undefined : String(req.body.name).trim()
+    const parentId = 'parentId' in req.body ? parseParentId(req.body.parentId) : undefined
+    const { position } = req.body
+
+    if (name === '') {
+      return res.status(400).json({ error: 'Folder name is required' })
+    }
+
+    if ((parentId !== undefined && !isValidParentId(parentId)) || !isValidPosition(position)) {
+      return res.status(400).json({ error: 'parentId must be a folder id or null and position a whole number' })
+    }
+
+    // Set to { status, error } when the change can't be made
+    let problem = null
+    let updated = null
+
+    await storage.update(foldersCollection(req.user.id), folders => {
+      const folder = folders.find(f => f.id === folderId)
+      if (!folder) {
+        problem = { status: 404, error: 'Folder not found' }
+        return undefined
+      }
+
+      if (parentId !== undefined || position !== undefined) {
+        const target = parentId === undefined ? folder.parentId ?? null : parentId
+        if (target !== null && !folders.some(f => f.id === target)) {
+          problem = { status: 404, error: 'Parent folder not found' }
+          return undefined
+        }
+        if (isWithin(folders, target, folderId)) {
+          problem = { status: 400, error: "A folder can't be moved into itself" }
+          return undefined
+        }
+        placeItems(folders, [folderId], target, { index: position })
+      }
+
+      if (name !== undefined) folder.name = name
+      updated = folder
+      return folders
+    })
+
+    if (problem) {
+      return res.status(problem.status).json({ error: problem.error })
+    }
+
+    res.json(updated)
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update folder' })
+  }
+})
+
+// DELETE /api/folders/:id - Delete a folder; what it held moves up a level
+app.delete('/api/folders/:id', async (req, res) => {
+  try {
+    const folderId = parseInt(req.params.id)
+    const folder = (await storage.read(foldersCollection(req.user.id))).find(f => f.id === folderId)
+
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' })
+    }
+
+    const parentId = folder.parentId ?? null
+    const childIds = (items) => items.filter(item => item.parentId === folderId).sort(byPosition).map(item => item.id)
+
+    // Bookmarks first, so a crash part way leaves them in a folder that still exists
+    await changeBookmarks(req.user.id, bookmarks => {
+      const ids = childIds(bookmarks)
+      if (ids.length === 0) return undefined
+      placeItems(bookmarks, ids, parentId)
+      return bookmarks
+    })
+
+    await storage.update(foldersCollection(req.user.id), folders => {
+      placeItems(folders, childIds(folders), parentId)
+      return folders.filter(f => f.id !== folderId)
+    })
+
+    // Its share links would only show an empty page now
+    await storage.update('shares', shares => {
+      const kept = shares.filter(s => !(s.userId === req.user.id && s.type === 'folder' && s.value === folderId))
+      return kept.length === shares.length ? undefined : kept
+    })
+
+    res.json({ message: `Folder "${folder.name}" deleted` })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete folder' })
+  }
+})
+
+// GET /api/shares - The signed-in user's public collections
+app.get('/api/shares', async (req, res) => {
+  try {
+    const [shares, bookmarks, folders] = await Promise.all([
+      storage.read('shares'),
+      readBookmarks(req.user.id),
+      storage.read(foldersCollection(req.user.id))
+    ])
+
+    res.json(shares
+      .filter(s => s.userId === req.user.id)
+      .map(share => ownerShare(req, share, bookmarks, folders)))
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read shared collections' })
+  }
+})
+
+// POST /api/shares - Publish { type: category|tag|folder, value } as a public
+// collection, titled { name }
+app.post('/api/shares', async (req, res) => {
+  try {
+    const { type } = req.body
+    const value = parseShareValue(type, req.body.value)
+
+    if (!SHARE_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${SHARE_TYPES.join(', ')}` })
+    }
+
+    if (value === null) {
+      return res.status(400).json({ error: `A ${type} to share is required` })
+    }
+
+    const [bookmarks, folders] = await Promise.all([
+      readBookmarks(req.user.id),
+      storage.read(foldersCollection(req.user.id))
+    ])
+    const folder = type === 'folder' && folders.find(f => f.id === value)
+
+    if (type === 'folder' && !folder) {
+      return res.status(404).json({ error: 'Folder not found' })
+    }
+
+    const defaultName = { category: value, tag: `#${value}`, folder: folder && folder.name }[type]
+    const share = {
+      id: createId(),
+      userId: req.user.id,
+      token: createShareToken(),
+      name: String(req.body.name || '').trim() || defaultName,
+      type,
+      value,
+      createdAt: new Date().toISOString()
+    }
+    await storage.update('shares', shares => [...shares, share])
+
+    res.status(201).json(ownerShare(req, share, bookmarks, folders))
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to share collection' })
+  }
+})
+
+// Change one of the user's shares under the storage lock. change(share)
+// mutates it. Resolves to the share, or null if the user has none with that id.
+const updateShare = async (userId, shareId, change) => {
+  let updated = null
+  await storage.update('shares', shares => {
+    const share = shares.find(s => s.id === shareId && s.userId === userId)
+    if (!share) return undefined
+    change(share)
+    updated = share
+    return shares
+  })
+  return updated
+}
+
+// Respond with the share as its owner sees it
+const sendOwnerShare = async (req, res, share) => {
+  if (!share) {
+    return res.status(404).json({ error: 'Shared collection not found' })
+  }
+  const [bookmarks, folders] = await Promise.all([
+    readBookmarks(req.user.id),
+    storage.read(foldersCollection(req.user.id))
+  ])
+  res.json(ownerShare(req, share, bookmarks, folders))
+}
+
+// PUT /api/shares/:id - Rename a shared collection { name }
+app.put('/api/shares/:id', async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim()
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' })
+    }
+
+    const share = await updateShare(req.user.id, parseInt(req.params.id), share => { share.name = name })
+    await sendOwnerShare(req, res, share)
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update shared collection' })
+  }
+})
+
+// POST /api/shares/:id/regenerate - Replace the link; the old one stops working
+app.post('/api/shares/:id/regenerate', async (req, res) => {
+  try {
+    const share = await updateShare(req.user.id, parseInt(req.params.id), share => {
+      share.token = createShareToken()
+      share.regeneratedAt = new Date().toISOString()
+    })
+    await sendOwnerShare(req, res, share)
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to regenerate link' })
+  }
+})
+
+// DELETE /api/shares/:id - Revoke a shared collection
+app.delete('/api/shares/:id', async (req, res) => {
+  try {
+    const shareId = parseInt(req.params.id)
+    let revoked = false
+
+    await storage.update('shares', shares => {
+      const kept = shares.filter(s => !(s.id === shareId && s.userId === req.user.id))
+      revoked = kept.length < shares.length
+      return revoked ? kept : undefined
+    })
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Shared collection not found' })
+    }
+
+    res.json({ message: 'Link revoked' })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to revoke link' })
+  }
+})
+
+// A token can't make or list other tokens; that takes the signed-in app
+const requireSession = (req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({ error: 'Personal access tokens can only be managed when signed in' })
+  }
+  next()
+}
+
+// GET /api/tokens - The user's personal access tokens, newest first
+app.get('/api/tokens', requireSession, async (req, res) => {
+  try {
+    const tokens = await storage.read('tokens')
+    res.json(tokens
+      .filter(t => t.userId === req.user.id)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(publicToken))
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read tokens' })
+  }
+})
+
+// POST /api/tokens - Create a token { name, scope: read|write, expiresInDays }.
+// The response is the only time the token itself is shown.
+app.post('/api/tokens', requireSession, async (req, res) => {
+  try {
+    const { error, ...request } = parseTokenRequest(req.body)
+
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const { token, record } = createApiToken({ id: createId(), userId: req.user.id, ...request })
+    await storage.update('tokens', tokens => [...tokens, record])
+
+    res.status(201).json({ ...publicToken(record), token })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create token' })
+  }
+})
+
+// DELETE /api/tokens/:id - Revoke a token; it stops working at once
+app.delete('/api/tokens/:id', requireSession, async (req, res) => {
+  try {
+    const tokenId = parseInt(req.params.id)
+    let revoked = false
+
+    await storage.update('tokens', tokens => {
+      const kept = tokens.filter(t => !(t.id === tokenId && t.userId === req.user.id))
+      revoked = kept.length < tokens.length
+      return revoked ? kept : undefined
+    })
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Token not found' })
+    }
+
+    res.json({ message: 'Token revoked' })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to revoke token' })
+  }
+})
+
+// GET /api/webhooks - The user's webhook subscriptions
+app.get('/api/webhooks', async (req, res) => {
+  try {
+    res.json((await storage.read(webhooksCollection(req.user.id))).map(publicWebhook))
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read webhooks' })
+  }
+})
+
+// POST /api/webhooks - Subscribe { url } to { events } (all of them when left
+// out). The response is the only time the signing secret is shown.
+app.post('/api/webhooks', async (req, res) => {
+  try {
+    const { error, url, events } = parseWebhookRequest(req.body)
+
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    const webhook = {
+      id: createId(),
+      userId: req.user.id,
+      url,
+      events,
+      secret: createWebhookSecret(),
+      active: true,
+      createdAt: new Date().toISOString(),
+      lastDelivery: null
+    }
+    await storage.update(webhooksCollection(req.user.id), webhooks => [...webhooks, webhook])
+
+    res.status(201).json({ ...publicWebhook(webhook), secret: webhook.secret })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create webhook' })
+  }
+})
+
+// PUT /api/webhooks/:id - Change a subscription's { url, events, active }
+app.put('/api/webhooks/:id', async (req, res) => {
+  try {
+    const webhookId = parseInt(req.params.id)
+    const { active } = req.body
+
+    if (active !== undefined && typeof active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be true or false' })
+    }
+
+    let updated = null
+    let invalid = null
+    await storage.update(webhooksCollection(req.user.id), webhooks => {
+      const webhook = webhooks.find(w => w.id === webhookId)
+      if (!webhook) return undefined
+
+      const { error, url, events } = parseWebhookRequest({
+        url: req.body.url ?? webhook.url,
+        events: req.body.events ?? webhook.events
+      })
+      if (error) {
+        invalid = error
+        return undefined
+      }
+
+      Object.assign(webhook, { url, events, active: active ?? webhook.active })
+      updated = webhook
+      return webhooks
+    })
+
+    if (invalid) {
+      return res.status(400).json({ error: invalid })
+    }
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Webhook not found' })
+    }
+
+    res.json(publicWebhook(updated))
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update webhook' })
+  }
+})
+
+// POST /api/webhooks/:id/test - Send a ping event once, without retries, and
+// answer with how it went
+app.post('/api/webhooks/:id/test', async (req, res) => {
+  try {
+    const webhookId = parseInt(req.params.id)
+    const webhook = (await storage.read(webhooksCollection(req.user.id))).find(w => w.id === webhookId)
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' })
+    }
+
+    const { ok, status, error } = await webhookSender.send(webhook, 'ping', {}, { attempts: 1 })
+    res.json({ ok, status, error })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to test webhook' })
+  }
+})
+
+// DELETE /api/webhooks/:id - Stop sending to a webhook
+app.delete('/api/webhooks/:id', async (req, res) => {
+  try {
+    const webhookId = parseInt(req.params.id)
+    let removed = false
+
+    await storage.update(webhooksCollection(req.user.id), webhooks => {
+      const kept = webhooks.filter(w => w.id !== webhookId)
+      removed = kept.length < webhooks.length
+      return removed ? kept : undefined
+    })
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Webhook not found' })
+    }
+
+    res.json({ message: 'Webhook deleted' })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete webhook' })
+  }
+})
+
+// A snapshot as listed, without its content hash
+const backupDetails = ({ hash, data, ...backup }) => backup
+
+// GET /api/backups - The user's snapshots, newest first, and how long they're kept
+app.get('/api/backups', async (req, res) => {
+  try {
+    res.json({
+      backups: (await backups.list(req.user.id)).map(backupDetails),
+      retentionDays: BACKUP_RETENTION_DAYS,
+      intervalHours: BACKUP_INTERVAL_HOURS
+    })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read backups' })
+  }
+})
+
+// POST /api/backups - Take a snapshot now
+app.post('/api/backups', async (req, res) => {
+  try {
+    const backup = await backUp(req.user.id, 'manual')
+    res.status(201).json(backupDetails(backup))
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to back up bookmarks' })
+  }
+})
+
+// POST /api/backups/:id/restore - Put the user's bookmarks, folders and trash
+// back as they were in a snapshot. The response's diff lists the bookmarks
+// that come back, go away and change. With { dryRun: true } nothing is
+// changed; otherwise the current data is snapshotted first, so a restore can
+// itself be undone.
+app.post('/api/backups/:id/restore', async (req, res) => {
+  try {
+    const backup = await backups.read(req.user.id, req.params.id)
+
+    if (!backup) {
+      return res.status(404).json({ error: 'Backup not found' })
+    }
+
+    const { bookmarks, folders, trash } = backup.data
+    const diff = diffBackup(bookmarks, await readBookmarks(req.user.id))
+    const counts = `${diff.restored.length} back, ${diff.removed.length} removed, ${diff.changed.length} changed`
+
+    if (req.body.dryRun === true) {
+      return res.json({ message: `Restoring would bring ${counts}`, dryRun: true, backup: backupDetails(backup), diff })
+    }
+
+    const before = await backUp(req.user.id, 'restore')
+    await changeBookmarks(req.user.id, current => {
+      // Carry versions forward so edits made since are still seen as stale
+      const versions = new Map(current.map(b => [b.id, versionOf(b)]))
+      return bookmarks.map(b => (versions.has(b.id) ? { ...b, version: Math.max(versionOf(b), versions.get(b.id)) } : b))
+    })
+    await storage.write(foldersCollection(req.user.id), folders)
+    await storage.write(trashCollection(req.user.id), trash)
+
+    res.json({ message: `Restored backup: ${counts}`, backup: backupDetails(backup), undoBackup: backupDetails(before), diff })
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to restore backup' })
+  }
+})
+
 // Initialize and start server
 const startServer = async () => {
-  await initializeBookmarksFile()
+  await storage.init()
+
+  // Purge expired trash now and once a day
+  const purgeAllTrash = async () => {
+    const users = await storage.read('users')
+    for (const user of users) await purgeExpiredTrash(user.id)
+  }
+  await purgeAllTrash()
+  setInterval(() => purgeAllTrash().catch(console.error), 24 * 60 * 60 * 1000)
+
+  if (LINK_CHECK_INTERVAL_HOURS > 0) {
+    // Check one user at a time to keep the number of outgoing requests down
+    const checkAllLinks = async () => {
+      const users = await storage.read('users')
+      for (const user of users) {
+        if (!getLinkCheck(user.id).running) await runLinkCheck(user.id)
+      }
+    }
+    setInterval(() => checkAllLinks().catch(console.error), LINK_CHECK_INTERVAL_HOURS * 60 * 60 * 1000)
+  }
+
+  if (DIGEST_HOUR >= 0) {
+    const writeDigests = async () => {
+      const users = await storage.read('users')
+      for (const user of users) {
+        const digest = buildDigest({
+          user,
+          bookmarks: await readBookmarks(user.id),
+          from: MAIL_FROM,
+          to: `${user.username}@localhost`
+        })
+        if (digest) await writeToOutbox(MAIL_DIR, digest)
+      }
+    }
+    setTimeout(() => {
+      writeDigests().catch(console.error)
+      setInterval(() => writeDigests().catch(console.error), 24 * 60 * 60 * 1000)
+    }, msUntilHour(DIGEST_HOUR))
+  }
+
+  if (BACKUP_INTERVAL_HOURS > 0) {
+    // Unchanged data isn't snapshotted again, but old snapshots still expire
+    const backUpAll = async () => {
+      const users = await storage.read('users')
+      for (const user of users) {
+        await backUp(user.id, 'scheduled', { skipUnchanged: true })
+        await backups.expire(user.id)
+      }
+    }
+    await backUpAll().catch(console.error)
+    setInterval(() => backUpAll().catch(console.error), BACKUP_INTERVAL_HOURS * 60 * 60 * 1000)
+  }
 
   app.listen(PORT, () => {
     console.log(`Bookmark server running on http://localhost:${PORT}`)
-    console.log(`Bookmarks file: ${BOOKMARKS_FILE}`)
+    console.log(`Bookmark storage: ${storage.description}`)
   })
 }
 
-startServer().catch(console.error)
+// Started directly; route tests require the app and listen themselves
+if (require.main === module) startServer().catch(console.error)
+
+module.exports = { app, storage }